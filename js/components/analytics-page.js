@@ -0,0 +1,209 @@
+/**
+ * Analytics Page Component
+ * Shows the anonymous counters recorded for the public site: page views, section views,
+ * profile PDF opens and booklet downloads over time, and how often each student's profile was opened.
+ * Data comes from graduations/{id}/analyticsDaily (several shard documents per UTC day).
+ */
+
+import { GraduationRepository } from '../data/graduation-repository.js';
+import { StudentRepository } from '../data/student-repository.js';
+import { PAGE_SECTIONS } from '../handlers/content-handlers.js';
+import { sanitizeInput } from '../utils/sanitize.js';
+
+const RANGE_OPTIONS = [
+    { days: 14, label: 'Last 14 days' },
+    { days: 30, label: 'Last 30 days' },
+    { days: 90, label: 'Last 90 days' }
+];
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * List the days in a range as YYYY-MM-DD (UTC, matching the server's day keys)
+ * @param {number} days - Number of days, ending today
+ * @returns {Array<string>} Oldest first
+ */
+const getDayKeys = (days) => {
+    const today = new Date();
+    return Array.from({ length: days }, (_, index) => {
+        const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - (days - 1 - index)));
+        return date.toISOString().slice(0, 10);
+    });
+};
+
+/**
+ * Add up analytics documents (shards of one day, or every day in the range)
+ * @param {Array<Object>} dailyDocs - Documents from getSiteAnalytics
+ * @returns {Object} {pageViews, profileOpens, bookletDownloads, studentBookletDownloads, sectionViews, studentViews}
+ */
+const sumAnalytics = (dailyDocs) => dailyDocs.reduce((totals, day) => {
+    totals.pageViews += day.pageViews || 0;
+    totals.profileOpens += day.profileOpens || 0;
+    totals.bookletDownloads += day.downloads?.booklet || 0;
+    totals.studentBookletDownloads += day.downloads?.studentBooklets || 0;
+    Object.entries(day.sectionViews || {}).forEach(([section, count]) => {
+        totals.sectionViews[section] = (totals.sectionViews[section] || 0) + count;
+    });
+    Object.entries(day.studentViews || {}).forEach(([studentId, count]) => {
+        totals.studentViews[studentId] = (totals.studentViews[studentId] || 0) + count;
+    });
+    return totals;
+}, { pageViews: 0, profileOpens: 0, bookletDownloads: 0, studentBookletDownloads: 0, sectionViews: {}, studentViews: {} });
+
+/**
+ * Render a stat card
+ * @param {string} label - Stat label
+ * @param {number} value - Count
+ * @returns {string} HTML
+ */
+const renderStatCard = (label, value) => `
+    <div class="bg-white border border-gray-200 rounded-lg p-4">
+        <p class="text-sm text-gray-600">${label}</p>
+        <p class="text-2xl font-bold text-gray-900 mt-1">${value.toLocaleString()}</p>
+    </div>
+`;
+
+/**
+ * Render a bar chart of page views and downloads per day (plain HTML, no chart library)
+ * @param {Array<string>} dayKeys - Days in the range, oldest first
+ * @param {Map<string, Array<Object>>} byDay - Shard documents keyed by day
+ * @returns {string} HTML
+ */
+const renderDailyChart = (dayKeys, byDay) => {
+    const rows = dayKeys.map(day => {
+        const data = sumAnalytics(byDay.get(day) || []);
+        return {
+            day,
+            views: data.pageViews,
+            downloads: data.bookletDownloads + data.studentBookletDownloads
+        };
+    });
+    const max = Math.max(1, ...rows.map(row => Math.max(row.views, row.downloads)));
+
+    return `
+        <div class="flex items-end gap-px h-40 border-b border-gray-200" role="img" aria-label="Page views and downloads per day">
+            ${rows.map(row => `
+                <div class="flex-1 flex items-end gap-px h-full" title="${row.day}: ${row.views} page views, ${row.downloads} downloads">
+                    <div class="flex-1 bg-indigo-500 rounded-t" style="height: ${(row.views / max) * 100}%;"></div>
+                    <div class="flex-1 bg-green-500 rounded-t" style="height: ${(row.downloads / max) * 100}%;"></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="flex justify-between text-xs text-gray-500 mt-1">
+            <span>${dayKeys[0]}</span>
+            <span>${dayKeys[dayKeys.length - 1]}</span>
+        </div>
+        <div class="flex gap-4 text-xs text-gray-600 mt-2">
+            <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 bg-indigo-500 rounded"></span>Page views</span>
+            <span class="flex items-center gap-1"><span class="inline-block w-3 h-3 bg-green-500 rounded"></span>Downloads</span>
+        </div>
+    `;
+};
+
+/**
+ * Render the Analytics page
+ * @param {string} gradId - Graduation ID
+ * @param {number} [rangeDays=30] - Number of days to show
+ * @returns {Promise<string>} HTML for the analytics page
+ */
+export const renderAnalyticsPage = async (gradId, rangeDays = DEFAULT_RANGE_DAYS) => {
+    try {
+        const dayKeys = getDayKeys(rangeDays);
+        const [dailyDocs, students] = await Promise.all([
+            GraduationRepository.getSiteAnalytics(gradId, dayKeys[0]),
+            StudentRepository.getAll(gradId)
+        ]);
+
+        const byDay = new Map();
+        dailyDocs.forEach(doc => byDay.set(doc.day, [...(byDay.get(doc.day) || []), doc]));
+        const totals = sumAnalytics(dailyDocs);
+        const studentRows = students
+            .map(student => ({ name: student.name || 'Unnamed student', views: totals.studentViews[student.id] || 0 }))
+            .sort((a, b) => b.views - a.views || a.name.localeCompare(b.name));
+
+        return `
+            <div class="space-y-4" id="analytics-page">
+                <div class="vct-card-glass p-6">
+                    <div class="flex flex-wrap items-center justify-between gap-4 mb-4">
+                        <div>
+                            <h3 class="vct-heading-3 mb-1">Site Analytics</h3>
+                            <p class="text-sm text-gray-600">Anonymous counts from your public graduation site. No cookies or third-party tracking are used, and your own visits aren't counted.</p>
+                        </div>
+                        <label class="text-sm text-gray-700">
+                            <span class="sr-only">Date range</span>
+                            <select id="analytics-range" class="px-2 py-1 border border-gray-300 rounded-md text-sm">
+                                ${RANGE_OPTIONS.map(option => `<option value="${option.days}" ${option.days === rangeDays ? 'selected' : ''}>${option.label}</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                        ${renderStatCard('Page views', totals.pageViews)}
+                        ${renderStatCard('Profiles opened', totals.profileOpens)}
+                        ${renderStatCard('Booklet downloads', totals.bookletDownloads)}
+                        ${renderStatCard('Individual booklet downloads', totals.studentBookletDownloads)}
+                    </div>
+
+                    <h4 class="text-md font-medium text-gray-900 mb-2">Over time</h4>
+                    ${renderDailyChart(dayKeys, byDay)}
+                </div>
+
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div class="vct-card-glass p-6">
+                        <h4 class="text-md font-medium text-gray-900 mb-2">Views by section</h4>
+                        <p class="text-xs text-gray-500 mb-3">How many visits scrolled to each part of the site</p>
+                        <ul class="divide-y divide-gray-200">
+                            ${Object.entries(PAGE_SECTIONS).map(([section, label]) => `
+                                <li class="py-2 flex justify-between text-sm">
+                                    <span class="text-gray-800">${label}</span>
+                                    <span class="font-medium text-gray-900">${(totals.sectionViews[section] || 0).toLocaleString()}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+
+                    <div class="vct-card-glass p-6">
+                        <h4 class="text-md font-medium text-gray-900 mb-2">Profile views per student</h4>
+                        <p class="text-xs text-gray-500 mb-3">How many visits opened each student's profile PDF</p>
+                        ${studentRows.length > 0 ? `
+                            <ul class="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+                                ${studentRows.map(row => `
+                                    <li class="py-2 flex justify-between text-sm">
+                                        <span class="text-gray-800">${sanitizeInput(row.name)}</span>
+                                        <span class="font-medium ${row.views > 0 ? 'text-gray-900' : 'text-gray-400'}">${row.views.toLocaleString()}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : '<p class="text-sm text-gray-500">No students yet.</p>'}
+                    </div>
+                </div>
+            </div>
+        `;
+    } catch (error) {
+        console.error('[Analytics] Error rendering analytics page:', error);
+        return `
+            <div class="vct-card-glass p-6">
+                <p class="text-sm text-red-700">Could not load the analytics. Please try again.</p>
+            </div>
+        `;
+    }
+};
+
+/**
+ * Set up the Analytics page controls
+ * @param {string} gradId - Graduation ID
+ * @param {HTMLElement} container - Element the page is rendered into
+ */
+export const setupAnalyticsPageHandlers = (gradId, container) => {
+    const rangeSelect = container.querySelector('#analytics-range');
+    if (!rangeSelect) return;
+
+    rangeSelect.addEventListener('change', async () => {
+        container.innerHTML = await renderAnalyticsPage(gradId, parseInt(rangeSelect.value, 10));
+        setupAnalyticsPageHandlers(gradId, container);
+    });
+};
+
+export default {
+    renderAnalyticsPage,
+    setupAnalyticsPageHandlers
+};
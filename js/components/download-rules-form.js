@@ -0,0 +1,154 @@
+/**
+ * Download Release Rules Form
+ * Settings → Downloads editor for config.downloadRules: when staff, families and the
+ * public may download the booklet. The rules are enforced by download-booklet
+ * (netlify/functions/utils/download-rules.js), which also drives the public countdown.
+ */
+
+export const DOWNLOAD_AUDIENCES = [
+    { id: 'staff', label: 'Staff', description: 'Teachers signed in as editors of this project' },
+    { id: 'families', label: 'Families', description: 'Visitors who entered the site password, and students using their own upload link' },
+    { id: 'public', label: 'Public', description: 'Anyone else who opens the graduation site' }
+];
+
+const ACCESS_OPTIONS = [
+    { value: 'open', label: 'Available now' },
+    { value: 'scheduled', label: 'From a date' },
+    { value: 'never', label: 'Never' }
+];
+
+/**
+ * Read a stored date (Firestore Timestamp, Date or ISO string)
+ * @param {*} value - Stored value
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date for a datetime-local input (local time, not UTC)
+ * @param {Date|null} date - Date to show
+ * @returns {string} YYYY-MM-DDTHH:mm or ''
+ */
+const toInputValue = (date) => {
+    if (!date) return '';
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Get the rules to show in the form, translating the older single schedule
+ * (enableDownloadScheduling + downloadableAfterDate) the same way the server does
+ * @param {Object} config - Graduation config
+ * @returns {Object} Map of audience -> {access, opensAt, closesAt}
+ */
+export const getDownloadRulesForForm = (config = {}) => {
+    if (config.downloadRules) {
+        return Object.fromEntries(DOWNLOAD_AUDIENCES.map(({ id }) => {
+            const rule = config.downloadRules[id] || {};
+            return [id, { access: rule.access || 'open', opensAt: toDate(rule.opensAt), closesAt: toDate(rule.closesAt) }];
+        }));
+    }
+
+    const legacyDate = config.enableDownloadScheduling ? toDate(config.downloadableAfterDate) : null;
+    const visitorRule = legacyDate
+        ? { access: 'scheduled', opensAt: legacyDate, closesAt: null }
+        : { access: 'open', opensAt: null, closesAt: null };
+    return { staff: { access: 'open', opensAt: null, closesAt: null }, families: visitorRule, public: { ...visitorRule } };
+};
+
+/**
+ * Render the rules editor
+ * @param {Object} config - Graduation config
+ * @returns {string} HTML
+ */
+export const renderDownloadRulesForm = (config = {}) => {
+    const rules = getDownloadRulesForForm(config);
+    const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+    return `
+        <div id="download-rules" class="space-y-4">
+            <p class="text-sm text-gray-600">Choose when each group can download the PDF booklet. A closing date stops downloads for that group.</p>
+            ${DOWNLOAD_AUDIENCES.map(({ id, label, description }) => {
+                const rule = rules[id];
+                return `
+                    <fieldset class="border border-gray-200 rounded-md p-4" data-download-audience="${id}">
+                        <legend class="px-1 text-sm font-medium text-gray-900">${label}</legend>
+                        <p class="text-xs text-gray-500 mb-3">${description}</p>
+                        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <label class="block text-sm text-gray-700">Download
+                                <select data-rule-field="access" class="${inputClass}">
+                                    ${ACCESS_OPTIONS.map(option => `<option value="${option.value}" ${option.value === rule.access ? 'selected' : ''}>${option.label}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label class="block text-sm text-gray-700 ${rule.access === 'scheduled' ? '' : 'hidden'}" data-rule-show="scheduled">Opens on
+                                <input type="datetime-local" data-rule-field="opensAt" value="${toInputValue(rule.opensAt)}" class="${inputClass}">
+                            </label>
+                            <label class="block text-sm text-gray-700 ${rule.access === 'never' ? 'hidden' : ''}" data-rule-show="open scheduled">Closes on (optional)
+                                <input type="datetime-local" data-rule-field="closesAt" value="${toInputValue(rule.closesAt)}" class="${inputClass}">
+                            </label>
+                        </div>
+                    </fieldset>
+                `;
+            }).join('')}
+            <div>
+                <label for="downloadMessage" class="block text-sm font-medium text-gray-700">Message before availability (Optional)</label>
+                <textarea id="downloadMessage" rows="3" class="${inputClass}" placeholder="e.g., The graduation booklet will be available after the ceremony...">${config.downloadMessage || ''}</textarea>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Show the date fields that apply to each rule's access choice
+ * @param {HTMLElement} container - Element containing the rules form
+ */
+export const setupDownloadRulesForm = (container) => {
+    container.querySelectorAll('[data-download-audience]').forEach(fieldset => {
+        const select = fieldset.querySelector('[data-rule-field="access"]');
+        select.addEventListener('change', () => {
+            fieldset.querySelectorAll('[data-rule-show]').forEach(field => {
+                field.classList.toggle('hidden', !field.dataset.ruleShow.split(' ').includes(select.value));
+            });
+        });
+    });
+};
+
+/**
+ * Read and validate the rules from the form
+ * @param {HTMLElement} container - Element containing the rules form
+ * @returns {{rules: Object|null, error: string|null}} Rules ready to save as config.downloadRules
+ */
+export const readDownloadRulesForm = (container) => {
+    const rules = {};
+
+    for (const { id, label } of DOWNLOAD_AUDIENCES) {
+        const fieldset = container.querySelector(`[data-download-audience="${id}"]`);
+        const access = fieldset.querySelector('[data-rule-field="access"]').value;
+        const opensValue = fieldset.querySelector('[data-rule-field="opensAt"]').value;
+        const closesValue = fieldset.querySelector('[data-rule-field="closesAt"]').value;
+        const opensAt = access === 'scheduled' && opensValue ? new Date(opensValue) : null;
+        const closesAt = access !== 'never' && closesValue ? new Date(closesValue) : null;
+
+        if (access === 'scheduled' && !opensAt) {
+            return { rules: null, error: `Choose when downloads open for ${label}.` };
+        }
+        if (opensAt && closesAt && closesAt <= opensAt) {
+            return { rules: null, error: `The closing date for ${label} must be after the opening date.` };
+        }
+        rules[id] = { access, opensAt, closesAt };
+    }
+
+    return { rules, error: null };
+};
+
+export default {
+    DOWNLOAD_AUDIENCES,
+    getDownloadRulesForForm,
+    renderDownloadRulesForm,
+    setupDownloadRulesForm,
+    readDownloadRulesForm
+};
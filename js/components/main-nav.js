@@ -40,6 +40,12 @@ export const renderMainNav = (activePage) => {
                 { id: 'share', label: 'Share Links', icon: '🔗', page: 'share' }
             ]
         },
+        {
+            id: 'analytics',
+            label: 'Analytics',
+            icon: '📊',
+            page: 'analytics'
+        },
         {
             id: 'settings',
             label: 'Settings',
@@ -263,6 +269,7 @@ export const mapTabToPage = (tabId) => {
         'settings': 'settings',
         'share': 'share',
         'booklet': 'booklet',
+        'analytics': 'analytics',
         'home': 'home'
     };
     return mapping[tabId] || 'home';
@@ -0,0 +1,182 @@
+/**
+ * Roster Import Component
+ * Column-mapping and preview step of the Students tab import: after a CSV or XLSX file is read,
+ * the teacher picks which column holds each field, sees every row with its validation errors
+ * and duplicates, and confirms which students to add.
+ */
+
+import { ROSTER_FIELDS, readRosterFile, hasHeaderRow, guessColumnMapping, buildRosterPreview } from '../utils/roster-import.js';
+import { sanitizeInput } from '../utils/sanitize.js';
+
+const DUPLICATE_LABELS = {
+    existing: 'Already in this project',
+    file: 'Listed twice in the file'
+};
+
+/**
+ * Render the mapping controls and preview table
+ * @param {Object} state - {fileName, rows, hasHeader, mapping, includeDuplicates, preview}
+ * @returns {string} HTML
+ */
+const renderRosterImport = ({ fileName, rows, hasHeader, mapping, includeDuplicates, preview }) => {
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const columnLabels = Array.from({ length: columnCount }, (_, index) =>
+        hasHeader && rows[0][index] ? rows[0][index] : `Column ${index + 1}`
+    );
+    const mappedFields = ROSTER_FIELDS.filter(field => mapping[field.key] !== undefined);
+
+    const errorCount = preview.filter(row => row.errors.length > 0).length;
+    const duplicateCount = preview.filter(row => row.errors.length === 0 && row.duplicate).length;
+    const readyCount = preview.filter(row => row.errors.length === 0 && (!row.duplicate || includeDuplicates)).length;
+
+    return `
+        <div class="border border-gray-200 rounded-lg p-4 bg-white">
+            <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h5 class="text-sm font-medium text-gray-900">Import preview: ${sanitizeInput(fileName)}</h5>
+                <label class="flex items-center text-sm text-gray-700">
+                    <input type="checkbox" data-roster-header ${hasHeader ? 'checked' : ''} class="h-4 w-4 text-indigo-600 border-gray-300 rounded">
+                    <span class="ml-2">First row is a header</span>
+                </label>
+            </div>
+
+            <p class="text-xs text-gray-600 mb-2">Choose the column for each field. Use a full name column, or first and last name columns.</p>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                ${ROSTER_FIELDS.map(field => `
+                    <label class="block text-xs text-gray-700">${field.label}
+                        <select data-roster-field="${field.key}" class="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-sm">
+                            <option value="">Not imported</option>
+                            ${columnLabels.map((label, index) => `<option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${sanitizeInput(label)}</option>`).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+
+            <p class="text-sm text-gray-800 mb-2" aria-live="polite">
+                <strong>${readyCount}</strong> ready to import
+                ${errorCount > 0 ? ` &middot; <span class="text-red-700">${errorCount} with errors (skipped)</span>` : ''}
+                ${duplicateCount > 0 ? ` &middot; <span class="text-yellow-700">${duplicateCount} possible duplicate${duplicateCount === 1 ? '' : 's'}</span>` : ''}
+            </p>
+
+            <div class="max-h-96 overflow-auto border border-gray-200 rounded-md">
+                <table class="min-w-full text-sm">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr>
+                            <th class="px-2 py-1 text-left text-xs font-medium text-gray-500">Row</th>
+                            <th class="px-2 py-1 text-left text-xs font-medium text-gray-500">Name</th>
+                            ${mappedFields.filter(field => !['name', 'firstName', 'lastName'].includes(field.key)).map(field => `
+                                <th class="px-2 py-1 text-left text-xs font-medium text-gray-500">${field.label}</th>
+                            `).join('')}
+                            <th class="px-2 py-1 text-left text-xs font-medium text-gray-500">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200">
+                        ${preview.map(row => {
+                            const rowClass = row.errors.length > 0 ? 'bg-red-50' : row.duplicate ? 'bg-yellow-50' : '';
+                            const status = row.errors.length > 0
+                                ? `<span class="text-red-700">${row.errors.map(error => sanitizeInput(error)).join('<br>')}</span>`
+                                : row.duplicate
+                                    ? `<span class="text-yellow-700">${DUPLICATE_LABELS[row.duplicate]}${includeDuplicates ? '' : ' (skipped)'}</span>`
+                                    : `<span class="text-green-700">Ready</span>${row.warnings.length > 0 ? `<span class="block text-xs text-gray-500">${row.warnings.map(warning => sanitizeInput(warning)).join('<br>')}</span>` : ''}`;
+                            return `
+                                <tr class="${rowClass}">
+                                    <td class="px-2 py-1 text-gray-500">${row.rowNumber}</td>
+                                    <td class="px-2 py-1 text-gray-900">${sanitizeInput(row.student.name || '')}</td>
+                                    ${mappedFields.filter(field => !['name', 'firstName', 'lastName'].includes(field.key)).map(field => `
+                                        <td class="px-2 py-1 text-gray-700">${sanitizeInput(row.student[field.key] || '')}</td>
+                                    `).join('')}
+                                    <td class="px-2 py-1">${status}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="flex flex-wrap items-center justify-between gap-4 mt-4">
+                <label class="flex items-center text-sm text-gray-700 ${duplicateCount > 0 ? '' : 'invisible'}">
+                    <input type="checkbox" data-roster-duplicates ${includeDuplicates ? 'checked' : ''} class="h-4 w-4 text-indigo-600 border-gray-300 rounded">
+                    <span class="ml-2">Import possible duplicates too</span>
+                </label>
+                <div class="flex gap-2">
+                    <button type="button" data-roster-cancel class="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50">Cancel</button>
+                    <button type="button" data-roster-confirm ${readyCount === 0 ? 'disabled' : ''} class="px-4 py-2 bg-green-600 text-white rounded-md text-sm font-medium hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed">Import ${readyCount} student${readyCount === 1 ? '' : 's'}</button>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Read a roster file and show its mapping and preview step
+ * @param {HTMLElement} container - Element to render the preview into
+ * @param {Object} options
+ *   - file: The CSV/XLSX file chosen by the teacher
+ *   - existingStudents: Students already in the project, for duplicate detection
+ *   - onImport: Called with the students to create (Array of {name, studentNumber, className, homeroom, parentEmail})
+ * @returns {Promise<void>} Rejects if the file cannot be read or has no rows
+ */
+export const openRosterImport = async (container, { file, existingStudents = [], onImport }) => {
+    const rows = await readRosterFile(file);
+    if (rows.length === 0) {
+        throw new Error('The file has no rows.');
+    }
+
+    const hasHeader = hasHeaderRow(rows[0]);
+    const state = {
+        fileName: file.name,
+        rows,
+        hasHeader,
+        mapping: guessColumnMapping(hasHeader ? rows[0] : null),
+        includeDuplicates: false,
+        preview: []
+    };
+
+    const render = () => {
+        const dataRows = state.hasHeader ? state.rows.slice(1) : state.rows;
+        state.preview = buildRosterPreview(dataRows, state.mapping, existingStudents, state.hasHeader ? 2 : 1);
+        container.innerHTML = renderRosterImport(state);
+        container.classList.remove('hidden');
+    };
+
+    const close = () => {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+    };
+
+    container.onchange = (e) => {
+        if (e.target.matches('[data-roster-header]')) {
+            state.hasHeader = e.target.checked;
+            state.mapping = guessColumnMapping(state.hasHeader ? state.rows[0] : null);
+        } else if (e.target.matches('[data-roster-field]')) {
+            const key = e.target.dataset.rosterField;
+            if (e.target.value === '') {
+                delete state.mapping[key];
+            } else {
+                state.mapping[key] = parseInt(e.target.value, 10);
+            }
+        } else if (e.target.matches('[data-roster-duplicates]')) {
+            state.includeDuplicates = e.target.checked;
+        } else {
+            return;
+        }
+        render();
+    };
+
+    container.onclick = async (e) => {
+        if (e.target.closest('[data-roster-cancel]')) {
+            close();
+        } else if (e.target.closest('[data-roster-confirm]')) {
+            const students = state.preview
+                .filter(row => row.errors.length === 0 && (!row.duplicate || state.includeDuplicates))
+                .map(row => row.student);
+            close();
+            await onImport(students);
+        }
+    };
+
+    render();
+};
+
+export default {
+    openRosterImport
+};
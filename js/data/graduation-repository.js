@@ -102,6 +102,65 @@ export const GraduationRepository = {
         return firestoreService.onGraduationUpdate(graduationId, callback);
     },
 
+    /**
+     * Set up real-time listener for a booklet generation job
+     * @param {string} graduationId - The graduation ID
+     * @param {string} jobId - The booklet job ID
+     * @param {Function} callback - Called with job data
+     * @param {Function} [onError] - Called if the listener fails
+     * @returns {Function} Unsubscribe function
+     */
+    onBookletJobUpdate(graduationId, jobId, callback, onError) {
+        return firestoreService.onBookletJobUpdate(graduationId, jobId, callback, onError);
+    },
+
+    /**
+     * Get the booklet version history, newest first
+     * @param {string} graduationId - The graduation ID
+     * @returns {Promise<Array>} Array of versions
+     */
+    async getBookletVersions(graduationId) {
+        return firestoreService.getBookletVersions(graduationId);
+    },
+
+    /**
+     * Get the individual student booklets, keyed by student ID
+     * @param {string} graduationId - The graduation ID
+     * @returns {Promise<Object>} Map of studentId -> export
+     */
+    async getStudentExports(graduationId) {
+        return firestoreService.getStudentExports(graduationId);
+    },
+
+    /**
+     * Get the booklet proofs whose links haven't expired, newest first
+     * @param {string} graduationId - The graduation ID
+     * @returns {Promise<Array>} Array of proofs
+     */
+    async getBookletProofs(graduationId) {
+        return firestoreService.getBookletProofs(graduationId);
+    },
+
+    /**
+     * Get the most recent visitor downloads, newest first
+     * @param {string} graduationId - The graduation ID
+     * @param {number} [count] - Number of entries to fetch
+     * @returns {Promise<Array>} Array of download log entries
+     */
+    async getBookletDownloads(graduationId, count) {
+        return firestoreService.getBookletDownloads(graduationId, count);
+    },
+
+    /**
+     * Get the daily site analytics from a given day on, oldest first
+     * @param {string} graduationId - The graduation ID
+     * @param {string} sinceDay - First day to include (YYYY-MM-DD, UTC)
+     * @returns {Promise<Array>} Array of daily counters
+     */
+    async getSiteAnalytics(graduationId, sinceDay) {
+        return firestoreService.getSiteAnalytics(graduationId, sinceDay);
+    },
+
     /**
      * Query graduations where user is an editor
      * @param {string} userUid - User ID
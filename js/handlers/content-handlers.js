@@ -408,44 +408,94 @@ export async function deleteContentPage(docId, gradId, handlers) {
     ]);
 }
 
+// Section types the page order can hold, with their headings in the booklet and on the site
+export const PAGE_SECTIONS = {
+    students: 'Student Profiles',
+    messages: 'Messages & Memories',
+    speeches: 'Speeches & Presentations',
+    gallery: 'Class Gallery',
+    awards: 'Class Awards',
+    signatures: 'Signatures'
+};
+
+// Always listed; the others are added and removed by the editor
+const DEFAULT_PAGE_ORDER = ['students', 'messages', 'speeches'];
+
 /**
- * Setup page order management handlers
- * @param {Object} handlers - Required handlers
- *   - showModal: Function to show modal
- *   - gradId: Graduation ID
+ * Setup the page order editor (Settings > Content)
+ * Sections move up and down; gallery, awards and signatures can be added anywhere
+ * and removed again. The order is saved with the other settings (see getPageOrder).
+ * @param {HTMLElement} container - #page-order element
+ * @param {Array<string>} [pageOrder] - Current config.pageOrder
  */
-export function setupPageOrderHandlers(handlers) {
-    const { showModal, gradId } = handlers;
-    
+export function setupPageOrderHandlers(container, pageOrder) {
+    let order = (pageOrder || DEFAULT_PAGE_ORDER).filter(section => PAGE_SECTIONS[section]);
+    DEFAULT_PAGE_ORDER.forEach(section => {
+        if (!order.includes(section)) order.push(section);
+    });
+
+    const render = () => {
+        const available = Object.keys(PAGE_SECTIONS).filter(section => !order.includes(section));
+
+        container.innerHTML = order.map((section, index) => `
+            <div data-section="${section}" class="flex items-center justify-between p-2 bg-gray-50 rounded border">
+                <span>${PAGE_SECTIONS[section]}</span>
+                <div class="space-x-2">
+                    <button type="button" onclick="movePageUp(${index})" class="text-blue-600 hover:text-blue-800" ${index === 0 ? 'disabled' : ''} aria-label="Move ${PAGE_SECTIONS[section]} up">↑</button>
+                    <button type="button" onclick="movePageDown(${index})" class="text-blue-600 hover:text-blue-800" ${index === order.length - 1 ? 'disabled' : ''} aria-label="Move ${PAGE_SECTIONS[section]} down">↓</button>
+                    ${DEFAULT_PAGE_ORDER.includes(section) ? '' : `
+                        <button type="button" onclick="removePageSection(${index})" class="text-red-600 hover:text-red-800" aria-label="Remove ${PAGE_SECTIONS[section]}">&times;</button>
+                    `}
+                </div>
+            </div>
+        `).join('') + (available.length > 0 ? `
+            <div class="flex items-center gap-2 pt-2">
+                <select id="page-order-add" class="block pl-3 pr-10 py-2 text-sm border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md">
+                    ${available.map(section => `<option value="${section}">${PAGE_SECTIONS[section]}</option>`).join('')}
+                </select>
+                <button type="button" onclick="addPageSection()" class="px-3 py-2 text-sm bg-white border border-gray-300 rounded-md hover:bg-gray-50">Add Section</button>
+            </div>
+        ` : '');
+    };
+
     // Make functions available globally for onclick handlers
     window.movePageUp = function(index) {
-        const pages = Array.from(document.querySelectorAll('[data-page-index]'));
         if (index > 0) {
-            const order = pages.map(p => p.dataset.pageIndex);
             [order[index - 1], order[index]] = [order[index], order[index - 1]];
-            updatePageOrder(order);
+            render();
         }
     };
-    
+
     window.movePageDown = function(index) {
-        const pages = Array.from(document.querySelectorAll('[data-page-index]'));
-        if (index < pages.length - 1) {
-            const order = pages.map(p => p.dataset.pageIndex);
+        if (index < order.length - 1) {
             [order[index], order[index + 1]] = [order[index + 1], order[index]];
-            updatePageOrder(order);
+            render();
         }
     };
-    
-    async function updatePageOrder(order) {
-        try {
-            const { GraduationRepository } = await import('../data/graduation-repository.js');
-            await GraduationRepository.update(gradId, {
-                pageOrder: order
-            });
-            showModal('Success', 'Page order updated.');
-        } catch (error) {
-            console.error('Error updating page order:', error);
-            showModal('Error', 'Failed to update page order.');
+
+    window.addPageSection = function() {
+        const section = document.getElementById('page-order-add')?.value;
+        if (PAGE_SECTIONS[section] && !order.includes(section)) {
+            order = [...order, section];
+            render();
         }
-    }
+    };
+
+    window.removePageSection = function(index) {
+        if (!DEFAULT_PAGE_ORDER.includes(order[index])) {
+            order = order.filter((section, i) => i !== index);
+            render();
+        }
+    };
+
+    render();
+}
+
+/**
+ * Read the order shown in the page order editor
+ * @param {HTMLElement} container - #page-order element
+ * @returns {Array<string>} Section types in order
+ */
+export function getPageOrder(container) {
+    return Array.from(container.querySelectorAll('[data-section]')).map(el => el.dataset.section);
 }
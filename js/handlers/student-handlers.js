@@ -3,6 +3,85 @@
  * Manages adding, editing, deleting students and their associated files
  */
 
+import { rememberStudentPasswords } from '../utils/roster-export.js';
+
+/**
+ * Students sent per createStudentsBatch request (the server accepts up to 200, or 50 with passwords)
+ * Password access is sent in smaller batches because every password is hashed with scrypt
+ */
+const STUDENT_BATCH_SIZE = 200;
+const PASSWORD_STUDENT_BATCH_SIZE = 50;
+
+/**
+ * Headers for secure-operations calls that need the signed-in editor
+ * @returns {Promise<Object>}
+ */
+const getEditorRequestHeaders = async () => {
+    const { auth } = await import('../firebase-init.js');
+    const headers = { 'Content-Type': 'application/json' };
+    if (auth.currentUser) {
+        headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+    }
+    return headers;
+};
+
+/**
+ * Create students through the secure-operations createStudentsBatch action
+ * The server assigns display orders in one transaction and generates link IDs and passwords
+ * @param {string} gradId - Graduation ID
+ * @param {Array<Object>} students - {name} plus optional studentNumber, className, homeroom, parentEmail
+ * @param {string} accessType - Access method for all students ('public', 'password' or 'link')
+ * @returns {Promise<{successful: Array<{studentId, name, password}>, failed: Array<{name, error}>}>}
+ */
+const createStudentsBatch = async (gradId, students, accessType) => {
+    const results = {
+        successful: [],
+        failed: []
+    };
+
+    const batchSize = accessType === 'password' ? PASSWORD_STUDENT_BATCH_SIZE : STUDENT_BATCH_SIZE;
+
+    for (let start = 0; start < students.length; start += batchSize) {
+        const chunk = students.slice(start, start + batchSize);
+
+        try {
+            const response = await fetch('/.netlify/functions/secure-operations', {
+                method: 'POST',
+                headers: await getEditorRequestHeaders(),
+                body: JSON.stringify({
+                    action: 'createStudentsBatch',
+                    graduationId: gradId,
+                    accessType: accessType,
+                    students: chunk
+                }),
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to create students');
+            }
+
+            result.results.forEach(row => {
+                if (row.success) {
+                    results.successful.push({ studentId: row.studentId, name: row.name, password: row.generatedPassword });
+                } else {
+                    results.failed.push({ name: chunk[row.index].name, error: row.error });
+                }
+            });
+        } catch (error) {
+            console.error('Error adding students:', error);
+            chunk.forEach(student => results.failed.push({ name: student.name, error: error.message }));
+        }
+    }
+
+    // Passwords are only returned once; keep them so the roster export and login cards can include them
+    if (accessType === 'password') {
+        rememberStudentPasswords(results.successful);
+    }
+
+    return results;
+};
+
 /**
  * Setup add student form handler (supports bulk add via textarea)
  * @param {HTMLElement} formElement - The add student form
@@ -55,70 +134,7 @@ export function setupAddStudentFormHandler(formElement, handlers) {
             // Show loading modal with count
             const closeLoading = showLoadingModal('Adding Students...', `Adding ${validNames.length} student${validNames.length > 1 ? 's' : ''}. Please wait...`);
 
-            const results = {
-                successful: [],
-                failed: []
-            };
-
-            // Helper function to generate memorable password
-            const generatePassword = () => {
-                const adjectives = ['Blue', 'Red', 'Green', 'Gold', 'Silver', 'Bright', 'Smart', 'Cool', 'Star', 'Epic'];
-                const nouns = ['Tiger', 'Eagle', 'Lion', 'Bear', 'Wolf', 'Shark', 'Falcon', 'Phoenix', 'Dragon', 'Hawk'];
-                const randomAdj = adjectives[Math.floor(Math.random() * adjectives.length)];
-                const randomNoun = nouns[Math.floor(Math.random() * nouns.length)];
-                const randomNum = Math.floor(10 + Math.random() * 90);
-                return `${randomAdj}${randomNoun}${randomNum}`;
-            };
-
-            // Add students sequentially to avoid overwhelming backend
-            for (let i = 0; i < validNames.length; i++) {
-                const studentName = validNames[i];
-                
-                try {
-                    const requestBody = {
-                        action: 'createStudent',
-                        graduationId: gradId,
-                        studentName: studentName,
-                        accessType: accessType,
-                    };
-
-                    // Add password for password-protected students
-                    if (accessType === 'password') {
-                        requestBody.password = generatePassword();
-                    }
-
-                    const response = await fetch('/.netlify/functions/secure-operations', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify(requestBody),
-                    });
-
-                    if (!response.ok) {
-                        const errorData = await response.json();
-                        throw new Error(errorData.error || 'Failed to create student');
-                    }
-
-                    const result = await response.json();
-                    results.successful.push({
-                        name: studentName,
-                        password: result.generatedPassword
-                    });
-
-                } catch (error) {
-                    console.error(`Error adding student ${studentName}:`, error);
-                    results.failed.push({
-                        name: studentName,
-                        error: error.message
-                    });
-                }
-
-                // Small delay to avoid rate limits (50ms between requests)
-                if (i < validNames.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                }
-            }
+            const results = await createStudentsBatch(gradId, validNames.map(name => ({ name })), accessType);
 
             // Close loading modal
             closeLoading();
@@ -148,7 +164,7 @@ export function setupAddStudentFormHandler(formElement, handlers) {
                     results.successful.forEach(s => {
                         message += `${s.name}: ${s.password}\n`;
                     });
-                    message += '\n⚠️ Make sure to save these passwords!';
+                    message += '\n⚠️ Make sure to save these passwords! They won\'t be shown again, but you can print login cards from "Roster & Login Cards" until you leave this page.';
                 }
                 
                 showSuccessModal('Success!', message);
@@ -232,6 +248,183 @@ export async function deleteStudent(studentId, studentName, gradId, modals, rout
     }, 'Delete');
 }
 
+/**
+ * Call an editor-only student access action on secure-operations
+ * @param {string} gradId - Graduation ID
+ * @param {Object} body - {action, studentId, ...}
+ * @returns {Promise<Object>} Response body
+ */
+const postStudentAccessAction = async (gradId, body) => {
+    const response = await fetch('/.netlify/functions/secure-operations', {
+        method: 'POST',
+        headers: await getEditorRequestHeaders(),
+        body: JSON.stringify({ graduationId: gradId, ...body }),
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+        // Rate limit responses say which action was limited in `message`
+        throw new Error((response.status === 429 ? result.message : result.error) || 'Failed to update student access');
+    }
+    return result;
+};
+
+/**
+ * Reset a password-access student's password (called via onclick)
+ * The server stores only the new hash, so the password is shown once here
+ * @param {string} studentId - ID of student
+ * @param {string} studentName - Name of student
+ * @param {string} gradId - Graduation ID
+ * @param {Object} modals - Modal functions object with showModal, showConfirmModal, showLoadingModal, showErrorModal
+ */
+export async function resetStudentPassword(studentId, studentName, gradId, modals) {
+    const { showModal, showConfirmModal, showLoadingModal, showErrorModal } = modals;
+    
+    showConfirmModal('Reset Password', `Create a new password for ${studentName}? Their current password will stop working.`, async () => {
+        const closeLoading = showLoadingModal('Resetting...', 'Creating a new password...');
+        try {
+            const result = await postStudentAccessAction(gradId, { action: 'resetStudentPassword', studentId });
+            
+            rememberStudentPasswords([{ studentId, password: result.password }]);
+            closeLoading();
+            showModal('New Password', `${studentName}'s new password is:\n\n${result.password}\n\n⚠️ Write it down or print login cards now. It won't be shown again.`);
+        } catch (error) {
+            console.error('Error resetting student password:', error);
+            closeLoading();
+            showErrorModal('Error', error.message || 'Failed to reset password. Please try again.');
+        }
+    }, 'Reset Password');
+}
+
+/**
+ * Give a link-access student a new unique link (called via onclick)
+ * The old link stops working and shows a "this link was replaced" page
+ * @param {string} studentId - ID of student
+ * @param {string} studentName - Name of student
+ * @param {string} gradId - Graduation ID
+ * @param {Object} modals - Modal functions object with showConfirmModal, showLoadingModal, showSuccessModal, showErrorModal
+ */
+export async function rotateStudentLink(studentId, studentName, gradId, modals) {
+    const { showConfirmModal, showLoadingModal, showSuccessModal, showErrorModal } = modals;
+    
+    showConfirmModal('New Upload Link', `Create a new upload link for ${studentName}? Their current link will stop working.`, async () => {
+        const closeLoading = showLoadingModal('Updating...', 'Creating a new link...');
+        try {
+            await postStudentAccessAction(gradId, { action: 'rotateStudentLink', studentId });
+            closeLoading();
+            showSuccessModal('Link Replaced', `${studentName} has a new upload link. Copy it from the student list and send it to them.`);
+        } catch (error) {
+            console.error('Error rotating student link:', error);
+            closeLoading();
+            showErrorModal('Error', error.message || 'Failed to create a new link. Please try again.');
+        }
+    }, 'Create New Link');
+}
+
+/**
+ * Switch a student between unique link and password access (called via onclick)
+ * Switching to password shows the new password once; any old link shows a "replaced" page
+ * @param {string} studentId - ID of student
+ * @param {string} studentName - Name of student
+ * @param {string} accessType - New access type ('link' or 'password')
+ * @param {string} gradId - Graduation ID
+ * @param {Object} modals - Modal functions object with showModal, showConfirmModal, showLoadingModal, showSuccessModal, showErrorModal
+ */
+export async function switchStudentAccess(studentId, studentName, accessType, gradId, modals) {
+    const { showModal, showConfirmModal, showLoadingModal, showSuccessModal, showErrorModal } = modals;
+    const message = accessType === 'password'
+        ? `Switch ${studentName} to password access? Their upload link will stop working and a new password will be created.`
+        : `Switch ${studentName} to a unique upload link? Their password will stop working.`;
+    
+    showConfirmModal('Change Access', message, async () => {
+        const closeLoading = showLoadingModal('Updating...', 'Changing access...');
+        try {
+            const result = await postStudentAccessAction(gradId, { action: 'setStudentAccessType', studentId, accessType });
+            closeLoading();
+            
+            if (result.password) {
+                rememberStudentPasswords([{ studentId, password: result.password }]);
+                showModal('Switched to Password', `${studentName} now signs in on the general upload link with this password:\n\n${result.password}\n\n⚠️ Write it down or print login cards now. It won't be shown again.`);
+            } else {
+                showSuccessModal('Switched to Link', `${studentName} now has a unique upload link. Copy it from the student list and send it to them.`);
+            }
+        } catch (error) {
+            console.error('Error switching student access:', error);
+            closeLoading();
+            showErrorModal('Error', error.message || 'Failed to change access. Please try again.');
+        }
+    }, 'Switch');
+}
+
+/**
+ * Set or clear the expiry date of one student's upload link (called via onclick)
+ * @param {string} studentId - ID of student
+ * @param {string} studentName - Name of student
+ * @param {Date|null} currentExpiry - The link's own expiry, if any
+ * @param {string} gradId - Graduation ID
+ * @param {Object} modals - Modal functions object with showModal, showSuccessModal, showErrorModal
+ */
+export async function setStudentLinkExpiry(studentId, studentName, currentExpiry, gradId, modals) {
+    const { showModal, showSuccessModal, showErrorModal } = modals;
+    const { toDateTimeInputValue } = await import('../utils/upload-links.js');
+    
+    const save = async (expiresAt) => {
+        try {
+            const { StudentRepository } = await import('../data/student-repository.js');
+            await StudentRepository.update(gradId, studentId, { linkExpiresAt: expiresAt });
+            showSuccessModal('Saved', expiresAt
+                ? `${studentName}'s link now stops working on ${expiresAt.toLocaleDateString()} at ${expiresAt.toLocaleTimeString()}.`
+                : `${studentName}'s link no longer has its own expiry date.`);
+        } catch (error) {
+            console.error('Error saving link expiry:', error);
+            showErrorModal('Error', 'Failed to save the expiry date. Please try again.');
+        }
+    };
+    
+    showModal(`Link Expiry - ${studentName}`, `
+        <label for="student-link-expiry" class="block text-left text-sm text-gray-700 mb-1">Link stops working on</label>
+        <input type="datetime-local" id="student-link-expiry" value="${toDateTimeInputValue(currentExpiry)}" class="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm">
+        <span class="block text-left text-xs text-gray-500 mt-2">A project-wide expiry date, if set, still applies when it is earlier.</span>
+    `, true, [
+        {
+            text: 'Remove Expiry',
+            onclick: () => save(null),
+            style: 'bg-gray-300 text-gray-700 hover:bg-gray-400'
+        },
+        {
+            text: 'Save',
+            onclick: () => {
+                const value = document.getElementById('student-link-expiry').value;
+                return save(value ? new Date(value) : null);
+            },
+            style: 'bg-indigo-600 text-white hover:bg-indigo-700'
+        }
+    ]);
+}
+
+/**
+ * Save what a student uploaded from their direct link (PDF, photos, speech)
+ * secure-operations checks the link is still current and not expired before saving
+ * @param {string} gradId - Graduation ID
+ * @param {string} linkId - The student's unique link ID
+ * @param {Object} updates - Fields to save, e.g. {profilePdfUrl}
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the server's message, e.g. when the link has expired
+ */
+export async function saveDirectUpload(gradId, linkId, updates) {
+    const response = await fetch('/.netlify/functions/secure-operations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'saveStudentUpload', graduationId: gradId, linkId, updates }),
+    });
+    
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Failed to save your upload');
+    }
+    return result;
+}
+
 /**
  * Setup upload PDF handler for student (called via onclick)
  * @param {string} studentId - ID of student
@@ -361,8 +554,8 @@ export async function removePdfForStudent(studentId, studentName, gradId, handle
 }
 
 /**
- * Import students from CSV file
- * @param {File} file - CSV file to import
+ * Import students from a roster file (after the column-mapping and preview step)
+ * @param {Array<Object>} students - Validated rows: {name} plus optional studentNumber, className, homeroom, parentEmail
  * @param {string} accessType - Access method for all students
  * @param {string} gradId - Graduation ID
  * @param {Object} handlers - Required handlers
@@ -370,46 +563,16 @@ export async function removePdfForStudent(studentId, studentName, gradId, handle
  *   - showLoadingModal: Function to show loading modal
  *   - showSuccessModal: Function to show success modal
  *   - showErrorModal: Function to show error modal
- *   - sanitizeInput: Function to sanitize input
  *   - rateLimiter: Rate limiter object
  *   - currentUser: Current authenticated user
  *   - router: Router function to refresh
  */
-export async function importStudentsFromCSV(file, accessType, gradId, handlers) {
-    const { showModal, showLoadingModal, showSuccessModal, showErrorModal, sanitizeInput, rateLimiter, currentUser, router } = handlers;
+export async function importStudentRoster(students, accessType, gradId, handlers) {
+    const { showModal, showLoadingModal, showSuccessModal, showErrorModal, rateLimiter, currentUser, router } = handlers;
     
     try {
-        // Read file contents
-        const text = await file.text();
-        
-        // Parse CSV - split by newlines
-        const lines = text.split(/\r?\n/);
-        const validNames = [];
-        
-        // Check if first line is a header (contains "Name" or "name")
-        let startIndex = 0;
-        if (lines.length > 0 && lines[0].toLowerCase().trim() === 'name') {
-            startIndex = 1; // Skip header row
-        }
-        
-        // Process each line
-        for (let i = startIndex; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (!line) continue; // Skip empty lines
-            
-            // Handle CSV with commas (take first column only)
-            const name = line.split(',')[0].trim();
-            
-            if (name) {
-                const sanitizedName = sanitizeInput(name, 'name');
-                if (sanitizedName) {
-                    validNames.push(sanitizedName);
-                }
-            }
-        }
-        
-        if (validNames.length === 0) {
-            showErrorModal('No Valid Names', 'No valid student names found in the CSV file. Please check the file format.');
+        if (students.length === 0) {
+            showErrorModal('No Students', 'There are no rows ready to import.');
             return;
         }
         
@@ -421,72 +584,9 @@ export async function importStudentsFromCSV(file, accessType, gradId, handlers)
         }
         
         // Show loading modal
-        const closeLoading = showLoadingModal('Importing Students...', `Importing ${validNames.length} student${validNames.length > 1 ? 's' : ''} from CSV. Please wait...`);
-        
-        const results = {
-            successful: [],
-            failed: []
-        };
-        
-        // Helper function to generate memorable password
-        const generatePassword = () => {
-            const adjectives = ['Blue', 'Red', 'Green', 'Gold', 'Silver', 'Bright', 'Smart', 'Cool', 'Star', 'Epic'];
-            const nouns = ['Tiger', 'Eagle', 'Lion', 'Bear', 'Wolf', 'Shark', 'Falcon', 'Phoenix', 'Dragon', 'Hawk'];
-            const randomAdj = adjectives[Math.floor(Math.random() * adjectives.length)];
-            const randomNoun = nouns[Math.floor(Math.random() * nouns.length)];
-            const randomNum = Math.floor(10 + Math.random() * 90);
-            return `${randomAdj}${randomNoun}${randomNum}`;
-        };
+        const closeLoading = showLoadingModal('Importing Students...', `Importing ${students.length} student${students.length > 1 ? 's' : ''}. Please wait...`);
         
-        // Add students sequentially
-        for (let i = 0; i < validNames.length; i++) {
-            const studentName = validNames[i];
-            
-            try {
-                const requestBody = {
-                    action: 'createStudent',
-                    graduationId: gradId,
-                    studentName: studentName,
-                    accessType: accessType,
-                };
-                
-                // Add password for password-protected students
-                if (accessType === 'password') {
-                    requestBody.password = generatePassword();
-                }
-                
-                const response = await fetch('/.netlify/functions/secure-operations', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(requestBody),
-                });
-                
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(errorData.error || 'Failed to create student');
-                }
-                
-                const result = await response.json();
-                results.successful.push({
-                    name: studentName,
-                    password: result.generatedPassword
-                });
-                
-            } catch (error) {
-                console.error(`Error adding student ${studentName}:`, error);
-                results.failed.push({
-                    name: studentName,
-                    error: error.message
-                });
-            }
-            
-            // Small delay between requests (50ms)
-            if (i < validNames.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 50));
-            }
-        }
+        const results = await createStudentsBatch(gradId, students, accessType);
         
         // Close loading modal
         closeLoading();
@@ -505,7 +605,7 @@ export async function importStudentsFromCSV(file, accessType, gradId, handlers)
         // Show results
         if (results.failed.length === 0) {
             // All succeeded
-            let message = `Successfully imported ${results.successful.length} student${results.successful.length > 1 ? 's' : ''} from CSV!`;
+            let message = `Successfully imported ${results.successful.length} student${results.successful.length > 1 ? 's' : ''}!`;
             
             // Show passwords if any
             if (accessType === 'password') {
@@ -513,7 +613,7 @@ export async function importStudentsFromCSV(file, accessType, gradId, handlers)
                 results.successful.forEach(s => {
                     message += `${s.name}: ${s.password}\n`;
                 });
-                message += '\n⚠️ Make sure to save these passwords!';
+                message += '\n⚠️ Make sure to save these passwords! They won\'t be shown again, but you can print login cards from "Roster & Login Cards" until you leave this page.';
             }
             
             showSuccessModal('Import Successful!', message);
@@ -541,8 +641,8 @@ export async function importStudentsFromCSV(file, accessType, gradId, handlers)
         }, 2000);
         
     } catch (error) {
-        console.error('CSV import error:', error);
-        showErrorModal('Import Error', `Failed to import CSV: ${error.message}`);
+        console.error('Roster import error:', error);
+        showErrorModal('Import Error', `Failed to import students: ${error.message}`);
     }
 }
 
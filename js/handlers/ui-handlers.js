@@ -164,15 +164,22 @@ export function setupSettingsFormHandler(formElement, handlers) {
             // Handle booklet generation if enabled
             const generateBooklet = document.getElementById('generateBooklet')?.checked;
             if (generateBooklet) {
-                // Trigger booklet generation through Netlify function
-                const response = await fetch('/.netlify/functions/generate-booklet', {
-                    method: 'POST',
-                    body: JSON.stringify({ graduationId: gradId })
+                // Booklets build as a background job; failures after it was queued are shown when they happen
+                const { generateBooklet: startBookletGeneration } = await import('../services/pdf-service.js');
+                let bookletQueued = false;
+                let queueError = null;
+                const stopWatching = await startBookletGeneration(gradId, null, (message) => {
+                    if (bookletQueued) {
+                        showModal('Booklet Generation Failed', message);
+                    } else {
+                        queueError = message;
+                    }
                 });
                 
-                if (!response.ok) {
-                    throw new Error('Failed to generate booklet');
+                if (!stopWatching) {
+                    throw new Error(queueError || 'Failed to generate booklet');
                 }
+                bookletQueued = true;
             }
             
             // Use collaborative editing manager for safe update with conflict detection
@@ -13,6 +13,8 @@ import collaborativeEditingManager from '../utils/collaborative-editing.js';
 import fieldLockManager from '../utils/field-lock-manager.js';
 import { showActiveEditorsBanner, removeActiveEditorsBanner } from '../components/collaborative-ui.js';
 import { showModal } from '../components/modal.js';
+import { saveSiteSession, getSiteSessionToken } from '../utils/secure-download.js';
+import { getUploadLinkStatus } from '../utils/upload-links.js';
 
 /**
  * Resolve a slug or ID to a graduation ID
@@ -244,6 +246,7 @@ export const createRouter = ({
  * @param {Function} renderPublicView - Function to show public graduation view
  * @param {Function} renderStudentUploadPortal - Function to show upload portal
  * @param {Function} renderDirectUpload - Function to show direct student upload
+ * @param {Function} renderUploadLinkUnavailable - Function to show a replaced or expired direct link
  * @param {Function} showModal - Function to show modal
  * @param {Function} showPasswordModal - Function to show password input modal
  * @param {Function} getCurrentUser - Function to get current authenticated user (may be null)
@@ -255,6 +258,7 @@ export const createPublicRouter = ({
     renderPublicView,
     renderStudentUploadPortal,
     renderDirectUpload,
+    renderUploadLinkUnavailable,
     showModal,
     showPasswordModal,
     getCurrentUser,
@@ -287,8 +291,8 @@ export const createPublicRouter = ({
 
                         // Check if site password protection is enabled
                         const sitePasswordHash = gradData.config.sitePasswordHash;
-                        const sessionKey = `sitePasswordVerified_${gradId}`;
-                        const isVerified = sessionStorage.getItem(sessionKey) === 'true';
+                        // The server-issued session token (not just a flag) is what download-booklet checks
+                        const isVerified = !!getSiteSessionToken(gradId);
                         
                         if (sitePasswordHash && !isVerified) {
                             // Site is password protected and user hasn't verified yet
@@ -370,7 +374,7 @@ export const createPublicRouter = ({
                                     
                                     if (result.isValid) {
                                         // Password correct! Save to session and render the site
-                                        sessionStorage.setItem(sessionKey, 'true');
+                                        saveSiteSession(gradId, result.sessionToken, result.sessionExpiresAt);
                                         const students = await StudentRepository.getAll(gradId);
                                         renderPublicView(gradData, students, gradId);
                                     } else {
@@ -477,22 +481,29 @@ export const createPublicRouter = ({
                     } else if (gradData) {
                         const students = await StudentRepository.getAll(gradId);
                         
-                        // Find student with matching unique link ID
-                        const student = students.find(s => s.uniqueLinkId === linkId);
+                        // Match the link against current, replaced and expired links
+                        const link = getUploadLinkStatus(students, linkId, gradData.config || {});
                         
-                        if (student) {
+                        if (link.status === 'valid') {
                             logger.info('Student accessing direct upload link', {
                                 gradId,
-                                studentId: student.id,
-                                studentName: student.name
+                                studentId: link.student.id,
+                                studentName: link.student.name
                             });
-                            renderDirectUpload(gradId, student);
+                            renderDirectUpload(gradId, link.student);
+                        } else if (link.status !== 'invalid') {
+                            logger.warn('Replaced or expired upload link used', {
+                                gradId,
+                                studentId: link.student.id,
+                                status: link.status
+                            });
+                            renderUploadLinkUnavailable(identifier, link);
                         } else {
-                            logger.warn('Invalid or expired upload link', {
+                            logger.warn('Invalid upload link', {
                                 gradId,
                                 linkId
                             });
-                            showModal('Invalid Link', 'This upload link is not valid or has expired.');
+                            showModal('Invalid Link', 'This upload link is not valid. Check that you copied the whole link, or ask your teacher for a new one.');
                         }
                     } else {
                         logger.warn('Direct upload requested for non-existent project', { gradId, linkId });
@@ -0,0 +1,69 @@
+/**
+ * Analytics Service
+ * Sends anonymous events from the public graduation site to track-event
+ * (page views, section views, profile PDF opens). No cookies, visitor IDs or
+ * third-party scripts: the server only increments daily counters.
+ */
+
+import { getSiteSessionToken } from '../utils/secure-download.js';
+
+const SESSION_PREFIX = 'analytics_';
+
+/**
+ * Record an event, at most once per browser session for the same graduation/type/target
+ * Failures are ignored: analytics must never get in the way of the site
+ * @param {string} graduationId - The graduation ID
+ * @param {string} type - 'pageView', 'sectionView' or 'profileOpen'
+ * @param {Object} [details] - {section} for sectionView, {studentId} for profileOpen
+ * @returns {Promise<void>}
+ */
+export const trackEvent = async (graduationId, type, { section, studentId } = {}) => {
+    const sessionKey = `${SESSION_PREFIX}${graduationId}_${type}_${section || studentId || ''}`;
+    try {
+        if (sessionStorage.getItem(sessionKey)) return;
+        sessionStorage.setItem(sessionKey, '1');
+    } catch (error) {
+        // Storage unavailable (private mode) - count the event anyway
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    const sessionToken = getSiteSessionToken(graduationId);
+    if (sessionToken) headers['X-Site-Session'] = sessionToken;
+
+    try {
+        await fetch('/.netlify/functions/track-event', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ graduationId, type, section, studentId }),
+            keepalive: true
+        });
+    } catch (error) {
+        console.warn('[Analytics] Event not recorded:', error.message);
+    }
+};
+
+/**
+ * Count each section of the public view once it has been on screen
+ * @param {string} graduationId - The graduation ID
+ * @param {HTMLElement} container - Element containing [data-analytics-section] elements
+ * @returns {IntersectionObserver|null} The observer, or null if the browser lacks IntersectionObserver
+ */
+export const observeSectionViews = (graduationId, container) => {
+    if (typeof IntersectionObserver === 'undefined') return null;
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            trackEvent(graduationId, 'sectionView', { section: entry.target.dataset.analyticsSection });
+        });
+    });
+
+    container.querySelectorAll('[data-analytics-section]').forEach(section => observer.observe(section));
+    return observer;
+};
+
+export default {
+    trackEvent,
+    observeSectionViews
+};
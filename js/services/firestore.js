@@ -18,6 +18,7 @@ import {
     query,
     where,
     orderBy,
+    limit,
     writeBatch,
     arrayUnion,
     arrayRemove,
@@ -598,6 +599,153 @@ export const onContentPagesUpdate = (graduationId, callback) => {
     });
 };
 
+// ===== BOOKLET JOB OPERATIONS =====
+
+/**
+ * Set up real-time listener for a booklet generation job
+ * Jobs are written by the generate-booklet functions; editors can only read them
+ * @param {string} graduationId - The graduation ID
+ * @param {string} jobId - The booklet job ID
+ * @param {Function} callback - Called with job data ({id, status, stage, progress, warnings, result, error})
+ * @param {Function} [onError] - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const onBookletJobUpdate = (graduationId, jobId, callback, onError) => {
+    return onSnapshot(doc(db, 'graduations', graduationId, 'bookletJobs', jobId), (snapshot) => {
+        if (snapshot.exists()) {
+            callback({
+                id: snapshot.id,
+                ...snapshot.data()
+            });
+        }
+    }, (error) => {
+        logger.error('Error listening to booklet job', error, {
+            gradId: graduationId,
+            jobId,
+            action: 'onBookletJobUpdate'
+        });
+        if (onError) onError(error);
+    });
+};
+
+/**
+ * Get the booklet version history, newest first
+ * Versions are recorded by the booklet worker; editors can only read them
+ * @param {string} graduationId - The graduation ID
+ * @returns {Promise<Array>} Array of version objects with IDs
+ */
+export const getBookletVersions = async (graduationId) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'graduations', graduationId, 'booklets'),
+            orderBy('generatedAt', 'desc')
+        ));
+        return snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+        }));
+    } catch (error) {
+        logger.error('Error getting booklet versions', error, {
+            gradId: graduationId,
+            action: 'getBookletVersions'
+        });
+        throw new Error(`Failed to fetch booklet versions: ${error.message}`);
+    }
+};
+
+/**
+ * Get the individual student booklets, keyed by student ID
+ * Exports are written by the booklet worker; editors can only read them
+ * @param {string} graduationId - The graduation ID
+ * @returns {Promise<Object>} Map of studentId -> {studentName, pdfUrl, pageCount, sizeMB, generatedAt}
+ */
+export const getStudentExports = async (graduationId) => {
+    try {
+        const snapshot = await getDocs(collection(db, 'graduations', graduationId, 'studentExports'));
+        return Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    } catch (error) {
+        logger.error('Error getting student exports', error, {
+            gradId: graduationId,
+            action: 'getStudentExports'
+        });
+        throw new Error(`Failed to fetch student exports: ${error.message}`);
+    }
+};
+
+/**
+ * Get the booklet proofs whose links are still open, newest first
+ * Proofs are written by the booklet worker; editors can only read them
+ * @param {string} graduationId - The graduation ID
+ * @returns {Promise<Array>} Array of {id, pdfUrl, pageCount, sizeMB, expiresAt, generatedAt, generatedBy}
+ */
+export const getBookletProofs = async (graduationId) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'graduations', graduationId, 'bookletProofs'),
+            orderBy('generatedAt', 'desc')
+        ));
+        const now = Date.now();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(proof => proof.expiresAt?.toMillis && proof.expiresAt.toMillis() > now);
+    } catch (error) {
+        logger.error('Error getting booklet proofs', error, {
+            gradId: graduationId,
+            action: 'getBookletProofs'
+        });
+        throw new Error(`Failed to fetch booklet proofs: ${error.message}`);
+    }
+};
+
+/**
+ * Get the most recent visitor downloads of the booklet and individual student booklets
+ * Entries are written by download-booklet.js; editors can only read them
+ * @param {string} graduationId - The graduation ID
+ * @param {number} [count=10] - Number of entries to fetch
+ * @returns {Promise<Array>} Array of {id, kind, versionId, studentId, studentName, downloadedAt}, newest first
+ */
+export const getBookletDownloads = async (graduationId, count = 10) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'graduations', graduationId, 'bookletDownloads'),
+            orderBy('downloadedAt', 'desc'),
+            limit(count)
+        ));
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        logger.error('Error getting booklet downloads', error, {
+            gradId: graduationId,
+            action: 'getBookletDownloads'
+        });
+        throw new Error(`Failed to fetch booklet downloads: ${error.message}`);
+    }
+};
+
+/**
+ * Get the daily site analytics from a given day on, oldest first
+ * Documents are written by track-event and download-booklet; editors can only read them.
+ * Each day's counters are spread over several shard documents that have to be added up
+ * @param {string} graduationId - The graduation ID
+ * @param {string} sinceDay - First day to include (YYYY-MM-DD, UTC)
+ * @returns {Promise<Array>} Array of {day, shard, pageViews, sectionViews, profileOpens, studentViews, downloads}
+ */
+export const getSiteAnalytics = async (graduationId, sinceDay) => {
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'graduations', graduationId, 'analyticsDaily'),
+            where('day', '>=', sinceDay),
+            orderBy('day', 'asc')
+        ));
+        return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+        logger.error('Error getting site analytics', error, {
+            gradId: graduationId,
+            action: 'getSiteAnalytics'
+        });
+        throw new Error(`Failed to fetch site analytics: ${error.message}`);
+    }
+};
+
 // ===== QUERY OPERATIONS =====
 
 /**
@@ -646,6 +794,14 @@ export default {
     deleteContentPage,
     onContentPagesUpdate,
     
+    // Booklet job operations
+    onBookletJobUpdate,
+    getBookletVersions,
+    getStudentExports,
+    getBookletProofs,
+    getBookletDownloads,
+    getSiteAnalytics,
+    
     // Query operations
     queryGraduations
 };
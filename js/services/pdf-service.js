@@ -5,16 +5,200 @@
 
 import { getConfig } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { trackEvent } from './analytics.js';
+
+// A queued/running job with no progress or heartbeat for this long has died
+// (same limit as JOB_STALE_MS in netlify/functions/utils/booklet-jobs.js)
+const JOB_STALE_MS = 3 * 60 * 1000;
+const JOB_STALE_CHECK_INTERVAL_MS = 15 * 1000;
+const JOB_STALE_MESSAGE = 'Booklet generation stopped responding. Please try again.';
+
+/**
+ * Convert a booklet generation error into a user-friendly message
+ * @param {string} message - Raw error message from the server or job
+ * @returns {string} Message suitable for showing to the editor
+ */
+const getFriendlyBookletError = (message = '') => {
+    if (message.includes('No student PDFs found') || message.includes('none have uploaded PDFs')) {
+        return 'No Student PDFs Available. Students need to upload their PDF profiles before you can generate a class booklet. Check the Students tab to see who still needs to upload.';
+    } else if (message.includes('No student PDFs could be processed')) {
+        return 'None of the uploaded student PDFs could be read. Ask students to re-upload their profiles as standard PDF files and try again.';
+    } else if (message.includes('Sign in to')) {
+        return 'Your sign-in has expired. Please sign in again and retry.';
+    } else if (message.includes('do not have access')) {
+        return 'You do not have access to this project. Ask the project owner to add you as a collaborator.';
+    } else if (message.includes('Server configuration error') || message.includes('Cloudinary configuration')) {
+        return 'Server Configuration Issue. The PDF generation service is not properly configured. Please contact support.';
+    } else if (message.includes('Invalid JSON') || message.includes('Request body')) {
+        return 'Request Error. There was a problem sending the request. Please try again.';
+    } else if (message.includes('Network') || message.includes('fetch')) {
+        return 'Network Error. Please check your internet connection and try again.';
+    } else if (message.includes('Server error: 5')) {
+        return 'Server Error. The server is experiencing issues. Please try again in a few minutes.';
+    } else if (message.includes('Server error: 4')) {
+        return `Request Error: ${message}. Please check that all data is correct and try again.`;
+    }
+    return `Could not generate PDF booklet. ${message}`;
+};
+
+/**
+ * Headers for generate-booklet requests
+ * The function only accepts requests from the project's editors, so the signed-in user's
+ * Firebase ID token is sent along; without one the server answers 401
+ * @returns {Promise<Object>} Request headers
+ */
+const getBookletRequestHeaders = async () => {
+    const headers = { 'Content-Type': 'application/json' };
+    const { auth } = await import('../firebase-init.js');
+    if (auth.currentUser) {
+        headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+    }
+    return headers;
+};
+
+/**
+ * Queue a background job on generate-booklet
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} body - Job inputs and type flag (preflight, studentExports, proof), sent next to graduationId
+ * @returns {Promise<Object>} {success, jobId, status, alreadyRunning}
+ */
+const queueBookletJob = async (graduationId, body) => {
+    const response = await fetch('/.netlify/functions/generate-booklet', {
+        method: 'POST',
+        headers: await getBookletRequestHeaders(),
+        body: JSON.stringify({ graduationId, ...body })
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (parseError) {
+        throw new Error(`Server error: ${response.status} - ${response.statusText}`);
+    }
+
+    if (!response.ok || !result.success || !result.jobId) {
+        throw new Error(result.message || result.error || `Server error: ${response.status}`);
+    }
+    return result;
+};
+
+/**
+ * Follow a booklet generation job until it completes or fails
+ * Safe to call again after leaving and returning to the page - the job keeps running server-side.
+ * The worker touches the job at least every 30s, so a job that stays quiet for JOB_STALE_MS
+ * is reported as failed instead of leaving the progress bar spinning
+ * @param {string} graduationId - The graduation ID
+ * @param {string} jobId - The booklet job ID
+ * @param {Object} callbacks - Job callbacks
+ * @param {Function} [callbacks.onProgress] - Called with {status, stage, percent, completed, total, currentItem, warnings}
+ * @param {Function} [callbacks.onSuccess] - Called once with result data when the job completes
+ * @param {Function} [callbacks.onError] - Called once with a user-friendly error message
+ * @returns {Promise<Function>} Unsubscribe function (stops listening, does not cancel the job)
+ */
+export const watchBookletJob = async (graduationId, jobId, { onProgress, onSuccess, onError } = {}) => {
+    const { GraduationRepository } = await import('../data/graduation-repository.js');
+    let finished = false;
+    let unsubscribe = () => {};
+    let lastActivity = Date.now();
+    let staleTimer = null;
+
+    const stop = () => {
+        finished = true;
+        clearInterval(staleTimer);
+        unsubscribe();
+    };
+
+    staleTimer = setInterval(() => {
+        if (finished || Date.now() - lastActivity < JOB_STALE_MS) return;
+        stop();
+        logger.pdfAction('failure', graduationId, {
+            jobId,
+            error: JOB_STALE_MESSAGE,
+            action: 'watchBookletJob'
+        });
+        if (onError) onError(getFriendlyBookletError(JOB_STALE_MESSAGE));
+    }, JOB_STALE_CHECK_INTERVAL_MS);
+
+    unsubscribe = GraduationRepository.onBookletJobUpdate(graduationId, jobId, (job) => {
+        if (finished) return;
+
+        // updatedAt is a server timestamp (null while a local write is pending); the earlier of it
+        // and this device's clock keeps a job that was already quiet when we re-attached stale
+        const updatedAt = job.updatedAt?.toMillis ? job.updatedAt.toMillis() : Date.now();
+        lastActivity = Math.min(Date.now(), updatedAt);
+
+        const progress = job.progress || {};
+        if (onProgress) {
+            onProgress({
+                status: job.status,
+                stage: job.stage,
+                percent: progress.percent || 0,
+                completed: progress.completed || 0,
+                total: progress.total || 0,
+                currentItem: progress.currentItem || null,
+                warnings: job.warnings || []
+            });
+        }
+
+        if (job.status === 'completed') {
+            stop();
+            const result = job.result || {};
+            logger.pdfAction('success', graduationId, {
+                jobId,
+                pageCount: result.pageCount,
+                studentCount: result.studentCount,
+                processedStudents: result.processedStudents,
+                skippedStudents: job.skippedStudents?.length || 0,
+                bookletUrl: result.bookletUrl?.substring(0, 50)
+            });
+
+            if (onSuccess) {
+                onSuccess({
+                    bookletUrl: result.bookletUrl,
+                    pageCount: result.pageCount,
+                    studentCount: result.studentCount,
+                    processedStudents: result.processedStudents,
+                    placeholderStudents: result.placeholderStudents || 0,
+                    reusedSections: result.reusedSections || 0,
+                    optimization: result.optimization || null, // {quality, imagesDownsampled, duplicatesRemoved, sizeBeforeMB, sizeMB}
+                    skippedStudents: job.skippedStudents || [], // Always pass array
+                    warnings: job.warnings || [],
+                    report: result.report || null, // Preflight jobs only
+                    zipUrl: result.zipUrl || null, // Student export jobs only
+                    exportedStudents: result.exportedStudents || 0,
+                    proofPath: result.proofPath || null, // Proof jobs only
+                    expiresAt: result.expiresAt || null
+                });
+            }
+        } else if (job.status === 'failed') {
+            stop();
+            logger.pdfAction('failure', graduationId, {
+                jobId,
+                error: job.error,
+                action: 'watchBookletJob'
+            });
+            if (onError) onError(getFriendlyBookletError(job.error || 'PDF generation failed'));
+        }
+    }, (error) => {
+        if (finished) return;
+        stop();
+        if (onError) onError(getFriendlyBookletError(error.message));
+    });
+
+    if (finished) unsubscribe();
+    return stop;
+};
 
 /**
  * Generate PDF booklet from graduation students
- * Calls the serverless Netlify function to handle server-side PDF generation
+ * Queues a booklet job on the serverless Netlify function and follows its progress
  * @param {string} graduationId - The graduation ID
  * @param {Function} onSuccess - Callback on success with result data
  * @param {Function} onError - Callback on error with error message
- * @returns {Promise<void>}
+ * @param {Function} [onProgress] - Callback with job progress updates (see watchBookletJob)
+ * @returns {Promise<Function|null>} Unsubscribe function for the job listener, or null if the job could not be started
  */
-export const generateBooklet = async (graduationId, onSuccess, onError) => {
+export const generateBooklet = async (graduationId, onSuccess, onError, onProgress) => {
     try {
         logger.pdfAction('start', graduationId, { action: 'generateBooklet' });
         
@@ -45,9 +229,7 @@ export const generateBooklet = async (graduationId, onSuccess, onError) => {
         
         const response = await fetch(functionUrl, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: await getBookletRequestHeaders(),
             body: JSON.stringify({
                 graduationId: graduationId,
                 customCoverUrl: customCoverUrl,
@@ -79,66 +261,228 @@ export const generateBooklet = async (graduationId, onSuccess, onError) => {
 
         const result = await response.json();
         
-        if (result.success) {
-            logger.pdfAction('success', graduationId, {
-                pageCount: result.pageCount,
-                studentCount: result.studentCount,
-                processedStudents: result.processedStudents,
-                skippedStudents: result.skippedStudents?.length || 0,
-                bookletUrl: result.bookletUrl?.substring(0, 50)
-            });
-            
-            // Call success callback with result data (including skippedStudents)
-            if (onSuccess) {
-                onSuccess({
-                    bookletUrl: result.bookletUrl,
-                    pageCount: result.pageCount,
-                    studentCount: result.studentCount,
-                    processedStudents: result.processedStudents,
-                    skippedStudents: result.skippedStudents || [] // Always pass array
-                });
-            }
-        } else {
+        if (!result.success || !result.jobId) {
             throw new Error(result.message || 'PDF generation failed');
         }
 
+        logger.info('Booklet job queued', {
+            gradId: graduationId,
+            jobId: result.jobId,
+            alreadyRunning: !!result.alreadyRunning
+        });
+
+        return await watchBookletJob(graduationId, result.jobId, { onProgress, onSuccess, onError });
+
     } catch (error) {
         logger.pdfAction('failure', graduationId, {
             error: error.message,
             action: 'generateBooklet'
         });
         
-        // Parse and provide user-friendly error message
-        let errorMessage = 'Could not generate PDF booklet. ';
-        
-        if (error.message.includes('No student PDFs found') || error.message.includes('none have uploaded PDFs')) {
-            errorMessage = 'No Student PDFs Available. Students need to upload their PDF profiles before you can generate a class booklet. Check the Students tab to see who still needs to upload.';
-        } else if (error.message.includes('Server configuration error')) {
-            errorMessage = 'Server Configuration Issue. The PDF generation service is not properly configured. Please contact support.';
-        } else if (error.message.includes('Invalid JSON') || error.message.includes('Request body')) {
-            errorMessage = 'Request Error. There was a problem sending the request. Please try again.';
-        } else if (error.message.includes('Network') || error.message.includes('fetch')) {
-            errorMessage = 'Network Error. Please check your internet connection and try again.';
-        } else if (error.message.includes('Server error: 5')) {
-            errorMessage = 'Server Error. The server is experiencing issues. Please try again in a few minutes.';
-        } else if (error.message.includes('Server error: 4')) {
-            errorMessage = `Request Error: ${error.message}. Please check that all data is correct and try again.`;
-        } else {
-            errorMessage += error.message;
+        // Call error callback with a user-friendly message
+        if (onError) {
+            onError(getFriendlyBookletError(error.message));
         }
-        
-        // Call error callback
+        return null;
+    }
+};
+
+/**
+ * Check every booklet input without generating the booklet
+ * Runs as a preflight job next to any build; the report lists problems per student and content page
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} callbacks - Job callbacks
+ * @param {Function} [callbacks.onProgress] - Called with job progress updates (see watchBookletJob)
+ * @param {Function} [callbacks.onSuccess] - Called once with the report {summary, general, students, contentPages}
+ * @param {Function} [callbacks.onError] - Called once with a user-friendly error message
+ * @returns {Promise<Function|null>} Unsubscribe function for the job listener, or null if the check could not be started
+ */
+export const runBookletPreflight = async (graduationId, { onProgress, onSuccess, onError } = {}) => {
+    try {
+        // Same inputs the real build would use
+        const { GraduationRepository } = await import('../data/graduation-repository.js');
+        const gradData = await GraduationRepository.getById(graduationId);
+
+        const result = await queueBookletJob(graduationId, {
+            customCoverUrl: gradData?.customCoverUrl || null,
+            pageOrder: gradData?.config?.pageOrder || ['students', 'messages', 'speeches'],
+            preflight: true
+        });
+
+        return await watchBookletJob(graduationId, result.jobId, {
+            onProgress,
+            onSuccess: (jobResult) => onSuccess && onSuccess(jobResult.report),
+            onError
+        });
+
+    } catch (error) {
+        logger.error('Booklet preflight failed to start', error, {
+            gradId: graduationId,
+            action: 'runBookletPreflight'
+        });
+        if (onError) {
+            onError(getFriendlyBookletError(error.message));
+        }
+        return null;
+    }
+};
+
+/**
+ * Create an individual PDF for every student with an uploaded profile, plus a ZIP of all of them
+ * Runs as a background job next to any booklet build
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} options - Export options and job callbacks
+ * @param {boolean} [options.includeClassContent] - Append the messages and speeches sections to every PDF
+ * @param {Function} [options.onProgress] - Called with job progress updates (see watchBookletJob)
+ * @param {Function} [options.onSuccess] - Called once with {zipUrl, exportedStudents, skippedStudents, warnings}
+ * @param {Function} [options.onError] - Called once with a user-friendly error message
+ * @returns {Promise<Function|null>} Unsubscribe function for the job listener, or null if the export could not be started
+ */
+export const generateStudentExports = async (graduationId, { includeClassContent = false, onProgress, onSuccess, onError } = {}) => {
+    try {
+        const { GraduationRepository } = await import('../data/graduation-repository.js');
+        const gradData = await GraduationRepository.getById(graduationId);
+
+        const result = await queueBookletJob(graduationId, {
+            pageOrder: gradData?.config?.pageOrder || ['students', 'messages', 'speeches'],
+            studentExports: true,
+            includeClassContent
+        });
+
+        return await watchBookletJob(graduationId, result.jobId, { onProgress, onSuccess, onError });
+
+    } catch (error) {
+        logger.error('Student exports failed to start', error, {
+            gradId: graduationId,
+            action: 'generateStudentExports'
+        });
+        if (onError) {
+            onError(getFriendlyBookletError(error.message));
+        }
+        return null;
+    }
+};
+
+/**
+ * Create a DRAFT-watermarked proof of the booklet with a shareable link that expires
+ * The published booklet is left untouched; proofs run as background jobs next to any build
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} options - Proof options and job callbacks
+ * @param {number} [options.expiresInHours] - How long the link stays open (24, 72, 168 or 336)
+ * @param {Function} [options.onProgress] - Called with job progress updates (see watchBookletJob)
+ * @param {Function} [options.onSuccess] - Called once with {proofPath, expiresAt, pageCount, skippedStudents, warnings}
+ * @param {Function} [options.onError] - Called once with a user-friendly error message
+ * @returns {Promise<Function|null>} Unsubscribe function for the job listener, or null if the proof could not be started
+ */
+export const generateBookletProof = async (graduationId, { expiresInHours, onProgress, onSuccess, onError } = {}) => {
+    try {
+        // Same inputs the real build would use
+        const { GraduationRepository } = await import('../data/graduation-repository.js');
+        const gradData = await GraduationRepository.getById(graduationId);
+
+        const result = await queueBookletJob(graduationId, {
+            customCoverUrl: gradData?.customCoverUrl || null,
+            pageOrder: gradData?.config?.pageOrder || ['students', 'messages', 'speeches'],
+            proof: true,
+            proofExpiresInHours: expiresInHours
+        });
+
+        return await watchBookletJob(graduationId, result.jobId, { onProgress, onSuccess, onError });
+
+    } catch (error) {
+        logger.error('Booklet proof failed to start', error, {
+            gradId: graduationId,
+            action: 'generateBookletProof'
+        });
         if (onError) {
-            onError(errorMessage);
+            onError(getFriendlyBookletError(error.message));
         }
+        return null;
     }
 };
 
+/**
+ * Publish an earlier booklet version (rollback)
+ * The server checks the version belongs to the graduation and restores its stats
+ * @param {string} graduationId - The graduation ID
+ * @param {string} versionId - Version from getBookletVersions
+ * @returns {Promise<void>}
+ */
+export const publishBookletVersion = async (graduationId, versionId) => {
+    const response = await fetch('/.netlify/functions/secure-operations', {
+        method: 'POST',
+        headers: await getBookletRequestHeaders(),
+        body: JSON.stringify({ action: 'publishBookletVersion', graduationId, versionId })
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (parseError) {
+        throw new Error(`Server error: ${response.status} - ${response.statusText}`);
+    }
+
+    if (!response.ok || !result.success) {
+        const errorMsg = result.message || result.error || `Server error: ${response.status}`;
+        logger.error('Publishing booklet version failed', new Error(errorMsg), {
+            gradId: graduationId,
+            versionId,
+            statusCode: response.status,
+            action: 'publishBookletVersion'
+        });
+        throw new Error(errorMsg);
+    }
+};
+
+/**
+ * Render a preview of a booklet cover template
+ * The server returns the single cover page as base64 so it can be shown from a blob URL (CSP allows blob: frames)
+ * @param {string} graduationId - The graduation ID
+ * @param {string} template - Cover template (classic, logo, collage or banner)
+ * @returns {Promise<{url: string, warnings: Array<string>}>} Blob URL of the preview PDF - revoke it when done
+ */
+export const previewBookletCover = async (graduationId, template) => {
+    const response = await fetch('/.netlify/functions/preview-booklet-cover', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ graduationId, template })
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (parseError) {
+        throw new Error(`Server error: ${response.status} - ${response.statusText}`);
+    }
+
+    if (!response.ok || !result.success) {
+        const errorMsg = result.message || result.error || `Server error: ${response.status}`;
+        logger.error('Cover preview failed', new Error(errorMsg), {
+            gradId: graduationId,
+            template,
+            statusCode: response.status,
+            action: 'previewBookletCover'
+        });
+        throw new Error(errorMsg);
+    }
+
+    const bytes = Uint8Array.from(atob(result.pdfBase64), char => char.charCodeAt(0));
+    const blob = new Blob([bytes], { type: 'application/pdf' });
+
+    return {
+        url: URL.createObjectURL(blob),
+        warnings: result.warnings || []
+    };
+};
+
 /**
  * Display student PDF in modal viewer with student info
  * Fetches PDF and creates blob URL to bypass CSP restrictions
  * @param {string} pdfUrl - URL of the PDF to view
- * @param {string|Object} studentNameOrData - Student name string OR full student object with photos/message
+ * @param {string|Object} studentNameOrData - Student name string OR full student object with photos/message.
+ *   The public site adds analytics: {graduationId, studentId} so the open is counted
  * @returns {Promise<void>}
  */
 export const viewStudentPdf = async (pdfUrl, studentNameOrData) => {
@@ -147,6 +491,10 @@ export const viewStudentPdf = async (pdfUrl, studentNameOrData) => {
         ? { name: studentNameOrData }
         : studentNameOrData;
     
+    if (studentData.analytics) {
+        trackEvent(studentData.analytics.graduationId, 'profileOpen', { studentId: studentData.analytics.studentId });
+    }
+    
     const studentName = studentData.name || 'Student';
     
     // Create modal with loading state - clean, minimal design
@@ -308,6 +656,12 @@ export const closeStudentPdfModal = () => {
 
 export default {
     generateBooklet,
+    generateStudentExports,
+    generateBookletProof,
+    watchBookletJob,
+    runBookletPreflight,
+    publishBookletVersion,
+    previewBookletCover,
     viewStudentPdf,
     closeStudentPdfModal
 };
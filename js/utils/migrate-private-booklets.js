@@ -0,0 +1,198 @@
+/**
+ * Migration Script: Make old booklet files private
+ *
+ * Booklets, printer's spreads, individual student booklets, the exports ZIP, proofs and
+ * cached sections are uploaded as private Cloudinary files that are only handed out through
+ * signed, expiring URLs. Files generated before that still have public URLs.
+ *
+ * WHAT IT DOES:
+ * 1. Finds the graduations you are an editor (or the original owner) of
+ * 2. Finds the ones whose generated files still have public URLs
+ * 3. Queues a makePrivate job for each: the booklet worker re-uploads every public file
+ *    privately, points the records at the private copy and deletes the public file.
+ *    Public cached sections are removed and rebuilt on the next booklet build
+ *
+ * USAGE:
+ * 1. Open browser console on your deployed application while signed in
+ * 2. Run: const m = await import('./js/utils/migrate-private-booklets.js')
+ * 3. Run: await m.migrateAllPrivateBooklets(false) // Dry run (no changes)
+ * 4. Run: await m.migrateAllPrivateBooklets(true)  // Queue the jobs
+ * 5. Progress shows in each job at graduations/{gradId}/bookletJobs/{jobId}
+ */
+
+import { db, auth } from '../firebase-init.js';
+import { collection, getDocs, query, where } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+// Generated file fields on the graduation document and its subcollections
+const GRADUATION_FILE_FIELDS = ['generatedBookletUrl', 'generatedSpreadsUrl', 'studentExportsZipUrl'];
+const SUBCOLLECTION_FILE_FIELDS = {
+    booklets: ['bookletUrl', 'spreadsUrl'],
+    studentExports: ['pdfUrl'],
+    bookletProofs: ['pdfUrl'],
+    bookletSections: ['sectionUrl']
+};
+
+/**
+ * Check whether a stored URL is a public Cloudinary file
+ * @param {string} url - Stored URL
+ * @returns {boolean}
+ */
+const isPublicFile = (url) => typeof url === 'string' && url.includes('res.cloudinary.com') && url.includes('/upload/');
+
+/**
+ * Find the graduations the signed-in user can edit
+ * Older projects only have ownerUid, which Firestore rules also treat as an editor
+ * @returns {Promise<Array<QueryDocumentSnapshot>>} Graduation documents, without duplicates
+ */
+export async function getEditableGraduations() {
+    const uid = auth.currentUser.uid;
+    const [byEditors, byOwner] = await Promise.all([
+        getDocs(query(collection(db, 'graduations'), where('editors', 'array-contains', uid))),
+        getDocs(query(collection(db, 'graduations'), where('ownerUid', '==', uid)))
+    ]);
+
+    const graduations = new Map();
+    [...byEditors.docs, ...byOwner.docs].forEach(docSnapshot => graduations.set(docSnapshot.id, docSnapshot));
+    return [...graduations.values()];
+}
+
+/**
+ * Queue a makePrivate job for one graduation if it has public files
+ * @param {string} gradId - Graduation document ID
+ * @param {Object} gradData - Graduation document data
+ * @param {boolean} dryRun - If true, only log what would be moved
+ * @returns {Promise<Object>} Migration result
+ */
+export async function migrateGraduationBooklets(gradId, gradData, dryRun = true) {
+    const result = {
+        gradId,
+        schoolName: gradData.schoolName || 'Unknown',
+        needsMigration: false,
+        publicFiles: 0,
+        jobId: null,
+        errors: []
+    };
+
+    try {
+        let publicFiles = GRADUATION_FILE_FIELDS.filter(field => isPublicFile(gradData[field])).length;
+        for (const [name, fields] of Object.entries(SUBCOLLECTION_FILE_FIELDS)) {
+            const snapshot = await getDocs(collection(db, 'graduations', gradId, name));
+            snapshot.docs.forEach(fileDoc => {
+                publicFiles += fields.filter(field => isPublicFile(fileDoc.data()[field])).length;
+            });
+        }
+        result.publicFiles = publicFiles;
+
+        if (publicFiles === 0) {
+            console.log(`[${gradId}] No public booklet files`);
+            return result;
+        }
+
+        result.needsMigration = true;
+        if (dryRun) {
+            console.log(`[${gradId}] DRY RUN - Would make ${publicFiles} file(s) private`);
+            return result;
+        }
+
+        const response = await fetch('/.netlify/functions/generate-booklet', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${await auth.currentUser.getIdToken()}`
+            },
+            body: JSON.stringify({ graduationId: gradId, makePrivate: true })
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+
+        result.jobId = body.jobId;
+        console.log(`[${gradId}] ✅ Queued job ${body.jobId} for ${publicFiles} file(s)`);
+    } catch (error) {
+        result.errors.push(`Queueing failed: ${error.message}`);
+        console.error(`[${gradId}] ❌ Migration failed:`, error);
+    }
+
+    return result;
+}
+
+/**
+ * Make old booklet files private in every graduation the signed-in user edits
+ * @param {boolean} dryRun - If true, only log what would be moved
+ * @returns {Promise<Object>} Summary of migration results
+ */
+export async function migrateAllPrivateBooklets(dryRun = true) {
+    console.log('='.repeat(60));
+    console.log('MIGRATION: make old booklet files private');
+    console.log(`Mode: ${dryRun ? 'DRY RUN (no changes)' : 'LIVE (queueing jobs)'}`);
+    console.log('='.repeat(60));
+
+    if (!auth.currentUser) {
+        throw new Error('Sign in before running this migration');
+    }
+
+    const summary = {
+        total: 0,
+        alreadyPrivate: 0,
+        needsMigration: 0,
+        queued: 0,
+        failed: 0,
+        errors: [],
+        results: []
+    };
+
+    const graduations = await getEditableGraduations();
+    summary.total = graduations.length;
+    console.log(`\nFound ${summary.total} graduation documents\n`);
+
+    // One graduation at a time: generate-booklet allows 3 requests a minute
+    for (const docSnapshot of graduations) {
+        const result = await migrateGraduationBooklets(docSnapshot.id, docSnapshot.data(), dryRun);
+        summary.results.push(result);
+
+        if (!result.needsMigration) {
+            summary.alreadyPrivate++;
+            continue;
+        }
+        summary.needsMigration++;
+        if (result.errors.length > 0) {
+            summary.failed++;
+            summary.errors.push({ gradId: result.gradId, errors: result.errors });
+        } else if (result.jobId) {
+            summary.queued++;
+            await new Promise(resolve => setTimeout(resolve, 20000));
+        }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('MIGRATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`Total graduations: ${summary.total}`);
+    console.log(`Already private: ${summary.alreadyPrivate}`);
+    console.log(`Needed migration: ${summary.needsMigration}`);
+    if (!dryRun) {
+        console.log(`  ✅ Jobs queued: ${summary.queued}`);
+        console.log(`  ❌ Failed: ${summary.failed}`);
+    }
+    summary.errors.forEach(({ gradId, errors }) => console.log(`  ${gradId}: ${errors.join(', ')}`));
+    if (dryRun) {
+        console.log('\n⚠️  This was a DRY RUN - no changes were made');
+        console.log('To apply changes, run: await migrateAllPrivateBooklets(true)');
+    }
+    console.log('='.repeat(60));
+
+    return summary;
+}
+
+// Make functions available globally for browser console
+if (typeof window !== 'undefined') {
+    window.migrateGraduationBooklets = migrateGraduationBooklets;
+    window.migrateAllPrivateBooklets = migrateAllPrivateBooklets;
+}
+
+export default {
+    getEditableGraduations,
+    migrateGraduationBooklets,
+    migrateAllPrivateBooklets
+};
@@ -0,0 +1,189 @@
+/**
+ * Migration Script: Remove plaintext student passwords
+ *
+ * Student passwords used to be stored twice: passwordHash for checking them and
+ * passwordPlain so teachers could read them in the Students tab. Only the hash is
+ * kept now; teachers reset a password to get a new one.
+ *
+ * WHAT IT DOES:
+ * 1. Finds the graduations you are an editor (or the original owner) of
+ * 2. Finds students in them that still have a passwordPlain field
+ * 3. Deletes passwordPlain (passwordHash is left alone)
+ *
+ * Old PBKDF2 hashes are upgraded to scrypt by secure-operations the next time the
+ * student signs in, so this script does not touch them.
+ *
+ * USAGE:
+ * 1. Open browser console on your deployed application while signed in
+ * 2. Run: const m = await import('./js/utils/migrate-student-passwords.js')
+ * 3. Run: await m.migrateAllStudentPasswords(false) // Dry run (no changes)
+ * 4. Review the output. Passwords cannot be recovered afterwards, so print login
+ *    cards first if students still need their current ones
+ * 5. Run: await m.migrateAllStudentPasswords(true)  // Actually migrate
+ *
+ * NOTE: Firestore rules only let you change graduations you are an editor or owner of
+ */
+
+import { db, auth } from '../firebase-init.js';
+import { collection, getDocs, query, where, writeBatch, deleteField } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+// Firestore allows 500 writes per batch
+const BATCH_LIMIT = 500;
+
+/**
+ * Remove passwordPlain from the students of one graduation
+ * @param {string} gradId - Graduation document ID
+ * @param {Object} gradData - Graduation document data
+ * @param {boolean} dryRun - If true, only log changes without making them
+ * @returns {Promise<Object>} Migration result
+ */
+export async function migrateGraduationStudentPasswords(gradId, gradData, dryRun = true) {
+    const result = {
+        gradId,
+        schoolName: gradData.schoolName || 'Unknown',
+        needsMigration: false,
+        scrubbed: 0,
+        changes: [],
+        errors: []
+    };
+
+    try {
+        const snapshot = await getDocs(collection(db, 'graduations', gradId, 'students'));
+        const withPlaintext = snapshot.docs.filter(studentDoc => studentDoc.data().passwordPlain !== undefined);
+
+        if (withPlaintext.length === 0) {
+            console.log(`[${gradId}] No plaintext passwords`);
+            return result;
+        }
+
+        result.needsMigration = true;
+        withPlaintext.forEach(studentDoc => result.changes.push(`Remove passwordPlain from ${studentDoc.data().name || studentDoc.id}`));
+
+        if (dryRun) {
+            console.log(`[${gradId}] DRY RUN - Would remove passwordPlain from ${withPlaintext.length} student(s)`);
+            return result;
+        }
+
+        for (let start = 0; start < withPlaintext.length; start += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            const chunk = withPlaintext.slice(start, start + BATCH_LIMIT);
+            chunk.forEach(studentDoc => batch.update(studentDoc.ref, { passwordPlain: deleteField() }));
+            await batch.commit();
+            result.scrubbed += chunk.length;
+        }
+        console.log(`[${gradId}] ✅ Removed passwordPlain from ${result.scrubbed} student(s)`);
+    } catch (error) {
+        result.errors.push(`Update failed: ${error.message}`);
+        console.error(`[${gradId}] ❌ Migration failed:`, error);
+    }
+
+    return result;
+}
+
+/**
+ * Remove plaintext passwords from every graduation the signed-in user edits
+ * @param {boolean} dryRun - If true, only log changes without making them
+ * @returns {Promise<Object>} Summary of migration results
+ */
+export async function migrateAllStudentPasswords(dryRun = true) {
+    console.log('='.repeat(60));
+    console.log(`MIGRATION: remove passwordPlain from students`);
+    console.log(`Mode: ${dryRun ? 'DRY RUN (no changes)' : 'LIVE (making changes)'}`);
+    console.log('='.repeat(60));
+
+    if (!auth.currentUser) {
+        throw new Error('Sign in before running this migration');
+    }
+
+    const summary = {
+        total: 0,
+        alreadyMigrated: 0,
+        needsMigration: 0,
+        successful: 0,
+        failed: 0,
+        studentsScrubbed: 0,
+        errors: [],
+        results: []
+    };
+
+    try {
+        // Older projects only have ownerUid, which Firestore rules also treat as an editor
+        const uid = auth.currentUser.uid;
+        const [byEditors, byOwner] = await Promise.all([
+            getDocs(query(collection(db, 'graduations'), where('editors', 'array-contains', uid))),
+            getDocs(query(collection(db, 'graduations'), where('ownerUid', '==', uid)))
+        ]);
+        const graduations = new Map();
+        [...byEditors.docs, ...byOwner.docs].forEach(docSnapshot => graduations.set(docSnapshot.id, docSnapshot));
+
+        summary.total = graduations.size;
+        console.log(`\nFound ${summary.total} graduation documents\n`);
+
+        for (const docSnapshot of graduations.values()) {
+            const result = await migrateGraduationStudentPasswords(docSnapshot.id, docSnapshot.data(), dryRun);
+            summary.results.push(result);
+
+            if (result.needsMigration) {
+                summary.needsMigration++;
+                summary.studentsScrubbed += result.scrubbed;
+                if (result.errors.length === 0) {
+                    summary.successful++;
+                } else {
+                    summary.failed++;
+                    summary.errors.push({
+                        gradId: result.gradId,
+                        errors: result.errors
+                    });
+                }
+            } else {
+                summary.alreadyMigrated++;
+            }
+        }
+
+        // Print summary
+        console.log('\n' + '='.repeat(60));
+        console.log('MIGRATION SUMMARY');
+        console.log('='.repeat(60));
+        console.log(`Total graduations: ${summary.total}`);
+        console.log(`Already migrated: ${summary.alreadyMigrated}`);
+        console.log(`Needed migration: ${summary.needsMigration}`);
+
+        if (!dryRun) {
+            console.log(`  ✅ Successful: ${summary.successful} (${summary.studentsScrubbed} students)`);
+            console.log(`  ❌ Failed: ${summary.failed}`);
+        }
+
+        if (summary.errors.length > 0) {
+            console.log('\n⚠️  ERRORS:');
+            summary.errors.forEach(({ gradId, errors }) => {
+                console.log(`  ${gradId}: ${errors.join(', ')}`);
+            });
+        }
+
+        if (dryRun) {
+            console.log('\n⚠️  This was a DRY RUN - no changes were made');
+            console.log('To apply changes, run: await migrateAllStudentPasswords(true)');
+        } else {
+            console.log('\n✅ Migration complete!');
+        }
+
+        console.log('='.repeat(60));
+
+        return summary;
+
+    } catch (error) {
+        console.error('❌ Fatal migration error:', error);
+        throw error;
+    }
+}
+
+// Make functions available globally for browser console
+if (typeof window !== 'undefined') {
+    window.migrateGraduationStudentPasswords = migrateGraduationStudentPasswords;
+    window.migrateAllStudentPasswords = migrateAllStudentPasswords;
+}
+
+export default {
+    migrateGraduationStudentPasswords,
+    migrateAllStudentPasswords
+};
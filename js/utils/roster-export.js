@@ -0,0 +1,321 @@
+/**
+ * Roster Export Utility
+ * Exports the Students tab roster (access details and progress) to CSV or XLSX, and builds a
+ * printable PDF of cut-out login cards with each student's name, upload link QR code and password.
+ * Everything is generated in the browser from the students the teacher already has loaded.
+ * Passwords are only stored hashed, so exports include the ones generated (on add or reset)
+ * since the page was opened; other password students get a blank to fill in by hand.
+ */
+
+import { XLSX_MODULE_URL } from './roster-import.js';
+import { getDirectUploadUrl, getUploadPortalUrl } from '../router/navigation.js';
+
+// pdf-lib is only loaded when login cards are printed
+const PDF_LIB_MODULE_URL = 'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/+esm';
+
+const ACCESS_TYPE_LABELS = {
+    public: 'Public',
+    password: 'Password',
+    link: 'Unique link'
+};
+
+// studentId -> password generated in this page session
+const generatedPasswords = new Map();
+
+/**
+ * Login card grid on an A4 page (points)
+ */
+const CARD_LAYOUT = {
+    pageWidth: 595.28,
+    pageHeight: 841.89,
+    margin: 28,
+    columns: 2,
+    rows: 4,
+    padding: 14,
+    qrSize: 104
+};
+
+/**
+ * Keep passwords returned by createStudentsBatch or resetStudentPassword for later exports
+ * They are held in memory only and are gone when the page is reloaded
+ * @param {Array<{studentId: string, password: string}>} entries - Generated passwords
+ */
+export const rememberStudentPasswords = (entries) => {
+    entries.forEach(({ studentId, password }) => {
+        if (studentId && password) generatedPasswords.set(studentId, password);
+    });
+};
+
+/**
+ * Get a password generated in this page session
+ * @param {string} studentId - Student ID
+ * @returns {string|null}
+ */
+export const getRememberedPassword = (studentId) => generatedPasswords.get(studentId) || null;
+
+/**
+ * Get the upload link a student should use: their own link, or the general upload page
+ * @param {Object} student - Student data
+ * @param {string} urlIdentifier - Graduation URL slug (or ID)
+ * @returns {string} Full URL
+ */
+export const getStudentUploadUrl = (student, urlIdentifier) => (
+    student.accessType === 'link' && student.uniqueLinkId
+        ? getDirectUploadUrl(urlIdentifier, student.uniqueLinkId)
+        : getUploadPortalUrl(urlIdentifier)
+);
+
+/**
+ * Describe a student's cover page the way the booklet will treat it
+ * @param {Object} student - Student data
+ * @param {boolean} coverPagesEnabled - config.enableStudentCoverPages
+ * @returns {string}
+ */
+const getCoverStatus = (student, coverPagesEnabled) => {
+    if (!coverPagesEnabled) return 'Cover pages off';
+    return student.coverPhotoBeforeUrl || student.coverPhotoAfterUrl || student.graduationSpeech ? 'Added' : 'Not added';
+};
+
+/**
+ * Build the export rows, one per student in roster order
+ * @param {Array<Object>} students - Students from StudentRepository.getAll
+ * @param {Object} options - {urlIdentifier, coverPagesEnabled}
+ * @returns {Array<Object>} Rows keyed by column heading
+ */
+export const buildRosterExportRows = (students, { urlIdentifier, coverPagesEnabled = false }) => students.map(student => ({
+    'Name': student.name || '',
+    'Student Number': student.studentNumber || '',
+    'Class': student.className || '',
+    'Homeroom': student.homeroom || '',
+    'Parent Email': student.parentEmail || '',
+    'Access Type': ACCESS_TYPE_LABELS[student.accessType] || ACCESS_TYPE_LABELS.public,
+    'Upload Link': getStudentUploadUrl(student, urlIdentifier),
+    'Password': student.accessType === 'password' ? (getRememberedPassword(student.id) || 'Reset to get a new password') : '',
+    'Upload Status': student.profilePdfUrl ? 'Uploaded' : 'Not uploaded',
+    'Cover Status': getCoverStatus(student, coverPagesEnabled)
+}));
+
+/**
+ * Save a generated file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Quote a CSV cell; cells that spreadsheet apps would run as formulas are prefixed with '
+ * @param {string} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Download the roster as CSV (UTF-8 with BOM so Excel keeps the encoding)
+ * @param {Array<Object>} rows - Rows from buildRosterExportRows
+ * @param {string} fileName - File name without extension
+ */
+export const exportRosterCsv = (rows, fileName) => {
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const lines = [headers, ...rows.map(row => headers.map(header => row[header]))]
+        .map(cells => cells.map(toCsvCell).join(','));
+    downloadBlob(new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+};
+
+/**
+ * Download the roster as an Excel workbook
+ * @param {Array<Object>} rows - Rows from buildRosterExportRows
+ * @param {string} fileName - File name without extension
+ * @returns {Promise<void>}
+ */
+export const exportRosterXlsx = async (rows, fileName) => {
+    const XLSX = await import(XLSX_MODULE_URL);
+    const sheet = XLSX.utils.json_to_sheet(rows);
+    if (rows.length > 0) {
+        sheet['!cols'] = Object.keys(rows[0]).map(header => ({
+            wch: Math.min(60, Math.max(header.length, ...rows.map(row => String(row[header]).length)) + 2)
+        }));
+    }
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Students');
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+};
+
+/**
+ * Draw a QR code with qrcodejs (loaded globally in index.html) and return it as a PNG data URL
+ * @param {string} text - Text to encode
+ * @returns {string}
+ */
+const renderQrCodePng = (text) => {
+    const holder = document.createElement('div');
+    new QRCode(holder, { text, width: 256, height: 256, correctLevel: QRCode.CorrectLevel.M });
+    const canvas = holder.querySelector('canvas');
+    if (!canvas) {
+        throw new Error('This browser cannot draw QR codes.');
+    }
+    return canvas.toDataURL('image/png');
+};
+
+/**
+ * The standard PDF fonts only cover Latin-1, so replace anything else
+ * @param {string} text - Text to draw
+ * @returns {string}
+ */
+const toPdfText = (text) => String(text || '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+/**
+ * Break text into lines that fit a width, splitting long words (URLs) between characters
+ * @param {string} text - Text to wrap
+ * @param {Object} font - pdf-lib font
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Line width
+ * @returns {Array<string>}
+ */
+const wrapText = (text, font, size, maxWidth) => {
+    const lines = [];
+    let line = '';
+    for (const char of text) {
+        if (line && font.widthOfTextAtSize(line + char, size) > maxWidth) {
+            const breakAt = line.lastIndexOf(' ');
+            if (char !== ' ' && breakAt > 0) {
+                lines.push(line.slice(0, breakAt));
+                line = line.slice(breakAt + 1);
+            } else {
+                lines.push(line);
+                line = '';
+            }
+        }
+        if (line || char !== ' ') line += char;
+    }
+    if (line) lines.push(line);
+    return lines;
+};
+
+/**
+ * Shrink a font size until the text fits on one line
+ * @param {string} text - Text to draw
+ * @param {Object} font - pdf-lib font
+ * @param {number} size - Preferred font size
+ * @param {number} maxWidth - Line width
+ * @param {number} [minSize=8] - Smallest size to use
+ * @returns {number}
+ */
+const fitFontSize = (text, font, size, maxWidth, minSize = 8) => {
+    let fitted = size;
+    while (fitted > minSize && font.widthOfTextAtSize(text, fitted) > maxWidth) {
+        fitted -= 0.5;
+    }
+    return fitted;
+};
+
+/**
+ * Build and download a PDF of login cards (eight per A4 page, with dashed cut lines)
+ * Each card has the student's name, their upload link as text and QR code, and their
+ * password for password access
+ * @param {Array<Object>} students - Students to print, in card order
+ * @param {Object} options - {urlIdentifier, schoolName, fileName}
+ * @returns {Promise<void>}
+ */
+export const exportLoginCardsPdf = async (students, { urlIdentifier, schoolName, fileName }) => {
+    const { PDFDocument, StandardFonts, rgb } = await import(PDF_LIB_MODULE_URL);
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle(toPdfText(`${schoolName || 'Graduation'} - Student Login Cards`));
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+    const mono = await pdfDoc.embedFont(StandardFonts.CourierBold);
+
+    const { pageWidth, pageHeight, margin, columns, rows, padding, qrSize } = CARD_LAYOUT;
+    const cardWidth = (pageWidth - margin * 2) / columns;
+    const cardHeight = (pageHeight - margin * 2) / rows;
+    const textWidth = cardWidth - padding * 3 - qrSize;
+    const gray = rgb(0.4, 0.4, 0.4);
+    const black = rgb(0, 0, 0);
+
+    // Password and public students share the general upload link, so its QR code is embedded once
+    const qrImages = new Map();
+    const getQrImage = async (url) => {
+        if (!qrImages.has(url)) {
+            qrImages.set(url, await pdfDoc.embedPng(renderQrCodePng(url)));
+        }
+        return qrImages.get(url);
+    };
+
+    let page = null;
+    for (const [index, student] of students.entries()) {
+        const slot = index % (columns * rows);
+        if (slot === 0) page = pdfDoc.addPage([pageWidth, pageHeight]);
+
+        const x = margin + (slot % columns) * cardWidth;
+        const top = pageHeight - margin - Math.floor(slot / columns) * cardHeight;
+        page.drawRectangle({
+            x, y: top - cardHeight, width: cardWidth, height: cardHeight,
+            borderColor: rgb(0.6, 0.6, 0.6), borderWidth: 0.75, borderDashArray: [4, 3]
+        });
+
+        const url = getStudentUploadUrl(student, urlIdentifier);
+        page.drawImage(await getQrImage(url), {
+            x: x + cardWidth - padding - qrSize, y: top - padding - qrSize, width: qrSize, height: qrSize
+        });
+
+        let y = top - padding - 9;
+        const school = toPdfText(schoolName);
+        page.drawText(school, { x: x + padding, y, size: fitFontSize(school, regular, 8, textWidth, 5), font: regular, color: gray });
+
+        const name = toPdfText(student.name);
+        const nameSize = fitFontSize(name, bold, 15, textWidth);
+        y -= 8 + nameSize;
+        page.drawText(name, { x: x + padding, y, size: nameSize, font: bold, color: black });
+
+        y -= 20;
+        page.drawText('Scan the code or go to:', { x: x + padding, y, size: 8, font: regular, color: gray });
+        wrapText(toPdfText(url), regular, 7.5, textWidth).slice(0, 5).forEach(line => {
+            y -= 10;
+            page.drawText(line, { x: x + padding, y, size: 7.5, font: regular, color: black });
+        });
+
+        const bottom = top - cardHeight + padding;
+        if (student.accessType === 'password') {
+            page.drawText('Password', { x: x + padding, y: bottom + 22, size: 8, font: regular, color: gray });
+            const password = getRememberedPassword(student.id);
+            if (password) {
+                const passwordText = toPdfText(password);
+                const passwordSize = fitFontSize(passwordText, mono, 15, cardWidth - padding * 2);
+                page.drawText(passwordText, { x: x + padding, y: bottom + 4, size: passwordSize, font: mono, color: black });
+            } else {
+                page.drawLine({ start: { x: x + padding, y: bottom + 2 }, end: { x: x + cardWidth - padding, y: bottom + 2 }, thickness: 0.75, color: gray });
+            }
+        } else {
+            const note = student.accessType === 'link'
+                ? 'This link is just for you. Please do not share it.'
+                : 'Choose your name from the list. No password needed.';
+            wrapText(note, regular, 8, cardWidth - padding * 2).reverse().forEach((line, lineIndex) => {
+                page.drawText(line, { x: x + padding, y: bottom + 4 + lineIndex * 10, size: 8, font: regular, color: gray });
+            });
+        }
+    }
+
+    const bytes = await pdfDoc.save();
+    downloadBlob(new Blob([bytes], { type: 'application/pdf' }), `${fileName}.pdf`);
+};
+
+export default {
+    rememberStudentPasswords,
+    getRememberedPassword,
+    getStudentUploadUrl,
+    buildRosterExportRows,
+    exportRosterCsv,
+    exportRosterXlsx,
+    exportLoginCardsPdf
+};
@@ -0,0 +1,261 @@
+/**
+ * Roster Import Utility
+ * Reads CSV and XLSX class lists, maps their columns to student fields and validates
+ * each row (with duplicate detection) before anything is sent to createStudentsBatch.
+ */
+
+import { sanitizeInput, isValidEmail } from './sanitize.js';
+
+// SheetJS is only loaded when a spreadsheet is imported (or exported, see roster-export.js).
+// Fixed releases are only published on SheetJS's own CDN; the last npm build (0.18.5) is
+// affected by CVE-2023-30533 (prototype pollution) and CVE-2024-22363 (ReDoS)
+export const XLSX_MODULE_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+
+export const ROSTER_FILE_EXTENSIONS = ['.csv', '.txt', '.xlsx', '.xls'];
+
+/**
+ * Student fields a roster column can be mapped to
+ * `aliases` are normalized header names (lowercase letters and digits only) used to guess the mapping
+ */
+export const ROSTER_FIELDS = [
+    { key: 'name', label: 'Full name', aliases: ['name', 'studentname', 'fullname', 'student', 'displayname', 'pupil', 'pupilname'] },
+    { key: 'firstName', label: 'First name', aliases: ['firstname', 'givenname', 'first', 'forename', 'preferredname'] },
+    { key: 'lastName', label: 'Last name', aliases: ['lastname', 'surname', 'familyname', 'last'] },
+    { key: 'studentNumber', label: 'Student number', aliases: ['studentnumber', 'studentno', 'studentid', 'number', 'id', 'idnumber', 'pupilnumber'] },
+    { key: 'className', label: 'Class', aliases: ['class', 'classname', 'form', 'section', 'grade', 'year', 'yeargroup'] },
+    { key: 'homeroom', label: 'Homeroom', aliases: ['homeroom', 'homeroomteacher', 'tutorgroup', 'tutor', 'room', 'advisory'] },
+    { key: 'parentEmail', label: 'Parent email', aliases: ['parentemail', 'guardianemail', 'parentguardianemail', 'familyemail', 'contactemail', 'email'] }
+];
+
+const MAX_FIELD_LENGTH = 50;
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Pick the delimiter used on the first line (outside quotes): comma, semicolon or tab
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+const detectDelimiter = (text) => {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+        else if (!inQuotes && char in counts) counts[char]++;
+    }
+
+    return Object.keys(counts).reduce((best, delimiter) => counts[delimiter] > counts[best] ? delimiter : best, ',');
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles a UTF-8 BOM, quoted fields (with commas, line breaks and "" escapes),
+ * CRLF line endings and comma, semicolon or tab delimiters. Blank lines are dropped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows
+        .map(cells => cells.map(cell => cell.trim()))
+        .filter(cells => cells.some(cell => cell !== ''));
+};
+
+/**
+ * Read the first sheet of an XLSX/XLS workbook into rows of cells
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Array<Array<string>>>} Rows
+ */
+const parseSpreadsheet = async (buffer) => {
+    const XLSX = await import(XLSX_MODULE_URL);
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return [];
+
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' })
+        .map(cells => cells.map(cell => String(cell).trim()))
+        .filter(cells => cells.some(cell => cell !== ''));
+};
+
+/**
+ * Read a roster file
+ * @param {File} file - CSV, TXT, XLSX or XLS file
+ * @returns {Promise<Array<Array<string>>>} Rows of cells, including any header row
+ */
+export const readRosterFile = async (file) => {
+    const fileName = file.name.toLowerCase();
+    if (!ROSTER_FILE_EXTENSIONS.some(extension => fileName.endsWith(extension))) {
+        throw new Error('Please choose a CSV or Excel (.xlsx) file.');
+    }
+
+    if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+        return parseSpreadsheet(await file.arrayBuffer());
+    }
+    return parseCsv(await file.text());
+};
+
+/**
+ * Check whether the first row looks like column headers
+ * @param {Array<string>} firstRow - First row of the file
+ * @returns {boolean}
+ */
+export const hasHeaderRow = (firstRow = []) => firstRow.some(cell =>
+    ROSTER_FIELDS.some(field => field.aliases.includes(normalizeHeader(cell)))
+);
+
+/**
+ * Guess which column holds each field from the header row
+ * Without headers the first column is taken as the full name
+ * @param {Array<string>|null} headers - Header row, or null if the file has none
+ * @returns {Object} Map of field key -> column index (fields without a column are left out)
+ */
+export const guessColumnMapping = (headers) => {
+    if (!headers) return { name: 0 };
+
+    const mapping = {};
+    const used = new Set();
+    ROSTER_FIELDS.forEach(field => {
+        const index = headers.findIndex((header, i) => !used.has(i) && field.aliases.includes(normalizeHeader(header)));
+        if (index !== -1) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    });
+
+    // "First name" + "Last name" columns make up the name when there is no full name column
+    if (mapping.name === undefined && mapping.firstName === undefined && mapping.lastName === undefined && headers.length > 0) {
+        mapping.name = 0;
+    }
+    return mapping;
+};
+
+/**
+ * Build the students to import from the mapped rows, validating each one
+ * A row is a duplicate when it matches an existing student (or an earlier row) by student
+ * number, or by name when either side has no student number
+ * @param {Array<Array<string>>} rows - Data rows (without the header row)
+ * @param {Object} mapping - Field key -> column index
+ * @param {Array<Object>} existingStudents - Students already in the project
+ * @param {number} [firstRowNumber=1] - Line number of the first data row, for messages
+ * @returns {Array<Object>} [{rowNumber, student, errors, warnings, duplicate: null|'existing'|'file'}]
+ */
+export const buildRosterPreview = (rows, mapping, existingStudents = [], firstRowNumber = 1) => {
+    const cell = (row, key) => (mapping[key] !== undefined ? String(row[mapping[key]] ?? '').trim() : '');
+    const nameKey = (name) => name.toLowerCase();
+
+    const seen = existingStudents.map(student => ({
+        name: nameKey(student.name || ''),
+        studentNumber: (student.studentNumber || '').toLowerCase(),
+        source: 'existing'
+    }));
+
+    return rows.map((row, index) => {
+        const errors = [];
+        const warnings = [];
+
+        const rawName = (mapping.name !== undefined ? cell(row, 'name') : `${cell(row, 'firstName')} ${cell(row, 'lastName')}`)
+            .replace(/\s+/g, ' ')
+            .trim();
+        const name = sanitizeInput(rawName, 'name').replace(/\s+/g, ' ').trim();
+        if (!rawName) {
+            errors.push('Missing name');
+        } else if (!name) {
+            errors.push('Name has no letters that can be stored');
+        } else if (name.length > 100) {
+            errors.push('Name is longer than 100 characters');
+        } else if (name !== rawName) {
+            warnings.push(`Will be saved as "${name}"`);
+        }
+
+        const student = { name };
+
+        const studentNumber = cell(row, 'studentNumber');
+        if (studentNumber) {
+            if (studentNumber.length > MAX_FIELD_LENGTH || !/^[a-zA-Z0-9._\/ -]+$/.test(studentNumber)) {
+                errors.push('Student number may only use letters, numbers, spaces and . _ - /');
+            }
+            student.studentNumber = studentNumber;
+        }
+
+        [['className', 'Class'], ['homeroom', 'Homeroom']].forEach(([key, label]) => {
+            const value = cell(row, key).replace(/<[^>]*>/g, '');
+            if (!value) return;
+            if (value.length > MAX_FIELD_LENGTH) {
+                errors.push(`${label} is longer than ${MAX_FIELD_LENGTH} characters`);
+            }
+            student[key] = value;
+        });
+
+        const parentEmail = cell(row, 'parentEmail').toLowerCase();
+        if (parentEmail) {
+            if (parentEmail.length > 254 || !isValidEmail(parentEmail)) {
+                errors.push('Parent email is not a valid address');
+            }
+            student.parentEmail = parentEmail;
+        }
+
+        let duplicate = null;
+        if (name) {
+            const number = (studentNumber || '').toLowerCase();
+            const match = seen.find(other => (number && other.studentNumber)
+                ? other.studentNumber === number
+                : other.name === nameKey(name));
+            duplicate = match ? match.source : null;
+            seen.push({ name: nameKey(name), studentNumber: number, source: 'file' });
+        }
+
+        return { rowNumber: firstRowNumber + index, student, errors, warnings, duplicate };
+    });
+};
+
+export default {
+    ROSTER_FIELDS,
+    ROSTER_FILE_EXTENSIONS,
+    parseCsv,
+    readRosterFile,
+    hasHeaderRow,
+    guessColumnMapping,
+    buildRosterPreview
+};
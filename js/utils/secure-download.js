@@ -1,27 +1,110 @@
 /**
  * Secure Download Helper
  * Validates download permissions via serverless function before downloading
+ * The function answers with a signed URL that only works for a few minutes, so links
+ * are fetched when clicked rather than rendered into the page
  */
 
+const SITE_SESSION_PREFIX = 'siteSession_';
+
+/**
+ * Remember the session token issued when the site password was entered
+ * @param {string} graduationId - The graduation ID
+ * @param {string} token - sessionToken from verifySitePassword
+ * @param {string} expiresAt - sessionExpiresAt from verifySitePassword (ISO)
+ */
+export const saveSiteSession = (graduationId, token, expiresAt) => {
+    sessionStorage.setItem(`${SITE_SESSION_PREFIX}${graduationId}`, JSON.stringify({ token, expiresAt }));
+};
+
+/**
+ * Forget the site session (expired, or the password was changed)
+ * @param {string} graduationId - The graduation ID
+ */
+export const clearSiteSession = (graduationId) => {
+    sessionStorage.removeItem(`${SITE_SESSION_PREFIX}${graduationId}`);
+};
+
+/**
+ * Get the stored site session token if it hasn't expired
+ * @param {string} graduationId - The graduation ID
+ * @returns {string|null}
+ */
+export const getSiteSessionToken = (graduationId) => {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(`${SITE_SESSION_PREFIX}${graduationId}`));
+        if (session?.token && new Date(session.expiresAt) > new Date()) {
+            return session.token;
+        }
+    } catch (error) {
+        // Unreadable entry - treat as no session
+    }
+    clearSiteSession(graduationId);
+    return null;
+};
+
+/**
+ * Build the download-booklet URL
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} [options] - {studentLinkId} for a student's individual booklet; {file, version, studentExport} for editors;
+ *   {check: true} to validate without getting a download URL
+ * @returns {string}
+ */
+const getDownloadEndpoint = (graduationId, { studentLinkId, file, version, studentExport, check } = {}) => {
+    const params = new URLSearchParams();
+    if (check) params.set('check', '1');
+    if (studentLinkId) params.set('student', studentLinkId);
+    if (file) params.set('file', file);
+    if (version) params.set('version', version);
+    if (studentExport) params.set('studentExport', studentExport);
+
+    const query = params.toString();
+    return `/.netlify/functions/download-booklet/${graduationId}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Request headers: the site session for visitors, the ID token for signed-in editors
+ * @param {string} graduationId - The graduation ID
+ * @returns {Promise<Object>}
+ */
+const getRequestHeaders = async (graduationId) => {
+    const headers = { 'Content-Type': 'application/json' };
+
+    const sessionToken = getSiteSessionToken(graduationId);
+    if (sessionToken) headers['X-Site-Session'] = sessionToken;
+
+    const { auth } = await import('../firebase-init.js');
+    if (auth.currentUser) {
+        headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+    }
+    return headers;
+};
+
 /**
  * Initiate secure download with server-side validation
  * @param {string} graduationId - The graduation ID
  * @param {Function} showModal - Modal display function
+ * @param {Object} [options] - {studentLinkId} to download a student's individual booklet;
+ *   editors can also pass {file: 'spreads'|'zip', version, studentExport}
  * @returns {Promise<void>}
  */
-export const initiateSecureDownload = async (graduationId, showModal) => {
+export const initiateSecureDownload = async (graduationId, showModal, options = {}) => {
     try {
         // Call serverless function to validate download permissions
-        const response = await fetch(`/.netlify/functions/download-booklet/${graduationId}`, {
+        const response = await fetch(getDownloadEndpoint(graduationId, options), {
             method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            }
+            headers: await getRequestHeaders(graduationId)
         });
 
         const result = await response.json();
 
-        if (response.status === 403) {
+        if (response.status === 401) {
+            clearSiteSession(graduationId);
+            showModal('Session Expired', result.message || result.error || 'Please reload the page and try again.');
+            return;
+        }
+
+        if (response.status === 403 && result.reason === 'scheduled' && result.availableAt) {
             // Download not yet available due to scheduling
             const availableDate = new Date(result.availableAt);
             const timeRemaining = formatTimeRemaining(result.remainingMilliseconds);
@@ -33,6 +116,12 @@ export const initiateSecureDownload = async (graduationId, showModal) => {
             return;
         }
 
+        if (response.status === 403) {
+            // Closed, or not released to this audience at all
+            showModal('Download Not Available', result.message || result.error);
+            return;
+        }
+
         if (!response.ok) {
             throw new Error(result.error || 'Failed to validate download');
         }
@@ -69,7 +158,7 @@ export const initiateSecureDownload = async (graduationId, showModal) => {
  * @param {number} milliseconds - Time remaining in milliseconds
  * @returns {string} Formatted time string
  */
-function formatTimeRemaining(milliseconds) {
+export function formatTimeRemaining(milliseconds) {
     const seconds = Math.floor(milliseconds / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
@@ -88,16 +177,17 @@ function formatTimeRemaining(milliseconds) {
 
 /**
  * Check if download is available without initiating download
+ * Uses the same release rules as the download itself, so countdowns match what the server enforces
  * @param {string} graduationId - The graduation ID
- * @returns {Promise<Object>} Status object with isAvailable, message, etc.
+ * @param {Object} [options] - {studentLinkId} to check a student's individual booklet
+ * @returns {Promise<Object>} Status object with isAvailable, reason ('scheduled', 'closed', 'unavailable'
+ *   or 'error'), message, availableAt, remainingMilliseconds, closesAt; editors also get schedule
  */
-export const checkDownloadAvailability = async (graduationId) => {
+export const checkDownloadAvailability = async (graduationId, { studentLinkId } = {}) => {
     try {
-        const response = await fetch(`/.netlify/functions/download-booklet/${graduationId}`, {
+        const response = await fetch(getDownloadEndpoint(graduationId, { studentLinkId, check: true }), {
             method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            }
+            headers: await getRequestHeaders(graduationId)
         });
 
         const result = await response.json();
@@ -105,10 +195,12 @@ export const checkDownloadAvailability = async (graduationId) => {
         if (response.status === 403) {
             return {
                 isAvailable: false,
-                reason: 'scheduled',
+                reason: result.reason || 'scheduled',
                 message: result.message,
                 availableAt: result.availableAt,
-                remainingMilliseconds: result.remainingMilliseconds
+                remainingMilliseconds: result.remainingMilliseconds,
+                closedAt: result.closedAt,
+                schedule: result.schedule
             };
         }
 
@@ -122,8 +214,8 @@ export const checkDownloadAvailability = async (graduationId) => {
 
         return {
             isAvailable: true,
-            downloadUrl: result.downloadUrl,
-            filename: result.filename
+            closesAt: result.closesAt,
+            schedule: result.schedule
         };
 
     } catch (error) {
@@ -137,6 +229,10 @@ export const checkDownloadAvailability = async (graduationId) => {
 };
 
 export default {
+    formatTimeRemaining,
+    saveSiteSession,
+    clearSiteSession,
+    getSiteSessionToken,
     initiateSecureDownload,
     checkDownloadAvailability
 };
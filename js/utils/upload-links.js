@@ -0,0 +1,71 @@
+/**
+ * Student Upload Links
+ * Decides what a direct upload link (#/upload/:gradId/:linkId) should show. A link stops
+ * working at its own linkExpiresAt or the project's config.uploadLinkExpiresAt, whichever
+ * comes first. Links that were rotated or switched to password access stay in previousLinkIds.
+ * This only picks the page to show; the functions enforce the same rules before saving an
+ * upload or serving a booklet (see netlify/functions/utils/upload-links.js).
+ */
+
+/**
+ * Read a stored date (Firestore Timestamp, Date or ISO string)
+ * @param {*} value - Stored value
+ * @returns {Date|null}
+ */
+export const toDate = (value) => {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date for a datetime-local input (local time, not UTC)
+ * @param {Date|null} date - Date to show
+ * @returns {string} YYYY-MM-DDTHH:mm or ''
+ */
+export const toDateTimeInputValue = (date) => {
+    if (!date) return '';
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Get when a student's unique link stops working
+ * @param {Object} student - Student data
+ * @param {Object} config - Graduation config
+ * @returns {Date|null} Null if the link does not expire
+ */
+export const getUploadLinkExpiry = (student, config = {}) => {
+    const dates = [toDate(student.linkExpiresAt), toDate(config.uploadLinkExpiresAt)].filter(Boolean);
+    return dates.length > 0 ? new Date(Math.min(...dates.map(date => date.getTime()))) : null;
+};
+
+/**
+ * Work out what a direct upload link points to
+ * @param {Array<Object>} students - Students of the graduation
+ * @param {string} linkId - Link ID from the URL
+ * @param {Object} config - Graduation config
+ * @returns {{status: 'valid'|'expired'|'replaced'|'switched'|'invalid', student: Object|null, expiresAt: Date|null}}
+ *   'replaced' means the student has a newer link; 'switched' means they now use password (or public) access
+ */
+export const getUploadLinkStatus = (students, linkId, config = {}) => {
+    const current = students.find(student => student.accessType === 'link' && student.uniqueLinkId === linkId);
+    if (current) {
+        const expiresAt = getUploadLinkExpiry(current, config);
+        return { status: expiresAt && expiresAt <= new Date() ? 'expired' : 'valid', student: current, expiresAt };
+    }
+
+    const previous = students.find(student => (student.previousLinkIds || []).includes(linkId));
+    if (previous) {
+        return { status: previous.accessType === 'link' ? 'replaced' : 'switched', student: previous, expiresAt: null };
+    }
+
+    return { status: 'invalid', student: null, expiresAt: null };
+};
+
+export default {
+    toDate,
+    toDateTimeInputValue,
+    getUploadLinkExpiry,
+    getUploadLinkStatus
+};
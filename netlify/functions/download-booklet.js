@@ -1,10 +1,28 @@
 /**
  * Secure Download Handler
  * Validates download permissions and scheduling before allowing booklet downloads
+ * With `?student={uniqueLinkId}` it hands out that student's individual booklet instead
+ * (replaced and expired links are refused, see utils/upload-links.js)
+ *
+ * Files are private on Cloudinary; the response carries a signed URL that expires after
+ * a few minutes. Visitors of a password-protected site must send the session token from
+ * verifySitePassword as X-Site-Session. Signed-in editors (Authorization: Bearer <ID token>)
+ * skip the password and can also fetch `?file=spreads|zip`,
+ * `?version={versionId}` and `?studentExport={studentId}`. Visitor downloads are logged.
+ * `?check=1` runs the same checks without signing a URL or logging a download.
+ * When the booklet can be downloaded is decided by the release rules in utils/download-rules.js.
  */
 
 const admin = require('firebase-admin');
 const rateLimiter = require('./utils/rate-limiter');
+const { getExportsCollection } = require('./utils/booklet-exports');
+const { getVersionsCollection } = require('./utils/booklet-versions');
+const { recordBookletDownload } = require('./utils/booklet-downloads');
+const { getSignedDownloadUrl } = require('./utils/cloudinary');
+const { getEditorAccess } = require('./utils/editor-auth');
+const { verifySiteSessionToken } = require('./utils/site-session');
+const { UPLOAD_LINK_MESSAGES, findUploadLink } = require('./utils/upload-links');
+const { DOWNLOAD_AUDIENCES, getDownloadRules, getDownloadAudience, evaluateDownloadRule } = require('./utils/download-rules');
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -23,12 +41,97 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+const RELEASE_ERRORS = {
+    scheduled: 'Download not yet available',
+    closed: 'Download closed',
+    unavailable: 'Download not available'
+};
+
+const RELEASE_MESSAGES = {
+    scheduled: 'This booklet is not available for download yet.',
+    closed: 'Downloads of this booklet have closed.',
+    unavailable: 'This booklet is not available for download.'
+};
+
+/**
+ * Describe every audience's rule and current status, for the editor's Booklet tab
+ * @param {Object} rules - Result of getDownloadRules
+ * @returns {Array<Object>} [{audience, access, opensAt, closesAt, allowed, reason}]
+ */
+const describeSchedule = (rules) => DOWNLOAD_AUDIENCES.map(audience => {
+    const { allowed, reason } = evaluateDownloadRule(rules[audience]);
+    return {
+        audience,
+        access: rules[audience].access,
+        opensAt: rules[audience].opensAt ? rules[audience].opensAt.toISOString() : null,
+        closesAt: rules[audience].closesAt ? rules[audience].closesAt.toISOString() : null,
+        allowed,
+        reason
+    };
+});
+
+/**
+ * Build the response for an editor-only file
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} gradData - Graduation document data
+ * @param {Object} query - Query parameters {file, version, studentExport}
+ * @param {Object} headers - Response headers
+ * @returns {Promise<Object>} Netlify response
+ */
+const getEditorFileResponse = async (graduationId, gradData, query, headers) => {
+    const baseName = `${gradData.schoolName}-${gradData.graduationYear}`;
+    let fileUrl = null;
+    let filename = null;
+
+    if (query.studentExport) {
+        if (!/^[a-zA-Z0-9]{1,40}$/.test(query.studentExport)) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid student ID' }) };
+        }
+        const exportDoc = await getExportsCollection(db, graduationId).doc(query.studentExport).get();
+        fileUrl = exportDoc.exists ? exportDoc.data().pdfUrl : null;
+        filename = exportDoc.exists ? `${baseName}-${exportDoc.data().studentName}.pdf` : null;
+    } else if (query.version) {
+        if (!/^[a-zA-Z0-9]{1,40}$/.test(query.version)) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid version ID' }) };
+        }
+        const versionDoc = await getVersionsCollection(db, graduationId).doc(query.version).get();
+        const version = versionDoc.exists ? versionDoc.data() : {};
+        fileUrl = query.file === 'spreads' ? version.spreadsUrl : version.bookletUrl;
+        filename = `${baseName}-Booklet${query.file === 'spreads' ? '-Spreads' : ''}-${query.version}.pdf`;
+    } else if (query.file === 'spreads') {
+        fileUrl = gradData.generatedSpreadsUrl;
+        filename = `${baseName}-Booklet-Spreads.pdf`;
+    } else if (query.file === 'zip') {
+        fileUrl = gradData.studentExportsZipUrl;
+        filename = `${baseName}-Student-Booklets.zip`;
+    } else {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Unknown file' }) };
+    }
+
+    if (!fileUrl) {
+        return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'File not available', message: 'This file has not been generated yet or was removed.' })
+        };
+    }
+
+    const { url, expiresAt } = getSignedDownloadUrl(fileUrl);
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, downloadUrl: url, expiresAt, filename })
+    };
+};
+
 exports.handler = async (event, context) => {
     const headers = {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Site-Session',
         'Access-Control-Allow-Methods': 'GET, OPTIONS',
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // Signed URLs expire, so a cached response would hand out a dead link
+        'Cache-Control': 'no-store'
     };
 
     // Handle preflight
@@ -85,9 +188,66 @@ exports.handler = async (event, context) => {
 
         const gradData = gradDoc.data();
         const config = gradData.config || {};
+        const query = event.queryStringParameters || {};
+        const access = await getEditorAccess(event, gradData);
+
+        // Spreads, the exports ZIP, older versions and other students' booklets are for editors only
+        if (query.file || query.version || query.studentExport) {
+            if (!access.isEditor) {
+                return {
+                    statusCode: access.uid ? 403 : 401,
+                    headers,
+                    body: JSON.stringify({ error: access.uid ? 'You do not have access to this project' : 'Sign in to download this file' })
+                };
+            }
+            return await getEditorFileResponse(graduationId, gradData, query, headers);
+        }
+
+        // Individual booklets are requested from the student's direct upload link
+        const studentLinkId = query.student;
+        let studentExport = null;
+        if (studentLinkId) {
+            if (!/^[a-zA-Z0-9_-]{1,100}$/.test(studentLinkId)) {
+                return {
+                    statusCode: 400,
+                    headers,
+                    body: JSON.stringify({ error: 'Invalid student link' })
+                };
+            }
+
+            // Replaced, switched and expired links are answered with why they stopped working
+            const link = await findUploadLink(gradDoc.ref.collection('students'), studentLinkId, config);
+            if (link.status !== 'valid' && link.status !== 'invalid') {
+                return {
+                    statusCode: 403,
+                    headers,
+                    body: JSON.stringify({
+                        error: link.status === 'expired' ? 'Link expired' : 'Link replaced',
+                        reason: 'unavailable',
+                        linkStatus: link.status,
+                        message: UPLOAD_LINK_MESSAGES[link.status]
+                    })
+                };
+            }
+            const exportDoc = link.status === 'valid'
+                ? await getExportsCollection(db, graduationId).doc(link.studentDoc.id).get()
+                : null;
+
+            if (!exportDoc || !exportDoc.exists) {
+                return {
+                    statusCode: 404,
+                    headers,
+                    body: JSON.stringify({
+                        error: 'Booklet not available',
+                        message: 'Your individual booklet has not been created yet.'
+                    })
+                };
+            }
+            studentExport = { ...exportDoc.data(), studentId: exportDoc.id };
+        }
 
         // Check if booklet exists
-        if (!gradData.generatedBookletUrl) {
+        if (!studentExport && !gradData.generatedBookletUrl) {
             return {
                 statusCode: 404,
                 headers,
@@ -98,39 +258,83 @@ exports.handler = async (event, context) => {
             };
         }
 
-        // Check download scheduling
-        if (config.enableDownloadScheduling && config.downloadableAfterDate) {
+        // The student link is its own secret; the class booklet sits behind the site password
+        const sessionToken = event.headers?.['x-site-session'] || event.headers?.['X-Site-Session'];
+        const hasSiteSession = !!config.sitePasswordHash && verifySiteSessionToken(sessionToken, graduationId, config.sitePasswordHash);
+        if (!studentExport && config.sitePasswordHash && !access.isEditor && !hasSiteSession) {
+            console.log(`[Download] Access denied - no valid site session for ${graduationId}`);
+            return {
+                statusCode: 401,
+                headers,
+                body: JSON.stringify({
+                    error: 'Site password required',
+                    message: 'Your session has expired. Reload the page and enter the site password again.'
+                })
+            };
+        }
+
+        // Release rules: each audience has its own opening and closing dates
+        const rules = getDownloadRules(config);
+        const audience = getDownloadAudience({ isEditor: access.isEditor, hasSiteSession, viaStudentLink: !!studentExport });
+        const release = evaluateDownloadRule(rules[audience]);
+        // Editors see every audience's status on the Booklet tab
+        const schedule = access.isEditor ? describeSchedule(rules) : undefined;
+
+        if (!release.allowed) {
+            console.log(`[Download] Access denied for ${audience} - ${release.reason}`);
             const now = new Date();
-            const availableDate = config.downloadableAfterDate.toDate 
-                ? config.downloadableAfterDate.toDate() 
-                : new Date(config.downloadableAfterDate);
+            return {
+                statusCode: 403,
+                headers,
+                body: JSON.stringify({
+                    error: RELEASE_ERRORS[release.reason],
+                    reason: release.reason,
+                    audience,
+                    message: release.reason === 'scheduled' && config.downloadMessage
+                        ? config.downloadMessage
+                        : RELEASE_MESSAGES[release.reason],
+                    availableAt: release.opensAt ? release.opensAt.toISOString() : null,
+                    remainingMilliseconds: release.opensAt ? release.opensAt.getTime() - now.getTime() : null,
+                    closedAt: release.reason === 'closed' ? release.closesAt.toISOString() : null,
+                    schedule
+                })
+            };
+        }
 
-            if (now < availableDate) {
-                console.log(`[Download] Access denied - scheduled for ${availableDate.toISOString()}`);
-                
-                return {
-                    statusCode: 403,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Download not yet available',
-                        message: config.downloadMessage || 'This booklet is not available for download yet.',
-                        availableAt: availableDate.toISOString(),
-                        remainingMilliseconds: availableDate.getTime() - now.getTime()
-                    })
-                };
-            }
+        if (query.check) {
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    success: true,
+                    available: true,
+                    audience,
+                    closesAt: release.closesAt ? release.closesAt.toISOString() : null,
+                    schedule
+                })
+            };
         }
 
-        // All checks passed - return download information
-        console.log(`[Download] Access granted for graduation: ${graduationId}`);
+        // All checks passed - return a signed download URL
+        console.log(`[Download] Access granted for graduation: ${graduationId}${studentExport ? ' (individual booklet)' : ''}${access.isEditor ? ' (editor)' : ''}`);
+        const { url, expiresAt } = getSignedDownloadUrl(studentExport ? studentExport.pdfUrl : gradData.generatedBookletUrl);
+
+        if (!access.isEditor) {
+            await recordBookletDownload(db, graduationId, studentExport
+                ? { kind: 'student', studentId: studentExport.studentId, studentName: studentExport.studentName }
+                : { kind: 'booklet', versionId: gradData.publishedBookletVersionId || null });
+        }
 
         return {
             statusCode: 200,
             headers,
             body: JSON.stringify({
                 success: true,
-                downloadUrl: gradData.generatedBookletUrl,
-                filename: `${gradData.schoolName}-${gradData.graduationYear}-Booklet.pdf`,
+                downloadUrl: url,
+                expiresAt,
+                filename: studentExport
+                    ? `${gradData.schoolName}-${gradData.graduationYear}-${studentExport.studentName}.pdf`
+                    : `${gradData.schoolName}-${gradData.graduationYear}-Booklet.pdf`,
                 schoolName: gradData.schoolName,
                 graduationYear: gradData.graduationYear
             })
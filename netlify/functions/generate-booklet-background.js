@@ -0,0 +1,258 @@
+/**
+ * Netlify Background Function: Generate Booklet Worker
+ * Does the actual download/merge/upload for a booklet job created by generate-booklet.js.
+ * Background functions run for up to 15 minutes and respond 202 to the caller immediately,
+ * so progress is reported through the job document instead of the response.
+ * Preflight jobs run the same checks without building anything and finish with a report;
+ * student export jobs build one PDF per student plus a ZIP instead of the booklet;
+ * proof jobs build a watermarked draft that is shared by link and never published;
+ * makePrivate jobs move booklet files generated before they were private.
+ */
+
+const admin = require('firebase-admin');
+const { MAX_BOOKLET_BYTES, loadBookletSources, getBookletStudents, buildBooklet, getBookletColors } = require('./utils/booklet-builder');
+const { runPreflight } = require('./utils/booklet-preflight');
+const { exportStudentBooklets } = require('./utils/booklet-exports');
+const { createBookletProof } = require('./utils/booklet-proofs');
+const { makeBookletFilesPrivate } = require('./utils/booklet-privacy');
+const { getPrintSettings } = require('./utils/booklet-print');
+const { getCompressionSettings } = require('./utils/booklet-compression');
+const { createSectionCache } = require('./utils/booklet-cache');
+const { PRIVATE_DELIVERY_TYPE, uploadPdfToCloudinary, cleanupReplacedAsset } = require('./utils/cloudinary');
+const { getBookletStats, recordBookletVersion, pruneBookletVersions } = require('./utils/booklet-versions');
+const {
+    JOB_TYPE,
+    getJobsCollection,
+    claimJob,
+    createProgressReporter,
+    startJobHeartbeat,
+    completeJob,
+    failJob
+} = require('./utils/booklet-jobs');
+
+// Initialize Firebase Admin (reuse existing app if already initialized)
+if (!admin.apps.length) {
+    // Decode the Base64 private key
+    const privateKey = process.env.FIREBASE_PRIVATE_BASE_64_KEY
+        ? Buffer.from(process.env.FIREBASE_PRIVATE_BASE_64_KEY, 'base64').toString('utf8')
+        : process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'); // Fallback for old format
+
+    admin.initializeApp({
+        credential: admin.credential.cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+            privateKey: privateKey,
+        }),
+    });
+}
+
+const db = admin.firestore();
+
+exports.handler = async (event) => {
+    let graduationId;
+    let jobId;
+
+    try {
+        ({ graduationId, jobId } = JSON.parse(event.body || '{}'));
+    } catch (parseError) {
+        console.error('[Booklet Worker] Invalid JSON body');
+        return { statusCode: 400 };
+    }
+
+    if (!/^[a-zA-Z0-9_-]{1,50}$/.test(graduationId || '') || !/^[a-zA-Z0-9]{1,40}$/.test(jobId || '')) {
+        console.error('[Booklet Worker] Invalid graduationId or jobId:', { graduationId, jobId });
+        return { statusCode: 400 };
+    }
+
+    // Only queued jobs can be claimed, so a repeated or forged trigger is a no-op
+    const job = await claimJob(db, graduationId, jobId);
+    if (!job) {
+        console.warn(`[Booklet Worker] Job ${jobId} is not queued, ignoring`);
+        return { statusCode: 409 };
+    }
+
+    const jobRef = getJobsCollection(db, graduationId).doc(jobId);
+    const reportProgress = createProgressReporter(jobRef);
+    const stopHeartbeat = startJobHeartbeat(jobRef);
+
+    try {
+        console.log(`[Booklet Worker] Starting job ${jobId} for graduation ${graduationId}`);
+
+        if (job.type === JOB_TYPE.MAKE_PRIVATE) {
+            const { result, warnings } = await makeBookletFilesPrivate(db, graduationId, { onProgress: reportProgress });
+            await completeJob(jobRef, result, { warnings });
+            console.log(`[Booklet Worker] makePrivate ${jobId} completed: ${result.madePrivate} files moved, ${result.failed} failed`);
+            return { statusCode: 200 };
+        }
+
+        const sources = await loadBookletSources(db, graduationId);
+        if (!sources) {
+            throw new Error('Graduation not found');
+        }
+
+        const { customCoverUrl, pageOrder, requestedBy = null, includeClassContent = false, proofExpiresInHours } = job.request || {};
+
+        if (job.type === JOB_TYPE.PREFLIGHT) {
+            const report = await runPreflight(sources, {
+                customCoverUrl,
+                sectionsOrder: pageOrder,
+                onProgress: reportProgress
+            });
+            await completeJob(jobRef, { report });
+            console.log(`[Booklet Worker] Preflight ${jobId} completed: ${report.summary.errors} errors, ${report.summary.warnings} warnings`);
+            return { statusCode: 200 };
+        }
+
+        if (job.type === JOB_TYPE.STUDENT_EXPORTS) {
+            const { result, warnings, skippedStudents } = await exportStudentBooklets(db, graduationId, sources, {
+                includeClassContent,
+                sectionsOrder: pageOrder,
+                jobId,
+                onProgress: reportProgress
+            });
+            await completeJob(jobRef, result, { warnings, skippedStudents });
+            console.log(`[Booklet Worker] Student exports ${jobId} completed: ${result.exportedStudents}/${sources.studentsWithPdfs.length} students`);
+            return { statusCode: 200 };
+        }
+
+        if (getBookletStudents(sources).length === 0) {
+            throw new Error(`No student PDFs found to merge. Found ${sources.totalStudents} students total, but none have uploaded PDFs yet`);
+        }
+
+        // Unchanged student sections are reused from the previous build
+        const sectionCache = await createSectionCache(db, graduationId, {
+            colors: getBookletColors(sources.config),
+            enableStudentCoverPages: !!sources.config.enableStudentCoverPages,
+            fontFamily: sources.config.font || null,
+            pageSize: getPrintSettings(sources.config).pageSize,
+            quality: getCompressionSettings(sources.config).quality
+        });
+
+        // Proofs reuse (and fill) the section cache but leave the published booklet alone
+        if (job.type === JOB_TYPE.PROOF) {
+            const { result, warnings, skippedStudents } = await createBookletProof(db, graduationId, sources, {
+                customCoverUrl,
+                sectionsOrder: pageOrder,
+                sectionCache,
+                expiresInHours: proofExpiresInHours,
+                requestedBy,
+                jobId,
+                onProgress: reportProgress
+            });
+            await sectionCache.flush();
+            await completeJob(jobRef, result, { warnings, skippedStudents });
+            console.log(`[Booklet Worker] Proof ${result.proofId} completed: ${result.pageCount} pages, expires ${result.expiresAt}`);
+            return { statusCode: 200 };
+        }
+
+        const { pdfDoc, spreadPdf, processedCount, placeholderCount, skippedStudents, warnings, contents, compression } = await buildBooklet(sources, {
+            customCoverUrl,
+            sectionsOrder: pageOrder,
+            onProgress: reportProgress,
+            sectionCache
+        });
+
+        const cacheStats = sectionCache.getStats();
+        console.log(`[Booklet Worker] Section cache: ${cacheStats.reused} reused, ${cacheStats.rebuilt} rebuilt`);
+
+        // Generate the final PDF
+        const pdfBytes = await pdfDoc.save();
+        const pageCount = pdfDoc.getPageCount();
+        const pdfSizeMB = (pdfBytes.length / 1024 / 1024).toFixed(2);
+        console.log(`[Booklet Worker] Generated PDF with ${pageCount} pages, size: ${pdfSizeMB}MB`);
+
+        // What the booklet would have weighed without downsampling and deduplication
+        const optimization = {
+            quality: compression.quality,
+            imagesDownsampled: compression.imagesDownsampled,
+            duplicatesRemoved: compression.duplicatesRemoved,
+            sizeBeforeMB: parseFloat(((pdfBytes.length + compression.savedBytes) / 1024 / 1024).toFixed(2)),
+            sizeMB: parseFloat(pdfSizeMB)
+        };
+
+        if (pdfBytes.length > MAX_BOOKLET_BYTES) {
+            throw new Error(`Generated PDF is too large to upload (${pdfSizeMB}MB, ${pageCount} pages)`);
+        }
+
+        await reportProgress({ stage: 'uploading', completed: 1, total: 1, warnings, skippedStudents });
+        // Booklets are private: readers get short-lived signed URLs from download-booklet
+        const privateUpload = { deliveryType: PRIVATE_DELIVERY_TYPE };
+        const bookletUrl = await uploadPdfToCloudinary(pdfBytes, `graduation_booklet_${graduationId}`, 'graduation-booklets', privateUpload);
+
+        // Printer's spreads are only built when imposition is enabled in the print settings
+        let spreadsUrl = null;
+        if (spreadPdf) {
+            const spreadBytes = await spreadPdf.save();
+            console.log(`[Booklet Worker] Generated printer's spreads: ${spreadPdf.getPageCount()} pages, ${(spreadBytes.length / 1024 / 1024).toFixed(2)}MB`);
+            spreadsUrl = await uploadPdfToCloudinary(spreadBytes, `graduation_booklet_spreads_${graduationId}`, 'graduation-booklets', privateUpload);
+        }
+
+        // Older booklets stay available for rollback; their files are removed when they leave the history.
+        // The stats are stored with the version so publishing it again restores them
+        const versionData = {
+            bookletUrl,
+            spreadsUrl,
+            pageCount,
+            sizeMB: parseFloat(pdfSizeMB),
+            sectionCounts: contents.sectionCounts,
+            students: contents.students,
+            skippedStudents,
+            placeholderStudents: placeholderCount,
+            processedStudents: processedCount,
+            totalStudents: sources.studentsWithPdfs.length,
+            reusedSections: cacheStats.reused,
+            sizeBeforeOptimizationMB: optimization.sizeBeforeMB,
+            quality: optimization.quality,
+            warningCount: warnings.length,
+            generatedBy: requestedBy,
+            jobId
+        };
+        const version = await recordBookletVersion(db, graduationId, versionData);
+
+        // A booklet generated before version history existed has no version to roll back to
+        if (!version.diff) {
+            cleanupReplacedAsset(sources.graduationData.generatedBookletUrl, bookletUrl);
+            cleanupReplacedAsset(sources.graduationData.generatedSpreadsUrl, spreadsUrl);
+        }
+
+        const result = {
+            versionId: version.id,
+            bookletUrl,
+            spreadsUrl,
+            pageCount,
+            studentCount: sources.studentsWithPdfs.length,
+            processedStudents: processedCount,
+            placeholderStudents: placeholderCount,
+            reusedSections: cacheStats.reused,
+            sizeMB: parseFloat(pdfSizeMB),
+            optimization
+        };
+
+        await db.collection('graduations').doc(graduationId).update({
+            generatedBookletUrl: bookletUrl,
+            generatedSpreadsUrl: spreadsUrl || admin.firestore.FieldValue.delete(),
+            publishedBookletVersionId: version.id,
+            bookletGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+            bookletStats: getBookletStats(versionData, new Date()),
+            activeBookletJobId: admin.firestore.FieldValue.delete()
+        });
+
+        await pruneBookletVersions(db, graduationId, { versionId: version.id, bookletUrl, spreadsUrl });
+
+        // Make sure freshly built sections are cached before the function exits
+        await sectionCache.flush();
+        await sectionCache.prune(sources.studentsWithPdfs);
+
+        await completeJob(jobRef, result, { warnings, skippedStudents });
+        console.log(`[Booklet Worker] Job ${jobId} completed: ${processedCount}/${sources.studentsWithPdfs.length} students`);
+
+        return { statusCode: 200 };
+
+    } catch (error) {
+        console.error(`[Booklet Worker] Job ${jobId} failed:`, error);
+        await failJob(jobRef, error.message);
+        return { statusCode: 500 };
+    } finally {
+        stopHeartbeat();
+    }
+};
@@ -0,0 +1,160 @@
+/**
+ * Netlify Function: Preview Booklet Cover
+ * Renders just the generated cover page for a template so editors can compare
+ * templates on the Booklet tab without building the whole booklet.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const rateLimiter = require('./utils/rate-limiter');
+const { loadBookletSources, getBookletColors } = require('./utils/booklet-builder');
+const { loadBookletFonts } = require('./utils/booklet-fonts');
+const { COVER_TEMPLATES, createCoverPage } = require('./utils/booklet-covers');
+const { getPrintSettings } = require('./utils/booklet-print');
+
+// Initialize Firebase Admin (server-side)
+const admin = require('firebase-admin');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    // Decode the Base64 private key
+    const privateKey = process.env.FIREBASE_PRIVATE_BASE_64_KEY
+        ? Buffer.from(process.env.FIREBASE_PRIVATE_BASE_64_KEY, 'base64').toString('utf8')
+        : process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'); // Fallback for old format
+
+    admin.initializeApp({
+        credential: admin.credential.cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+            privateKey: privateKey,
+        }),
+    });
+}
+
+const db = admin.firestore();
+
+exports.handler = async (event, context) => {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'X-XSS-Protection': '1; mode=block',
+        'Referrer-Policy': 'strict-origin-when-cross-origin',
+        'Content-Security-Policy': "default-src 'self'"
+    };
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: '',
+        };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' }),
+        };
+    }
+
+    // Previews are cheap compared to a full booklet but still download images
+    const clientIP = rateLimiter.getClientIP(event);
+    const rateLimitCheck = rateLimiter.check(clientIP, {
+        maxAttempts: 10,
+        windowMs: 60 * 1000,
+        action: 'cover preview'
+    });
+
+    if (!rateLimitCheck.allowed) {
+        console.warn(`[Rate Limit] ${clientIP} exceeded cover preview limit`);
+        return rateLimiter.createRateLimitResponse(rateLimitCheck);
+    }
+
+    try {
+        let requestData;
+        try {
+            requestData = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid JSON in request body' }),
+            };
+        }
+
+        const { graduationId, template } = requestData;
+
+        if (!graduationId || typeof graduationId !== 'string' || !/^[a-zA-Z0-9_-]{1,50}$/.test(graduationId)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid graduationId format' }),
+            };
+        }
+
+        if (!COVER_TEMPLATES.includes(template)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({
+                    error: 'Invalid cover template',
+                    message: `template must be one of: ${COVER_TEMPLATES.join(', ')}`
+                }),
+            };
+        }
+
+        const sources = await loadBookletSources(db, graduationId);
+        if (!sources) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ error: 'Graduation not found' }),
+            };
+        }
+
+        const { graduationData, config, studentsWithPdfs } = sources;
+        const pdfDoc = await PDFDocument.create();
+        const fonts = await loadBookletFonts(pdfDoc, config.font, graduationData.schoolName || '');
+        const issues = [];
+
+        await createCoverPage(pdfDoc, template, {
+            graduationData,
+            config,
+            students: studentsWithPdfs,
+            colors: getBookletColors(config),
+            fonts,
+            issues,
+            pageSize: getPrintSettings(config).dimensions
+        });
+
+        const pdfBytes = await pdfDoc.save();
+        console.log(`[Cover Preview] Rendered "${template}" cover for ${graduationId} (${issues.length} issues)`);
+
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                template,
+                pdfBase64: Buffer.from(pdfBytes).toString('base64'),
+                warnings: issues
+            }),
+        };
+
+    } catch (error) {
+        console.error('[Cover Preview] Error:', error);
+
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Cover preview failed',
+                message: error.message,
+            }),
+        };
+    }
+};
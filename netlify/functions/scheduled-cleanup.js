@@ -5,8 +5,7 @@
  */
 
 const admin = require('firebase-admin');
-const https = require('https');
-const { URL } = require('url');
+const { parsePrivateCloudinaryUrl, extractCloudinaryPublicId, deleteFromCloudinary } = require('./utils/cloudinary');
 
 // Initialize Firebase Admin (reuse existing app if already initialized)
 if (!admin.apps.length) {
@@ -28,94 +27,30 @@ const db = admin.firestore();
 
 /**
  * Delete a Cloudinary asset by URL
+ * Private files (booklets, exports, proofs, cached sections) keep their signature segment
+ * and extension in the URL, so they are parsed with the shared helper
  * @param {string} assetUrl - Full Cloudinary URL
- * @param {string} cloudName - Cloudinary cloud name
- * @param {string} apiKey - Cloudinary API key
- * @param {string} apiSecret - Cloudinary API secret
  * @returns {Promise<boolean>} Success status
  */
-async function deleteCloudinaryAsset(assetUrl, cloudName, apiKey, apiSecret) {
-    if (!assetUrl || !cloudName || !apiKey || !apiSecret) {
+async function deleteCloudinaryAsset(assetUrl) {
+    if (!assetUrl || !process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
         console.log('Skipping Cloudinary deletion - missing credentials or URL');
         return false;
     }
 
-    try {
-        // Extract public_id from Cloudinary URL
-        // Format: https://res.cloudinary.com/{cloud_name}/{resource_type}/upload/{transformations}/{public_id}.{format}
-        const urlObj = new URL(assetUrl);
-        const pathParts = urlObj.pathname.split('/');
-        
-        // Find 'upload' index and get everything after it
-        const uploadIndex = pathParts.indexOf('upload');
-        if (uploadIndex === -1) {
-            console.warn('Invalid Cloudinary URL format:', assetUrl);
-            return false;
-        }
-        
-        // Get public_id (everything after upload/, removing file extension)
-        const publicIdWithExt = pathParts.slice(uploadIndex + 1).join('/');
-        const publicId = publicIdWithExt.replace(/\.[^/.]+$/, ''); // Remove extension
-        
-        // Determine resource type (image or raw for PDFs)
-        const resourceType = assetUrl.includes('/image/') ? 'image' : 'raw';
-        
-        console.log(`Deleting Cloudinary asset: ${publicId} (type: ${resourceType})`);
-        
-        // Generate timestamp
-        const timestamp = Math.round(Date.now() / 1000);
-        
-        // Create signature for authentication
-        const crypto = require('crypto');
-        const stringToSign = `public_id=${publicId}&timestamp=${timestamp}${apiSecret}`;
-        const signature = crypto.createHash('sha1').update(stringToSign).digest('hex');
-        
-        // Make DELETE request to Cloudinary Admin API
-        const deleteUrl = `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/destroy`;
-        
-        return new Promise((resolve, reject) => {
-            const postData = new URLSearchParams({
-                public_id: publicId,
-                timestamp: timestamp,
-                api_key: apiKey,
-                signature: signature
-            }).toString();
-            
-            const options = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Content-Length': Buffer.byteLength(postData)
-                }
-            };
-            
-            const req = https.request(deleteUrl, options, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    if (res.statusCode === 200) {
-                        console.log(`✓ Deleted Cloudinary asset: ${publicId}`);
-                        resolve(true);
-                    } else {
-                        console.warn(`Failed to delete ${publicId}: ${res.statusCode} ${data}`);
-                        resolve(false);
-                    }
-                });
-            });
-            
-            req.on('error', (error) => {
-                console.error(`Error deleting Cloudinary asset ${publicId}:`, error.message);
-                resolve(false);
-            });
-            
-            req.write(postData);
-            req.end();
-        });
-        
-    } catch (error) {
-        console.error('Error processing Cloudinary URL:', assetUrl, error.message);
+    const privateAsset = parsePrivateCloudinaryUrl(assetUrl);
+    if (privateAsset) {
+        return deleteFromCloudinary(privateAsset.publicId, privateAsset.resourceType, privateAsset.deliveryType);
+    }
+
+    const publicId = extractCloudinaryPublicId(assetUrl);
+    if (!publicId) {
+        console.warn('Invalid Cloudinary URL format:', assetUrl);
         return false;
     }
+
+    // Determine resource type (image or raw for PDFs)
+    return deleteFromCloudinary(publicId, assetUrl.includes('/image/') ? 'image' : 'raw');
 }
 
 /**
@@ -174,12 +109,6 @@ async function deleteGraduationProject(gradId, gradData) {
     console.log(`Created: ${gradData.createdAt?.toDate?.()?.toISOString() || 'Unknown'}`);
     
     const errors = [];
-    const cloudinaryConfig = {
-        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-        apiKey: process.env.CLOUDINARY_API_KEY,
-        apiSecret: process.env.CLOUDINARY_API_SECRET
-    };
-    
     try {
         // Step 1: Delete students subcollection and their PDFs
         console.log('Step 1: Deleting students and their PDFs...');
@@ -189,12 +118,7 @@ async function deleteGraduationProject(gradId, gradData) {
         for (const studentDoc of studentsSnapshot.docs) {
             const student = studentDoc.data();
             if (student.profilePdfUrl) {
-                await deleteCloudinaryAsset(
-                    student.profilePdfUrl,
-                    cloudinaryConfig.cloudName,
-                    cloudinaryConfig.apiKey,
-                    cloudinaryConfig.apiSecret
-                );
+                await deleteCloudinaryAsset(student.profilePdfUrl);
                 studentPdfCount++;
             }
         }
@@ -207,24 +131,65 @@ async function deleteGraduationProject(gradId, gradData) {
         const deletedPages = await deleteSubcollection(gradId, 'contentPages');
         console.log(`✓ Deleted ${deletedPages} content pages`);
         
+        const deletedJobs = await deleteSubcollection(gradId, 'bookletJobs');
+        console.log(`✓ Deleted ${deletedJobs} booklet jobs`);
+        
+        // Cached booklet sections are separate Cloudinary files
+        const sectionsSnapshot = await db.collection('graduations').doc(gradId).collection('bookletSections').get();
+        for (const sectionDoc of sectionsSnapshot.docs) {
+            await deleteCloudinaryAsset(sectionDoc.data().sectionUrl);
+        }
+        const deletedSections = await deleteSubcollection(gradId, 'bookletSections');
+        console.log(`✓ Deleted ${deletedSections} cached booklet sections`);
+        
+        // Earlier booklet versions keep their own files (the published one is deleted in Step 3)
+        const versionsSnapshot = await db.collection('graduations').doc(gradId).collection('booklets').get();
+        for (const versionDoc of versionsSnapshot.docs) {
+            const { bookletUrl, spreadsUrl } = versionDoc.data();
+            for (const url of [bookletUrl, spreadsUrl]) {
+                if (url && url !== gradData.generatedBookletUrl && url !== gradData.generatedSpreadsUrl) {
+                    await deleteCloudinaryAsset(url);
+                }
+            }
+        }
+        const deletedVersions = await deleteSubcollection(gradId, 'booklets');
+        console.log(`✓ Deleted ${deletedVersions} booklet versions`);
+        
+        const exportsSnapshot = await db.collection('graduations').doc(gradId).collection('studentExports').get();
+        for (const exportDoc of exportsSnapshot.docs) {
+            await deleteCloudinaryAsset(exportDoc.data().pdfUrl);
+        }
+        const deletedExports = await deleteSubcollection(gradId, 'studentExports');
+        console.log(`✓ Deleted ${deletedExports} individual student booklets`);
+
+        const proofsSnapshot = await db.collection('graduations').doc(gradId).collection('bookletProofs').get();
+        for (const proofDoc of proofsSnapshot.docs) {
+            await deleteCloudinaryAsset(proofDoc.data().pdfUrl);
+        }
+        const deletedProofs = await deleteSubcollection(gradId, 'bookletProofs');
+        console.log(`✓ Deleted ${deletedProofs} booklet proofs`);
+        
+        const deletedDownloads = await deleteSubcollection(gradId, 'bookletDownloads');
+        console.log(`✓ Deleted ${deletedDownloads} download log entries`);
+        
+        const deletedAnalytics = await deleteSubcollection(gradId, 'analyticsDaily');
+        console.log(`✓ Deleted ${deletedAnalytics} days of site analytics`);
+        
         // Step 3: Delete Cloudinary assets from config
         console.log('Step 3: Deleting project assets...');
         const config = gradData.config || {};
         const assetsToDelete = [
             { name: 'School Logo', url: config.schoolLogoUrl },
             { name: 'Custom Cover', url: config.customCoverUrl },
-            { name: 'Generated Booklet', url: gradData.generatedBookletUrl }
+            { name: 'Generated Booklet', url: gradData.generatedBookletUrl },
+            { name: "Printer's Spreads", url: gradData.generatedSpreadsUrl },
+            { name: 'Student Booklets ZIP', url: gradData.studentExportsZipUrl }
         ];
         
         let deletedAssets = 0;
         for (const asset of assetsToDelete) {
             if (asset.url) {
-                const success = await deleteCloudinaryAsset(
-                    asset.url,
-                    cloudinaryConfig.cloudName,
-                    cloudinaryConfig.apiKey,
-                    cloudinaryConfig.apiSecret
-                );
+                const success = await deleteCloudinaryAsset(asset.url);
                 if (success) {
                     deletedAssets++;
                     console.log(`✓ Deleted ${asset.name}`);
@@ -276,12 +241,6 @@ async function processPendingAssetDeletions() {
         failed: 0
     };
     
-    const cloudinaryConfig = {
-        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-        apiKey: process.env.CLOUDINARY_API_KEY,
-        apiSecret: process.env.CLOUDINARY_API_SECRET
-    };
-    
     try {
         // Get all pending deletions (batch of 100)
         const pendingSnapshot = await db.collection('assetsPendingDeletion')
@@ -301,12 +260,7 @@ async function processPendingAssetDeletions() {
             const asset = doc.data();
             
             try {
-                const success = await deleteCloudinaryAsset(
-                    asset.url,
-                    cloudinaryConfig.cloudName,
-                    cloudinaryConfig.apiKey,
-                    cloudinaryConfig.apiSecret
-                );
+                const success = await deleteCloudinaryAsset(asset.url);
                 
                 if (success) {
                     results.deleted++;
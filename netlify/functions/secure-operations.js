@@ -1,6 +1,13 @@
 const admin = require('firebase-admin');
 const crypto = require('crypto');
 const rateLimiter = require('./utils/rate-limiter');
+const { createSiteSessionToken } = require('./utils/site-session');
+const { getEditorAccess } = require('./utils/editor-auth');
+const { hashPassword, verifyPassword } = require('./utils/password-hash');
+const { generateStudentPassword } = require('./utils/student-passwords');
+const { UPLOAD_LINK_MESSAGES, findUploadLink, validateStudentUpload } = require('./utils/upload-links');
+const { extractCloudinaryPublicId } = require('./utils/cloudinary');
+const { publishBookletVersion } = require('./utils/booklet-versions');
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -20,17 +27,165 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
-// Secure password hashing using Node.js crypto
-const hashPassword = (password) => {
-    const salt = crypto.randomBytes(32).toString('hex');
-    const hash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-    return `${salt}:${hash}`;
+// Optional roster fields accepted by createStudentsBatch (from the Students tab import)
+const ROSTER_FIELD_MAX_LENGTH = 50;
+
+/**
+ * Validate the optional roster fields of one student
+ * @param {Object} student - Row from the request
+ * @returns {{fields: Object, error: string|null}} Cleaned fields to store, or the first problem found
+ */
+const validateRosterFields = (student) => {
+    const fields = {};
+
+    if (student.studentNumber !== undefined && student.studentNumber !== '') {
+        const studentNumber = String(student.studentNumber).trim();
+        if (studentNumber.length > ROSTER_FIELD_MAX_LENGTH || !/^[a-zA-Z0-9._\/ -]+$/.test(studentNumber)) {
+            return { fields, error: 'Invalid student number' };
+        }
+        fields.studentNumber = studentNumber;
+    }
+
+    for (const key of ['className', 'homeroom']) {
+        if (student[key] === undefined || student[key] === '') continue;
+        const value = String(student[key]).replace(/<[^>]*>/g, '').trim();
+        if (value.length > ROSTER_FIELD_MAX_LENGTH) {
+            return { fields, error: `${key === 'className' ? 'Class' : 'Homeroom'} must be at most ${ROSTER_FIELD_MAX_LENGTH} characters` };
+        }
+        if (value) fields[key] = value;
+    }
+
+    if (student.parentEmail !== undefined && student.parentEmail !== '') {
+        const parentEmail = String(student.parentEmail).trim().toLowerCase();
+        if (parentEmail.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(parentEmail)) {
+            return { fields, error: 'Invalid parent email' };
+        }
+        fields.parentEmail = parentEmail;
+    }
+
+    return { fields, error: null };
 };
 
-const verifyPassword = (password, storedHash) => {
-    const [salt, hash] = storedHash.split(':');
-    const verifyHash = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-    return hash === verifyHash;
+// Most students accepted by one createStudentsBatch call (a transaction allows 500 writes)
+const MAX_BATCH_STUDENTS = 200;
+// Password students are hashed one by one: 50 scrypt hashes take about 3s on one core, 200 take 12s
+const MAX_PASSWORD_BATCH_STUDENTS = 50;
+
+/**
+ * Create students in one transaction so concurrent adds never share an order value
+ * Orders continue after the highest existing one; the graduation document is written
+ * in the same transaction, which makes overlapping batches retry instead of interleaving
+ * @param {string} graduationId - The graduation ID
+ * @param {Array<{name: string, fields?: Object}>} rows - Validated students, with optional roster fields
+ * @param {string} accessType - 'public', 'password' or 'link' for every student
+ * @returns {Promise<Array<{studentId, name, order, uniqueLinkId, generatedPassword}>>}
+ */
+const createStudents = async (graduationId, rows, accessType) => {
+    const graduationRef = db.collection('graduations').doc(graduationId);
+    const studentsRef = graduationRef.collection('students');
+
+    // Hash outside the transaction so a retry doesn't hash everything again
+    const passwords = accessType === 'password'
+        ? await Promise.all(rows.map(async () => {
+            const password = generateStudentPassword();
+            return { password, hash: await hashPassword(password) };
+        }))
+        : [];
+
+    return db.runTransaction(async (transaction) => {
+        await transaction.get(graduationRef);
+        const lastStudent = await transaction.get(studentsRef.orderBy('order', 'desc').limit(1));
+        const firstOrder = lastStudent.empty ? 0 : (lastStudent.docs[0].data().order || 0) + 1;
+
+        const created = rows.map((row, index) => {
+            const studentRef = studentsRef.doc();
+            const studentData = {
+                ...row.fields,
+                name: row.name,
+                accessType: accessType,
+                profilePdfUrl: null,
+                order: firstOrder + index, // Add order field for drag-and-drop sorting
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            };
+
+            let generatedPassword = null;
+            if (accessType === 'link') {
+                studentData.uniqueLinkId = crypto.randomUUID();
+            } else if (accessType === 'password') {
+                // Only the hash is stored; the password is returned once for the teacher to hand out
+                generatedPassword = passwords[index].password;
+                studentData.passwordHash = passwords[index].hash;
+            }
+
+            transaction.set(studentRef, studentData);
+            return {
+                studentId: studentRef.id,
+                name: row.name,
+                order: studentData.order,
+                uniqueLinkId: studentData.uniqueLinkId || null,
+                generatedPassword,
+            };
+        });
+
+        transaction.update(graduationRef, { updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        return created;
+    });
+};
+
+/**
+ * Build the update that gives a student new access: a fresh unique link, or a new password
+ * The link being replaced is kept in previousLinkIds so opening it can say it was replaced
+ * @param {Object} student - Current student data
+ * @param {string} accessType - 'link' or 'password'
+ * @returns {Promise<{update: Object, uniqueLinkId: string|null, password: string|null}>}
+ */
+const buildAccessUpdate = async (student, accessType) => {
+    const { FieldValue } = admin.firestore;
+    const update = {
+        accessType,
+        linkExpiresAt: FieldValue.delete(),
+        passwordPlain: FieldValue.delete(),
+        updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (student.uniqueLinkId) {
+        update.previousLinkIds = FieldValue.arrayUnion(student.uniqueLinkId);
+    }
+
+    if (accessType === 'link') {
+        const uniqueLinkId = crypto.randomUUID();
+        update.uniqueLinkId = uniqueLinkId;
+        update.passwordHash = FieldValue.delete();
+        return { update, uniqueLinkId, password: null };
+    }
+
+    const password = generateStudentPassword();
+    update.passwordHash = await hashPassword(password);
+    update.uniqueLinkId = FieldValue.delete();
+    return { update, uniqueLinkId: null, password };
+};
+
+/**
+ * Check a student's direct upload link before signing or saving an upload
+ * The browser runs the same check to pick a page, but only this one is enforced
+ * @param {FirebaseFirestore.DocumentSnapshot} graduationDoc - Graduation document
+ * @param {string} linkId - Link ID from the request
+ * @returns {Promise<{studentDoc: Object|null, statusCode: number, error: string|null, linkStatus: string}>}
+ */
+const checkUploadLink = async (graduationDoc, linkId) => {
+    if (typeof linkId !== 'string' || !/^[a-zA-Z0-9_-]{1,100}$/.test(linkId)) {
+        return { studentDoc: null, statusCode: 400, error: 'Invalid upload link', linkStatus: 'invalid' };
+    }
+
+    const gradData = graduationDoc.data();
+    if (gradData.isLocked === true) {
+        return { studentDoc: null, statusCode: 403, error: 'The teacher has closed submissions for this project', linkStatus: 'locked' };
+    }
+
+    const { status, studentDoc } = await findUploadLink(graduationDoc.ref.collection('students'), linkId, gradData.config || {});
+    if (status !== 'valid') {
+        return { studentDoc: null, statusCode: status === 'invalid' ? 404 : 403, error: UPLOAD_LINK_MESSAGES[status], linkStatus: status };
+    }
+    return { studentDoc, statusCode: 200, error: null, linkStatus: status };
 };
 
 // Input validation and sanitization
@@ -86,7 +241,7 @@ exports.handler = async (event, context) => {
     }
 
     try {
-        const { action, graduationId, studentName, accessType, password } = JSON.parse(event.body);
+        const { action, graduationId, accessType } = JSON.parse(event.body);
         
         // Get client IP for rate limiting
         const clientIP = rateLimiter.getClientIP(event);
@@ -97,9 +252,17 @@ exports.handler = async (event, context) => {
         if (action === 'verifyPassword' || action === 'verifySitePassword') {
             // Stricter limit for password attempts
             rateLimitConfig = { maxAttempts: 5, windowMs: 60 * 1000, action: 'password verification' };
-        } else if (action === 'createStudent') {
-            // Moderate limit for student creation
-            rateLimitConfig = { maxAttempts: 20, windowMs: 60 * 1000, action: 'student creation' };
+        } else if (action === 'createStudentsBatch') {
+            // Each call adds a whole class
+            rateLimitConfig = { maxAttempts: 10, windowMs: 60 * 1000, action: 'batch student creation' };
+        } else if (action === 'resetStudentPassword') {
+            rateLimitConfig = { maxAttempts: 30, windowMs: 60 * 1000, action: 'password reset' };
+        } else if (action === 'rotateStudentLink' || action === 'setStudentAccessType') {
+            // Editors may work through a whole class, one student at a time
+            rateLimitConfig = { maxAttempts: 30, windowMs: 60 * 1000, action: 'student access change' };
+        } else if (action === 'saveStudentUpload') {
+            // A student saves a PDF, photos and a speech from one page
+            rateLimitConfig = { maxAttempts: 20, windowMs: 60 * 1000, action: 'student upload' };
         }
         
         // Check rate limit
@@ -120,7 +283,7 @@ exports.handler = async (event, context) => {
         }
 
         // Input validation
-        const validation = validateInput({ studentName, graduationId, accessType });
+        const validation = validateInput({ graduationId, accessType });
         if (!validation.isValid) {
             return {
                 statusCode: 400,
@@ -140,56 +303,68 @@ exports.handler = async (event, context) => {
         }
 
         switch (action) {
-            case 'createStudent':
-                if (!studentName || !accessType) {
+            case 'createStudentsBatch': {
+                // Adding a class is an editor action: require the editor's Firebase ID token
+                const access = await getEditorAccess(event, graduationDoc.data());
+                if (!access.isEditor) {
                     return {
-                        statusCode: 400,
+                        statusCode: access.uid ? 403 : 401,
                         headers,
-                        body: JSON.stringify({ error: 'Missing student name or access type' }),
+                        body: JSON.stringify({ error: access.uid ? 'You do not have access to this project' : 'Sign in to add students' }),
                     };
                 }
 
-                // Get current student count to determine order
-                const studentsSnapshot = await db.collection('graduations').doc(graduationId).collection('students').get();
-                const currentCount = studentsSnapshot.size;
-                console.log(`[createStudent] Current student count: ${currentCount}, new student will have order: ${currentCount}`);
-
-                const studentData = {
-                    name: validation.sanitizedData.studentName,
-                    accessType: accessType,
-                    profilePdfUrl: null,
-                    order: currentCount, // Add order field for drag-and-drop sorting
-                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                };
+                const { students } = JSON.parse(event.body);
+                if (!Array.isArray(students) || students.length === 0 || !accessType) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Missing students or access type' }),
+                    };
+                }
+                const maxStudents = accessType === 'password' ? MAX_PASSWORD_BATCH_STUDENTS : MAX_BATCH_STUDENTS;
+                if (students.length > maxStudents) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: `At most ${maxStudents} students can be added at once` }),
+                    };
+                }
 
-                if (accessType === 'link') {
-                    studentData.uniqueLinkId = crypto.randomUUID();
-                } else if (accessType === 'password') {
-                    if (!password || password.length < 4) {
-                        return {
-                            statusCode: 400,
-                            headers,
-                            body: JSON.stringify({ error: 'Password must be at least 4 characters' }),
-                        };
+                // Validate every row; invalid rows are reported without stopping the others
+                const results = students.map((student, index) => {
+                    const name = typeof student?.name === 'string' ? student.name : '';
+                    const rowValidation = validateInput({ studentName: name });
+                    if (!rowValidation.sanitizedData.studentName || !rowValidation.isValid) {
+                        return { index, name, success: false, error: rowValidation.errors[0] || 'Student name is required' };
                     }
-                    // Generate secure hash on server and store plain password for teacher display
-                    studentData.passwordHash = hashPassword(password);
-                    studentData.passwordPlain = password; // Store for teacher to see
-                }
+                    const { fields, error } = validateRosterFields(student);
+                    if (error) {
+                        return { index, name, success: false, error };
+                    }
+                    return { index, name: rowValidation.sanitizedData.studentName, success: true, fields };
+                });
+
+                const validRows = results.filter(result => result.success);
+                const createdStudents = validRows.length > 0 ? await createStudents(graduationId, validRows, accessType) : [];
+                validRows.forEach((result, i) => {
+                    delete result.fields;
+                    Object.assign(result, createdStudents[i]);
+                });
+
+                console.log(`[createStudentsBatch] Created ${createdStudents.length} of ${students.length} students for ${graduationId}`);
 
-                const studentRef = await db.collection('graduations').doc(graduationId).collection('students').add(studentData);
-                console.log(`[createStudent] Successfully created student ${studentRef.id} with name: ${studentName}, order: ${studentData.order}`);
-                
                 return {
                     statusCode: 200,
                     headers,
                     body: JSON.stringify({
                         success: true,
-                        studentId: studentRef.id,
-                        uniqueLinkId: studentData.uniqueLinkId,
-                        generatedPassword: accessType === 'password' ? password : null,
+                        created: createdStudents.length,
+                        failed: results.length - createdStudents.length,
+                        results,
                     }),
                 };
+            }
 
             case 'verifyPassword':
                 const { studentId, passwordToVerify } = JSON.parse(event.body);
@@ -222,13 +397,19 @@ exports.handler = async (event, context) => {
                     };
                 }
 
-                const isValidPassword = verifyPassword(passwordToVerify, student.passwordHash);
+                const { isValid: isValidPassword, needsRehash } = await verifyPassword(passwordToVerify, student.passwordHash);
                 
                 // Reset rate limit on successful password verification
                 if (isValidPassword) {
                     rateLimiter.reset(clientIP);
                 }
                 
+                // Move hashes from before the scrypt switch onto the current scheme
+                if (needsRehash) {
+                    await studentDoc.ref.update({ passwordHash: await hashPassword(passwordToVerify) });
+                    console.log(`[verifyPassword] Upgraded password hash for student ${studentId}`);
+                }
+                
                 return {
                     statusCode: 200,
                     headers,
@@ -238,7 +419,184 @@ exports.handler = async (event, context) => {
                     }),
                 };
 
-            case 'getCloudinarySignature':
+            case 'resetStudentPassword': {
+                // Only editors can replace a student's password
+                const access = await getEditorAccess(event, graduationDoc.data());
+                if (!access.isEditor) {
+                    return {
+                        statusCode: access.uid ? 403 : 401,
+                        headers,
+                        body: JSON.stringify({ error: access.uid ? 'You do not have access to this project' : 'Sign in to reset passwords' }),
+                    };
+                }
+
+                const { studentId: resetStudentId } = JSON.parse(event.body);
+                if (!resetStudentId || !/^[a-zA-Z0-9_-]+$/.test(resetStudentId)) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Missing student ID' }),
+                    };
+                }
+
+                const resetStudentRef = db.collection('graduations').doc(graduationId).collection('students').doc(resetStudentId);
+                const resetStudentDoc = await resetStudentRef.get();
+                if (!resetStudentDoc.exists) {
+                    return {
+                        statusCode: 404,
+                        headers,
+                        body: JSON.stringify({ error: 'Student not found' }),
+                    };
+                }
+                if (resetStudentDoc.data().accessType !== 'password') {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Student does not use password access' }),
+                    };
+                }
+
+                // The new password is only ever returned in this response
+                const newPassword = generateStudentPassword();
+                await resetStudentRef.update({
+                    passwordHash: await hashPassword(newPassword),
+                    passwordPlain: admin.firestore.FieldValue.delete(),
+                    passwordResetAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+
+                console.log(`[resetStudentPassword] ${access.uid} reset the password of student ${resetStudentId} in ${graduationId}`);
+
+                return {
+                    statusCode: 200,
+                    headers,
+                    body: JSON.stringify({
+                        success: true,
+                        studentId: resetStudentId,
+                        password: newPassword,
+                    }),
+                };
+            }
+
+            case 'rotateStudentLink':
+            case 'setStudentAccessType': {
+                // Replacing a link or switching access is an editor action
+                const access = await getEditorAccess(event, graduationDoc.data());
+                if (!access.isEditor) {
+                    return {
+                        statusCode: access.uid ? 403 : 401,
+                        headers,
+                        body: JSON.stringify({ error: access.uid ? 'You do not have access to this project' : 'Sign in to change student access' }),
+                    };
+                }
+
+                const { studentId: accessStudentId } = JSON.parse(event.body);
+                if (!accessStudentId || !/^[a-zA-Z0-9_-]+$/.test(accessStudentId)) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Missing student ID' }),
+                    };
+                }
+
+                const accessStudentRef = db.collection('graduations').doc(graduationId).collection('students').doc(accessStudentId);
+                const accessStudentDoc = await accessStudentRef.get();
+                if (!accessStudentDoc.exists) {
+                    return {
+                        statusCode: 404,
+                        headers,
+                        body: JSON.stringify({ error: 'Student not found' }),
+                    };
+                }
+                const currentAccessType = accessStudentDoc.data().accessType;
+
+                // Rotation keeps link access; a switch must change it to link or password
+                const newAccessType = action === 'rotateStudentLink' ? 'link' : accessType;
+                if (action === 'rotateStudentLink' && currentAccessType !== 'link') {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Student does not use a unique link' }),
+                    };
+                }
+                if (action === 'setStudentAccessType' && (!['link', 'password'].includes(newAccessType) || newAccessType === currentAccessType)) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Choose link or password access different from the current one' }),
+                    };
+                }
+
+                const { update, uniqueLinkId, password: newAccessPassword } = await buildAccessUpdate(accessStudentDoc.data(), newAccessType);
+                await accessStudentRef.update(update);
+
+                console.log(`[${action}] ${access.uid} changed student ${accessStudentId} in ${graduationId} from ${currentAccessType} to ${newAccessType}`);
+
+                return {
+                    statusCode: 200,
+                    headers,
+                    body: JSON.stringify({
+                        success: true,
+                        studentId: accessStudentId,
+                        accessType: newAccessType,
+                        uniqueLinkId,
+                        password: newAccessPassword,
+                    }),
+                };
+            }
+
+            case 'publishBookletVersion': {
+                // Rolling back the booklet is an editor action; the version is read from this graduation only
+                const publishAccess = await getEditorAccess(event, graduationDoc.data());
+                if (!publishAccess.isEditor) {
+                    return {
+                        statusCode: publishAccess.uid ? 403 : 401,
+                        headers,
+                        body: JSON.stringify({ error: publishAccess.uid ? 'You do not have access to this project' : 'Sign in to publish a booklet version' }),
+                    };
+                }
+
+                const { versionId } = JSON.parse(event.body);
+                if (!versionId || !/^[a-zA-Z0-9]{1,40}$/.test(versionId)) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: 'Missing version ID' }),
+                    };
+                }
+
+                if (!await publishBookletVersion(db, graduationId, versionId)) {
+                    return {
+                        statusCode: 404,
+                        headers,
+                        body: JSON.stringify({ error: 'Booklet version not found' }),
+                    };
+                }
+
+                console.log(`[publishBookletVersion] ${publishAccess.uid} published version ${versionId} of ${graduationId}`);
+
+                return {
+                    statusCode: 200,
+                    headers,
+                    body: JSON.stringify({ success: true, versionId }),
+                };
+            }
+
+            case 'getCloudinarySignature': {
+                // Editors can always upload; students only through a link that still works
+                const { linkId: signatureLinkId } = JSON.parse(event.body);
+                const signatureAccess = await getEditorAccess(event, graduationDoc.data());
+                if (!signatureAccess.isEditor) {
+                    const link = await checkUploadLink(graduationDoc, signatureLinkId);
+                    if (link.error) {
+                        return {
+                            statusCode: link.statusCode,
+                            headers,
+                            body: JSON.stringify({ error: link.error, linkStatus: link.linkStatus }),
+                        };
+                    }
+                }
+
                 // Generate a signed upload signature for Cloudinary
                 // Using type=upload (public) instead of authenticated to avoid download authorization issues
                 const timestamp = Math.floor(Date.now() / 1000);
@@ -264,8 +622,73 @@ exports.handler = async (event, context) => {
                         cloudName: process.env.CLOUDINARY_CLOUD_NAME,
                     }),
                 };
+            }
+
+            case 'saveStudentUpload': {
+                // Saves what a student uploaded from their direct link (PDF, photos, speech)
+                const { linkId: uploadLinkId, updates: studentUpdates } = JSON.parse(event.body);
+                const link = await checkUploadLink(graduationDoc, uploadLinkId);
+                if (link.error) {
+                    return {
+                        statusCode: link.statusCode,
+                        headers,
+                        body: JSON.stringify({ error: link.error, linkStatus: link.linkStatus }),
+                    };
+                }
+
+                const { fields, error: uploadError } = validateStudentUpload(studentUpdates, graduationDoc.data().config || {});
+                if (uploadError) {
+                    return {
+                        statusCode: 400,
+                        headers,
+                        body: JSON.stringify({ error: uploadError }),
+                    };
+                }
+
+                // Replaced files go to the same cleanup queue the editor uses
+                const currentStudent = link.studentDoc.data();
+                const replacedUrls = Object.keys(fields)
+                    .filter(key => key !== 'graduationSpeech' && currentStudent[key] && currentStudent[key] !== fields[key])
+                    .map(key => ({ url: currentStudent[key], publicId: extractCloudinaryPublicId(currentStudent[key]) }))
+                    .filter(asset => asset.publicId);
+
+                const uploadBatch = db.batch();
+                uploadBatch.update(link.studentDoc.ref, { ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+                replacedUrls.forEach(({ url, publicId }) => {
+                    uploadBatch.set(db.collection('assetsPendingDeletion').doc(), {
+                        url,
+                        publicId,
+                        context: 'student-upload-link',
+                        markedAt: admin.firestore.FieldValue.serverTimestamp(),
+                        status: 'pending',
+                    });
+                });
+                await uploadBatch.commit();
+
+                console.log(`[saveStudentUpload] Student ${link.studentDoc.id} in ${graduationId} saved ${Object.keys(fields).join(', ')}`);
+
+                return {
+                    statusCode: 200,
+                    headers,
+                    body: JSON.stringify({
+                        success: true,
+                        studentId: link.studentDoc.id,
+                        saved: Object.keys(fields),
+                    }),
+                };
+            }
+
+            case 'setSitePassword': {
+                // Only editors can change who may view the site
+                const access = await getEditorAccess(event, graduationDoc.data());
+                if (!access.isEditor) {
+                    return {
+                        statusCode: access.uid ? 403 : 401,
+                        headers,
+                        body: JSON.stringify({ error: access.uid ? 'You do not have access to this project' : 'Sign in to set the site password' }),
+                    };
+                }
 
-            case 'setSitePassword':
                 const { plainPassword } = JSON.parse(event.body);
                 
                 if (!plainPassword) {
@@ -285,7 +708,7 @@ exports.handler = async (event, context) => {
                 }
                 
                 // Generate secure hash for site password
-                const sitePasswordHash = hashPassword(plainPassword);
+                const sitePasswordHash = await hashPassword(plainPassword);
                 
                 // Update graduation config with the hash
                 await db.collection('graduations').doc(graduationId).update({
@@ -293,7 +716,7 @@ exports.handler = async (event, context) => {
                     'config.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
                 });
                 
-                console.log(`Site password set for graduation ${graduationId}`);
+                console.log(`[setSitePassword] ${access.uid} set the site password for ${graduationId}`);
                 
                 return {
                     statusCode: 200,
@@ -303,6 +726,7 @@ exports.handler = async (event, context) => {
                         message: 'Site password set successfully',
                     }),
                 };
+            }
 
             case 'verifySitePassword':
                 const { passwordToVerifySite } = JSON.parse(event.body);
@@ -327,7 +751,7 @@ exports.handler = async (event, context) => {
                 }
                 
                 const gradData = gradDoc.data();
-                const storedHash = gradData?.config?.sitePasswordHash;
+                let storedHash = gradData?.config?.sitePasswordHash;
                 
                 if (!storedHash) {
                     return {
@@ -338,21 +762,33 @@ exports.handler = async (event, context) => {
                 }
                 
                 // Verify the password
-                const isValidSitePassword = verifyPassword(passwordToVerifySite, storedHash);
+                const { isValid: isValidSitePassword, needsRehash: siteNeedsRehash } = await verifyPassword(passwordToVerifySite, storedHash);
                 
                 // Reset rate limit on successful site password verification
                 if (isValidSitePassword) {
                     rateLimiter.reset(clientIP);
                 }
                 
+                // Upgrade an old hash; the session below is bound to the new one
+                if (siteNeedsRehash) {
+                    storedHash = await hashPassword(passwordToVerifySite);
+                    await gradDoc.ref.update({ 'config.sitePasswordHash': storedHash });
+                    console.log(`Site password hash upgraded for graduation ${graduationId}`);
+                }
+                
                 console.log(`Site password verification for graduation ${graduationId}: ${isValidSitePassword ? 'success' : 'failed'}`);
                 
+                // The session token lets download-booklet check the password was entered
+                const siteSession = isValidSitePassword ? createSiteSessionToken(graduationId, storedHash) : null;
+                
                 return {
                     statusCode: 200,
                     headers,
                     body: JSON.stringify({
                         success: true,
                         isValid: isValidSitePassword,
+                        sessionToken: siteSession?.token || null,
+                        sessionExpiresAt: siteSession?.expiresAt || null,
                     }),
                 };
 
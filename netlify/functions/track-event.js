@@ -0,0 +1,121 @@
+/**
+ * Analytics Event Handler
+ * Counts anonymous events from the public graduation site: page views, section views
+ * and profile PDF opens (see utils/analytics.js). Nothing identifying the visitor is stored.
+ * On a password-protected site only visitors with a valid site session are counted.
+ */
+
+const admin = require('firebase-admin');
+const rateLimiter = require('./utils/rate-limiter');
+const { ANALYTICS_SECTIONS, recordAnalyticsEvent } = require('./utils/analytics');
+const { verifySiteSessionToken } = require('./utils/site-session');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    const privateKey = process.env.FIREBASE_PRIVATE_BASE_64_KEY
+        ? Buffer.from(process.env.FIREBASE_PRIVATE_BASE_64_KEY, 'base64').toString('utf8')
+        : process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    admin.initializeApp({
+        credential: admin.credential.cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+            privateKey: privateKey,
+        }),
+    });
+}
+
+const db = admin.firestore();
+
+// Downloads are counted by download-booklet itself, so the public site can only send these
+const PUBLIC_EVENT_TYPES = ['pageView', 'sectionView', 'profileOpen'];
+
+const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Site-Session',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+};
+
+exports.handler = async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    if (event.httpMethod !== 'POST') {
+        return {
+            statusCode: 405,
+            headers,
+            body: JSON.stringify({ error: 'Method not allowed' })
+        };
+    }
+
+    const clientIP = rateLimiter.getClientIP(event);
+    const rateLimitCheck = rateLimiter.check(clientIP, {
+        maxAttempts: 60, // 60 events per minute
+        windowMs: 60 * 1000,
+        action: 'analytics event'
+    });
+
+    if (!rateLimitCheck.allowed) {
+        return rateLimiter.createRateLimitResponse(rateLimitCheck);
+    }
+
+    try {
+        const { graduationId, type, section, studentId } = JSON.parse(event.body || '{}');
+
+        if (!/^[a-zA-Z0-9_-]{1,50}$/.test(graduationId || '') || !PUBLIC_EVENT_TYPES.includes(type)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid event' })
+            };
+        }
+        if (type === 'sectionView' && !ANALYTICS_SECTIONS.includes(section)) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid section' })
+            };
+        }
+        if (type === 'profileOpen' && !/^[a-zA-Z0-9]{1,40}$/.test(studentId || '')) {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Invalid student ID' })
+            };
+        }
+
+        const gradRef = db.collection('graduations').doc(graduationId);
+        const [gradDoc, studentDoc] = await Promise.all([
+            gradRef.get(),
+            type === 'profileOpen' ? gradRef.collection('students').doc(studentId).get() : null
+        ]);
+
+        if (!gradDoc.exists || (studentDoc && !studentDoc.exists)) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ error: 'Not found' })
+            };
+        }
+
+        const sitePasswordHash = gradDoc.data().config?.sitePasswordHash;
+        const sessionToken = event.headers?.['x-site-session'] || event.headers?.['X-Site-Session'];
+        if (sitePasswordHash && !verifySiteSessionToken(sessionToken, graduationId, sitePasswordHash)) {
+            // Not an error for the visitor; the event just isn't counted
+            return { statusCode: 204, headers, body: '' };
+        }
+
+        await recordAnalyticsEvent(db, graduationId, { type, section, studentId });
+        return { statusCode: 204, headers, body: '' };
+
+    } catch (error) {
+        console.error('[Analytics] Error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: 'Failed to record event' })
+        };
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Site analytics
+ * Anonymous counters for the public graduation site, kept per UTC day at
+ * graduations/{gradId}/analyticsDaily/{YYYY-MM-DD}_{shard}. Only counts are stored: no IP addresses,
+ * user agents, cookies or visitor IDs, and nothing is sent to a third party.
+ * Each event increments one of ANALYTICS_SHARDS documents for the day, picked at random, because a
+ * single document only sustains about one write per second; readers add up every document with the
+ * same `day` field.
+ * Events come from track-event.js (public view) and download-booklet.js (downloads).
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Event type -> counter field it increments
+const ANALYTICS_EVENTS = {
+    pageView: 'pageViews',
+    sectionView: 'sectionViews',
+    profileOpen: 'profileOpens',
+    bookletDownload: 'downloads.booklet',
+    studentBookletDownload: 'downloads.studentBooklets'
+};
+
+// Documents per day that events are spread over (~10 writes/sec before writes contend)
+const ANALYTICS_SHARDS = 10;
+
+// Matches PAGE_SECTIONS in js/handlers/content-handlers.js
+const ANALYTICS_SECTIONS = ['students', 'messages', 'speeches', 'gallery', 'awards', 'signatures'];
+
+/**
+ * Get the analyticsDaily collection for a graduation
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+const getAnalyticsCollection = (db, graduationId) =>
+    db.collection('graduations').doc(graduationId).collection('analyticsDaily');
+
+/**
+ * Day key for an event (UTC, so every visitor's events land on the same calendar)
+ * @param {Date} [date] - Event time
+ * @returns {string} YYYY-MM-DD
+ */
+const getAnalyticsDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Count an event in one of today's analytics documents
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} event - {type, section, studentId}; section is required for sectionView, studentId for profileOpen
+ * @returns {Promise<void>}
+ */
+const recordAnalyticsEvent = async (db, graduationId, { type, section = null, studentId = null }) => {
+    const counter = ANALYTICS_EVENTS[type];
+    if (!counter) {
+        throw new Error(`Unknown analytics event: ${type}`);
+    }
+
+    const increment = admin.firestore.FieldValue.increment(1);
+    const day = getAnalyticsDay();
+    const counters = {};
+
+    if (type === 'sectionView') {
+        counters.sectionViews = { [section]: increment };
+    } else if (counter.includes('.')) {
+        const [group, field] = counter.split('.');
+        counters[group] = { [field]: increment };
+    } else {
+        counters[counter] = increment;
+    }
+    if (type === 'profileOpen' && studentId) {
+        counters.studentViews = { [studentId]: increment };
+    }
+
+    // merge: true creates the shard's document on its first event and nests the maps
+    const shard = crypto.randomInt(ANALYTICS_SHARDS);
+    await getAnalyticsCollection(db, graduationId).doc(`${day}_${shard}`).set({
+        day,
+        shard,
+        ...counters,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+};
+
+module.exports = {
+    ANALYTICS_EVENTS,
+    ANALYTICS_SECTIONS,
+    ANALYTICS_SHARDS,
+    getAnalyticsCollection,
+    getAnalyticsDay,
+    recordAnalyticsEvent
+};
@@ -0,0 +1,300 @@
+/**
+ * Booklet accessibility
+ * Document metadata and a tagged structure tree for the pages the generator draws,
+ * so screen readers get a title, a language, headings, paragraphs and image
+ * descriptions in reading order. Drawing code wraps what it draws in tagContent
+ * (or markArtifact for decoration); finishStructure writes the tree once every
+ * page is in place. Uploaded student PDFs are copied without their own structure.
+ */
+
+const {
+    PDFName,
+    PDFNumber,
+    PDFString,
+    PDFHexString,
+    PDFDict,
+    PDFArray,
+    PDFNull,
+    PDFOperator,
+    PDFOperatorNames,
+    beginMarkedContent,
+    endMarkedContent
+} = require('pdf-lib');
+
+const DEFAULT_LANGUAGE = 'en-US';
+
+// PDFDocument -> {elements, nextMcid: Map<PDFRef, number>}
+const documentStructures = new WeakMap();
+
+const getStructureState = (pdfDoc) => {
+    if (!documentStructures.has(pdfDoc)) {
+        documentStructures.set(pdfDoc, { elements: [], nextMcid: new Map() });
+    }
+    return documentStructures.get(pdfDoc);
+};
+
+/**
+ * Metadata for a graduation's booklet
+ * @param {Object} graduationData - Graduation document data (schoolName, graduationYear)
+ * @param {Object} [overrides] - Replacement fields, e.g. {title, subject} for a student's own PDF
+ * @returns {Object} {title, author, subject, keywords, language}
+ */
+const getBookletMetadata = (graduationData = {}, overrides = {}) => {
+    const schoolName = graduationData.schoolName || 'Graduation';
+    const classYear = graduationData.graduationYear ? `Class of ${graduationData.graduationYear}` : '';
+
+    return {
+        title: [schoolName, classYear, 'Graduation Booklet'].filter(Boolean).join(' - '),
+        author: schoolName,
+        subject: 'Graduation booklet with student profiles, messages and speeches',
+        keywords: ['graduation', 'yearbook', schoolName, classYear].filter(Boolean),
+        language: DEFAULT_LANGUAGE,
+        ...overrides
+    };
+};
+
+/**
+ * Set the document information and catalog entries screen readers announce
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {Object} metadata - Result of getBookletMetadata
+ */
+const setDocumentMetadata = (pdfDoc, { title, author, subject, keywords = [], language = DEFAULT_LANGUAGE }) => {
+    // Viewers show the title instead of the file name
+    pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+    pdfDoc.setAuthor(author);
+    pdfDoc.setSubject(subject);
+    pdfDoc.setKeywords(keywords);
+    pdfDoc.setLanguage(language);
+    pdfDoc.setCreator('Graduation Creator');
+};
+
+/**
+ * Create a structure element; content is attached to it with markContent
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {string} type - Standard structure type (H1, H2, P, Figure, TOC, TOCI...)
+ * @param {Object} [options]
+ * @param {string} [options.alt] - Alternate description (required for Figure)
+ * @param {Object} [options.parent] - Parent element; top-level elements follow page order
+ * @returns {Object} The element
+ */
+const createStructureElement = (pdfDoc, type, { alt = null, parent = null } = {}) => {
+    const element = { type, alt, parent, children: [], kids: [] };
+    if (parent) {
+        parent.children.push(element);
+    } else {
+        getStructureState(pdfDoc).elements.push(element);
+    }
+    return element;
+};
+
+/**
+ * Draw content as part of a structure element
+ * @param {PDFPage} page - Page being drawn on
+ * @param {Object} element - From createStructureElement
+ * @param {Function} draw - Synchronous drawing callback
+ * @returns {*} Whatever draw returns
+ */
+const markContent = (page, element, draw) => {
+    const state = getStructureState(page.doc);
+    const mcid = state.nextMcid.get(page.ref) || 0;
+    state.nextMcid.set(page.ref, mcid + 1);
+
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+        PDFName.of(element.type),
+        page.doc.context.obj({ MCID: mcid })
+    ]));
+    try {
+        return draw();
+    } finally {
+        page.pushOperators(endMarkedContent());
+        element.kids.push({ pageRef: page.ref, mcid });
+    }
+};
+
+/**
+ * Draw content as a new structure element
+ * @param {PDFPage} page - Page being drawn on
+ * @param {string} type - Structure type
+ * @param {Function} draw - Synchronous drawing callback
+ * @param {Object} [options] - {alt, parent} (see createStructureElement)
+ * @returns {*} Whatever draw returns
+ */
+const tagContent = (page, type, draw, options) =>
+    markContent(page, createStructureElement(page.doc, type, options), draw);
+
+/**
+ * Draw decoration (rules, frames, footers) that screen readers should skip
+ * @param {PDFPage} page - Page being drawn on
+ * @param {Function} draw - Synchronous drawing callback
+ * @param {string} [artifactType] - 'Pagination' for page numbers, headers and footers
+ * @returns {*} Whatever draw returns
+ */
+const markArtifact = (page, draw, artifactType = null) => {
+    page.pushOperators(artifactType
+        ? PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+            PDFName.of('Artifact'),
+            page.doc.context.obj({ Type: artifactType })
+        ])
+        : beginMarkedContent('Artifact'));
+    try {
+        return draw();
+    } finally {
+        page.pushOperators(endMarkedContent());
+    }
+};
+
+/**
+ * Recreate the structure of copied pages (e.g. a student section with a cover page)
+ * Reads the source's written structure tree (see finishStructure), so it works for
+ * sections loaded back from the cache as well as freshly built ones
+ * @param {PDFDocument} pdfDoc - The document the pages were copied into
+ * @param {PDFDocument} sourceDoc - The document they were copied from
+ * @param {Array<PDFPage>} copiedPages - Result of copyPages for every source page, in order
+ */
+const importStructure = (pdfDoc, sourceDoc, copiedPages) => {
+    const structTreeRoot = sourceDoc.catalog.lookup(PDFName.of('StructTreeRoot'));
+    if (!structTreeRoot) return;
+
+    const state = getStructureState(pdfDoc);
+    const sourcePages = sourceDoc.getPages();
+    const pageRefs = new Map(sourcePages.map((page, index) => [page.ref, copiedPages[index]?.ref]));
+
+    const addKid = (element, pageRef, mcid) => {
+        const targetRef = pageRefs.get(pageRef);
+        if (!targetRef) return;
+        element.kids.push({ pageRef: targetRef, mcid });
+        state.nextMcid.set(targetRef, Math.max(state.nextMcid.get(targetRef) || 0, mcid + 1));
+    };
+
+    // element is null while walking the root and the Document element, whose children become top-level
+    const importKids = (dict, element) => {
+        const elementPage = dict.get(PDFName.of('Pg'));
+        const kids = dict.lookup(PDFName.of('K'));
+        const kidList = kids instanceof PDFArray ? kids.asArray() : (kids ? [kids] : []);
+
+        kidList.forEach(kid => {
+            const value = sourceDoc.context.lookup(kid);
+            if (value instanceof PDFNumber) {
+                if (element) addKid(element, elementPage, value.asNumber());
+            } else if (value instanceof PDFDict && value.lookup(PDFName.of('Type')) === PDFName.of('MCR')) {
+                if (element) addKid(element, value.get(PDFName.of('Pg')), value.lookup(PDFName.of('MCID')).asNumber());
+            } else if (value instanceof PDFDict && value.lookup(PDFName.of('S')) instanceof PDFName) {
+                const type = value.lookup(PDFName.of('S')).decodeText();
+                if (type === 'Document' && !element) {
+                    importKids(value, null);
+                    return;
+                }
+                const alt = value.lookup(PDFName.of('Alt'));
+                importKids(value, createStructureElement(pdfDoc, type, {
+                    alt: alt instanceof PDFString || alt instanceof PDFHexString ? alt.decodeText() : null,
+                    parent: element
+                }));
+            }
+        });
+    };
+
+    importKids(structTreeRoot, null);
+};
+
+/**
+ * Write the structure tree, marked-content flag and language into the document
+ * Top-level elements are ordered by the page they start on, so pages moved after
+ * drawing (the ToC) still read in page order
+ * @param {PDFDocument} pdfDoc - The document, with every page in its final position
+ * @param {Object} [options]
+ * @param {string} [options.language] - Document language (BCP 47)
+ * @returns {number} Number of structure elements written
+ */
+const finishStructure = (pdfDoc, { language = DEFAULT_LANGUAGE } = {}) => {
+    const { context, catalog } = pdfDoc;
+    const state = getStructureState(pdfDoc);
+    const pages = pdfDoc.getPages();
+    const pageIndexes = new Map(pages.map((page, index) => [page.ref, index]));
+
+    // Drop content on pages that were removed and elements left empty
+    const prune = (element) => {
+        element.kids = element.kids.filter(kid => pageIndexes.has(kid.pageRef));
+        element.children = element.children.filter(prune);
+        return element.kids.length > 0 || element.children.length > 0;
+    };
+    const firstPage = (element) => Math.min(
+        ...element.kids.map(kid => pageIndexes.get(kid.pageRef)),
+        ...element.children.map(firstPage)
+    );
+    const elements = state.elements
+        .filter(prune)
+        .map((element, order) => ({ element, order, page: firstPage(element) }))
+        .sort((a, b) => a.page - b.page || a.order - b.order)
+        .map(({ element }) => element);
+
+    // Copied pages may still point into their original document's parent tree
+    pages.forEach(page => page.node.delete(PDFName.of('StructParents')));
+    if (elements.length === 0) return 0;
+
+    const rootRef = context.nextRef();
+    const documentRef = context.nextRef();
+    const parentTree = new Map(); // page ref -> [element ref by MCID]
+    let elementCount = 0;
+
+    const writeElement = (element, parentRef) => {
+        const ref = context.nextRef();
+        const pageRef = element.kids[0]?.pageRef || null;
+        const kids = element.kids.map(kid => {
+            if (!parentTree.has(kid.pageRef)) parentTree.set(kid.pageRef, []);
+            parentTree.get(kid.pageRef)[kid.mcid] = ref;
+            return kid.pageRef === pageRef
+                ? PDFNumber.of(kid.mcid)
+                : context.obj({ Type: 'MCR', Pg: kid.pageRef, MCID: kid.mcid });
+        });
+        const children = element.children.map(child => writeElement(child, ref));
+
+        const dict = context.obj({ Type: 'StructElem', S: element.type, P: parentRef });
+        if (pageRef) dict.set(PDFName.of('Pg'), pageRef);
+        dict.set(PDFName.of('K'), context.obj([...kids, ...children]));
+        if (element.alt) dict.set(PDFName.of('Alt'), PDFHexString.fromText(element.alt));
+
+        context.assign(ref, dict);
+        elementCount++;
+        return ref;
+    };
+
+    const topLevelRefs = elements.map(element => writeElement(element, documentRef));
+    context.assign(documentRef, context.obj({ Type: 'StructElem', S: 'Document', P: rootRef, K: topLevelRefs }));
+
+    // Number tree from each page's StructParents key to the elements owning its MCIDs
+    const nums = [];
+    pages.forEach(page => {
+        const owners = parentTree.get(page.ref);
+        if (!owners) return;
+
+        const key = nums.length / 2;
+        page.node.set(PDFName.of('StructParents'), PDFNumber.of(key));
+        page.node.set(PDFName.of('Tabs'), PDFName.of('S'));
+        nums.push(PDFNumber.of(key), context.register(context.obj(Array.from(owners, owner => owner || PDFNull))));
+    });
+
+    context.assign(rootRef, context.obj({
+        Type: 'StructTreeRoot',
+        K: documentRef,
+        ParentTree: context.register(context.obj({ Nums: nums })),
+        ParentTreeNextKey: nums.length / 2
+    }));
+
+    catalog.set(PDFName.of('StructTreeRoot'), rootRef);
+    catalog.set(PDFName.of('MarkInfo'), context.obj({ Marked: true }));
+    pdfDoc.setLanguage(language);
+
+    return elementCount;
+};
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    getBookletMetadata,
+    setDocumentMetadata,
+    createStructureElement,
+    markContent,
+    tagContent,
+    markArtifact,
+    importStructure,
+    finishStructure
+};
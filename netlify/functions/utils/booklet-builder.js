@@ -0,0 +1,687 @@
+/**
+ * Booklet builder
+ * Loads graduation data from Firestore and assembles the class booklet PDF.
+ * Shared by the generate-booklet request handler (validation) and the
+ * generate-booklet-background worker (the actual merge).
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const fetch = require('node-fetch');
+const { optimizeCloudinaryPdfUrl } = require('./cloudinary');
+const {
+    paginateTocEntries,
+    createTocPages,
+    createStudentCoverPage,
+    createStudentPlaceholderPage,
+    createSectionTitlePage,
+    addContentPage
+} = require('./booklet-pages');
+const { getDecorationSettings, stampPageDecorations, stampProofWatermark } = require('./booklet-decorations');
+const { addOutline } = require('./booklet-navigation');
+const { loadBookletFonts } = require('./booklet-fonts');
+const { createCoverPage } = require('./booklet-covers');
+const { CLASS_SECTION_TITLES, getGalleryStudents, getClassAwards, addClassSection } = require('./booklet-sections');
+const { getPrintSettings, normalizePageSizes, finishForPrint } = require('./booklet-print');
+const { getCompressionSettings, compressPdf } = require('./booklet-compression');
+const { getBookletMetadata, setDocumentMetadata, importStructure, finishStructure } = require('./booklet-accessibility');
+
+const DEFAULT_SECTIONS_ORDER = ['students', 'messages', 'speeches'];
+// Every section type config.pageOrder can hold; gallery, awards and signatures are drawn by booklet-sections.js
+const BOOKLET_SECTIONS = [...DEFAULT_SECTIONS_ORDER, ...Object.keys(CLASS_SECTION_TITLES)];
+const MAX_STUDENT_PDF_BYTES = 50 * 1024 * 1024; // 50MB per student PDF
+const MAX_STUDENT_PDF_PAGES = 50;
+const PDF_FETCH_TIMEOUT_MS = 30000;
+const MAX_BOOKLET_BYTES = 100 * 1024 * 1024; // Largest booklet the worker will upload
+
+// What to do with students who haven't uploaded a PDF (config.missingPdfStudents):
+// leave them out, draw a profile page from their photos and speech, or a "coming soon" page
+const MISSING_PDF_MODES = ['omit', 'profile', 'placeholder'];
+
+/**
+ * Parse a hex color into pdf-lib 0-1 RGB components
+ * @param {string} hex - Hex color (e.g. #4F46E5)
+ * @returns {{r: number, g: number, b: number}}
+ */
+const hexToRgb = (hex) => {
+    if (!hex) return { r: 0, g: 0, b: 0 };
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+        r: parseInt(result[1], 16) / 255,
+        g: parseInt(result[2], 16) / 255,
+        b: parseInt(result[3], 16) / 255
+    } : { r: 0, g: 0, b: 0 };
+};
+
+/**
+ * Get booklet colors from graduation config with defaults
+ * @param {Object} config - Graduation config
+ * @returns {Object} Color scheme {primaryColor, secondaryColor, textColor}
+ */
+const getBookletColors = (config = {}) => ({
+    primaryColor: hexToRgb(config.primaryColor || '#4F46E5'), // indigo-600
+    secondaryColor: hexToRgb(config.secondaryColor || '#6B7280'), // gray-500
+    textColor: hexToRgb(config.textColor || '#1F2937') // gray-800
+});
+
+/**
+ * Load everything needed to build a booklet for a graduation
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {Promise<Object|null>} {graduationData, config, contentPages, studentsWithPdfs, studentsWithoutPdfs, totalStudents} or null if not found
+ */
+const loadBookletSources = async (db, graduationId) => {
+    const graduationRef = db.collection('graduations').doc(graduationId);
+    const graduationDoc = await graduationRef.get();
+    if (!graduationDoc.exists) {
+        return null;
+    }
+
+    const graduationData = graduationDoc.data();
+    const config = graduationData.config || {};
+
+    // Fetch content pages (messages, speeches, etc.) sorted by creation date
+    const contentPagesSnapshot = await graduationRef.collection('contentPages').get();
+    const contentPages = contentPagesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    contentPages.sort((a, b) => {
+        const dateA = a.createdAt ? new Date(a.createdAt) : new Date(0);
+        const dateB = b.createdAt ? new Date(b.createdAt) : new Date(0);
+        return dateA - dateB;
+    });
+
+    // Fetch students with PDFs
+    const studentsSnapshot = await graduationRef.collection('students').get();
+    const studentsWithPdfs = [];
+    const studentsWithoutPdfs = []; // Left out of the booklet; listed by the preflight report
+
+    studentsSnapshot.forEach(doc => {
+        const student = doc.data();
+        if (student.profilePdfUrl) {
+            studentsWithPdfs.push({
+                id: doc.id,
+                name: student.name,
+                pdfUrl: student.profilePdfUrl,
+                order: student.order !== undefined ? student.order : 999999, // Default to end if no order
+                // Include cover page fields
+                coverPhotoBeforeUrl: student.coverPhotoBeforeUrl || null,
+                coverPhotoAfterUrl: student.coverPhotoAfterUrl || null,
+                graduationSpeech: student.graduationSpeech || null
+            });
+        } else {
+            studentsWithoutPdfs.push({
+                id: doc.id,
+                name: student.name,
+                order: student.order !== undefined ? student.order : 999999,
+                // Used for the generated profile page (config.missingPdfStudents)
+                coverPhotoBeforeUrl: student.coverPhotoBeforeUrl || null,
+                coverPhotoAfterUrl: student.coverPhotoAfterUrl || null,
+                graduationSpeech: student.graduationSpeech || null
+            });
+        }
+    });
+
+    // Sort students by their order field to maintain drag-and-drop order
+    studentsWithPdfs.sort((a, b) => a.order - b.order);
+    studentsWithoutPdfs.sort((a, b) => a.order - b.order);
+
+    console.log(`Found ${studentsSnapshot.size} total students, ${studentsWithPdfs.length} with PDFs, ${contentPages.length} content pages`);
+
+    return {
+        graduationData,
+        config,
+        contentPages,
+        studentsWithPdfs,
+        studentsWithoutPdfs,
+        totalStudents: studentsSnapshot.size
+    };
+};
+
+/**
+ * Read how students without a PDF are handled
+ * @param {Object} config - Graduation config
+ * @returns {string} One of MISSING_PDF_MODES
+ */
+const getMissingPdfMode = (config = {}) =>
+    MISSING_PDF_MODES.includes(config.missingPdfStudents) ? config.missingPdfStudents : 'omit';
+
+/**
+ * Students that appear in the booklet, in the configured order
+ * Students without a PDF are included (without pdfUrl) unless config.missingPdfStudents is 'omit'
+ * @param {Object} sources - Result of loadBookletSources
+ * @returns {Array<Object>}
+ */
+const getBookletStudents = ({ config, studentsWithPdfs, studentsWithoutPdfs = [] }) => {
+    if (getMissingPdfMode(config) === 'omit') {
+        return studentsWithPdfs;
+    }
+    return [...studentsWithPdfs, ...studentsWithoutPdfs].sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Pick the content pages that go into the booklet
+ * Video pages are web-only; messages and speeches can be hidden in Settings
+ * @param {Array<Object>} contentPages - All content pages
+ * @param {Object} config - Graduation config
+ * @returns {{messagePages: Array<Object>, speechPages: Array<Object>}}
+ */
+const getBookletContentPages = (contentPages, config = {}) => ({
+    messagePages: config.showMessages !== false
+        ? contentPages.filter(p => (p.type === 'thanks' || p.type === 'memory') && !p.videoUrl)
+        : [],
+    speechPages: config.showSpeeches !== false
+        ? contentPages.filter(p => (p.type === 'speech' || p.type === 'text') && !p.videoUrl)
+        : []
+});
+
+/**
+ * Download a student's profile PDF and check it looks like a PDF
+ * Tries the Cloudinary-optimized URL first and falls back to the original
+ * @param {Object} student - Student with name and pdfUrl
+ * @param {Object} [compression] - Result of getCompressionSettings; picks the Cloudinary quality level
+ * @returns {Promise<ArrayBuffer>} The file contents
+ * @throws {Error} With a human-readable reason when the file cannot be used
+ */
+const downloadStudentPdf = async (student, compression = getCompressionSettings()) => {
+    const pdfUrl = student.pdfUrl;
+    const optimizedUrl = optimizeCloudinaryPdfUrl(pdfUrl, compression.cloudinaryQuality);
+    const requestOptions = (signal) => ({
+        signal,
+        headers: {
+            'User-Agent': 'Graduation-Creator-Bot/1.0'
+        }
+    });
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PDF_FETCH_TIMEOUT_MS);
+
+    let response = null;
+    try {
+        try {
+            response = await fetch(optimizedUrl, requestOptions(controller.signal));
+            if (!response.ok) {
+                console.log(`[PDF Processing] Optimized fetch failed (${response.status}) for ${student.name}, falling back to original`);
+                response = null;
+            }
+        } catch (optimizedError) {
+            console.log(`[PDF Processing] Optimized fetch error for ${student.name}: ${optimizedError.message}, falling back to original`);
+            response = null;
+        }
+
+        // Fallback to original URL if optimized failed
+        if (!response) {
+            response = await fetch(pdfUrl, requestOptions(controller.signal));
+        }
+    } catch (fetchError) {
+        throw new Error(fetchError.name === 'AbortError' ? 'download timed out' : `download failed (${fetchError.message})`);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+        const errorText = await response.text().catch(() => '');
+        console.error(`[PDF Processing] Error response body for ${student.name}: ${errorText.substring(0, 500)}`);
+        throw new Error(`download failed (${response.status} ${response.statusText})`);
+    }
+
+    // Check file size (limit per student PDF)
+    const contentLength = response.headers.get('content-length');
+    if (contentLength && parseInt(contentLength) > MAX_STUDENT_PDF_BYTES) {
+        throw new Error(`file is too large (${(parseInt(contentLength) / 1024 / 1024).toFixed(1)}MB)`);
+    }
+
+    const pdfBuffer = await response.arrayBuffer();
+
+    // Check minimum PDF size (should be at least 1KB for valid PDF)
+    if (pdfBuffer.byteLength < 1024) {
+        throw new Error(pdfBuffer.byteLength === 0 ? 'file is empty' : `file is too small (${pdfBuffer.byteLength} bytes)`);
+    }
+
+    // Validate PDF header (should start with "%PDF-")
+    const headerString = String.fromCharCode(...new Uint8Array(pdfBuffer.slice(0, 5)));
+    if (!headerString.startsWith('%PDF-')) {
+        throw new Error('file is not a valid PDF');
+    }
+
+    return pdfBuffer;
+};
+
+/**
+ * Parse a downloaded student PDF and check its page count
+ * @param {ArrayBuffer} pdfBuffer - Result of downloadStudentPdf
+ * @returns {Promise<PDFDocument>} The loaded student PDF
+ * @throws {Error} With a human-readable reason when the PDF cannot be used
+ */
+const parseStudentPdf = async (pdfBuffer) => {
+    let studentPdf;
+    try {
+        studentPdf = await PDFDocument.load(pdfBuffer, {
+            ignoreEncryption: true, // Try to handle encrypted PDFs
+            throwOnInvalidObject: false // Be lenient with minor PDF errors
+        });
+    } catch (loadError) {
+        throw new Error(`PDF could not be read (${loadError.message})`);
+    }
+
+    const pageCount = studentPdf.getPageCount();
+    if (pageCount === 0) {
+        throw new Error('PDF has no pages');
+    }
+    if (pageCount > MAX_STUDENT_PDF_PAGES) {
+        throw new Error(`PDF has too many pages (${pageCount}, max ${MAX_STUDENT_PDF_PAGES})`);
+    }
+
+    return studentPdf;
+};
+
+/**
+ * Download and validate a student's profile PDF
+ * @param {Object} student - Student with name and pdfUrl
+ * @param {Object} [compression] - Result of getCompressionSettings
+ * @returns {Promise<PDFDocument>} The loaded student PDF
+ * @throws {Error} With a human-readable reason when the PDF cannot be used
+ */
+const fetchStudentPdf = async (student, compression) => parseStudentPdf(await downloadStudentPdf(student, compression));
+
+/**
+ * Render one student's booklet section: optional cover page followed by their profile pages
+ * @param {Object} student - Student with pdfUrl and cover page fields
+ * @param {Object} config - Graduation config
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @returns {Promise<Object>} {sectionPdf, issues, compression} - issues lists non-fatal problems (e.g. a missing photo);
+ *   compression is the result of compressPdf for the section
+ * @throws {Error} If the student's profile PDF cannot be used
+ */
+const buildStudentSection = async (student, config, colors) => {
+    const compressionSettings = getCompressionSettings(config);
+
+    // Load the student's PDF before drawing anything so a broken upload leaves no orphan cover page
+    const studentPdf = await fetchStudentPdf(student, compressionSettings);
+    const sectionPdf = await PDFDocument.create();
+    const issues = [];
+
+    // Check if cover pages are enabled and student has cover content
+    const hasCoverContent = (student.coverPhotoBeforeUrl || student.coverPhotoAfterUrl || student.graduationSpeech);
+    if (config.enableStudentCoverPages && hasCoverContent) {
+        try {
+            const fonts = await loadBookletFonts(sectionPdf, config.font, `${student.name}\n${student.graduationSpeech || ''}`);
+            await createStudentCoverPage(sectionPdf, student, colors, fonts, issues, getPrintSettings(config).dimensions);
+        } catch (coverError) {
+            console.error(`Failed to create cover page for ${student.name}:`, coverError.message);
+            issues.push(`cover page could not be created (${coverError.message})`);
+        }
+    }
+
+    const copiedPages = await sectionPdf.copyPages(studentPdf, studentPdf.getPageIndices());
+    copiedPages.forEach((page) => sectionPdf.addPage(page));
+
+    // The cover page's structure travels with the section and is imported into the booklet
+    finishStructure(sectionPdf);
+
+    // Compressed here so cached sections are stored (and re-downloaded) at their smaller size
+    const compression = await compressPdf(sectionPdf, compressionSettings);
+
+    return { sectionPdf, issues, compression };
+};
+
+/**
+ * Draw the page for a student who hasn't uploaded a PDF
+ * In 'profile' mode the student's photos and speech are used when there are any
+ * @param {PDFDocument} pdfDoc - The merged booklet
+ * @param {Object} student - Student without pdfUrl
+ * @param {Object} config - Graduation config
+ * @param {Object} options - {colors, fonts, issues, pageSize}
+ * @returns {Promise<Page>} The added page
+ */
+const addMissingPdfStudentPage = async (pdfDoc, student, config, { colors, fonts, issues, pageSize }) => {
+    const hasProfileContent = student.coverPhotoBeforeUrl || student.coverPhotoAfterUrl || student.graduationSpeech;
+    if (getMissingPdfMode(config) === 'profile' && hasProfileContent) {
+        return createStudentCoverPage(pdfDoc, student, colors, fonts, issues, pageSize);
+    }
+    return createStudentPlaceholderPage(pdfDoc, student, colors, fonts, pageSize);
+};
+
+/**
+ * Assemble the booklet PDF
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - Build options
+ * @param {string|null} [options.customCoverUrl] - Custom cover PDF URL
+ * @param {Array<string>} [options.sectionsOrder] - Order of sections (one of BOOKLET_SECTIONS each)
+ * @param {Function} [options.onProgress] - Called with {stage, completed, total, currentItem, warnings}
+ * @param {Object} [options.sectionCache] - Student section cache (see booklet-cache.js); sections are rebuilt when omitted
+ * @param {Object} [options.watermark] - {generatedAt} to stamp every page as a DRAFT proof (see booklet-proofs.js)
+ * @returns {Promise<Object>} {pdfDoc, spreadPdf, processedCount, placeholderCount, skippedStudents, warnings, contents, compression} -
+ *   spreadPdf is the imposed printer's spread PDF, or null; contents is {sectionCounts, students} for the version history;
+ *   compression is {quality, imagesDownsampled, duplicatesRemoved, savedBytes} summed over the sections and the final pass
+ */
+const buildBooklet = async (sources, options = {}) => {
+    const { graduationData, config, contentPages, studentsWithPdfs } = sources;
+    const {
+        customCoverUrl = null,
+        sectionsOrder = DEFAULT_SECTIONS_ORDER,
+        onProgress = async () => {},
+        sectionCache = null,
+        watermark = null
+    } = options;
+
+    const colors = getBookletColors(config);
+    const printSettings = getPrintSettings(config);
+    const pageSize = printSettings.dimensions;
+    const compressionSettings = getCompressionSettings(config);
+    const compression = { quality: compressionSettings.quality, imagesDownsampled: 0, duplicatesRemoved: 0, savedBytes: 0 };
+    const addCompression = (result) => {
+        compression.imagesDownsampled += result.imagesDownsampled;
+        compression.duplicatesRemoved += result.duplicatesRemoved;
+        compression.savedBytes += result.savedBytes;
+    };
+    const warnings = [];
+    const skippedStudents = [];
+    let processedCount = 0;
+    let placeholderCount = 0;
+
+    const { messagePages, speechPages } = getBookletContentPages(contentPages, config);
+    const bookletStudents = getBookletStudents(sources);
+
+    const classSections = sectionsOrder.filter(section => CLASS_SECTION_TITLES[section]);
+
+    // Progress is measured in items: one per student, one per content page and one per generated section
+    const total = bookletStudents.length
+        + (sectionsOrder.includes('messages') ? messagePages.length : 0)
+        + (sectionsOrder.includes('speeches') ? speechPages.length : 0)
+        + classSections.length;
+    let completed = 0;
+    const report = (stage, currentItem = null) => onProgress({
+        stage,
+        completed,
+        total,
+        currentItem,
+        warnings,
+        skippedStudents
+    });
+
+    // Create the master PDF document
+    const mergedPdf = await PDFDocument.create();
+
+    // Fallback fonts are chosen from every piece of user text that ends up in the merged document
+    const fonts = await loadBookletFonts(mergedPdf, config.font, [
+        graduationData.schoolName,
+        ...contentPages.flatMap(page => [page.title, page.author, page.content]),
+        ...bookletStudents.map(student => student.name),
+        ...bookletStudents.filter(student => !student.pdfUrl).map(student => student.graduationSpeech),
+        ...(classSections.length > 0 ? [
+            ...getGalleryStudents(sources).map(student => student.name),
+            ...getClassAwards(sources).awards.flatMap(award => [award.title, award.student.name])
+        ] : [])
+    ].filter(Boolean).join('\n'));
+
+    // Add custom cover page if provided, otherwise draw the selected cover template
+    const coverIssues = [];
+    const drawCoverTemplate = () => createCoverPage(mergedPdf, config.bookletCoverTemplate, {
+        graduationData,
+        config,
+        students: bookletStudents,
+        colors,
+        fonts,
+        issues: coverIssues,
+        pageSize
+    });
+
+    if (customCoverUrl) {
+        try {
+            console.log('Downloading custom cover PDF from:', customCoverUrl.substring(0, 50));
+            const coverResponse = await fetch(customCoverUrl);
+            if (!coverResponse.ok) {
+                throw new Error(`Failed to download custom cover: ${coverResponse.status}`);
+            }
+
+            const coverPdf = await PDFDocument.load(await coverResponse.arrayBuffer());
+            const coverPages = await mergedPdf.copyPages(coverPdf, coverPdf.getPageIndices());
+            coverPages.forEach(page => mergedPdf.addPage(page));
+            console.log(`Added ${coverPages.length} page(s) from custom cover`);
+        } catch (error) {
+            console.error('Error loading custom cover, falling back to default:', error.message);
+            warnings.push('The custom cover could not be loaded, so the default cover was used.');
+            await drawCoverTemplate();
+        }
+    } else {
+        await drawCoverTemplate();
+    }
+    coverIssues.forEach(issue => warnings.push(`Cover: ${issue}`));
+
+    // The ToC is inserted right after the cover once the final page numbers are known
+    const coverPageCount = mergedPdf.getPageCount();
+    const sections = []; // {title, pageRef, children: [{title, pageRef}]} - drives the ToC and outline
+    const pageHeaders = new Map(); // PDFPage -> running header text
+    const classSectionPages = {}; // Generated section -> page count, for the version history
+
+    const addContentSection = async (title, pages) => {
+        if (pages.length === 0) return;
+
+        const titlePage = createSectionTitlePage(mergedPdf, title, colors, fonts, pageSize);
+        const section = { title, pageRef: titlePage, children: [] };
+        sections.push(section);
+
+        for (const page of pages) {
+            await report('content', page.title);
+            const issues = [];
+            const addedPages = await addContentPage(mergedPdf, page, colors, fonts, issues, pageSize);
+            issues.forEach(issue => warnings.push(`${page.title || 'Untitled'}: ${issue}`));
+
+            addedPages.forEach(added => pageHeaders.set(added, title));
+            section.children.push({ title: page.title || 'Untitled', pageRef: addedPages[0] });
+            completed++;
+        }
+        console.log(`Added ${pages.length} pages to "${title}" section`);
+    };
+
+    for (const section of sectionsOrder) {
+        if (section === 'messages') {
+            await addContentSection('Messages & Memories', messagePages);
+        } else if (section === 'speeches') {
+            await addContentSection('Speeches & Presentations', speechPages);
+        } else if (CLASS_SECTION_TITLES[section]) {
+            await report('content', CLASS_SECTION_TITLES[section]);
+            const issues = [];
+            const added = await addClassSection(mergedPdf, section, sources, { colors, fonts, issues, pageSize });
+            issues.forEach(issue => warnings.push(`${CLASS_SECTION_TITLES[section]}: ${issue}`));
+
+            if (added) {
+                added.pages.forEach(page => pageHeaders.set(page, added.title));
+                sections.push({ title: added.title, pageRef: added.pages[0], children: [] });
+                classSectionPages[section] = added.pages.length;
+                console.log(`Added ${added.pages.length} pages to "${added.title}" section`);
+            }
+            completed++;
+        } else if (section === 'students') {
+            const studentsSection = { title: 'Student Profiles', pageRef: null, children: [], listChildrenInToc: true };
+            sections.push(studentsSection);
+            console.log(`Processing ${bookletStudents.length} students (${studentsWithPdfs.length} with PDFs) in custom order`);
+
+            if (sectionCache) {
+                sectionCache.prefetch(studentsWithPdfs);
+            }
+
+            for (const student of bookletStudents) {
+                await report('students', student.name);
+
+                try {
+                    // Students without a PDF get a generated page instead (config.missingPdfStudents)
+                    if (!student.pdfUrl) {
+                        const issues = [];
+                        const page = await addMissingPdfStudentPage(mergedPdf, student, config, { colors, fonts, issues, pageSize });
+                        issues.forEach(issue => warnings.push(`${student.name}: ${issue}`));
+
+                        pageHeaders.set(page, `Student Profiles \u00b7 ${student.name}`);
+                        if (!studentsSection.pageRef) studentsSection.pageRef = page;
+                        studentsSection.children.push({ title: student.name, pageRef: page });
+                        placeholderCount++;
+                    } else {
+                        // Reuse the cached section when the student's inputs haven't changed
+                        let sectionPdf = sectionCache ? await sectionCache.get(student) : null;
+
+                        if (!sectionPdf) {
+                            const built = await buildStudentSection(student, config, colors);
+                            sectionPdf = built.sectionPdf;
+                            built.issues.forEach(issue => warnings.push(`${student.name}: ${issue}`));
+                            addCompression(built.compression);
+
+                            // Don't cache a section that is missing something that may work next time
+                            if (sectionCache && built.issues.length === 0) {
+                                sectionCache.put(student, await sectionPdf.save(), sectionPdf.getPageCount(), built.compression);
+                            }
+                        }
+
+                        const copiedPages = await mergedPdf.copyPages(sectionPdf, sectionPdf.getPageIndices());
+                        importStructure(mergedPdf, sectionPdf, copiedPages);
+                        copiedPages.forEach((page) => {
+                            mergedPdf.addPage(page);
+                            pageHeaders.set(page, `Student Profiles \u00b7 ${student.name}`);
+                        });
+
+                        if (!studentsSection.pageRef) studentsSection.pageRef = copiedPages[0];
+                        studentsSection.children.push({ title: student.name, pageRef: copiedPages[0] });
+                        processedCount++;
+                    }
+                } catch (error) {
+                    console.error(`Error processing PDF for ${student.name}:`, error.message);
+                    skippedStudents.push(student.name);
+                    warnings.push(`${student.name}: ${error.message}`);
+                }
+
+                completed++;
+            }
+
+            if (skippedStudents.length > 0) {
+                console.log(`Skipped ${skippedStudents.length} students due to errors: ${skippedStudents.join(', ')}`);
+            }
+            if (placeholderCount > 0) {
+                console.log(`Added generated pages for ${placeholderCount} students without a PDF`);
+            }
+        }
+    }
+
+    if (processedCount === 0 && studentsWithPdfs.length > 0) {
+        throw new Error('No student PDFs could be processed successfully');
+    }
+
+    await report('finalizing');
+
+    // Generate and insert Table of Contents (if we have sections to list)
+    // Sections are listed with one indented entry per student
+    const listedSections = sections.filter(section => section.pageRef);
+    const tocEntries = listedSections.flatMap(section => [
+        { title: section.title, level: 0, pageRef: section.pageRef },
+        ...(section.listChildrenInToc
+            ? section.children.map(child => ({ title: child.title, level: 1, pageRef: child.pageRef }))
+            : [])
+    ]);
+
+    let tocPages = [];
+    if (tocEntries.length > 0) {
+        // Page numbers are 1-based and shift by the ToC length once it is inserted after the cover
+        const tocPageCount = paginateTocEntries(tocEntries, pageSize).length;
+        const allPages = mergedPdf.getPages();
+        const numberedEntries = tocEntries.map(entry => ({
+            ...entry,
+            page: allPages.indexOf(entry.pageRef) + 1 + tocPageCount
+        }));
+        tocPages = await createTocPages(mergedPdf, numberedEntries, colors, fonts, pageSize);
+
+        // Move the ToC pages from the end to right after the cover
+        tocPages.forEach((tocPage, index) => {
+            mergedPdf.removePage(mergedPdf.getPageCount() - tocPages.length + index);
+            mergedPdf.insertPage(coverPageCount + index, tocPage);
+        });
+    }
+
+    // Bookmarks sidebar: Table of Contents, then each section with its students/pages nested
+    addOutline(mergedPdf, [
+        { title: 'Table of Contents', page: tocPages[0] },
+        ...listedSections.map(section => ({
+            title: section.title,
+            page: section.pageRef,
+            children: section.children.map(child => ({ title: child.title, page: child.pageRef }))
+        }))
+    ]);
+
+    // Student PDFs and custom covers come in any size; scale them to the print page size
+    // before stamping so footers sit at the same place on every page
+    const resizedPages = normalizePageSizes(mergedPdf, pageSize);
+    if (resizedPages > 0) {
+        console.log(`Resized ${resizedPages} pages to ${printSettings.pageSize}`);
+    }
+
+    // Footers and running headers go on last so the page numbers match the ToC
+    const decorationWarnings = await stampPageDecorations(mergedPdf, {
+        settings: getDecorationSettings(config, graduationData),
+        firstPageIndex: coverPageCount,
+        headers: pageHeaders,
+        colors,
+        fonts
+    });
+    warnings.push(...decorationWarnings);
+
+    if (watermark) {
+        stampProofWatermark(mergedPdf, { ...watermark, fonts });
+    }
+
+    // Title, language and the tagged structure of the generated pages, for screen readers
+    const metadata = getBookletMetadata(graduationData);
+    setDocumentMetadata(mergedPdf, watermark ? { ...metadata, title: `${metadata.title} (Draft)` } : metadata);
+    finishStructure(mergedPdf);
+
+    // Sections were compressed on their own; this pass catches images shared between
+    // students (a school logo, a template background) and the pages generated here
+    addCompression(await compressPdf(mergedPdf, compressionSettings));
+    if (sectionCache) {
+        addCompression(sectionCache.getStats().reusedCompression);
+    }
+    console.log(`Compression (${compression.quality}): ${compression.imagesDownsampled} images downsampled, ${compression.duplicatesRemoved} duplicates removed, ${(compression.savedBytes / 1024 / 1024).toFixed(2)}MB saved`);
+
+    // Padding, imposition and bleed come after the page numbers so blank pages stay unnumbered
+    const { blankPagesAdded, spreadPdf } = await finishForPrint(mergedPdf, printSettings);
+    if (blankPagesAdded > 0) {
+        console.log(`Added ${blankPagesAdded} blank pages to reach a multiple of 4`);
+    }
+    if (spreadPdf) {
+        setDocumentMetadata(spreadPdf, { ...metadata, title: `${metadata.title} (Printer Spreads)` });
+    }
+
+    // What ended up in the booklet, recorded with each version so versions can be compared
+    const contents = {
+        sectionCounts: {
+            students: processedCount + placeholderCount,
+            messages: sectionsOrder.includes('messages') ? messagePages.length : 0,
+            speeches: sectionsOrder.includes('speeches') ? speechPages.length : 0,
+            ...classSectionPages
+        },
+        students: sections.filter(section => section.listChildrenInToc).flatMap(section => section.children.map(child => child.title))
+    };
+
+    return {
+        pdfDoc: mergedPdf,
+        spreadPdf,
+        processedCount,
+        placeholderCount,
+        skippedStudents,
+        warnings,
+        contents,
+        compression
+    };
+};
+
+module.exports = {
+    DEFAULT_SECTIONS_ORDER,
+    BOOKLET_SECTIONS,
+    MAX_STUDENT_PDF_PAGES,
+    MAX_BOOKLET_BYTES,
+    hexToRgb,
+    getBookletColors,
+    loadBookletSources,
+    getMissingPdfMode,
+    getBookletStudents,
+    getBookletContentPages,
+    downloadStudentPdf,
+    parseStudentPdf,
+    fetchStudentPdf,
+    buildStudentSection,
+    buildBooklet
+};
@@ -0,0 +1,253 @@
+/**
+ * Booklet section cache
+ * Each student's processed section (optional cover page + profile pages) is saved
+ * as its own private PDF on Cloudinary (sections hold cover pages with speeches and photos)
+ * and recorded at graduations/{gradId}/bookletSections/{studentId}.
+ * A section is reused on the next build when its cache key still matches, so a
+ * regeneration only re-downloads and re-parses the students whose inputs changed.
+ */
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { PDFDocument } = require('pdf-lib');
+const { PRIVATE_DELIVERY_TYPE, uploadPdfToCloudinary, getSignedDownloadUrl, cleanupReplacedAsset } = require('./cloudinary');
+
+// Bump when the section renderer changes so every cached section is rebuilt
+// (5: sections moved from public to private files)
+const SECTION_CACHE_VERSION = 5;
+
+// Cached sections are small and already validated, so they can be fetched in parallel
+const PREFETCH_CONCURRENCY = 6;
+const SECTION_FETCH_TIMEOUT_MS = 20000;
+
+/**
+ * Compute the cache key for a student's section
+ * Covers everything that changes the rendered pages: the profile PDF (Cloudinary URLs
+ * are versioned, so a re-upload changes the URL), the cover page inputs, the theme and
+ * the compression preset
+ * @param {Object} student - Student with pdfUrl and cover page fields
+ * @param {Object} renderOptions - {colors, enableStudentCoverPages, fontFamily, pageSize, quality}
+ * @returns {string} Hex SHA-256 digest
+ */
+const computeSectionKey = (student, renderOptions) => {
+    const { colors, enableStudentCoverPages, fontFamily, pageSize, quality } = renderOptions;
+    const hasCoverContent = !!(student.coverPhotoBeforeUrl || student.coverPhotoAfterUrl || student.graduationSpeech);
+
+    const inputs = {
+        version: SECTION_CACHE_VERSION,
+        pdfUrl: student.pdfUrl,
+        cover: enableStudentCoverPages && hasCoverContent ? {
+            name: student.name,
+            before: student.coverPhotoBeforeUrl,
+            after: student.coverPhotoAfterUrl,
+            speech: student.graduationSpeech,
+            fontFamily,
+            pageSize
+        } : null,
+        colors,
+        quality
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+};
+
+/**
+ * Download a cached section PDF through a short-lived signed URL
+ * @param {string} url - Stored section URL
+ * @returns {Promise<ArrayBuffer|null>} Bytes or null if unavailable
+ */
+const downloadSection = async (url) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SECTION_FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(getSignedDownloadUrl(url, { attachment: false }).url, { signal: controller.signal });
+        if (!response.ok) {
+            console.warn(`[Section Cache] Cached section unavailable (${response.status}): ${url}`);
+            return null;
+        }
+        return await response.arrayBuffer();
+    } catch (error) {
+        console.warn(`[Section Cache] Failed to download cached section: ${error.message}`);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
+
+/**
+ * Create the section cache for one booklet build
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} renderOptions - {colors, enableStudentCoverPages, fontFamily, pageSize, quality}
+ * @returns {Promise<Object>} Cache with prefetch/get/put/flush/prune methods
+ */
+const createSectionCache = async (db, graduationId, renderOptions) => {
+    const sectionsRef = db.collection('graduations').doc(graduationId).collection('bookletSections');
+    const snapshot = await sectionsRef.get();
+
+    // studentId -> {cacheKey, sectionUrl, pageCount, compression}
+    const records = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    // studentId -> Promise<ArrayBuffer|null>
+    const downloads = new Map();
+    const pendingWrites = [];
+    let hits = 0;
+    let misses = 0;
+    // What compression saved on the reused sections when they were built
+    const reusedCompression = { imagesDownsampled: 0, duplicatesRemoved: 0, savedBytes: 0 };
+
+    const getFreshRecord = (student) => {
+        const record = records.get(student.id);
+        if (!record || !record.sectionUrl) return null;
+        return record.cacheKey === computeSectionKey(student, renderOptions) ? record : null;
+    };
+
+    return {
+        /**
+         * Start downloading every reusable section in the background
+         * @param {Array<Object>} students - Students in booklet order
+         */
+        prefetch(students) {
+            const queue = students.filter(student => getFreshRecord(student));
+            let active = 0;
+            const waiting = [];
+            const acquire = () => {
+                if (active < PREFETCH_CONCURRENCY) {
+                    active++;
+                    return Promise.resolve();
+                }
+                return new Promise(resolve => waiting.push(resolve));
+            };
+            const release = () => {
+                const nextInLine = waiting.shift();
+                if (nextInLine) nextInLine();
+                else active--;
+            };
+
+            queue.forEach(student => {
+                const { sectionUrl } = records.get(student.id);
+                downloads.set(student.id, acquire().then(() => downloadSection(sectionUrl)).finally(release));
+            });
+        },
+
+        /**
+         * Get a student's cached section if its inputs are unchanged
+         * @param {Object} student - Student with id
+         * @returns {Promise<PDFDocument|null>}
+         */
+        async get(student) {
+            const record = student.id ? getFreshRecord(student) : null;
+            if (!record) {
+                misses++;
+                return null;
+            }
+
+            const pending = downloads.get(student.id);
+            const bytes = pending ? await pending : await downloadSection(record.sectionUrl);
+            if (!bytes) {
+                misses++;
+                return null;
+            }
+
+            try {
+                const sectionPdf = await PDFDocument.load(bytes);
+                if (sectionPdf.getPageCount() !== record.pageCount) {
+                    throw new Error(`expected ${record.pageCount} pages, found ${sectionPdf.getPageCount()}`);
+                }
+                hits++;
+                Object.keys(reusedCompression).forEach(key => {
+                    reusedCompression[key] += record.compression?.[key] || 0;
+                });
+                return sectionPdf;
+            } catch (error) {
+                console.warn(`[Section Cache] Discarding cached section for ${student.name}: ${error.message}`);
+                misses++;
+                return null;
+            }
+        },
+
+        /**
+         * Store a freshly built section (upload runs in the background; call flush() before finishing)
+         * @param {Object} student - Student with id
+         * @param {Uint8Array} bytes - The saved section PDF
+         * @param {number} pageCount - Number of pages in the section
+         * @param {Object} [compression] - Result of compressPdf for the section
+         */
+        put(student, bytes, pageCount, compression = null) {
+            if (!student.id) return;
+
+            const previous = records.get(student.id);
+            const cacheKey = computeSectionKey(student, renderOptions);
+
+            const write = (async () => {
+                const sectionUrl = await uploadPdfToCloudinary(
+                    bytes,
+                    `booklet_section_${graduationId}_${student.id}`,
+                    'graduation-booklet-sections',
+                    { deliveryType: PRIVATE_DELIVERY_TYPE }
+                );
+                await sectionsRef.doc(student.id).set({
+                    cacheKey,
+                    sectionUrl,
+                    pageCount,
+                    compression: compression ? {
+                        imagesDownsampled: compression.imagesDownsampled,
+                        duplicatesRemoved: compression.duplicatesRemoved,
+                        savedBytes: compression.savedBytes
+                    } : null,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                cleanupReplacedAsset(previous?.sectionUrl, sectionUrl);
+            })().catch(error => {
+                // A failed cache write only costs a rebuild next time
+                console.error(`[Section Cache] Failed to cache section for ${student.name}:`, error.message);
+            });
+
+            pendingWrites.push(write);
+        },
+
+        /**
+         * Wait for all background cache writes
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            await Promise.all(pendingWrites);
+        },
+
+        /**
+         * Remove cached sections for students who are no longer in the booklet
+         * @param {Array<Object>} students - Students in the current build
+         * @returns {Promise<number>} Number of sections removed
+         */
+        async prune(students) {
+            const activeIds = new Set(students.map(student => student.id));
+            const stale = [...records.entries()].filter(([studentId]) => !activeIds.has(studentId));
+
+            for (const [studentId, record] of stale) {
+                try {
+                    await sectionsRef.doc(studentId).delete();
+                    cleanupReplacedAsset(record.sectionUrl, null);
+                } catch (error) {
+                    console.error(`[Section Cache] Failed to prune section ${studentId}:`, error.message);
+                }
+            }
+            return stale.length;
+        },
+
+        /**
+         * Cache statistics for this build
+         * @returns {{reused: number, rebuilt: number, reusedCompression: Object}} reusedCompression
+         *   sums {imagesDownsampled, duplicatesRemoved, savedBytes} over the reused sections
+         */
+        getStats() {
+            return { reused: hits, rebuilt: misses, reusedCompression: { ...reusedCompression } };
+        }
+    };
+};
+
+module.exports = {
+    SECTION_CACHE_VERSION,
+    computeSectionKey,
+    createSectionCache
+};
@@ -0,0 +1,333 @@
+/**
+ * Booklet compression
+ * Shrinks generated PDFs before they are uploaded: images with more pixels than
+ * the quality preset needs are downsampled (JPEGs are re-encoded), and identical
+ * images and font programs copied in from different student PDFs are stored once.
+ * The preset is chosen in Settings as config.bookletQuality.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const jpeg = require('jpeg-js');
+const { PDFRawStream, PDFStream, PDFDict, PDFArray, PDFRef, PDFName, PDFNumber } = require('pdf-lib');
+
+// dpi: resolution images are reduced to; cloudinaryQuality: q_auto level used to fetch student PDFs
+const QUALITY_PRESETS = {
+    screen: { dpi: 150, jpegQuality: 70, cloudinaryQuality: 'eco' },
+    print: { dpi: 300, jpegQuality: 85, cloudinaryQuality: 'good' }
+};
+const DEFAULT_QUALITY = 'print';
+
+// Images only a little over the target are left alone: re-encoding them costs quality for little gain
+const MIN_DOWNSAMPLE_RATIO = 0.9;
+const MAX_DECODE_MEGAPIXELS = 40;
+const DEDUPE_PASSES = 3; // Deduplicating soft masks can make their images identical on the next pass
+
+const FONT_FILE_KEYS = ['FontFile', 'FontFile2', 'FontFile3'].map(key => PDFName.of(key));
+
+/**
+ * Read the quality preset for a graduation
+ * @param {Object} config - Graduation config
+ * @returns {Object} {quality, dpi, jpegQuality, cloudinaryQuality}
+ */
+const getCompressionSettings = (config = {}) => {
+    const quality = QUALITY_PRESETS[config.bookletQuality] ? config.bookletQuality : DEFAULT_QUALITY;
+    return { quality, ...QUALITY_PRESETS[quality] };
+};
+
+/**
+ * Read a stream's filter, unwrapping a single-entry filter array
+ * @param {PDFDict} dict - Stream dictionary
+ * @returns {string|null} e.g. 'DCTDecode'; null for no filter or a filter chain
+ */
+const getSingleFilter = (dict) => {
+    let filter = dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFArray) {
+        filter = filter.size() === 1 ? filter.lookup(0) : null;
+    }
+    return filter instanceof PDFName ? filter.decodeText() : null;
+};
+
+/**
+ * Number of color components for the color spaces the optimizer can re-encode
+ * @param {PDFDict} dict - Image dictionary
+ * @returns {number|null} 1 or 3, or null when the color space is left alone (CMYK, Indexed, Lab...)
+ */
+const getComponentCount = (dict) => {
+    const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+    if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+    if (colorSpace === PDFName.of('DeviceGray')) return 1;
+
+    // [/ICCBased stream] keeps its profile; only the component count matters
+    if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+        const profile = colorSpace.lookup(1);
+        const components = profile instanceof PDFStream ? profile.dict.lookup(PDFName.of('N')) : null;
+        if (components instanceof PDFNumber && [1, 3].includes(components.asNumber())) {
+            return components.asNumber();
+        }
+    }
+    return null;
+};
+
+/**
+ * Shrink pixel data by averaging the source pixels under each target pixel
+ * @param {Uint8Array} data - Interleaved 8-bit samples
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} channels - Samples per pixel
+ * @param {number} newWidth - Target width
+ * @param {number} newHeight - Target height
+ * @returns {Uint8Array}
+ */
+const downsamplePixels = (data, width, height, channels, newWidth, newHeight) => {
+    const output = new Uint8Array(newWidth * newHeight * channels);
+    const sums = new Float64Array(channels);
+
+    for (let y = 0; y < newHeight; y++) {
+        const top = Math.floor(y * height / newHeight);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * height / newHeight));
+
+        for (let x = 0; x < newWidth; x++) {
+            const left = Math.floor(x * width / newWidth);
+            const right = Math.max(left + 1, Math.floor((x + 1) * width / newWidth));
+            sums.fill(0);
+
+            for (let sy = top; sy < bottom; sy++) {
+                let offset = (sy * width + left) * channels;
+                for (let sx = left; sx < right; sx++) {
+                    for (let c = 0; c < channels; c++) {
+                        sums[c] += data[offset++];
+                    }
+                }
+            }
+
+            const count = (bottom - top) * (right - left);
+            const target = (y * newWidth + x) * channels;
+            for (let c = 0; c < channels; c++) {
+                output[target + c] = Math.round(sums[c] / count);
+            }
+        }
+    }
+    return output;
+};
+
+/**
+ * Re-encode one image XObject at a smaller size
+ * Handles 8-bit JPEGs (DCTDecode) and unpredicted Flate images in gray or RGB; anything
+ * else (CMYK, masks, decode arrays, filter chains) is returned unchanged as null
+ * @param {PDFRawStream} stream - The image stream
+ * @param {number} newWidth - Target width in pixels
+ * @param {number} newHeight - Target height in pixels
+ * @param {Object} settings - Result of getCompressionSettings
+ * @returns {PDFRawStream|null} The smaller image, or null if it can't be (or isn't worth) re-encoding
+ */
+const reencodeImage = (stream, newWidth, newHeight, settings) => {
+    const { dict } = stream;
+    const width = dict.lookup(PDFName.of('Width')).asNumber();
+    const height = dict.lookup(PDFName.of('Height')).asNumber();
+    const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'));
+    const components = getComponentCount(dict);
+    const filter = getSingleFilter(dict);
+
+    if (!(bitsPerComponent instanceof PDFNumber) || bitsPerComponent.asNumber() !== 8 || !components
+        || dict.has(PDFName.of('Decode')) || dict.has(PDFName.of('ImageMask'))) {
+        return null;
+    }
+    if (width * height / 1e6 > MAX_DECODE_MEGAPIXELS) {
+        return null;
+    }
+
+    const contents = stream.getContents();
+    const newDict = dict.clone(dict.context);
+    newDict.set(PDFName.of('Width'), PDFNumber.of(newWidth));
+    newDict.set(PDFName.of('Height'), PDFNumber.of(newHeight));
+    newDict.delete(PDFName.of('DecodeParms'));
+    newDict.delete(PDFName.of('Length'));
+    let newContents;
+
+    if (filter === 'DCTDecode') {
+        const decoded = jpeg.decode(contents, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_MEGAPIXELS });
+        const pixels = downsamplePixels(decoded.data, decoded.width, decoded.height, 4, newWidth, newHeight);
+        newContents = jpeg.encode({ data: pixels, width: newWidth, height: newHeight }, settings.jpegQuality).data;
+
+        // The encoder always writes color JPEGs
+        if (components === 1) {
+            newDict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
+        }
+    } else if (filter === 'FlateDecode') {
+        const predictor = dict.lookup(PDFName.of('DecodeParms'));
+        if (predictor instanceof PDFDict && (predictor.lookup(PDFName.of('Predictor'))?.asNumber?.() || 1) > 1) {
+            return null;
+        }
+
+        const pixels = zlib.inflateSync(contents);
+        if (pixels.length !== width * height * components) {
+            return null;
+        }
+        newContents = zlib.deflateSync(downsamplePixels(pixels, width, height, components, newWidth, newHeight));
+    } else {
+        return null;
+    }
+
+    return newContents.length < contents.length ? PDFRawStream.of(newDict, newContents) : null;
+};
+
+/**
+ * Downsample every image with more pixels than the target DPI needs
+ * No image is shown larger than the page, so each one is sized to cover the largest
+ * page in the document at the target DPI
+ * @param {PDFDocument} pdfDoc - The document (flushed, so embedded images are in the context)
+ * @param {Object} settings - Result of getCompressionSettings
+ * @returns {{imagesDownsampled: number, savedBytes: number}}
+ */
+const downsampleImages = (pdfDoc, settings) => {
+    const { context } = pdfDoc;
+    const pageSizes = pdfDoc.getPages().map(page => page.getSize());
+    const maxWidth = Math.max(...pageSizes.map(size => size.width)) / 72 * settings.dpi;
+    const maxHeight = Math.max(...pageSizes.map(size => size.height)) / 72 * settings.dpi;
+    let imagesDownsampled = 0;
+    let savedBytes = 0;
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream) || object.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) {
+            continue;
+        }
+
+        const width = object.dict.lookup(PDFName.of('Width'));
+        const height = object.dict.lookup(PDFName.of('Height'));
+        if (!(width instanceof PDFNumber) || !(height instanceof PDFNumber)) continue;
+
+        const ratio = Math.max(maxWidth / width.asNumber(), maxHeight / height.asNumber());
+        if (ratio >= MIN_DOWNSAMPLE_RATIO) continue;
+
+        try {
+            const smaller = reencodeImage(
+                object,
+                Math.max(1, Math.round(width.asNumber() * ratio)),
+                Math.max(1, Math.round(height.asNumber() * ratio)),
+                settings
+            );
+            if (smaller) {
+                savedBytes += object.getContents().length - smaller.getContents().length;
+                context.assign(ref, smaller);
+                imagesDownsampled++;
+            }
+        } catch (error) {
+            // A damaged image stays as it was; the viewer is no worse off than before
+            console.warn(`[Booklet Compression] Could not downsample image ${ref.toString()}: ${error.message}`);
+        }
+    }
+
+    return { imagesDownsampled, savedBytes };
+};
+
+/**
+ * Point every reference to a duplicate at the object that is kept
+ * @param {PDFObject} object - Object to rewrite in place
+ * @param {Map<PDFRef, PDFRef>} replacements - Duplicate -> kept reference
+ */
+const replaceReferences = (object, replacements) => {
+    if (object instanceof PDFStream) {
+        replaceReferences(object.dict, replacements);
+    } else if (object instanceof PDFDict) {
+        for (const [key, value] of object.entries()) {
+            if (value instanceof PDFRef) {
+                if (replacements.has(value)) object.set(key, replacements.get(value));
+            } else {
+                replaceReferences(value, replacements);
+            }
+        }
+    } else if (object instanceof PDFArray) {
+        for (let index = 0; index < object.size(); index++) {
+            const value = object.get(index);
+            if (value instanceof PDFRef) {
+                if (replacements.has(value)) object.set(index, replacements.get(value));
+            } else {
+                replaceReferences(value, replacements);
+            }
+        }
+    }
+};
+
+/**
+ * Store identical images and embedded font programs once
+ * Student PDFs made from the same template repeat the same logo, backgrounds and fonts
+ * @param {PDFDocument} pdfDoc - The document (flushed, so embedded images are in the context)
+ * @returns {{duplicatesRemoved: number, savedBytes: number}}
+ */
+const removeDuplicateStreams = (pdfDoc) => {
+    const { context } = pdfDoc;
+    let duplicatesRemoved = 0;
+    let savedBytes = 0;
+
+    for (let pass = 0; pass < DEDUPE_PASSES; pass++) {
+        const objects = context.enumerateIndirectObjects();
+
+        const fontFileRefs = new Set();
+        objects.forEach(([, object]) => {
+            if (object instanceof PDFDict && object.lookup(PDFName.of('Type')) === PDFName.of('FontDescriptor')) {
+                FONT_FILE_KEYS.forEach(key => {
+                    const value = object.get(key);
+                    if (value instanceof PDFRef) fontFileRefs.add(value);
+                });
+            }
+        });
+
+        const kept = new Map(); // content hash -> ref
+        const replacements = new Map(); // duplicate ref -> kept ref
+        objects.forEach(([ref, object]) => {
+            if (!(object instanceof PDFRawStream)) return;
+            if (object.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image') && !fontFileRefs.has(ref)) return;
+
+            const hash = crypto.createHash('sha256')
+                .update(object.dict.toString())
+                .update(object.getContents())
+                .digest('hex');
+
+            if (kept.has(hash)) {
+                replacements.set(ref, kept.get(hash));
+                savedBytes += object.getContents().length;
+            } else {
+                kept.set(hash, ref);
+            }
+        });
+
+        if (replacements.size === 0) break;
+
+        objects.forEach(([ref, object]) => {
+            if (!replacements.has(ref)) replaceReferences(object, replacements);
+        });
+        replacements.forEach((keptRef, duplicateRef) => context.delete(duplicateRef));
+        duplicatesRemoved += replacements.size;
+    }
+
+    return { duplicatesRemoved, savedBytes };
+};
+
+/**
+ * Run the compression pipeline on a finished document
+ * Call it after everything has been drawn: images and fonts are written into the document first
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {Object} settings - Result of getCompressionSettings
+ * @returns {Promise<Object>} {imagesDownsampled, duplicatesRemoved, savedBytes}
+ */
+const compressPdf = async (pdfDoc, settings) => {
+    await pdfDoc.flush();
+
+    // Duplicates first, so a repeated image is only decoded once
+    const deduplicated = removeDuplicateStreams(pdfDoc);
+    const downsampled = downsampleImages(pdfDoc, settings);
+
+    return {
+        imagesDownsampled: downsampled.imagesDownsampled,
+        duplicatesRemoved: deduplicated.duplicatesRemoved,
+        savedBytes: deduplicated.savedBytes + downsampled.savedBytes
+    };
+};
+
+module.exports = {
+    QUALITY_PRESETS,
+    DEFAULT_QUALITY,
+    getCompressionSettings,
+    compressPdf
+};
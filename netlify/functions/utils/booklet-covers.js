@@ -0,0 +1,244 @@
+/**
+ * Booklet cover templates
+ * Generated cover pages used when no custom cover PDF has been uploaded.
+ * The template is chosen on the Booklet tab and stored as config.bookletCoverTemplate.
+ */
+
+const { rgb } = require('pdf-lib');
+const { createDefaultCoverPage, embedImageFromUrl, drawImageCover } = require('./booklet-pages');
+const { withCloudinaryTransformation } = require('./cloudinary');
+const { tagContent, markArtifact } = require('./booklet-accessibility');
+const { PAGE_SIZES, DEFAULT_PAGE_SIZE, BLEED } = require('./booklet-print');
+
+const COVER_TEMPLATES = ['classic', 'logo', 'collage', 'banner'];
+const DEFAULT_COVER_TEMPLATE = 'classic';
+
+const MAX_COLLAGE_PHOTOS = 20;
+
+/**
+ * Draw a line of text centered horizontally
+ * @param {PDFPage} page - Page to draw on
+ * @param {Object} font - Font stack
+ * @param {string} text - Text to draw
+ * @param {number} y - Baseline
+ * @param {number} size - Font size
+ * @param {Object} color - pdf-lib color
+ * @param {string} [type='P'] - Structure type for screen readers
+ */
+const drawCentered = (page, font, text, y, size, color, type = 'P') => {
+    const textWidth = font.widthOfTextAtSize(text, size);
+    tagContent(page, type, () => font.drawText(page, text, { x: (page.getWidth() - textWidth) / 2, y, size, color }));
+};
+
+/**
+ * Shrink a font size until the text fits the width (long school names)
+ * @param {Object} font - Font stack
+ * @param {string} text - Text to fit
+ * @param {number} size - Preferred size
+ * @param {number} maxWidth - Available width
+ * @returns {number} Font size
+ */
+const fitFontSize = (font, text, size, maxWidth) => {
+    let fitted = size;
+    while (fitted > 10 && font.widthOfTextAtSize(text, fitted) > maxWidth) {
+        fitted -= 1;
+    }
+    return fitted;
+};
+
+/**
+ * Alt text for the school logo
+ * @param {Object} graduationData - Graduation document data (schoolName)
+ * @returns {string}
+ */
+const getLogoAlt = (graduationData) => `${graduationData.schoolName || 'School'} logo`;
+
+/**
+ * Embed the school logo, if there is one
+ * Cloudinary logos are requested as PNG so SVG/WebP uploads can be embedded too
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string|null} logoUrl - config.schoolLogoUrl
+ * @param {Array<string>} issues - Receives a message if the logo can't be embedded
+ * @returns {Promise<PDFImage|null>}
+ */
+const embedLogo = async (pdfDoc, logoUrl, issues) => {
+    if (!logoUrl) return null;
+
+    try {
+        return await embedImageFromUrl(pdfDoc, withCloudinaryTransformation(logoUrl, 'f_png'));
+    } catch (error) {
+        console.error('[Booklet Cover] Failed to embed school logo:', error.message);
+        issues.push(`the school logo could not be added to the cover (${error.message})`);
+        return null;
+    }
+};
+
+/**
+ * Logo-centered cover: large logo with the school name and class year underneath
+ */
+const drawLogoCover = async (pdfDoc, { graduationData, config, colors, fonts, issues, pageSize }) => {
+    const page = pdfDoc.addPage(pageSize);
+    const { width, height } = page.getSize();
+    const primary = rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b);
+    const secondary = rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b);
+
+    // Thin frame in the school color
+    markArtifact(page, () => page.drawRectangle({ x: 30, y: 30, width: width - 60, height: height - 60, borderColor: primary, borderWidth: 3 }));
+
+    let y = height - 140;
+    const logo = await embedLogo(pdfDoc, config.schoolLogoUrl, issues);
+    if (logo) {
+        const dims = logo.scaleToFit(240, 240);
+        tagContent(page, 'Figure', () => page.drawImage(logo, { x: (width - dims.width) / 2, y: y - dims.height, width: dims.width, height: dims.height }), {
+            alt: getLogoAlt(graduationData)
+        });
+        y -= dims.height + 70;
+    } else {
+        y -= 120;
+    }
+
+    const schoolName = graduationData.schoolName || '';
+    drawCentered(page, fonts.bold, schoolName, y, fitFontSize(fonts.bold, schoolName, 32, width - 120), primary, 'H1');
+    drawCentered(page, fonts.regular, `Class of ${graduationData.graduationYear}`, y - 45, 22, secondary);
+
+    markArtifact(page, () => page.drawLine({ start: { x: width / 2 - 60, y: y - 75 }, end: { x: width / 2 + 60, y: y - 75 }, thickness: 2, color: primary }));
+    drawCentered(page, fonts.regular, 'Graduation Booklet', y - 110, 16, secondary);
+
+    return page;
+};
+
+/**
+ * Banner cover: solid band in the primary color with a secondary-color stripe
+ * Bands run past the page edges by the bleed so they print edge to edge
+ */
+const drawBannerCover = async (pdfDoc, { graduationData, config, colors, fonts, issues, pageSize }) => {
+    const page = pdfDoc.addPage(pageSize);
+    const { width, height } = page.getSize();
+    const primary = rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b);
+    const secondary = rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b);
+    const white = rgb(1, 1, 1);
+
+    const bannerHeight = 340;
+    markArtifact(page, () => {
+        page.drawRectangle({ x: -BLEED, y: height - bannerHeight, width: width + 2 * BLEED, height: bannerHeight + BLEED, color: primary });
+        page.drawRectangle({ x: -BLEED, y: height - bannerHeight - 14, width: width + 2 * BLEED, height: 14, color: secondary });
+        page.drawRectangle({ x: -BLEED, y: -BLEED, width: width + 2 * BLEED, height: 40 + BLEED, color: primary });
+    });
+
+    const schoolName = graduationData.schoolName || '';
+    drawCentered(page, fonts.bold, schoolName, height - 150, fitFontSize(fonts.bold, schoolName, 34, width - 100), white, 'H1');
+    drawCentered(page, fonts.regular, `Class of ${graduationData.graduationYear}`, height - 200, 24, white);
+
+    const logo = await embedLogo(pdfDoc, config.schoolLogoUrl, issues);
+    if (logo) {
+        // Centered in the white area between the stripe and the caption
+        const areaTop = height - bannerHeight - 14;
+        const areaBottom = 100;
+        const dims = logo.scaleToFit(200, 200);
+        tagContent(page, 'Figure', () => page.drawImage(logo, {
+            x: (width - dims.width) / 2,
+            y: areaBottom + (areaTop - areaBottom - dims.height) / 2,
+            width: dims.width,
+            height: dims.height
+        }), { alt: getLogoAlt(graduationData) });
+    }
+
+    drawCentered(page, fonts.regular, 'Graduation Booklet', logo ? 70 : 200, 16, secondary);
+
+    return page;
+};
+
+/**
+ * Collage cover: grid of the students' "after" photos above a title band
+ * Falls back to the banner cover when no student has a photo
+ */
+const drawCollageCover = async (pdfDoc, options) => {
+    const { graduationData, students, colors, fonts, issues, pageSize } = options;
+    const photoStudents = students
+        .filter(student => student.coverPhotoAfterUrl || student.coverPhotoBeforeUrl)
+        .slice(0, MAX_COLLAGE_PHOTOS);
+
+    const results = await Promise.allSettled(photoStudents.map(student =>
+        embedImageFromUrl(pdfDoc, withCloudinaryTransformation(student.coverPhotoAfterUrl || student.coverPhotoBeforeUrl, 'f_jpg,w_400,h_400,c_fill,g_face'))
+    ));
+    const photos = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const photoNames = photoStudents.filter((student, index) => results[index].status === 'fulfilled').map(student => student.name);
+
+    const failedCount = results.length - photos.length;
+    if (failedCount > 0) {
+        issues.push(`${failedCount} class photo(s) could not be added to the cover collage`);
+    }
+
+    if (photos.length === 0) {
+        issues.push('no student photos were available for the collage cover, so the banner cover was used');
+        return drawBannerCover(pdfDoc, options);
+    }
+
+    const page = pdfDoc.addPage(pageSize);
+    const { width, height } = page.getSize();
+    const primary = rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b);
+    const white = rgb(1, 1, 1);
+
+    // Photo grid fills everything above the title band
+    const bandHeight = 220;
+    const gap = 4;
+    const gridHeight = height - bandHeight;
+    const columns = Math.ceil(Math.sqrt(photos.length * width / gridHeight));
+    const rows = Math.ceil(photos.length / columns);
+    const cellWidth = (width - gap * (columns + 1)) / columns;
+    const cellHeight = (gridHeight - gap * (rows + 1)) / rows;
+
+    // The grid is read as one image listing who is in it
+    tagContent(page, 'Figure', () => photos.forEach((photo, index) => {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        drawImageCover(page, photo, {
+            x: gap + column * (cellWidth + gap),
+            y: height - gap - (row + 1) * cellHeight - row * gap,
+            width: cellWidth,
+            height: cellHeight
+        });
+    }), { alt: `Collage of class photos: ${photoNames.filter(Boolean).join(', ')}` });
+
+    markArtifact(page, () => page.drawRectangle({ x: -BLEED, y: -BLEED, width: width + 2 * BLEED, height: bandHeight + BLEED, color: primary }));
+    const schoolName = graduationData.schoolName || '';
+    drawCentered(page, fonts.bold, schoolName, 130, fitFontSize(fonts.bold, schoolName, 32, width - 100), white, 'H1');
+    drawCentered(page, fonts.regular, `Class of ${graduationData.graduationYear}`, 85, 22, white);
+
+    return page;
+};
+
+/**
+ * Draw the generated cover page for a template
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string} template - One of COVER_TEMPLATES (unknown values use the classic cover)
+ * @param {Object} options - Cover inputs
+ * @param {Object} options.graduationData - Graduation document data (schoolName, graduationYear)
+ * @param {Object} options.config - Graduation config (schoolLogoUrl)
+ * @param {Array<Object>} options.students - Students in booklet order (cover photo URLs for the collage)
+ * @param {Object} options.colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} options.fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<string>} [options.issues] - Receives a message for each image that could not be used
+ * @param {Array<number>} [options.pageSize] - Page [width, height] from the print profile
+ * @returns {Promise<Page>} The cover page
+ */
+const createCoverPage = async (pdfDoc, template, options) => {
+    const coverOptions = { issues: [], pageSize: PAGE_SIZES[DEFAULT_PAGE_SIZE], ...options };
+
+    switch (template) {
+        case 'logo':
+            return drawLogoCover(pdfDoc, coverOptions);
+        case 'banner':
+            return drawBannerCover(pdfDoc, coverOptions);
+        case 'collage':
+            return drawCollageCover(pdfDoc, coverOptions);
+        default:
+            return createDefaultCoverPage(pdfDoc, coverOptions.graduationData, coverOptions.colors, coverOptions.fonts, coverOptions.pageSize);
+    }
+};
+
+module.exports = {
+    COVER_TEMPLATES,
+    DEFAULT_COVER_TEMPLATE,
+    createCoverPage
+};
@@ -0,0 +1,183 @@
+/**
+ * Booklet page decorations
+ * Stamps footers (page number, school name, class year) and running section
+ * headers over every page of the merged booklet, including imported student PDFs,
+ * and the DRAFT watermark on proofs.
+ */
+
+const { rgb, degrees } = require('pdf-lib');
+const { markArtifact } = require('./booklet-accessibility');
+
+const FOOTER_FONT_SIZE = 9;
+const HEADER_FONT_SIZE = 8;
+const EDGE_OFFSET = 24; // Distance from the page edge to the text baseline
+const SIDE_MARGIN = 40;
+const PROOF_WATERMARK_LABEL = 'DRAFT';
+
+/**
+ * Read the footer/header settings from the graduation config
+ * Page numbers are on unless explicitly disabled; the other parts are opt-in
+ * @param {Object} config - Graduation config
+ * @param {Object} graduationData - Graduation document data (schoolName, graduationYear)
+ * @returns {Object} {showPageNumbers, footerLeft, footerRight, showRunningHeaders}
+ */
+const getDecorationSettings = (config = {}, graduationData = {}) => ({
+    showPageNumbers: config.showPageNumbers !== false,
+    footerLeft: config.showFooterSchoolName && graduationData.schoolName ? graduationData.schoolName : null,
+    footerRight: config.showFooterClassYear && graduationData.graduationYear ? `Class of ${graduationData.graduationYear}` : null,
+    showRunningHeaders: !!config.showRunningHeaders
+});
+
+/**
+ * Map a point in the page's displayed orientation to PDF user space
+ * Imported PDFs may be rotated or have a crop box that doesn't start at the origin
+ * @param {PDFPage} page - The page
+ * @param {number} dx - X in displayed coordinates (from the visible left edge)
+ * @param {number} dy - Y in displayed coordinates (from the visible bottom edge)
+ * @returns {{x: number, y: number, rotate: Object}} Position and text rotation for drawText
+ */
+const toUserSpace = (page, dx, dy) => {
+    const box = page.getCropBox();
+    const angle = ((page.getRotation().angle % 360) + 360) % 360;
+
+    switch (angle) {
+        case 90:
+            return { x: box.x + box.width - dy, y: box.y + dx, rotate: degrees(90) };
+        case 180:
+            return { x: box.x + box.width - dx, y: box.y + box.height - dy, rotate: degrees(180) };
+        case 270:
+            return { x: box.x + dy, y: box.y + box.height - dx, rotate: degrees(270) };
+        default:
+            return { x: box.x + dx, y: box.y + dy, rotate: degrees(0) };
+    }
+};
+
+/**
+ * Get the size of the page as displayed (width/height swap for 90/270 rotation)
+ * @param {PDFPage} page - The page
+ * @returns {{width: number, height: number}}
+ */
+const getDisplaySize = (page) => {
+    const box = page.getCropBox();
+    const angle = ((page.getRotation().angle % 360) + 360) % 360;
+    return angle === 90 || angle === 270
+        ? { width: box.height, height: box.width }
+        : { width: box.width, height: box.height };
+};
+
+/**
+ * Stamp footers and running headers onto the booklet
+ * @param {PDFDocument} pdfDoc - The merged booklet
+ * @param {Object} options - Decoration options
+ * @param {Object} options.settings - Result of getDecorationSettings
+ * @param {number} [options.firstPageIndex=0] - Pages before this index (the cover) are left untouched
+ * @param {Map<PDFPage, string>} [options.headers] - Running header text per page
+ * @param {Object} options.colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} options.fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @returns {Promise<Array<string>>} Warnings for text that could not be drawn
+ */
+const stampPageDecorations = async (pdfDoc, { settings, firstPageIndex = 0, headers = new Map(), colors, fonts }) => {
+    const { showPageNumbers, footerLeft, footerRight, showRunningHeaders } = settings;
+    const warnings = [];
+
+    if (!showPageNumbers && !footerLeft && !footerRight && !showRunningHeaders) {
+        return warnings;
+    }
+
+    const font = fonts.regular;
+    const color = rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b);
+    const failedTexts = new Set();
+
+    const drawAt = (page, text, size, align, dy) => {
+        if (!text || failedTexts.has(text)) return;
+
+        try {
+            const { width } = getDisplaySize(page);
+            const textWidth = font.widthOfTextAtSize(text, size);
+            let dx = SIDE_MARGIN;
+            if (align === 'center') dx = (width - textWidth) / 2;
+            if (align === 'right') dx = width - SIDE_MARGIN - textWidth;
+
+            const { x, y, rotate } = toUserSpace(page, dx, dy);
+            markArtifact(page, () => font.drawText(page, text, { x, y, size, color, rotate }), 'Pagination');
+        } catch (error) {
+            // Skip text that can't be drawn rather than fail the whole booklet
+            failedTexts.add(text);
+            warnings.push(`Could not print "${text}" in the page header/footer (${error.message})`);
+        }
+    };
+
+    const pages = pdfDoc.getPages();
+    pages.forEach((page, index) => {
+        if (index < firstPageIndex) return;
+
+        const { height } = getDisplaySize(page);
+
+        if (showPageNumbers) drawAt(page, String(index + 1), FOOTER_FONT_SIZE, 'center', EDGE_OFFSET);
+        drawAt(page, footerLeft, FOOTER_FONT_SIZE, 'left', EDGE_OFFSET);
+        drawAt(page, footerRight, FOOTER_FONT_SIZE, 'right', EDGE_OFFSET);
+
+        if (showRunningHeaders) {
+            drawAt(page, headers.get(page), HEADER_FONT_SIZE, 'left', height - EDGE_OFFSET);
+        }
+    });
+
+    return warnings;
+};
+
+/**
+ * Format a proof's generation time for the watermark (UTC, since the server's zone means nothing to readers)
+ * @param {Date} date - Generation time
+ * @returns {string} e.g. "2026-05-14 09:30 UTC"
+ */
+const formatProofTimestamp = (date) => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+/**
+ * Stamp the proof watermark on every page: a large diagonal label across the page
+ * and the generation time along the top edge, so a draft can't pass for the final booklet
+ * @param {PDFDocument} pdfDoc - The merged booklet
+ * @param {Object} options - Watermark options
+ * @param {Date} options.generatedAt - When the proof was generated
+ * @param {string} [options.label='DRAFT'] - Diagonal watermark text
+ * @param {Object} options.fonts - Font stacks {regular, bold} from loadBookletFonts
+ */
+const stampProofWatermark = (pdfDoc, { generatedAt, label = PROOF_WATERMARK_LABEL, fonts }) => {
+    const color = rgb(0.8, 0.1, 0.1);
+    const stampText = `${label} - generated ${formatProofTimestamp(generatedAt)} - not for distribution`;
+
+    pdfDoc.getPages().forEach(page => {
+        const { width, height } = getDisplaySize(page);
+
+        // Label runs corner to corner, sized to cover about 70% of the diagonal
+        const angle = Math.atan2(height, width);
+        const size = 0.7 * Math.hypot(width, height) / fonts.bold.widthOfTextAtSize(label, 1);
+        const labelWidth = fonts.bold.widthOfTextAtSize(label, size);
+        const capHeight = size * 0.7;
+        const dx = width / 2 - Math.cos(angle) * labelWidth / 2 + Math.sin(angle) * capHeight / 2;
+        const dy = height / 2 - Math.sin(angle) * labelWidth / 2 - Math.cos(angle) * capHeight / 2;
+        const diagonal = toUserSpace(page, dx, dy);
+
+        const stampSize = Math.min(HEADER_FONT_SIZE, (width - 2 * SIDE_MARGIN) / fonts.regular.widthOfTextAtSize(stampText, 1));
+        const stampWidth = fonts.regular.widthOfTextAtSize(stampText, stampSize);
+        const stamp = toUserSpace(page, (width - stampWidth) / 2, height - EDGE_OFFSET / 2);
+
+        markArtifact(page, () => {
+            fonts.bold.drawText(page, label, {
+                x: diagonal.x,
+                y: diagonal.y,
+                size,
+                color,
+                opacity: 0.15,
+                rotate: degrees(diagonal.rotate.angle + angle * 180 / Math.PI)
+            });
+            fonts.regular.drawText(page, stampText, { ...stamp, size: stampSize, color });
+        }, 'Pagination');
+    });
+};
+
+module.exports = {
+    PROOF_WATERMARK_LABEL,
+    getDecorationSettings,
+    stampPageDecorations,
+    stampProofWatermark
+};
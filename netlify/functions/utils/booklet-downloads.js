@@ -0,0 +1,51 @@
+/**
+ * Booklet download log
+ * Every booklet handed out to a visitor by download-booklet.js is recorded at
+ * graduations/{gradId}/bookletDownloads/{id} and counted in bookletDownloadStats
+ * on the graduation, so the teacher can see how often the booklet was downloaded.
+ * Downloads are also counted in the daily analytics (see analytics.js).
+ * Editors' own downloads are not logged. No IP addresses are stored.
+ */
+
+const admin = require('firebase-admin');
+const { recordAnalyticsEvent } = require('./analytics');
+
+/**
+ * Get the bookletDownloads collection for a graduation
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+const getDownloadsCollection = (db, graduationId) =>
+    db.collection('graduations').doc(graduationId).collection('bookletDownloads');
+
+/**
+ * Record a download
+ * Failures are logged and swallowed: a missed log entry must never block a download
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} download - {kind: 'booklet'|'student', versionId, studentId, studentName}
+ * @returns {Promise<void>}
+ */
+const recordBookletDownload = async (db, graduationId, { kind, versionId = null, studentId = null, studentName = null }) => {
+    const downloadedAt = admin.firestore.FieldValue.serverTimestamp();
+    const counter = kind === 'student' ? 'studentBooklets' : 'booklet';
+
+    try {
+        await Promise.all([
+            getDownloadsCollection(db, graduationId).add({ kind, versionId, studentId, studentName, downloadedAt }),
+            db.collection('graduations').doc(graduationId).update({
+                [`bookletDownloadStats.${counter}`]: admin.firestore.FieldValue.increment(1),
+                'bookletDownloadStats.lastDownloadedAt': downloadedAt
+            }),
+            recordAnalyticsEvent(db, graduationId, { type: kind === 'student' ? 'studentBookletDownload' : 'bookletDownload' })
+        ]);
+    } catch (error) {
+        console.error(`[Download] Failed to log download for ${graduationId}:`, error);
+    }
+};
+
+module.exports = {
+    getDownloadsCollection,
+    recordBookletDownload
+};
@@ -0,0 +1,320 @@
+/**
+ * Individual student booklets
+ * Builds one PDF per student (cover page, profile pages and optionally the class
+ * sections) plus a ZIP of all of them, for families who only want
+ * their child's pages. Runs as a studentExports job in generate-booklet-background.js.
+ */
+
+const admin = require('firebase-admin');
+const { PDFDocument } = require('pdf-lib');
+const JSZip = require('jszip');
+const {
+    DEFAULT_SECTIONS_ORDER,
+    MAX_BOOKLET_BYTES,
+    getBookletColors,
+    getBookletContentPages,
+    fetchStudentPdf
+} = require('./booklet-builder');
+const { createStudentCoverPage, createSectionTitlePage, addContentPage } = require('./booklet-pages');
+const { CLASS_SECTION_TITLES, getGalleryStudents, getClassAwards, addClassSection } = require('./booklet-sections');
+const { loadBookletFonts } = require('./booklet-fonts');
+const { getPrintSettings, normalizePageSizes } = require('./booklet-print');
+const { getCompressionSettings, compressPdf } = require('./booklet-compression');
+const { getBookletMetadata, setDocumentMetadata, importStructure, finishStructure } = require('./booklet-accessibility');
+const { PRIVATE_DELIVERY_TYPE, uploadPdfToCloudinary, uploadRawFileToCloudinary, cleanupReplacedAsset } = require('./cloudinary');
+
+const STUDENT_EXPORTS_FOLDER = 'graduation-student-booklets';
+
+/**
+ * Get the studentExports collection for a graduation (one document per student, keyed by student ID)
+ * Server-only: the URLs are handed out by download-booklet.js once the download schedule opens
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+const getExportsCollection = (db, graduationId) =>
+    db.collection('graduations').doc(graduationId).collection('studentExports');
+
+/**
+ * File name for a student's PDF inside the ZIP, numbered in class order
+ * @param {Object} student - Student with name
+ * @param {number} index - Position in the class order
+ * @returns {string} e.g. "03 - Jane Doe.pdf"
+ */
+const getExportFileName = (student, index) => {
+    const safeName = (student.name || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '').trim() || 'Student';
+    return `${String(index + 1).padStart(2, '0')} - ${safeName}.pdf`;
+};
+
+/**
+ * Draw the shared class pages once so every student's PDF can copy them
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Array<string>} sectionsOrder - Order of sections; everything except the students section is included
+ * @param {Object} options - {colors, pageSize, warnings}
+ * @returns {Promise<PDFDocument|null>} The class pages, or null when there are none
+ */
+const buildClassContent = async (sources, sectionsOrder, { colors, pageSize, warnings }) => {
+    const { config, contentPages } = sources;
+    const { messagePages, speechPages } = getBookletContentPages(contentPages, config);
+    const sections = sectionsOrder
+        .map(section => {
+            if (section === 'messages') return { title: 'Messages & Memories', pages: messagePages };
+            if (section === 'speeches') return { title: 'Speeches & Presentations', pages: speechPages };
+            if (CLASS_SECTION_TITLES[section]) return { section, pages: [] };
+            return null;
+        })
+        .filter(section => section && (section.section || section.pages.length > 0));
+
+    if (sections.length === 0) {
+        return null;
+    }
+
+    const contentPdf = await PDFDocument.create();
+    const fonts = await loadBookletFonts(contentPdf, config.font, [
+        ...sections.flatMap(section => section.pages.flatMap(page => [page.title, page.author, page.content])),
+        ...getGalleryStudents(sources).map(student => student.name),
+        ...getClassAwards(sources).awards.flatMap(award => [award.title, award.student.name])
+    ].filter(Boolean).join('\n'));
+
+    for (const section of sections) {
+        // Gallery, awards and signatures are drawn from the class data
+        if (section.section) {
+            const issues = [];
+            await addClassSection(contentPdf, section.section, sources, { colors, fonts, issues, pageSize });
+            issues.forEach(issue => warnings.push(`${CLASS_SECTION_TITLES[section.section]}: ${issue}`));
+            continue;
+        }
+
+        createSectionTitlePage(contentPdf, section.title, colors, fonts, pageSize);
+        for (const page of section.pages) {
+            const issues = [];
+            await addContentPage(contentPdf, page, colors, fonts, issues, pageSize);
+            issues.forEach(issue => warnings.push(`${page.title || 'Untitled'}: ${issue}`));
+        }
+    }
+
+    if (contentPdf.getPageCount() === 0) {
+        return null;
+    }
+
+    // Imported into every student's PDF along with the pages
+    finishStructure(contentPdf);
+    return contentPdf;
+};
+
+/**
+ * Build one student's PDF: their cover page, their profile, then the shared class pages
+ * @param {Object} student - Student with pdfUrl and cover page fields
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - {colors, pageSize, classContent}
+ * @returns {Promise<Object>} {pdfDoc, issues, compression} - issues lists non-fatal problems (e.g. a missing photo);
+ *   compression is the result of compressPdf
+ * @throws {Error} If the student's profile PDF cannot be used
+ */
+const buildStudentExport = async (student, sources, { colors, pageSize, classContent }) => {
+    const { graduationData, config } = sources;
+    const compressionSettings = getCompressionSettings(config);
+    const studentPdf = await fetchStudentPdf(student, compressionSettings);
+    const pdfDoc = await PDFDocument.create();
+    const issues = [];
+
+    setDocumentMetadata(pdfDoc, getBookletMetadata(graduationData, {
+        title: `${student.name} - ${graduationData.schoolName || 'Graduation'} ${graduationData.graduationYear || ''}`.trim(),
+        subject: `Graduation profile of ${student.name}`
+    }));
+
+    try {
+        const fonts = await loadBookletFonts(pdfDoc, config.font, `${student.name}\n${student.graduationSpeech || ''}`);
+        await createStudentCoverPage(pdfDoc, student, colors, fonts, issues, pageSize);
+    } catch (coverError) {
+        console.error(`Failed to create export cover page for ${student.name}:`, coverError.message);
+        issues.push(`cover page could not be created (${coverError.message})`);
+    }
+
+    const profilePages = await pdfDoc.copyPages(studentPdf, studentPdf.getPageIndices());
+    profilePages.forEach(page => pdfDoc.addPage(page));
+
+    if (classContent) {
+        const contentPages = await pdfDoc.copyPages(classContent, classContent.getPageIndices());
+        contentPages.forEach(page => pdfDoc.addPage(page));
+        importStructure(pdfDoc, classContent, contentPages);
+    }
+
+    normalizePageSizes(pdfDoc, pageSize);
+    finishStructure(pdfDoc);
+    const compression = await compressPdf(pdfDoc, compressionSettings);
+    return { pdfDoc, issues, compression };
+};
+
+/**
+ * Build every student's individual PDF and a ZIP of all of them
+ * Students are processed one at a time so only one profile PDF is in memory at once
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - Export options
+ * @param {boolean} [options.includeClassContent] - Append the class sections (messages, speeches, gallery, awards, signatures)
+ * @param {Array<string>} [options.sectionsOrder] - Order of the class sections
+ * @param {Function} [options.onProgress] - Called with {stage, completed, total, currentItem, warnings, skippedStudents}
+ * @param {Function} options.onExport - async (student, pdfBytes, pageCount) => void, e.g. upload the file
+ * @returns {Promise<Object>} {zipBytes, exportedCount, skippedStudents, warnings} - zipBytes is null when the ZIP would be too large
+ */
+const createStudentExports = async (sources, options) => {
+    const { config, studentsWithPdfs } = sources;
+    const {
+        includeClassContent = false,
+        sectionsOrder = DEFAULT_SECTIONS_ORDER,
+        onProgress = async () => {},
+        onExport
+    } = options;
+
+    const colors = getBookletColors(config);
+    const pageSize = getPrintSettings(config).dimensions;
+    const warnings = [];
+    const skippedStudents = [];
+    let exportedCount = 0;
+
+    const classContent = includeClassContent
+        ? await buildClassContent(sources, sectionsOrder, { colors, pageSize, warnings })
+        : null;
+
+    let zip = new JSZip();
+    let zipSize = 0;
+
+    for (const [index, student] of studentsWithPdfs.entries()) {
+        await onProgress({
+            stage: 'students',
+            completed: index,
+            total: studentsWithPdfs.length,
+            currentItem: student.name,
+            warnings,
+            skippedStudents
+        });
+
+        try {
+            const { pdfDoc, issues, compression } = await buildStudentExport(student, sources, { colors, pageSize, classContent });
+            issues.forEach(issue => warnings.push(`${student.name}: ${issue}`));
+
+            const pdfBytes = await pdfDoc.save();
+            if (compression.savedBytes > 0) {
+                console.log(`[Student Exports] ${student.name}: ${compression.imagesDownsampled} images downsampled, ${(compression.savedBytes / 1024).toFixed(0)}KB saved`);
+            }
+            await onExport(student, pdfBytes, pdfDoc.getPageCount());
+            exportedCount++;
+
+            // A partial ZIP would be confusing, so drop it entirely once it gets too big
+            zipSize += pdfBytes.length;
+            if (zip && zipSize > MAX_BOOKLET_BYTES) {
+                zip = null;
+                warnings.push(`The ZIP of all PDFs would be larger than ${MAX_BOOKLET_BYTES / 1024 / 1024}MB, so only the individual PDFs were saved.`);
+            }
+            if (zip) {
+                zip.file(getExportFileName(student, index), pdfBytes);
+            }
+        } catch (error) {
+            console.error(`Error exporting PDF for ${student.name}:`, error.message);
+            skippedStudents.push(student.name);
+            warnings.push(`${student.name}: ${error.message}`);
+        }
+    }
+
+    if (exportedCount === 0) {
+        throw new Error('No student PDFs could be processed successfully');
+    }
+
+    await onProgress({
+        stage: 'uploading',
+        completed: studentsWithPdfs.length,
+        total: studentsWithPdfs.length,
+        warnings,
+        skippedStudents
+    });
+
+    // PDFs are already compressed, so deflating them again only costs time
+    const zipBytes = zip ? await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' }) : null;
+
+    return { zipBytes, exportedCount, skippedStudents, warnings };
+};
+
+/**
+ * Run a student export job: build and upload every student's PDF and the ZIP, and record them
+ * Exports of students who no longer have a PDF are removed; a student whose PDF fails keeps
+ * their previous export
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - {includeClassContent, sectionsOrder, jobId, onProgress}
+ * @returns {Promise<Object>} {result, warnings, skippedStudents} for completeJob
+ */
+const exportStudentBooklets = async (db, graduationId, sources, { includeClassContent = false, sectionsOrder, jobId, onProgress }) => {
+    if (sources.studentsWithPdfs.length === 0) {
+        throw new Error(`No student PDFs found to export. Found ${sources.totalStudents} students total, but none have uploaded PDFs yet`);
+    }
+
+    const exportsCollection = getExportsCollection(db, graduationId);
+    const previousSnapshot = await exportsCollection.get();
+    const previousExports = new Map(previousSnapshot.docs.map(doc => [doc.id, doc.data()]));
+
+    const { zipBytes, exportedCount, skippedStudents, warnings } = await createStudentExports(sources, {
+        includeClassContent,
+        sectionsOrder,
+        onProgress,
+        onExport: async (student, pdfBytes, pageCount) => {
+            const pdfUrl = await uploadPdfToCloudinary(pdfBytes, `student_booklet_${graduationId}_${student.id}`, STUDENT_EXPORTS_FOLDER, {
+                deliveryType: PRIVATE_DELIVERY_TYPE
+            });
+            await exportsCollection.doc(student.id).set({
+                studentName: student.name || '',
+                pdfUrl,
+                pageCount,
+                sizeMB: parseFloat((pdfBytes.length / 1024 / 1024).toFixed(2)),
+                includesClassContent: includeClassContent,
+                jobId,
+                generatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            cleanupReplacedAsset(previousExports.get(student.id)?.pdfUrl, pdfUrl);
+        }
+    });
+
+    const currentStudentIds = new Set(sources.studentsWithPdfs.map(student => student.id));
+    for (const [studentId, previous] of previousExports) {
+        if (!currentStudentIds.has(studentId)) {
+            cleanupReplacedAsset(previous.pdfUrl, null);
+            await exportsCollection.doc(studentId).delete();
+        }
+    }
+
+    const zipUrl = zipBytes
+        ? await uploadRawFileToCloudinary(zipBytes, `student_booklets_${graduationId}`, {
+            folder: STUDENT_EXPORTS_FOLDER,
+            extension: 'zip',
+            contentType: 'application/zip',
+            deliveryType: PRIVATE_DELIVERY_TYPE
+        })
+        : null;
+
+    await db.collection('graduations').doc(graduationId).update({
+        studentExportsZipUrl: zipUrl || admin.firestore.FieldValue.delete(),
+        studentExportsGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+        studentExportsStats: {
+            exportedStudents: exportedCount,
+            skippedStudents: skippedStudents.length,
+            includesClassContent: includeClassContent
+        }
+    });
+    cleanupReplacedAsset(sources.graduationData.studentExportsZipUrl, zipUrl);
+
+    return {
+        result: { zipUrl, exportedStudents: exportedCount, includesClassContent: includeClassContent },
+        warnings,
+        skippedStudents
+    };
+};
+
+module.exports = {
+    STUDENT_EXPORTS_FOLDER,
+    getExportsCollection,
+    getExportFileName,
+    buildClassContent,
+    buildStudentExport,
+    createStudentExports,
+    exportStudentBooklets
+};
@@ -0,0 +1,211 @@
+/**
+ * Booklet fonts
+ * Embeds the TTF fonts bundled in netlify/functions/fonts so the printed booklet
+ * uses the same typeface as the website (config.font), with Unicode fallbacks
+ * for characters the main font doesn't have (accents, macrons, CJK, emoji).
+ *
+ * Text is drawn through a "font stack": each run of characters is drawn with the
+ * first font that has glyphs for it, so drawing never throws on an unsupported
+ * character the way the standard WinAnsi fonts do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { StandardFonts } = require('pdf-lib');
+
+// Font families offered on the Settings tab. Arial and Georgia are proprietary,
+// so their metric-compatible open equivalents are bundled instead.
+const FONT_FAMILIES = {
+    Inter: { regular: 'Inter-Regular.ttf', bold: 'Inter-Bold.ttf' },
+    Roboto: { regular: 'Roboto-Regular.ttf', bold: 'Roboto-Bold.ttf' },
+    Arial: { regular: 'Arimo-Regular.ttf', bold: 'Arimo-Bold.ttf' },
+    Georgia: { regular: 'Gelasio-Regular.ttf', bold: 'Gelasio-Bold.ttf' }
+};
+const DEFAULT_FONT_FAMILY = 'Inter';
+
+// Tried in order for characters the main font can't draw
+const FALLBACK_FONTS = [
+    { regular: 'NotoSans-Regular.ttf', bold: 'NotoSans-Bold.ttf' }, // Extended Latin, Greek, Cyrillic, Vietnamese
+    { regular: 'NotoSansSC-Regular.ttf', bold: 'NotoSansSC-Regular.ttf' }, // Chinese, Japanese kana, Korean-compatible CJK
+    { regular: 'NotoEmoji-Regular.ttf', bold: 'NotoEmoji-Regular.ttf' } // Monochrome emoji
+];
+
+// Zero-width joiners and variation selectors are dropped when no font has them
+const IGNORABLE_CHARS = /^[\u200B-\u200D\u2060\uFE00-\uFE0F]$/u;
+const REPLACEMENT_CHAR = '?';
+
+// Font files and their character coverage are reused across invocations of a warm function
+const fontFileCache = new Map();
+const coverageCache = new Map();
+
+/**
+ * Locate the bundled fonts directory
+ * Functions are bundled with esbuild, so __dirname isn't always the source folder;
+ * the fonts are shipped via included_files in netlify.toml
+ * @returns {string} Absolute path of the fonts directory
+ */
+const getFontsDir = () => {
+    const candidates = [
+        path.join(__dirname, '..', 'fonts'),
+        path.join(process.env.LAMBDA_TASK_ROOT || process.cwd(), 'netlify', 'functions', 'fonts')
+    ];
+    return candidates.find(dir => fs.existsSync(dir)) || candidates[0];
+};
+
+/**
+ * Read a bundled font file
+ * @param {string} fileName - File name inside the fonts directory
+ * @returns {Buffer}
+ */
+const readFontFile = (fileName) => {
+    if (!fontFileCache.has(fileName)) {
+        fontFileCache.set(fileName, fs.readFileSync(path.join(getFontsDir(), fileName)));
+    }
+    return fontFileCache.get(fileName);
+};
+
+/**
+ * Get the set of code points a bundled font has glyphs for
+ * @param {string} fileName - File name inside the fonts directory
+ * @returns {Set<number>}
+ */
+const getFontCoverage = (fileName) => {
+    if (!coverageCache.has(fileName)) {
+        coverageCache.set(fileName, new Set(fontkit.create(readFontFile(fileName)).characterSet));
+    }
+    return coverageCache.get(fileName);
+};
+
+/**
+ * Create a font stack over a list of embedded fonts
+ * The stack has the same measuring API as a PDFFont, so layout helpers can take either
+ * @param {Array<PDFFont>} fonts - Main font first, then fallbacks
+ * @returns {Object} {widthOfTextAtSize, heightAtSize, drawText, primary}
+ */
+const createFontStack = (fonts) => {
+    const charSets = fonts.map(font => new Set(font.getCharacterSet()));
+
+    // Split text into runs that share a font, replacing characters no font can draw
+    const splitRuns = (text) => {
+        const runs = [];
+
+        for (const char of String(text ?? '')) {
+            const codePoint = char.codePointAt(0);
+            let fontIndex = charSets.findIndex(set => set.has(codePoint));
+            let output = char;
+
+            if (fontIndex === -1) {
+                if (IGNORABLE_CHARS.test(char)) continue;
+                fontIndex = 0;
+                output = /\s/.test(char) ? ' ' : REPLACEMENT_CHAR;
+            }
+
+            const lastRun = runs[runs.length - 1];
+            if (lastRun && lastRun.fontIndex === fontIndex) {
+                lastRun.text += output;
+            } else {
+                runs.push({ fontIndex, text: output });
+            }
+        }
+
+        return runs.map(run => ({ font: fonts[run.fontIndex], text: run.text }));
+    };
+
+    const widthOfTextAtSize = (text, size) => {
+        return splitRuns(text).reduce((total, run) => total + run.font.widthOfTextAtSize(run.text, size), 0);
+    };
+
+    return {
+        primary: fonts[0],
+        widthOfTextAtSize,
+
+        /**
+         * Line height of the main font
+         * @param {number} size - Font size
+         * @returns {number}
+         */
+        heightAtSize(size) {
+            return fonts[0].heightAtSize(size);
+        },
+
+        /**
+         * Draw text on a page, switching fonts mid-line where needed
+         * @param {PDFPage} page - Page to draw on
+         * @param {string} text - Single line of text
+         * @param {Object} options - pdf-lib drawText options (x, y, size, color, rotate); font is ignored
+         */
+        drawText(page, text, options) {
+            const { x, y, size, rotate } = options;
+            const angle = ((rotate && rotate.angle) || 0) * Math.PI / 180;
+            let offset = 0;
+
+            for (const run of splitRuns(text)) {
+                page.drawText(run.text, {
+                    ...options,
+                    x: x + offset * Math.cos(angle),
+                    y: y + offset * Math.sin(angle),
+                    font: run.font
+                });
+                offset += run.font.widthOfTextAtSize(run.text, size);
+            }
+        }
+    };
+};
+
+/**
+ * Embed the booklet fonts into a document
+ * Fallback fonts are only embedded when sampleText contains characters the main
+ * font doesn't cover, so most booklets never load the large CJK font
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string} [fontFamily] - config.font (Inter, Roboto, Arial or Georgia)
+ * @param {string} [sampleText] - All user text that will be drawn (names, titles, speeches)
+ * @returns {Promise<{regular: Object, bold: Object}>} Font stacks
+ */
+const loadBookletFonts = async (pdfDoc, fontFamily = DEFAULT_FONT_FAMILY, sampleText = '') => {
+    const family = FONT_FAMILIES[fontFamily] || FONT_FAMILIES[DEFAULT_FONT_FAMILY];
+
+    try {
+        pdfDoc.registerFontkit(fontkit);
+
+        const embed = (fileName) => pdfDoc.embedFont(readFontFile(fileName), { subset: true });
+        const regularFonts = [await embed(family.regular)];
+        const boldFonts = [await embed(family.bold)];
+
+        // Characters the main font can't draw, checked against each fallback in turn
+        const mainCoverage = getFontCoverage(family.regular);
+        let missing = new Set([...String(sampleText)]
+            .map(char => char.codePointAt(0))
+            .filter(codePoint => !mainCoverage.has(codePoint) && !/\s/u.test(String.fromCodePoint(codePoint))));
+
+        for (const fallback of FALLBACK_FONTS) {
+            if (missing.size === 0) break;
+
+            const coverage = getFontCoverage(fallback.regular);
+            const covered = [...missing].filter(codePoint => coverage.has(codePoint));
+            if (covered.length === 0) continue;
+
+            regularFonts.push(await embed(fallback.regular));
+            boldFonts.push(await embed(fallback.bold));
+            missing = new Set([...missing].filter(codePoint => !coverage.has(codePoint)));
+        }
+
+        return {
+            regular: createFontStack(regularFonts),
+            bold: createFontStack(boldFonts)
+        };
+    } catch (error) {
+        // Missing font files shouldn't stop the booklet; the standard fonts still work for Latin text
+        console.error(`[Booklet Fonts] Could not embed ${fontFamily}, using Helvetica:`, error.message);
+        return {
+            regular: createFontStack([await pdfDoc.embedFont(StandardFonts.Helvetica)]),
+            bold: createFontStack([await pdfDoc.embedFont(StandardFonts.HelveticaBold)])
+        };
+    }
+};
+
+module.exports = {
+    FONT_FAMILIES,
+    DEFAULT_FONT_FAMILY,
+    loadBookletFonts
+};
@@ -0,0 +1,262 @@
+/**
+ * Booklet job helpers
+ * Booklet generation runs as a job stored at graduations/{gradId}/bookletJobs/{jobId}.
+ * The request handler creates the job, the background worker claims it and
+ * reports progress, and the client listens to the job document.
+ */
+
+const admin = require('firebase-admin');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+// Preflight jobs only check the inputs and finish with a report instead of a booklet;
+// student export jobs build one PDF per student (see booklet-exports.js);
+// proof jobs build a watermarked draft without publishing it (see booklet-proofs.js);
+// makePrivate jobs move files generated before booklets were private (see booklet-privacy.js)
+const JOB_TYPE = {
+    BUILD: 'build',
+    PREFLIGHT: 'preflight',
+    STUDENT_EXPORTS: 'studentExports',
+    PROOF: 'proof',
+    MAKE_PRIVATE: 'makePrivate'
+};
+
+// A queued/running job with no progress or heartbeat for this long is treated as dead
+const JOB_STALE_MS = 3 * 60 * 1000;
+
+// Error recorded on a job that went quiet
+const JOB_STALE_MESSAGE = 'Booklet generation stopped responding. Please try again.';
+
+// Running jobs touch updatedAt this often, so steps without progress (saving, uploading) don't look dead
+const JOB_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Minimum gap between progress writes (Firestore sustains ~1 write/sec per document)
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+/**
+ * Get the bookletJobs collection for a graduation
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+const getJobsCollection = (db, graduationId) =>
+    db.collection('graduations').doc(graduationId).collection('bookletJobs');
+
+/**
+ * Check whether a job is still queued or running and has reported recently
+ * @param {Object} job - Job document data
+ * @returns {boolean}
+ */
+const isJobActive = (job) => {
+    if (!job || (job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.RUNNING)) {
+        return false;
+    }
+    const updatedAt = job.updatedAt?.toMillis ? job.updatedAt.toMillis() : 0;
+    return Date.now() - updatedAt < JOB_STALE_MS;
+};
+
+/**
+ * Create a queued job
+ * Build jobs also become the graduation's active job; other job types run alongside.
+ * For builds the current active job is read and replaced in one transaction, so two
+ * requests arriving together can't both start a build. An active job that is still
+ * queued or running but has gone quiet is marked failed, so editors watching it see
+ * an error instead of a build that never finishes
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} request - Build options to store with the job
+ * @param {string} [type] - One of JOB_TYPE
+ * @returns {Promise<{jobId: string, activeJob: Object|null}>} The new job ID, or the ID and data
+ *   ({id, ...data}) of the build that is already running, in which case no job was created
+ */
+const createJob = async (db, graduationId, request, type = JOB_TYPE.BUILD) => {
+    const graduationRef = db.collection('graduations').doc(graduationId);
+    const jobsCollection = getJobsCollection(db, graduationId);
+    const jobRef = jobsCollection.doc();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const job = {
+        type,
+        status: JOB_STATUS.QUEUED,
+        stage: 'queued',
+        request,
+        progress: { completed: 0, total: 0, percent: 0, currentItem: null },
+        warnings: [],
+        skippedStudents: [],
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    if (type !== JOB_TYPE.BUILD) {
+        await jobRef.set(job);
+        return { jobId: jobRef.id, activeJob: null };
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const graduationDoc = await transaction.get(graduationRef);
+        const activeJobId = graduationDoc.exists ? graduationDoc.data().activeBookletJobId : null;
+        const activeJobDoc = activeJobId ? await transaction.get(jobsCollection.doc(activeJobId)) : null;
+
+        if (activeJobDoc && activeJobDoc.exists) {
+            const activeJob = { id: activeJobDoc.id, ...activeJobDoc.data() };
+            if (isJobActive(activeJob)) {
+                return { jobId: activeJob.id, activeJob };
+            }
+
+            if (activeJob.status === JOB_STATUS.QUEUED || activeJob.status === JOB_STATUS.RUNNING) {
+                console.warn(`[Booklet Job] Job ${activeJob.id} for ${graduationId} stopped responding, marking it failed`);
+                transaction.update(activeJobDoc.ref, {
+                    status: JOB_STATUS.FAILED,
+                    error: JOB_STALE_MESSAGE,
+                    completedAt: now,
+                    updatedAt: now
+                });
+            }
+        }
+
+        transaction.set(jobRef, job);
+        transaction.update(graduationRef, { activeBookletJobId: jobRef.id });
+        return { jobId: jobRef.id, activeJob: null };
+    });
+};
+
+/**
+ * Atomically move a queued job to running
+ * Prevents the worker from being triggered twice for the same job
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} Job data if claimed, null otherwise
+ */
+const claimJob = async (db, graduationId, jobId) => {
+    const jobRef = getJobsCollection(db, graduationId).doc(jobId);
+
+    return db.runTransaction(async (transaction) => {
+        const jobDoc = await transaction.get(jobRef);
+        if (!jobDoc.exists || jobDoc.data().status !== JOB_STATUS.QUEUED) {
+            return null;
+        }
+
+        transaction.update(jobRef, {
+            status: JOB_STATUS.RUNNING,
+            stage: 'preparing',
+            startedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return jobDoc.data();
+    });
+};
+
+/**
+ * Create a throttled progress reporter for a running job
+ * Pass it as buildBooklet's onProgress; stage changes are always written
+ * @param {FirebaseFirestore.DocumentReference} jobRef - The job document
+ * @returns {Function} async ({stage, completed, total, currentItem, warnings, skippedStudents}) => void
+ */
+const createProgressReporter = (jobRef) => {
+    let lastWrite = 0;
+    let lastStage = null;
+
+    return async ({ stage, completed = 0, total = 0, currentItem = null, warnings = [], skippedStudents = [] }) => {
+        const now = Date.now();
+        if (stage === lastStage && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) {
+            return;
+        }
+        lastWrite = now;
+        lastStage = stage;
+
+        try {
+            await jobRef.update({
+                stage,
+                progress: {
+                    completed,
+                    total,
+                    percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+                    currentItem
+                },
+                warnings: [...warnings],
+                skippedStudents: [...skippedStudents],
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            // Progress is informational only - never fail the build over it
+            console.error('[Booklet Job] Failed to write progress:', error.message);
+        }
+    };
+};
+
+/**
+ * Keep a running job's updatedAt fresh until stopped
+ * @param {FirebaseFirestore.DocumentReference} jobRef - The job document
+ * @returns {Function} Stops the heartbeat
+ */
+const startJobHeartbeat = (jobRef) => {
+    const timer = setInterval(() => {
+        jobRef.update({ updatedAt: admin.firestore.FieldValue.serverTimestamp() }).catch(error => {
+            console.error('[Booklet Job] Failed to write heartbeat:', error.message);
+        });
+    }, JOB_HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(timer);
+};
+
+/**
+ * Mark a job as completed with its result
+ * @param {FirebaseFirestore.DocumentReference} jobRef - The job document
+ * @param {Object} result - {bookletUrl, pageCount, studentCount, processedStudents, sizeMB}, {report} for preflight jobs,
+ *   {zipUrl, exportedStudents, includesClassContent} for student export jobs,
+ *   {proofId, proofPath, expiresAt, pageCount, sizeMB} for proof jobs,
+ *   or {madePrivate, removedSections, failed} for makePrivate jobs
+ * @param {Object} details - {warnings, skippedStudents}
+ * @returns {Promise<void>}
+ */
+const completeJob = async (jobRef, result, { warnings = [], skippedStudents = [] } = {}) => {
+    await jobRef.update({
+        status: JOB_STATUS.COMPLETED,
+        stage: 'done',
+        progress: { completed: 1, total: 1, percent: 100, currentItem: null },
+        result,
+        warnings,
+        skippedStudents,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+};
+
+/**
+ * Mark a job as failed
+ * @param {FirebaseFirestore.DocumentReference} jobRef - The job document
+ * @param {string} message - Error message shown to the editor
+ * @returns {Promise<void>}
+ */
+const failJob = async (jobRef, message) => {
+    try {
+        await jobRef.update({
+            status: JOB_STATUS.FAILED,
+            error: message,
+            completedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.error('[Booklet Job] Failed to record job failure:', error.message);
+    }
+};
+
+module.exports = {
+    JOB_STATUS,
+    JOB_TYPE,
+    JOB_STALE_MS,
+    getJobsCollection,
+    isJobActive,
+    createJob,
+    claimJob,
+    createProgressReporter,
+    startJobHeartbeat,
+    completeJob,
+    failJob
+};
@@ -0,0 +1,96 @@
+/**
+ * Booklet navigation
+ * Internal link annotations (clickable ToC entries) and the PDF outline
+ * (bookmark sidebar). pdf-lib has no high-level API for either, so the
+ * dictionaries are built directly on the document context.
+ */
+
+const { PDFName, PDFHexString } = require('pdf-lib');
+
+/**
+ * Build a destination that opens a page at its top-left, keeping the reader's zoom
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFPage} targetPage - Page to jump to
+ * @returns {PDFArray} Explicit destination array
+ */
+const createPageDestination = (pdfDoc, targetPage) => {
+    return pdfDoc.context.obj([targetPage.ref, 'XYZ', null, null, null]);
+};
+
+/**
+ * Add an invisible link annotation that jumps to another page
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {PDFPage} page - Page the link is drawn on
+ * @param {{x: number, y: number, width: number, height: number}} rect - Clickable area in user space
+ * @param {PDFPage} targetPage - Page to jump to
+ */
+const addPageLink = (pdfDoc, page, rect, targetPage) => {
+    const annotation = pdfDoc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+        Border: [0, 0, 0],
+        Dest: createPageDestination(pdfDoc, targetPage)
+    });
+    page.node.addAnnot(pdfDoc.context.register(annotation));
+};
+
+/**
+ * Write the document outline (bookmarks)
+ * Top-level items start expanded; items with children start collapsed so a
+ * class of hundreds of students doesn't flood the sidebar
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} items - Tree of {title, page, children?} where page is a PDFPage
+ */
+const addOutline = (pdfDoc, items) => {
+    const { context } = pdfDoc;
+    const usable = (list) => (list || []).filter(item => item.title && item.page);
+
+    const topLevel = usable(items);
+    if (topLevel.length === 0) return;
+
+    const outlineRef = context.nextRef();
+
+    // Registers a list of siblings under parentRef and returns their refs
+    const writeItems = (list, parentRef) => {
+        const refs = list.map(() => context.nextRef());
+
+        list.forEach((item, index) => {
+            const children = usable(item.children);
+            const dict = {
+                Title: PDFHexString.fromText(item.title),
+                Parent: parentRef,
+                Dest: createPageDestination(pdfDoc, item.page)
+            };
+            if (index > 0) dict.Prev = refs[index - 1];
+            if (index < refs.length - 1) dict.Next = refs[index + 1];
+
+            if (children.length > 0) {
+                const childRefs = writeItems(children, refs[index]);
+                dict.First = childRefs[0];
+                dict.Last = childRefs[childRefs.length - 1];
+                dict.Count = -children.length; // Negative count = collapsed
+            }
+
+            context.assign(refs[index], context.obj(dict));
+        });
+
+        return refs;
+    };
+
+    const refs = writeItems(topLevel, outlineRef);
+    context.assign(outlineRef, context.obj({
+        Type: 'Outlines',
+        First: refs[0],
+        Last: refs[refs.length - 1],
+        Count: refs.length
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlineRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines')); // Open with the sidebar visible
+};
+
+module.exports = {
+    addPageLink,
+    addOutline
+};
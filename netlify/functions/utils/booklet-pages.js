@@ -0,0 +1,698 @@
+/**
+ * Booklet page renderers
+ * Draws the generated pages of the class booklet (cover, ToC, section titles,
+ * content pages and student cover pages) with pdf-lib
+ */
+
+const { rgb, pushGraphicsState, popGraphicsState, rectangle, clip, endPath } = require('pdf-lib');
+const fetch = require('node-fetch');
+const { addPageLink } = require('./booklet-navigation');
+const { wrapText, layoutParagraphs, createPageFlow } = require('./booklet-text-layout');
+const { PAGE_SIZES, DEFAULT_PAGE_SIZE } = require('./booklet-print');
+const { createStructureElement, markContent, tagContent, markArtifact } = require('./booklet-accessibility');
+
+const DEFAULT_DIMENSIONS = PAGE_SIZES[DEFAULT_PAGE_SIZE];
+
+// ToC row styles: level 0 = section, level 1 = entry inside a section (e.g. a student)
+const TOC_ROW_STYLES = [
+    { size: 14, lineHeight: 30, indent: 60 },
+    { size: 11, lineHeight: 18, indent: 80 }
+];
+const TOC_FIRST_ROW_OFFSET = 130; // From the top of the page
+const TOC_MIN_ROW_Y = 60;
+
+/**
+ * Split ToC entries into pages
+ * Only needs titles and levels, so the page count is known before page numbers are assigned
+ * @param {Array} tocEntries - Array of {title, level} objects
+ * @param {Array<number>} [pageSize] - Page [width, height] (Letter by default)
+ * @returns {Array<Array>} Entries per ToC page
+ */
+const paginateTocEntries = (tocEntries, pageSize = DEFAULT_DIMENSIONS) => {
+    const firstRowY = pageSize[1] - TOC_FIRST_ROW_OFFSET;
+    const pages = [[]];
+    let yPosition = firstRowY;
+
+    for (const entry of tocEntries) {
+        const style = TOC_ROW_STYLES[entry.level || 0];
+        if (yPosition < TOC_MIN_ROW_Y) {
+            pages.push([]);
+            yPosition = firstRowY;
+        }
+        pages[pages.length - 1].push(entry);
+        yPosition -= style.lineHeight;
+    }
+
+    return pages;
+};
+
+/**
+ * Shorten text with an ellipsis so it fits in maxWidth
+ * @param {string} text - Text to fit
+ * @param {Object} font - Font (or font stack) used to measure
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width
+ * @returns {string}
+ */
+const truncateToWidth = (text, font, size, maxWidth) => {
+    if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+
+    const chars = Array.from(text); // Don't split surrogate pairs (emoji, rare CJK)
+    while (chars.length > 1 && font.widthOfTextAtSize(`${chars.join('')}...`, size) > maxWidth) {
+        chars.pop();
+    }
+    return `${chars.join('').trimEnd()}...`;
+};
+
+/**
+ * Helper function to create the Table of Contents pages
+ * Pages are added at the end of the document; entries with a pageRef become clickable links
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array} tocEntries - Array of {title, page, level, pageRef} objects
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {Promise<Array<Page>>} The created ToC pages
+ */
+const createTocPages = async (pdfDoc, tocEntries, colors, fonts, pageSize = DEFAULT_DIMENSIONS) => {
+    const { regular: font, bold: boldFont } = fonts;
+
+    const tocPages = [];
+    const tocHeading = createStructureElement(pdfDoc, 'H1');
+    const tocList = createStructureElement(pdfDoc, 'TOC');
+
+    paginateTocEntries(tocEntries, pageSize).forEach((pageEntries, pageIndex) => {
+        const tocPage = pdfDoc.addPage(pageSize);
+        const { width, height } = tocPage.getSize();
+        tocPages.push(tocPage);
+
+        // Draw title (the repeat on later pages is only a visual cue)
+        const drawTitle = () => boldFont.drawText(tocPage, pageIndex === 0 ? 'Table of Contents' : 'Table of Contents (continued)', {
+            x: 50,
+            y: height - 80,
+            size: 26,
+            color: rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b),
+        });
+        if (pageIndex === 0) {
+            markContent(tocPage, tocHeading, drawTitle);
+        } else {
+            markArtifact(tocPage, drawTitle);
+        }
+
+        // Draw a decorative line under the title
+        markArtifact(tocPage, () => tocPage.drawLine({
+            start: { x: 50, y: height - 95 },
+            end: { x: width - 50, y: height - 95 },
+            thickness: 2,
+            color: rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b),
+        }));
+
+        // Draw ToC entries
+        let yPosition = height - TOC_FIRST_ROW_OFFSET;
+
+        for (const entry of pageEntries) {
+            const { size, lineHeight, indent } = TOC_ROW_STYLES[entry.level || 0];
+            const dotsEndX = width - 100;
+
+            // Each row is read as "title, page number"; the leader dots are skipped
+            const tocItem = createStructureElement(pdfDoc, 'TOCI', { parent: tocList });
+
+            // Draw entry title
+            const title = truncateToWidth(entry.title, font, size, dotsEndX - indent - 20);
+            const titleWidth = font.widthOfTextAtSize(title, size);
+            markContent(tocPage, tocItem, () => font.drawText(tocPage, title, {
+                x: indent,
+                y: yPosition,
+                size,
+                color: rgb(colors.textColor.r, colors.textColor.g, colors.textColor.b),
+            }));
+
+            // Draw dotted line (leader dots)
+            const dotsStartX = indent + titleWidth + 10;
+            const dotSpacing = 8;
+
+            markArtifact(tocPage, () => {
+                for (let dotX = dotsStartX; dotX < dotsEndX; dotX += dotSpacing) {
+                    font.drawText(tocPage, '.', {
+                        x: dotX,
+                        y: yPosition,
+                        size,
+                        color: rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b),
+                    });
+                }
+            });
+
+            // Draw page number
+            const pageNumText = entry.page.toString();
+            markContent(tocPage, tocItem, () => boldFont.drawText(tocPage, pageNumText, {
+                x: width - 80,
+                y: yPosition,
+                size,
+                color: rgb(colors.textColor.r, colors.textColor.g, colors.textColor.b),
+            }));
+
+            // Make the whole row clickable
+            if (entry.pageRef) {
+                addPageLink(pdfDoc, tocPage, {
+                    x: indent - 5,
+                    y: yPosition - (lineHeight - size) / 2,
+                    width: width - 50 - indent,
+                    height: lineHeight
+                }, entry.pageRef);
+            }
+
+            yPosition -= lineHeight;
+        }
+    });
+
+    return tocPages;
+};
+
+/**
+ * Helper function to create a student cover page with photos and speech
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} student - Student data with name, coverPhotoBeforeUrl, coverPhotoAfterUrl, graduationSpeech
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<string>} [issues] - Receives a message for each photo that could not be embedded
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {Promise<Page>} The created cover page
+ */
+const createStudentCoverPage = async (pdfDoc, student, colors, fonts, issues = [], pageSize = DEFAULT_DIMENSIONS) => {
+    const coverPage = pdfDoc.addPage(pageSize);
+    const { width, height } = coverPage.getSize();
+    const { regular: regularFont, bold: boldFont } = fonts;
+    
+    let yPosition = height - 80;
+    
+    // Draw student name as title
+    const nameText = student.name || 'Student';
+    const nameWidth = boldFont.widthOfTextAtSize(nameText, 24);
+    tagContent(coverPage, 'H2', () => boldFont.drawText(coverPage, nameText, {
+        x: (width - nameWidth) / 2, // Center horizontally
+        y: yPosition,
+        size: 24,
+        color: rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b),
+    }));
+    
+    // Draw decorative line
+    markArtifact(coverPage, () => coverPage.drawLine({
+        start: { x: 50, y: yPosition - 10 },
+        end: { x: width - 50, y: yPosition - 10 },
+        thickness: 2,
+        color: rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b),
+    }));
+    
+    yPosition -= 50;
+    
+    // Add photos if available
+    if (student.coverPhotoBeforeUrl || student.coverPhotoAfterUrl) {
+        const photoHeight = 250;
+        const photoWidth = 200;
+        const spacing = 30;
+        
+        // Calculate positions for side-by-side photos
+        const totalWidth = (student.coverPhotoBeforeUrl && student.coverPhotoAfterUrl) 
+            ? (photoWidth * 2 + spacing) 
+            : photoWidth;
+        const startX = (width - totalWidth) / 2;
+        
+        let currentX = startX;
+        
+        // Before photo
+        if (student.coverPhotoBeforeUrl) {
+            try {
+                const imageResponse = await fetch(student.coverPhotoBeforeUrl);
+                if (imageResponse.ok) {
+                    const imageBytes = await imageResponse.arrayBuffer();
+                    let embeddedImage;
+                    
+                    // Determine image type and embed
+                    if (student.coverPhotoBeforeUrl.toLowerCase().includes('.png')) {
+                        embeddedImage = await pdfDoc.embedPng(imageBytes);
+                    } else {
+                        embeddedImage = await pdfDoc.embedJpg(imageBytes);
+                    }
+                    
+                    // Draw image maintaining aspect ratio
+                    const imageDims = embeddedImage.scale(1);
+                    const scale = Math.min(photoWidth / imageDims.width, photoHeight / imageDims.height);
+                    const scaledWidth = imageDims.width * scale;
+                    const scaledHeight = imageDims.height * scale;
+                    
+                    tagContent(coverPage, 'Figure', () => coverPage.drawImage(embeddedImage, {
+                        x: currentX + (photoWidth - scaledWidth) / 2,
+                        y: yPosition - scaledHeight,
+                        width: scaledWidth,
+                        height: scaledHeight,
+                    }), { alt: `Before photo of ${nameText}` });
+                    
+                    // Label
+                    const labelText = 'Before';
+                    const labelWidth = regularFont.widthOfTextAtSize(labelText, 12);
+                    tagContent(coverPage, 'Caption', () => regularFont.drawText(coverPage, labelText, {
+                        x: currentX + (photoWidth - labelWidth) / 2,
+                        y: yPosition - scaledHeight - 20,
+                        size: 12,
+                        color: rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b),
+                    }));
+                    
+                    currentX += photoWidth + spacing;
+                } else {
+                    issues.push(`"before" photo could not be downloaded (${imageResponse.status})`);
+                }
+            } catch (error) {
+                console.error(`Failed to embed before photo for ${student.name}:`, error.message);
+                issues.push(`"before" photo could not be added (${error.message})`);
+            }
+        }
+        
+        // After photo
+        if (student.coverPhotoAfterUrl) {
+            try {
+                const imageResponse = await fetch(student.coverPhotoAfterUrl);
+                if (imageResponse.ok) {
+                    const imageBytes = await imageResponse.arrayBuffer();
+                    let embeddedImage;
+                    
+                    if (student.coverPhotoAfterUrl.toLowerCase().includes('.png')) {
+                        embeddedImage = await pdfDoc.embedPng(imageBytes);
+                    } else {
+                        embeddedImage = await pdfDoc.embedJpg(imageBytes);
+                    }
+                    
+                    const imageDims = embeddedImage.scale(1);
+                    const scale = Math.min(photoWidth / imageDims.width, photoHeight / imageDims.height);
+                    const scaledWidth = imageDims.width * scale;
+                    const scaledHeight = imageDims.height * scale;
+                    
+                    // If only after photo, center it
+                    const photoX = student.coverPhotoBeforeUrl ? currentX : startX;
+                    
+                    tagContent(coverPage, 'Figure', () => coverPage.drawImage(embeddedImage, {
+                        x: photoX + (photoWidth - scaledWidth) / 2,
+                        y: yPosition - scaledHeight,
+                        width: scaledWidth,
+                        height: scaledHeight,
+                    }), { alt: `After photo of ${nameText}` });
+                    
+                    // Label
+                    const labelText = 'After';
+                    const labelWidth = regularFont.widthOfTextAtSize(labelText, 12);
+                    tagContent(coverPage, 'Caption', () => regularFont.drawText(coverPage, labelText, {
+                        x: photoX + (photoWidth - labelWidth) / 2,
+                        y: yPosition - scaledHeight - 20,
+                        size: 12,
+                        color: rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b),
+                    }));
+                } else {
+                    issues.push(`"after" photo could not be downloaded (${imageResponse.status})`);
+                }
+            } catch (error) {
+                console.error(`Failed to embed after photo for ${student.name}:`, error.message);
+                issues.push(`"after" photo could not be added (${error.message})`);
+            }
+        }
+        
+        yPosition -= (photoHeight + 60);
+    }
+    
+    // Add graduation speech if available
+    if (student.graduationSpeech) {
+        const speechText = student.graduationSpeech;
+        const maxWidth = width - 100;
+        const lineHeight = 16;
+        const fontSize = 11;
+        
+        // Word wrap the speech text
+        const words = speechText.split(' ');
+        const lines = [];
+        let currentLine = '';
+        
+        for (const word of words) {
+            const testLine = currentLine + (currentLine ? ' ' : '') + word;
+            const testWidth = regularFont.widthOfTextAtSize(testLine, fontSize);
+            
+            if (testWidth > maxWidth && currentLine) {
+                lines.push(currentLine);
+                currentLine = word;
+            } else {
+                currentLine = testLine;
+            }
+        }
+        if (currentLine) {
+            lines.push(currentLine);
+        }
+        
+        // Draw speech heading
+        tagContent(coverPage, 'H3', () => boldFont.drawText(coverPage, 'Graduation Speech', {
+            x: 50,
+            y: yPosition,
+            size: 14,
+            color: rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b),
+        }));
+        
+        yPosition -= 25;
+        
+        // Draw speech text
+        tagContent(coverPage, 'P', () => {
+            for (const line of lines) {
+                if (yPosition < 60) break; // Don't go off page
+                
+                regularFont.drawText(coverPage, line, {
+                    x: 50,
+                    y: yPosition,
+                    size: fontSize,
+                    color: rgb(colors.textColor.r, colors.textColor.g, colors.textColor.b),
+                });
+                
+                yPosition -= lineHeight;
+            }
+        });
+    }
+    
+    return coverPage;
+};
+
+/**
+ * Draw a "profile coming soon" page for a student who hasn't uploaded a PDF
+ * Keeps the whole class in the booklet (and the ToC) while profiles are still missing
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} student - Student data with name
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {Page} The created placeholder page
+ */
+const createStudentPlaceholderPage = (pdfDoc, student, colors, fonts, pageSize = DEFAULT_DIMENSIONS) => {
+    const page = pdfDoc.addPage(pageSize);
+    const { width, height } = page.getSize();
+    const { primaryColor, secondaryColor } = colors;
+    const primary = rgb(primaryColor.r, primaryColor.g, primaryColor.b);
+    const secondary = rgb(secondaryColor.r, secondaryColor.g, secondaryColor.b);
+
+    const nameText = truncateToWidth(student.name || 'Student', fonts.bold, 28, width - 100);
+    const nameWidth = fonts.bold.widthOfTextAtSize(nameText, 28);
+    tagContent(page, 'H2', () => fonts.bold.drawText(page, nameText, { x: (width - nameWidth) / 2, y: height / 2 + 40, size: 28, color: primary }));
+
+    markArtifact(page, () => page.drawLine({
+        start: { x: width / 2 - 80, y: height / 2 + 20 },
+        end: { x: width / 2 + 80, y: height / 2 + 20 },
+        thickness: 2,
+        color: primary,
+    }));
+
+    const noteText = 'Profile coming soon';
+    const noteWidth = fonts.regular.widthOfTextAtSize(noteText, 16);
+    tagContent(page, 'P', () => fonts.regular.drawText(page, noteText, { x: (width - noteWidth) / 2, y: height / 2 - 15, size: 16, color: secondary }));
+
+    return page;
+};
+
+/**
+ * Draw the default generated cover page (school name, class year, subtitle)
+ * Also used as the fallback when a custom cover PDF cannot be loaded
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} graduationData - Graduation document data (schoolName, graduationYear)
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {Page} The created title page
+ */
+const createDefaultCoverPage = (pdfDoc, graduationData, colors, fonts, pageSize = DEFAULT_DIMENSIONS) => {
+    const titlePage = pdfDoc.addPage(pageSize);
+    const { height } = titlePage.getSize();
+    const { primaryColor, secondaryColor } = colors;
+
+    // Add title text with primary color
+    tagContent(titlePage, 'H1', () => fonts.regular.drawText(titlePage, `${graduationData.schoolName}`, {
+        x: 50,
+        y: height - 100,
+        size: 28,
+        color: rgb(primaryColor.r, primaryColor.g, primaryColor.b),
+    }));
+
+    tagContent(titlePage, 'P', () => fonts.regular.drawText(titlePage, `Class of ${graduationData.graduationYear}`, {
+        x: 50,
+        y: height - 140,
+        size: 20,
+        color: rgb(secondaryColor.r, secondaryColor.g, secondaryColor.b),
+    }));
+
+    tagContent(titlePage, 'P', () => fonts.regular.drawText(titlePage, `Student Profiles`, {
+        x: 50,
+        y: height - 180,
+        size: 16,
+        color: rgb(secondaryColor.r, secondaryColor.g, secondaryColor.b),
+    }));
+
+    return titlePage;
+};
+
+/**
+ * Draw a section title page (e.g. "Messages & Memories")
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string} title - Section title
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {Page} The created section page
+ */
+const createSectionTitlePage = (pdfDoc, title, colors, fonts, pageSize = DEFAULT_DIMENSIONS) => {
+    const { primaryColor } = colors;
+    const sectionPage = pdfDoc.addPage(pageSize);
+    tagContent(sectionPage, 'H1', () => fonts.regular.drawText(sectionPage, title, {
+        x: 50,
+        y: sectionPage.getHeight() - 100,
+        size: 26,
+        color: rgb(primaryColor.r, primaryColor.g, primaryColor.b),
+    }));
+    return sectionPage;
+};
+
+/**
+ * Download an image and embed it, detecting PNG/JPEG from the file signature
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string} url - Image URL
+ * @returns {Promise<PDFImage>} The embedded image
+ */
+const embedImageFromUrl = async (pdfDoc, url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`download failed (${response.status})`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const isPng = bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47;
+    return isPng ? pdfDoc.embedPng(bytes) : pdfDoc.embedJpg(bytes);
+};
+
+/**
+ * Draw an image filling a box, cropping whatever overflows (like CSS object-fit: cover)
+ * @param {PDFPage} page - Page to draw on
+ * @param {PDFImage} image - Embedded image
+ * @param {{x: number, y: number, width: number, height: number}} box - Target box
+ */
+const drawImageCover = (page, image, box) => {
+    const scale = Math.max(box.width / image.width, box.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    page.pushOperators(pushGraphicsState(), rectangle(box.x, box.y, box.width, box.height), clip(), endPath());
+    page.drawImage(image, {
+        x: box.x + (box.width - width) / 2,
+        y: box.y + (box.height - height) / 2,
+        width,
+        height
+    });
+    page.pushOperators(popGraphicsState());
+};
+
+/**
+ * Alt text for a content page's author photo
+ * @param {Object} page - Content page data {title, author}
+ * @returns {string}
+ */
+const getAuthorPhotoAlt = ({ author }) => `Photo of ${author}`;
+
+/**
+ * Alt text for a content page's body image, from the page's title and author
+ * Content pages have no per-image captions, so the image is described by where it belongs
+ * @param {Object} page - Content page data {title, author}
+ * @param {number} index - Position in bodyImageUrls
+ * @param {number} count - Number of body images
+ * @returns {string} e.g. 'Image 2 of 3 from "Our Trip" by Mrs. Smith'
+ */
+const getBodyImageAlt = ({ title, author }, index, count) => {
+    const position = count > 1 ? `Image ${index + 1} of ${count}` : 'Image';
+    return `${position} from "${title || 'Untitled'}"${author ? ` by ${author}` : ''}`;
+};
+
+// Content page layout
+const MAX_BODY_IMAGES = 4;
+const BODY_FONT_SIZE = 11;
+const BODY_LINE_HEIGHT = BODY_FONT_SIZE * 1.5;
+const PARAGRAPH_SPACING = 8;
+const TITLE_FONT_SIZE = 22;
+const AUTHOR_PHOTO_SIZE = 50;
+const IMAGE_GAP = 10;
+const MAX_IMAGE_HEIGHT = 300;
+
+/**
+ * Draw a message or speech content page with author photo and body images
+ * Text is wrapped with real font metrics and continues onto as many pages as it needs;
+ * body images follow the text two per row
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} page - Content page data {title, content, author, authorPhotoUrl, bodyImageUrls}
+ * @param {Object} colors - Color scheme {primaryColor, secondaryColor, textColor}
+ * @param {Object} fonts - Font stacks {regular, bold} from loadBookletFonts
+ * @param {Array<string>} [issues] - Receives a message for each image that could not be embedded
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {Promise<Array<Page>>} The created pages (the first page, then any continuation pages)
+ */
+const addContentPage = async (pdfDoc, page, colors, fonts, issues = [], pageSize = DEFAULT_DIMENSIONS) => {
+    const { title, content, author = null, authorPhotoUrl = null, bodyImageUrls = [] } = page;
+    const { primaryColor, secondaryColor, textColor } = colors;
+
+    const font = fonts.regular;
+    const displayTitle = title || 'Untitled';
+
+    const flow = createPageFlow(pdfDoc, {
+        pageSize,
+        onNewPage: (continuationPage, currentFlow) => {
+            const suffix = ' (continued)';
+            const titleWidth = currentFlow.width - font.widthOfTextAtSize(suffix, 12);
+            markArtifact(continuationPage, () => font.drawText(continuationPage, `${truncateToWidth(displayTitle, font, 12, titleWidth)}${suffix}`, {
+                x: currentFlow.left,
+                y: currentFlow.y,
+                size: 12,
+                color: rgb(secondaryColor.r, secondaryColor.g, secondaryColor.b),
+            }), 'Pagination');
+            currentFlow.y -= 30;
+        }
+    });
+
+    // Title with primary color
+    const titleLines = wrapText(displayTitle, font, TITLE_FONT_SIZE, flow.width);
+    const titleLineHeight = TITLE_FONT_SIZE * 1.3;
+    tagContent(flow.page, 'H2', () => titleLines.forEach((line, index) => {
+        font.drawText(flow.page, line, {
+            x: flow.left,
+            y: flow.y - index * titleLineHeight,
+            size: TITLE_FONT_SIZE,
+            color: rgb(primaryColor.r, primaryColor.g, primaryColor.b),
+        });
+    }));
+    flow.y -= 40 + (titleLines.length - 1) * titleLineHeight;
+
+    // Author section with photo (if provided)
+    if (author) {
+        let authorX = flow.left;
+
+        if (authorPhotoUrl) {
+            try {
+                const authorImage = await embedImageFromUrl(pdfDoc, authorPhotoUrl);
+                const { width: photoWidth, height: photoHeight } = authorImage.scaleToFit(AUTHOR_PHOTO_SIZE, AUTHOR_PHOTO_SIZE);
+                tagContent(flow.page, 'Figure', () => flow.page.drawImage(authorImage, {
+                    x: authorX + (AUTHOR_PHOTO_SIZE - photoWidth) / 2,
+                    y: flow.y - AUTHOR_PHOTO_SIZE + (AUTHOR_PHOTO_SIZE - photoHeight) / 2,
+                    width: photoWidth,
+                    height: photoHeight,
+                }), { alt: getAuthorPhotoAlt(page) });
+
+                authorX += AUTHOR_PHOTO_SIZE + 10; // Move text to right of photo
+            } catch (error) {
+                console.error('Error embedding author photo:', error.message);
+                issues.push(`author photo could not be added (${error.message})`);
+            }
+        }
+
+        const authorLines = wrapText(`By: ${author}`, font, 12, flow.left + flow.width - authorX);
+        tagContent(flow.page, 'P', () => authorLines.forEach((line, index) => {
+            font.drawText(flow.page, line, {
+                x: authorX,
+                y: flow.y - 15 - index * 15,
+                size: 12,
+                color: rgb(secondaryColor.r, secondaryColor.g, secondaryColor.b),
+            });
+        }));
+
+        flow.y -= Math.max(70, 15 * authorLines.length + 40);
+    }
+
+    // Body text, continuing onto new pages as needed
+    // Lines are tagged one at a time so a paragraph can carry on to the next page
+    const paragraphs = layoutParagraphs(content, font, BODY_FONT_SIZE, flow.width);
+    paragraphs.forEach((lines, index) => {
+        if (index > 0) flow.y -= PARAGRAPH_SPACING;
+        const paragraph = createStructureElement(pdfDoc, 'P');
+
+        for (const line of lines) {
+            flow.ensureSpace(BODY_LINE_HEIGHT);
+            if (line) {
+                markContent(flow.page, paragraph, () => font.drawText(flow.page, line, {
+                    x: flow.left,
+                    y: flow.y,
+                    size: BODY_FONT_SIZE,
+                    color: rgb(textColor.r, textColor.g, textColor.b),
+                }));
+            }
+            flow.y -= BODY_LINE_HEIGHT;
+        }
+    });
+
+    // Body images after the text, two per row
+    const imageUrls = (bodyImageUrls || []).filter(Boolean);
+    if (imageUrls.length > MAX_BODY_IMAGES) {
+        issues.push(`only the first ${MAX_BODY_IMAGES} of ${imageUrls.length} images are included`);
+    }
+
+    const images = [];
+    const imageAlts = [];
+    for (const [index, url] of imageUrls.slice(0, MAX_BODY_IMAGES).entries()) {
+        try {
+            images.push(await embedImageFromUrl(pdfDoc, url));
+            imageAlts.push(getBodyImageAlt(page, index, imageUrls.length));
+        } catch (error) {
+            console.error('Error embedding body image:', error.message);
+            issues.push(`an image could not be added (${error.message})`);
+        }
+    }
+
+    if (images.length > 0) {
+        flow.y -= 20; // Add space before images
+        const columns = Math.min(images.length, 2);
+        const columnWidth = (flow.width - IMAGE_GAP * (columns - 1)) / columns;
+
+        for (let i = 0; i < images.length; i += columns) {
+            const row = images.slice(i, i + columns).map(image => image.scaleToFit(columnWidth, MAX_IMAGE_HEIGHT));
+            const rowHeight = Math.max(...row.map(dims => dims.height));
+
+            flow.ensureSpace(rowHeight);
+            row.forEach((dims, column) => {
+                tagContent(flow.page, 'Figure', () => flow.page.drawImage(images[i + column], {
+                    x: flow.left + column * (columnWidth + IMAGE_GAP) + (columnWidth - dims.width) / 2,
+                    y: flow.y - rowHeight + (rowHeight - dims.height) / 2,
+                    width: dims.width,
+                    height: dims.height,
+                }), { alt: imageAlts[i + column] });
+            });
+            flow.y -= rowHeight + IMAGE_GAP;
+        }
+    }
+
+    return flow.pages;
+};
+
+module.exports = {
+    paginateTocEntries,
+    createTocPages,
+    createStudentCoverPage,
+    createStudentPlaceholderPage,
+    createDefaultCoverPage,
+    createSectionTitlePage,
+    addContentPage,
+    embedImageFromUrl,
+    drawImageCover,
+    truncateToWidth
+};
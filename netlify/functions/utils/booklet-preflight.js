@@ -0,0 +1,463 @@
+/**
+ * Booklet preflight
+ * Dry run of the booklet build: downloads and inspects every input the generator
+ * would use (student PDFs, photos, content images, cover) without merging anything,
+ * and returns a checklist report for the Booklet tab.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const fetch = require('node-fetch');
+const {
+    DEFAULT_SECTIONS_ORDER,
+    MAX_BOOKLET_BYTES,
+    getBookletContentPages,
+    getMissingPdfMode,
+    downloadStudentPdf,
+    parseStudentPdf
+} = require('./booklet-builder');
+const { paginateTocEntries } = require('./booklet-pages');
+const { CLASS_SECTION_TITLES, getGalleryStudents, getClassAwards, countClassSectionPages } = require('./booklet-sections');
+const { getPrintSettings } = require('./booklet-print');
+const { getCompressionSettings } = require('./booklet-compression');
+const { withCloudinaryTransformation } = require('./cloudinary');
+
+const PREFLIGHT_CONCURRENCY = 4;
+const IMAGE_FETCH_TIMEOUT_MS = 20000;
+const MAX_BODY_IMAGES = 4; // Matches addContentPage
+
+// Size estimate for pages the generator draws itself (cover, ToC, title and content pages)
+const GENERATED_PAGE_BYTES = 20 * 1024;
+const FONT_BYTES = 400 * 1024;
+const SECTION_PHOTO_BYTES = 40 * 1024; // A face-cropped gallery or awards photo
+const SIZE_WARNING_RATIO = 0.8; // Warn when the estimate gets this close to the upload limit
+
+// Pages scaled below this factor to fit the print size get a warning
+const MIN_FIT_SCALE = 0.85;
+
+const STATUS_ORDER = ['error', 'warning', 'ok'];
+
+/**
+ * Run fn over items with at most PREFLIGHT_CONCURRENCY calls in flight
+ * @param {Array} items - Inputs
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(PREFLIGHT_CONCURRENCY, items.length) }, worker));
+    return results;
+};
+
+/**
+ * Worst level in a list of issues
+ * @param {Array<Object>} issues - [{level, message}]
+ * @returns {string} 'error', 'warning' or 'ok'
+ */
+const getStatus = (issues) => {
+    if (issues.some(issue => issue.level === 'error')) return 'error';
+    if (issues.some(issue => issue.level === 'warning')) return 'warning';
+    return 'ok';
+};
+
+/**
+ * Download an image and check it is a JPEG or PNG (the only formats pdf-lib can embed)
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} {format: 'png'|'jpg', bytes}
+ * @throws {Error} With a human-readable reason when the image cannot be used
+ */
+const inspectImage = async (url) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), IMAGE_FETCH_TIMEOUT_MS);
+
+    let bytes;
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`download failed (${response.status})`);
+        }
+        bytes = new Uint8Array(await response.arrayBuffer());
+    } catch (error) {
+        throw new Error(error.name === 'AbortError' ? 'download timed out' : error.message);
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+        return { format: 'png', bytes: bytes.length };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return { format: 'jpg', bytes: bytes.length };
+    }
+    throw new Error('not a JPEG or PNG image');
+};
+
+/**
+ * Compare a student PDF's pages with the print page size
+ * Mirrors normalizePageSizes: visible pages are scaled to fit and centered
+ * @param {PDFDocument} studentPdf - The student PDF
+ * @param {Object} printSettings - Result of getPrintSettings
+ * @returns {Array<Object>} Issues
+ */
+const checkPageSizes = (studentPdf, printSettings) => {
+    const [targetWidth, targetHeight] = printSettings.dimensions;
+    const pageSizeLabel = printSettings.pageSize === 'a4' ? 'A4' : 'Letter';
+    let landscapePages = 0;
+    let shrunkPages = 0;
+    let resizedPages = 0;
+    let smallestScale = 1;
+
+    studentPdf.getPages().forEach(page => {
+        const { width, height } = page.getCropBox();
+        const sideways = page.getRotation().angle % 180 !== 0;
+        const displayWidth = sideways ? height : width;
+        const displayHeight = sideways ? width : height;
+        const scale = Math.min(targetWidth / displayWidth, targetHeight / displayHeight);
+
+        if (displayWidth > displayHeight) {
+            landscapePages++;
+        } else if (scale < MIN_FIT_SCALE) {
+            shrunkPages++;
+        } else if (Math.abs(displayWidth - targetWidth) > 1 || Math.abs(displayHeight - targetHeight) > 1) {
+            resizedPages++;
+        }
+        smallestScale = Math.min(smallestScale, scale);
+    });
+
+    const issues = [];
+    if (landscapePages > 0) {
+        issues.push({ level: 'warning', fix: 'pdf', message: `${landscapePages} landscape page(s) will be shrunk onto a portrait ${pageSizeLabel} page` });
+    }
+    if (shrunkPages > 0) {
+        issues.push({ level: 'warning', fix: 'pdf', message: `${shrunkPages} page(s) are much larger than ${pageSizeLabel} and will be shrunk to ${Math.round(smallestScale * 100)}%` });
+    }
+    if (resizedPages > 0) {
+        issues.push({ level: 'info', message: `${resizedPages} page(s) are not ${pageSizeLabel} size and will be scaled to fit` });
+    }
+    return issues;
+};
+
+/**
+ * Check one student's PDF and cover photos
+ * @param {Object} student - Student from loadBookletSources
+ * @param {Object} config - Graduation config
+ * @param {Object} printSettings - Result of getPrintSettings
+ * @returns {Promise<Object>} {id, name, status, pageCount, bytes, issues}
+ */
+const checkStudent = async (student, config, printSettings) => {
+    const issues = [];
+    let pageCount = 0;
+    let bytes = 0;
+
+    try {
+        const pdfBuffer = await downloadStudentPdf(student, getCompressionSettings(config));
+        bytes = pdfBuffer.byteLength;
+
+        const studentPdf = await parseStudentPdf(pdfBuffer);
+        pageCount = studentPdf.getPageCount();
+
+        if (studentPdf.isEncrypted) {
+            issues.push({ level: 'error', fix: 'pdf', message: 'PDF is password-protected or encrypted; its pages may come out blank' });
+        }
+        issues.push(...checkPageSizes(studentPdf, printSettings));
+    } catch (error) {
+        issues.push({ level: 'error', fix: 'pdf', message: `${error.message} - the student will be left out of the booklet` });
+    }
+
+    if (config.enableStudentCoverPages) {
+        const photos = [
+            { label: 'before', url: student.coverPhotoBeforeUrl },
+            { label: 'after', url: student.coverPhotoAfterUrl }
+        ].filter(photo => photo.url);
+
+        if (photos.length > 0 || student.graduationSpeech) {
+            pageCount++; // Cover page
+        }
+        if (config.allowCoverPhotos && photos.length === 0) {
+            issues.push({ level: 'warning', fix: 'cover', message: 'no cover photos uploaded' });
+        }
+
+        for (const photo of photos) {
+            try {
+                const image = await inspectImage(photo.url);
+                bytes += image.bytes;
+
+                // createStudentCoverPage picks the decoder from the file name
+                const namedAsPng = photo.url.toLowerCase().includes('.png');
+                if (namedAsPng !== (image.format === 'png')) {
+                    issues.push({ level: 'error', fix: 'cover', message: `"${photo.label}" photo is a ${image.format.toUpperCase()} with the wrong file extension and can't be added` });
+                }
+            } catch (error) {
+                issues.push({ level: 'error', fix: 'cover', message: `"${photo.label}" photo: ${error.message}` });
+            }
+        }
+    }
+
+    return {
+        id: student.id,
+        name: student.name || '',
+        status: getStatus(issues),
+        pageCount,
+        bytes,
+        issues
+    };
+};
+
+/**
+ * Check a content page's author photo and body images
+ * @param {Object} page - Content page
+ * @returns {Promise<Object>} {id, title, status, bytes, issues}
+ */
+const checkContentPage = async (page) => {
+    const issues = [];
+    let bytes = 0;
+    const bodyImageUrls = (page.bodyImageUrls || []).filter(Boolean);
+
+    if (bodyImageUrls.length > MAX_BODY_IMAGES) {
+        issues.push({ level: 'warning', message: `only the first ${MAX_BODY_IMAGES} of ${bodyImageUrls.length} images will be included` });
+    }
+
+    const images = [
+        ...(page.authorPhotoUrl ? [{ label: 'author photo', url: page.authorPhotoUrl }] : []),
+        ...bodyImageUrls.slice(0, MAX_BODY_IMAGES).map((url, index) => ({ label: `image ${index + 1}`, url }))
+    ];
+
+    for (const image of images) {
+        try {
+            bytes += (await inspectImage(image.url)).bytes;
+        } catch (error) {
+            issues.push({ level: 'warning', message: `${image.label} can't be added (${error.message})` });
+        }
+    }
+
+    return {
+        id: page.id,
+        title: page.title || 'Untitled',
+        status: getStatus(issues),
+        bytes,
+        issues
+    };
+};
+
+/**
+ * Check the custom cover PDF, if one will be used
+ * @param {string} customCoverUrl - Custom cover PDF URL
+ * @returns {Promise<Object>} {pageCount, bytes, issue} - issue is null when the cover is usable
+ */
+const checkCustomCover = async (customCoverUrl) => {
+    try {
+        const response = await fetch(customCoverUrl);
+        if (!response.ok) {
+            throw new Error(`download failed (${response.status})`);
+        }
+        const coverBuffer = await response.arrayBuffer();
+        const coverPdf = await PDFDocument.load(coverBuffer);
+        return { pageCount: coverPdf.getPageCount(), bytes: coverBuffer.byteLength, issue: null };
+    } catch (error) {
+        return {
+            pageCount: 1,
+            bytes: 0,
+            issue: { level: 'warning', message: `The custom cover could not be loaded (${error.message}), so the default cover would be used` }
+        };
+    }
+};
+
+/**
+ * Check every booklet input without building the booklet
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - Same options the build would use
+ * @param {string|null} [options.customCoverUrl] - Custom cover PDF URL
+ * @param {Array<string>} [options.sectionsOrder] - Order of sections (one of BOOKLET_SECTIONS each)
+ * @param {Function} [options.onProgress] - Called with {stage, completed, total, currentItem}
+ * @returns {Promise<Object>} {summary, general, students, contentPages}
+ */
+const runPreflight = async (sources, options = {}) => {
+    const { graduationData, config, contentPages, studentsWithPdfs, studentsWithoutPdfs = [] } = sources;
+    const {
+        customCoverUrl = null,
+        sectionsOrder = DEFAULT_SECTIONS_ORDER,
+        onProgress = async () => {}
+    } = options;
+
+    const printSettings = getPrintSettings(config);
+    const compressionSettings = getCompressionSettings(config);
+    const { messagePages, speechPages } = getBookletContentPages(contentPages, config);
+    const includedSections = [
+        ...(sectionsOrder.includes('messages') ? [messagePages] : []),
+        ...(sectionsOrder.includes('speeches') ? [speechPages] : [])
+    ].filter(pages => pages.length > 0);
+    const includedContentPages = includedSections.flat();
+    const includeStudents = sectionsOrder.includes('students');
+
+    const general = [];
+
+    // Generated sections are left out when they have nothing to show
+    const classSections = sectionsOrder
+        .filter(section => CLASS_SECTION_TITLES[section])
+        .map(section => ({ section, pageCount: countClassSectionPages(section, sources, printSettings.dimensions) }));
+    let sectionPhotoCount = 0;
+    classSections.forEach(({ section, pageCount }) => {
+        if (section === 'gallery') {
+            sectionPhotoCount += getGalleryStudents(sources)
+                .reduce((sum, student) => sum + [student.coverPhotoBeforeUrl, student.coverPhotoAfterUrl].filter(Boolean).length, 0);
+            if (pageCount === 0) {
+                general.push({ level: 'warning', message: 'No student has a before or after photo yet, so the class gallery will be left out.' });
+            }
+        } else if (section === 'awards') {
+            const { awards, issues } = getClassAwards(sources);
+            sectionPhotoCount += awards.filter(({ student }) => student.coverPhotoAfterUrl || student.coverPhotoBeforeUrl).length;
+            issues.forEach(issue => general.push({ level: 'warning', message: `Class awards: ${issue}` }));
+            if (pageCount === 0) {
+                general.push({ level: 'warning', message: 'No class awards have been added yet, so the awards section will be left out.' });
+            }
+        }
+    });
+    const includedClassSections = classSections.filter(({ pageCount }) => pageCount > 0);
+    const total = (includeStudents ? studentsWithPdfs.length : 0) + includedContentPages.length;
+    let completed = 0;
+    const step = async (stage, currentItem) => {
+        completed++;
+        await onProgress({ stage, completed, total, currentItem });
+    };
+
+    // Cover
+    let coverPages = 1;
+    let estimatedBytes = FONT_BYTES + GENERATED_PAGE_BYTES;
+    if (customCoverUrl) {
+        const cover = await checkCustomCover(customCoverUrl);
+        coverPages = cover.pageCount;
+        estimatedBytes += cover.bytes;
+        if (cover.issue) general.push(cover.issue);
+    } else if (config.schoolLogoUrl && ['logo', 'banner'].includes(config.bookletCoverTemplate)) {
+        try {
+            estimatedBytes += (await inspectImage(withCloudinaryTransformation(config.schoolLogoUrl, 'f_png'))).bytes;
+        } catch (error) {
+            general.push({ level: 'warning', message: `The school logo can't be added to the cover (${error.message})` });
+        }
+    }
+
+    // Students
+    const students = includeStudents
+        ? await mapWithConcurrency(studentsWithPdfs, async (student) => {
+            const result = await checkStudent(student, config, printSettings);
+            await step('students', student.name);
+            return result;
+        })
+        : [];
+
+    // Students without a PDF are left out, or get a generated page (config.missingPdfStudents)
+    const missingPdfMode = getMissingPdfMode(config);
+    const missingPdfIssue = {
+        omit: { level: 'error', fix: 'pdf', message: 'no PDF uploaded - the student will be left out of the booklet' },
+        profile: { level: 'warning', fix: 'pdf', message: 'no PDF uploaded - a page with their photos and speech (or "profile coming soon") will be used' },
+        placeholder: { level: 'warning', fix: 'pdf', message: 'no PDF uploaded - a "profile coming soon" page will be used' }
+    }[missingPdfMode];
+
+    studentsWithoutPdfs.forEach(student => {
+        const placeholder = includeStudents && missingPdfMode !== 'omit';
+        students.push({
+            id: student.id,
+            name: student.name || '',
+            status: missingPdfIssue.level,
+            pageCount: placeholder ? 1 : 0,
+            bytes: 0,
+            placeholder,
+            issues: [missingPdfIssue]
+        });
+    });
+
+    // Content pages
+    const checkedContentPages = await mapWithConcurrency(includedContentPages, async (page) => {
+        const result = await checkContentPage(page);
+        await step('content', page.title);
+        return result;
+    });
+
+    // Page count: cover, ToC, section title pages, content pages (at least one each) and student sections
+    const readyStudents = students.filter(student => !student.placeholder && student.pageCount > 0
+        && !student.issues.some(issue => issue.level === 'error' && issue.fix === 'pdf'));
+    const includedStudents = [...readyStudents, ...students.filter(student => student.placeholder)];
+    const tocEntries = [
+        ...(includedStudents.length > 0 ? [{ level: 0 }, ...includedStudents.map(() => ({ level: 1 }))] : []),
+        ...includedSections.map(() => ({ level: 0 })),
+        ...includedClassSections.map(() => ({ level: 0 }))
+    ];
+    const tocPages = tocEntries.length > 0 ? paginateTocEntries(tocEntries, printSettings.dimensions).length : 0;
+    const studentPages = includedStudents.reduce((sum, student) => sum + student.pageCount, 0);
+    const generatedPages = tocPages + includedSections.length + includedContentPages.length
+        + includedClassSections.reduce((sum, { pageCount }) => sum + pageCount, 0);
+
+    let estimatedPageCount = coverPages + generatedPages + studentPages;
+    if (printSettings.padToMultipleOfFour) {
+        estimatedPageCount += (4 - (estimatedPageCount % 4)) % 4;
+    }
+
+    estimatedBytes += generatedPages * GENERATED_PAGE_BYTES
+        + sectionPhotoCount * SECTION_PHOTO_BYTES
+        + readyStudents.reduce((sum, student) => sum + student.bytes, 0)
+        + checkedContentPages.reduce((sum, page) => sum + page.bytes, 0);
+    const estimatedSizeMB = parseFloat((estimatedBytes / 1024 / 1024).toFixed(1));
+    const limitMB = MAX_BOOKLET_BYTES / 1024 / 1024;
+
+    // The estimate is taken before images are downsampled, so it errs on the large side
+    if (estimatedBytes > MAX_BOOKLET_BYTES) {
+        const qualityHint = compressionSettings.quality === 'screen' ? '' : ' Switching the booklet quality to Screen in Settings may also help.';
+        general.push({ level: 'error', message: `The booklet is estimated at ${estimatedSizeMB}MB, over the ${limitMB}MB upload limit. Ask students with large PDFs to compress them.${qualityHint}` });
+    } else if (estimatedBytes > MAX_BOOKLET_BYTES * SIZE_WARNING_RATIO) {
+        general.push({ level: 'warning', message: `The booklet is estimated at ${estimatedSizeMB}MB, close to the ${limitMB}MB upload limit.` });
+    }
+
+    if (includeStudents && includedStudents.length === 0) {
+        general.push({ level: 'error', message: 'No student PDF can be used, so the booklet cannot be generated.' });
+    }
+    if (printSettings.imposition) {
+        general.push({ level: 'info', message: "Printer's spreads will be generated as a second PDF." });
+    }
+    general.push({
+        level: 'info',
+        message: `Images will be reduced to ${compressionSettings.dpi} DPI (${compressionSettings.quality === 'screen' ? 'Screen' : 'Print'} quality), so the final booklet is usually smaller than estimated.`
+    });
+
+    // Problems first, then booklet order
+    students.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status));
+
+    const allIssues = [
+        ...general,
+        ...students.flatMap(student => student.issues),
+        ...checkedContentPages.flatMap(page => page.issues)
+    ];
+    const errors = allIssues.filter(issue => issue.level === 'error').length;
+    const warnings = allIssues.filter(issue => issue.level === 'warning').length;
+
+    console.log(`[Booklet Preflight] ${graduationData.schoolName || 'Graduation'}: ${errors} errors, ${warnings} warnings, ~${estimatedPageCount} pages, ~${estimatedSizeMB}MB`);
+
+    return {
+        summary: {
+            status: getStatus(allIssues),
+            errors,
+            warnings,
+            studentsTotal: sources.totalStudents,
+            studentsReady: readyStudents.length,
+            estimatedPageCount,
+            estimatedSizeMB
+        },
+        general,
+        students: students.map(({ bytes, placeholder, ...student }) => ({
+            ...student,
+            sizeMB: parseFloat((bytes / 1024 / 1024).toFixed(2))
+        })),
+        contentPages: checkedContentPages.map(({ bytes, ...page }) => page)
+    };
+};
+
+module.exports = {
+    runPreflight
+};
@@ -0,0 +1,303 @@
+/**
+ * Booklet print profile
+ * Print-ready output for the merged booklet: every page normalized to A4 or Letter,
+ * optional bleed and crop marks, padding to a multiple of 4 pages and a second
+ * "printer's spread" PDF imposed for saddle-stitch binding.
+ */
+
+const {
+    PDFDocument,
+    PDFName,
+    PDFDict,
+    PDFArray,
+    PDFNumber,
+    rgb,
+    degrees,
+    pushGraphicsState,
+    popGraphicsState,
+    concatTransformationMatrix,
+    rectangle,
+    clip,
+    endPath
+} = require('pdf-lib');
+const { markArtifact } = require('./booklet-accessibility');
+
+// Page sizes in points
+const PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+};
+const DEFAULT_PAGE_SIZE = 'letter';
+
+// 1/8 inch (about 3mm) of bleed; crop marks sit just outside it
+const BLEED = 9;
+const CROP_MARK_OFFSET = BLEED + 3;
+const CROP_MARK_LENGTH = 18;
+const SLUG = CROP_MARK_OFFSET + CROP_MARK_LENGTH; // Extra media around the trim box
+
+const SIZE_TOLERANCE = 0.5; // Points of difference still treated as the same size
+
+/**
+ * Read the print profile from the graduation config
+ * Imposition needs whole sheets, so it always pads to a multiple of 4 pages
+ * @param {Object} config - Graduation config
+ * @returns {Object} {pageSize, dimensions, bleed, padToMultipleOfFour, imposition}
+ */
+const getPrintSettings = (config = {}) => {
+    const pageSize = PAGE_SIZES[config.printPageSize] ? config.printPageSize : DEFAULT_PAGE_SIZE;
+    const imposition = !!config.printImposition;
+
+    return {
+        pageSize,
+        dimensions: PAGE_SIZES[pageSize],
+        bleed: !!config.printBleed,
+        padToMultipleOfFour: imposition || !!config.printPadToMultipleOfFour,
+        imposition
+    };
+};
+
+/**
+ * Build the matrix that maps a page's visible box (after /Rotate) onto an upright target page
+ * The visible area is scaled to fit and centered
+ * @param {{x: number, y: number, width: number, height: number}} box - Crop box in user space
+ * @param {number} angle - Page rotation (0, 90, 180 or 270)
+ * @param {Array<number>} dimensions - Target [width, height]
+ * @returns {Array<number>} [a, b, c, d, e, f]
+ */
+const getFitMatrix = (box, angle, [targetWidth, targetHeight]) => {
+    const sideways = angle === 90 || angle === 270;
+    const displayWidth = sideways ? box.height : box.width;
+    const displayHeight = sideways ? box.width : box.height;
+
+    const s = Math.min(targetWidth / displayWidth, targetHeight / displayHeight);
+    const ox = (targetWidth - displayWidth * s) / 2;
+    const oy = (targetHeight - displayHeight * s) / 2;
+    const { x: bx, y: by, width: bw, height: bh } = box;
+
+    switch (angle) {
+        case 90:
+            return [0, -s, s, 0, ox - s * by, oy + s * (bx + bw)];
+        case 180:
+            return [-s, 0, 0, -s, ox + s * (bx + bw), oy + s * (by + bh)];
+        case 270:
+            return [0, s, -s, 0, ox + s * (by + bh), oy - s * bx];
+        default:
+            return [s, 0, 0, s, ox - s * bx, oy - s * by];
+    }
+};
+
+/**
+ * Move a page's annotations (links, form fields) along with its content
+ * @param {PDFPage} page - The page
+ * @param {Array<number>} matrix - [a, b, c, d, e, f] applied to the content
+ */
+const transformAnnotations = (page, [a, b, c, d, e, f]) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+
+    for (let index = 0; index < annots.size(); index++) {
+        const annot = annots.lookup(index);
+        const rect = annot instanceof PDFDict ? annot.lookup(PDFName.of('Rect')) : null;
+        if (!(rect instanceof PDFArray) || rect.size() !== 4) continue;
+
+        const [x1, y1, x2, y2] = [0, 1, 2, 3].map(position => rect.lookup(position, PDFNumber).asNumber());
+        const corners = [[x1, y1], [x1, y2], [x2, y1], [x2, y2]]
+            .map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+        const xs = corners.map(corner => corner[0]);
+        const ys = corners.map(corner => corner[1]);
+
+        annot.set(PDFName.of('Rect'), page.doc.context.obj([
+            Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)
+        ]));
+    }
+};
+
+/**
+ * Normalize every page to the same upright size
+ * Pages of another size, rotated pages and pages with an offset crop box (typically
+ * imported student PDFs) are scaled to fit and centered; matching pages are left alone
+ * @param {PDFDocument} pdfDoc - The merged booklet
+ * @param {Array<number>} dimensions - Target [width, height]
+ * @returns {number} Number of pages that were resized
+ */
+const normalizePageSizes = (pdfDoc, dimensions) => {
+    const [targetWidth, targetHeight] = dimensions;
+    let resized = 0;
+
+    for (const page of pdfDoc.getPages()) {
+        const box = page.getCropBox();
+        const angle = ((page.getRotation().angle % 360) + 360) % 360;
+        const alreadyFits = angle === 0
+            && Math.abs(box.x) < SIZE_TOLERANCE
+            && Math.abs(box.y) < SIZE_TOLERANCE
+            && Math.abs(box.width - targetWidth) < SIZE_TOLERANCE
+            && Math.abs(box.height - targetHeight) < SIZE_TOLERANCE;
+        if (alreadyFits) continue;
+
+        const matrix = getFitMatrix(box, angle, dimensions);
+        const { context } = pdfDoc;
+
+        // Transform the existing content and clip it to what used to be visible
+        const start = context.register(context.contentStream([
+            pushGraphicsState(),
+            concatTransformationMatrix(...matrix),
+            rectangle(box.x, box.y, box.width, box.height),
+            clip(),
+            endPath()
+        ]));
+        const end = context.register(context.contentStream([popGraphicsState()]));
+        page.node.wrapContentStreams(start, end);
+        transformAnnotations(page, matrix);
+
+        ['CropBox', 'BleedBox', 'TrimBox', 'ArtBox'].forEach(name => page.node.delete(PDFName.of(name)));
+        page.setMediaBox(0, 0, targetWidth, targetHeight);
+        page.setRotation(degrees(0));
+        resized++;
+    }
+
+    return resized;
+};
+
+/**
+ * Add blank pages at the end until the page count is a multiple of 4
+ * @param {PDFDocument} pdfDoc - The merged booklet
+ * @param {Array<number>} dimensions - Page [width, height]
+ * @returns {number} Number of blank pages added
+ */
+const padToMultipleOfFour = (pdfDoc, dimensions) => {
+    const blankPages = (4 - (pdfDoc.getPageCount() % 4)) % 4;
+    for (let index = 0; index < blankPages; index++) {
+        pdfDoc.addPage(dimensions);
+    }
+    return blankPages;
+};
+
+/**
+ * Extend every page with bleed and draw crop marks at the trim corners
+ * The trim box keeps the finished size; the media box grows to make room for the marks.
+ * Expects upright pages with the visible area at the origin (see normalizePageSizes)
+ * @param {PDFDocument} pdfDoc - The document
+ * @param {Object} [options]
+ * @param {boolean} [options.foldMarks=false] - Also mark the vertical center line (imposed spreads)
+ */
+const addBleedAndCropMarks = (pdfDoc, { foldMarks = false } = {}) => {
+    const markColor = rgb(0, 0, 0);
+    const thickness = 0.25;
+
+    for (const page of pdfDoc.getPages()) {
+        const { width, height } = page.getCropBox();
+
+        page.setTrimBox(0, 0, width, height);
+        page.setBleedBox(-BLEED, -BLEED, width + 2 * BLEED, height + 2 * BLEED);
+        page.setMediaBox(-SLUG, -SLUG, width + 2 * SLUG, height + 2 * SLUG);
+        page.setCropBox(-SLUG, -SLUG, width + 2 * SLUG, height + 2 * SLUG);
+
+        // Printer's marks, skipped by screen readers
+        markArtifact(page, () => {
+            const corners = [[0, 0, -1, -1], [width, 0, 1, -1], [0, height, -1, 1], [width, height, 1, 1]];
+            for (const [x, y, directionX, directionY] of corners) {
+                page.drawLine({
+                    start: { x: x + directionX * CROP_MARK_OFFSET, y },
+                    end: { x: x + directionX * SLUG, y },
+                    thickness,
+                    color: markColor
+                });
+                page.drawLine({
+                    start: { x, y: y + directionY * CROP_MARK_OFFSET },
+                    end: { x, y: y + directionY * SLUG },
+                    thickness,
+                    color: markColor
+                });
+            }
+
+            if (foldMarks) {
+                page.drawLine({ start: { x: width / 2, y: height + CROP_MARK_OFFSET }, end: { x: width / 2, y: height + SLUG }, thickness, color: markColor, dashArray: [2, 2] });
+                page.drawLine({ start: { x: width / 2, y: -CROP_MARK_OFFSET }, end: { x: width / 2, y: -SLUG }, thickness, color: markColor, dashArray: [2, 2] });
+            }
+        }, 'Page');
+    }
+};
+
+/**
+ * Order pages for saddle-stitch printing: each sheet side holds two pages, and
+ * folding the stacked sheets gives the reading order
+ * @param {number} pageCount - Page count (a multiple of 4)
+ * @returns {Array<Array<number>>} [leftIndex, rightIndex] per spread, front then back of each sheet
+ */
+const getSaddleStitchOrder = (pageCount) => {
+    const spreads = [];
+    for (let sheet = 0; sheet < pageCount / 4; sheet++) {
+        spreads.push([pageCount - 1 - 2 * sheet, 2 * sheet]);
+        spreads.push([2 * sheet + 1, pageCount - 2 - 2 * sheet]);
+    }
+    return spreads;
+};
+
+/**
+ * Create the imposed "printer's spread" PDF from the finished booklet
+ * Must run before bleed is added to the booklet, while every page is still at trim size
+ * @param {PDFDocument} pdfDoc - The booklet (page count a multiple of 4, normalized pages)
+ * @param {Object} settings - Result of getPrintSettings
+ * @returns {Promise<PDFDocument>} A document with one landscape spread per sheet side
+ */
+const createImposedSpreads = async (pdfDoc, settings) => {
+    const [pageWidth, pageHeight] = settings.dimensions;
+    const spreadPdf = await PDFDocument.create();
+
+    // Fonts and images are only written into the document on save; write them now so the
+    // copied pages don't point at objects that don't exist yet
+    await pdfDoc.flush();
+
+    // Copies a snapshot of each page, so later changes to the booklet don't affect the spreads.
+    // Blank padding pages have no content stream and can't be embedded, so they stay empty
+    const pages = pdfDoc.getPages();
+    const printedPages = pages.filter(page => page.node.Contents());
+    const embeddedPages = await spreadPdf.embedPages(printedPages, printedPages.map(page => {
+        const box = page.getCropBox();
+        return { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height };
+    }));
+    const embeddedByPage = new Map(printedPages.map((page, index) => [page, embeddedPages[index]]));
+
+    for (const [leftIndex, rightIndex] of getSaddleStitchOrder(pages.length)) {
+        const spread = spreadPdf.addPage([pageWidth * 2, pageHeight]);
+        [leftIndex, rightIndex].forEach((pageIndex, side) => {
+            const embedded = embeddedByPage.get(pages[pageIndex]);
+            if (embedded) {
+                spread.drawPage(embedded, { x: side * pageWidth, y: 0, width: pageWidth, height: pageHeight });
+            }
+        });
+    }
+
+    if (settings.bleed) {
+        addBleedAndCropMarks(spreadPdf, { foldMarks: true });
+    }
+
+    return spreadPdf;
+};
+
+/**
+ * Apply the print profile to the finished booklet
+ * Runs after page numbers are stamped, so padding pages stay blank
+ * @param {PDFDocument} pdfDoc - The merged booklet (pages already normalized)
+ * @param {Object} settings - Result of getPrintSettings
+ * @returns {Promise<Object>} {blankPagesAdded, spreadPdf} - spreadPdf is null unless imposition is on
+ */
+const finishForPrint = async (pdfDoc, settings) => {
+    const blankPagesAdded = settings.padToMultipleOfFour ? padToMultipleOfFour(pdfDoc, settings.dimensions) : 0;
+    const spreadPdf = settings.imposition ? await createImposedSpreads(pdfDoc, settings) : null;
+
+    if (settings.bleed) {
+        addBleedAndCropMarks(pdfDoc);
+    }
+
+    return { blankPagesAdded, spreadPdf };
+};
+
+module.exports = {
+    PAGE_SIZES,
+    DEFAULT_PAGE_SIZE,
+    BLEED,
+    getPrintSettings,
+    normalizePageSizes,
+    finishForPrint
+};
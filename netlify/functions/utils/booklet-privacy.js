@@ -0,0 +1,156 @@
+/**
+ * Private booklet files
+ * Generated files (booklets, printer's spreads, individual student booklets, the exports ZIP,
+ * proofs and cached sections) are uploaded as private Cloudinary files. Files generated before
+ * that still have public URLs; a makePrivate job re-uploads each one privately, points every
+ * record that used it at the private copy and then deletes the public file.
+ */
+
+const fetch = require('node-fetch');
+const { PRIVATE_DELIVERY_TYPE, parsePrivateCloudinaryUrl, extractCloudinaryPublicId, uploadRawFileToCloudinary, cleanupReplacedAsset } = require('./cloudinary');
+const { getVersionsCollection } = require('./booklet-versions');
+const { getExportsCollection } = require('./booklet-exports');
+const { getProofsCollection } = require('./booklet-proofs');
+
+const FILE_FETCH_TIMEOUT_MS = 120000;
+
+/**
+ * Check whether a stored file URL is a public Cloudinary file
+ * @param {string} url - Stored URL
+ * @returns {boolean}
+ */
+const isPublicCloudinaryFile = (url) =>
+    typeof url === 'string' && url.includes('res.cloudinary.com') && !parsePrivateCloudinaryUrl(url);
+
+/**
+ * Work out where the private copy of a public file should go
+ * Uploads add "_{timestamp}" to the public ID, which is dropped so the copy gets a fresh one
+ * @param {string} url - Public Cloudinary URL
+ * @param {string} [defaultExtension='pdf'] - Extension to use when the URL has none
+ * @returns {{folder: string, publicIdPrefix: string, extension: string}}
+ */
+const getPrivateCopyTarget = (url, defaultExtension = 'pdf') => {
+    const publicId = extractCloudinaryPublicId(url) || 'graduation_file';
+    const slash = publicId.lastIndexOf('/');
+    const extension = (/\.([a-z0-9]+)(?:[?#]|$)/i.exec(url)?.[1] || defaultExtension).toLowerCase();
+    return {
+        folder: slash > 0 ? publicId.slice(0, slash) : 'graduation-booklets',
+        publicIdPrefix: publicId.slice(slash + 1).replace(/_\d+$/, ''),
+        extension
+    };
+};
+
+/**
+ * Download a public file and upload it again as a private file
+ * @param {string} url - Public Cloudinary URL
+ * @param {string} defaultExtension - Extension to use when the URL has none
+ * @returns {Promise<string>} URL of the private copy
+ */
+const copyToPrivateFile = async (url, defaultExtension) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FILE_FETCH_TIMEOUT_MS);
+
+    let bytes;
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`download failed with ${response.status}`);
+        }
+        bytes = Buffer.from(await response.arrayBuffer());
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const { folder, publicIdPrefix, extension } = getPrivateCopyTarget(url, defaultExtension);
+    return uploadRawFileToCloudinary(bytes, publicIdPrefix, {
+        folder,
+        extension,
+        contentType: extension === 'zip' ? 'application/zip' : 'application/pdf',
+        deliveryType: PRIVATE_DELIVERY_TYPE
+    });
+};
+
+/**
+ * Make every generated file of a graduation private
+ * Cached sections are not copied: their records are removed so the next build rebuilds them
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} options - {onProgress}
+ * @returns {Promise<{result: Object, warnings: Array<string>}>} result is {madePrivate, removedSections, failed}
+ */
+const makeBookletFilesPrivate = async (db, graduationId, { onProgress = async () => {} } = {}) => {
+    const graduationRef = db.collection('graduations').doc(graduationId);
+    const [graduationDoc, versions, exports, proofs, sections] = await Promise.all([
+        graduationRef.get(),
+        getVersionsCollection(db, graduationId).get(),
+        getExportsCollection(db, graduationId).get(),
+        getProofsCollection(db, graduationId).get(),
+        graduationRef.collection('bookletSections').get()
+    ]);
+
+    // Every {ref, field, url} that points at a public file (only the exports ZIP is not a PDF)
+    const references = [];
+    const addReferences = (doc, fields) => {
+        const data = doc.data() || {};
+        fields.forEach(field => {
+            if (isPublicCloudinaryFile(data[field])) references.push({ ref: doc.ref, field, url: data[field] });
+        });
+    };
+    addReferences(graduationDoc, ['generatedBookletUrl', 'generatedSpreadsUrl', 'studentExportsZipUrl']);
+    versions.docs.forEach(doc => addReferences(doc, ['bookletUrl', 'spreadsUrl']));
+    exports.docs.forEach(doc => addReferences(doc, ['pdfUrl']));
+    proofs.docs.forEach(doc => addReferences(doc, ['pdfUrl']));
+
+    // The published booklet is usually also a version record, so each file is copied once
+    const publicUrls = [...new Set(references.map(({ url }) => url))];
+    const zipUrl = graduationDoc.data()?.studentExportsZipUrl;
+    const privateUrls = new Map();
+    const warnings = [];
+
+    for (const [index, url] of publicUrls.entries()) {
+        await onProgress({ stage: 'making-private', completed: index, total: publicUrls.length, currentItem: url.split('/').pop(), warnings });
+        try {
+            privateUrls.set(url, await copyToPrivateFile(url, url === zipUrl ? 'zip' : 'pdf'));
+        } catch (error) {
+            console.error(`[Booklet Privacy] Could not make ${url} private:`, error.message);
+            warnings.push(`Could not make ${url.split('/').pop()} private: ${error.message}`);
+        }
+    }
+
+    // Point the records at the private copies before the public files are deleted
+    const updatesByDoc = new Map();
+    references.forEach(({ ref, field, url }) => {
+        if (!privateUrls.has(url)) return;
+        const entry = updatesByDoc.get(ref.path) || { ref, update: {} };
+        entry.update[field] = privateUrls.get(url);
+        updatesByDoc.set(ref.path, entry);
+    });
+    for (const { ref, update } of updatesByDoc.values()) {
+        await ref.update(update);
+    }
+    privateUrls.forEach((privateUrl, publicUrl) => cleanupReplacedAsset(publicUrl, privateUrl));
+
+    const publicSections = sections.docs.filter(doc => isPublicCloudinaryFile(doc.data().sectionUrl));
+    for (const doc of publicSections) {
+        const { sectionUrl } = doc.data();
+        await doc.ref.delete();
+        cleanupReplacedAsset(sectionUrl, null);
+    }
+
+    console.log(`[Booklet Privacy] ${graduationId}: ${privateUrls.size}/${publicUrls.length} files made private, ${publicSections.length} cached sections removed`);
+
+    return {
+        result: {
+            madePrivate: privateUrls.size,
+            removedSections: publicSections.length,
+            failed: publicUrls.length - privateUrls.size
+        },
+        warnings
+    };
+};
+
+module.exports = {
+    isPublicCloudinaryFile,
+    getPrivateCopyTarget,
+    makeBookletFilesPrivate
+};
@@ -0,0 +1,152 @@
+/**
+ * Booklet proofs
+ * A proof is a DRAFT-watermarked copy of the booklet for review before release.
+ * It is uploaded to its own Cloudinary folder and recorded at
+ * graduations/{gradId}/bookletProofs/{proofId}; the published booklet
+ * (generatedBookletUrl, version history, bookletStats) is never touched.
+ * Reviewers open /proof/{gradId}/{proofId}, which view-proof.js serves until the
+ * proof expires. The proof ID is a random Firestore ID, so the link is the secret;
+ * the file itself is private and only reachable through short-lived signed URLs.
+ */
+
+const admin = require('firebase-admin');
+const { MAX_BOOKLET_BYTES, buildBooklet } = require('./booklet-builder');
+const { PRIVATE_DELIVERY_TYPE, uploadPdfToCloudinary, cleanupReplacedAsset } = require('./cloudinary');
+
+const PROOFS_FOLDER = 'graduation-booklet-proofs';
+
+// How long a proof link stays open, offered as choices on the Booklet tab
+const PROOF_EXPIRY_HOURS = [24, 72, 168, 336];
+const DEFAULT_PROOF_EXPIRY_HOURS = 72;
+
+/**
+ * Get the bookletProofs collection for a graduation
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+const getProofsCollection = (db, graduationId) =>
+    db.collection('graduations').doc(graduationId).collection('bookletProofs');
+
+/**
+ * Read a requested expiry, falling back to the default for anything not offered
+ * @param {*} hours - Requested hours
+ * @returns {number} One of PROOF_EXPIRY_HOURS
+ */
+const getProofExpiryHours = (hours) =>
+    PROOF_EXPIRY_HOURS.includes(hours) ? hours : DEFAULT_PROOF_EXPIRY_HOURS;
+
+/**
+ * Site path of a proof's shareable link (see the /proof redirect in netlify.toml)
+ * @param {string} graduationId - The graduation ID
+ * @param {string} proofId - The proof ID
+ * @returns {string}
+ */
+const getProofPath = (graduationId, proofId) => `/proof/${graduationId}/${proofId}`;
+
+/**
+ * Check whether a proof's link has expired
+ * @param {Object} proof - Proof document data
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+const isProofExpired = (proof, now = new Date()) => {
+    const expiresAt = proof.expiresAt?.toDate ? proof.expiresAt.toDate() : new Date(proof.expiresAt);
+    return !(expiresAt > now);
+};
+
+/**
+ * Delete expired proofs and their files
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {Promise<number>} Number of proofs deleted
+ */
+const deleteExpiredProofs = async (db, graduationId) => {
+    const snapshot = await getProofsCollection(db, graduationId)
+        .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+        .get();
+
+    for (const doc of snapshot.docs) {
+        cleanupReplacedAsset(doc.data().pdfUrl, null);
+        await doc.ref.delete();
+    }
+
+    if (!snapshot.empty) {
+        console.log(`[Booklet Proofs] Deleted ${snapshot.size} expired proofs for ${graduationId}`);
+    }
+    return snapshot.size;
+};
+
+/**
+ * Run a proof job: build the watermarked booklet, upload it and record the proof
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - {customCoverUrl, sectionsOrder, sectionCache, expiresInHours, requestedBy, jobId, onProgress}
+ * @returns {Promise<Object>} {result, warnings, skippedStudents} for completeJob
+ */
+const createBookletProof = async (db, graduationId, sources, options) => {
+    const { customCoverUrl, sectionsOrder, sectionCache, expiresInHours, requestedBy = null, jobId, onProgress } = options;
+    const generatedAt = new Date();
+
+    const { pdfDoc, processedCount, placeholderCount, skippedStudents, warnings } = await buildBooklet(sources, {
+        customCoverUrl,
+        sectionsOrder,
+        onProgress,
+        sectionCache,
+        watermark: { generatedAt }
+    });
+
+    const pdfBytes = await pdfDoc.save();
+    const pageCount = pdfDoc.getPageCount();
+    const sizeMB = parseFloat((pdfBytes.length / 1024 / 1024).toFixed(2));
+    if (pdfBytes.length > MAX_BOOKLET_BYTES) {
+        throw new Error(`Generated PDF is too large to upload (${sizeMB}MB, ${pageCount} pages)`);
+    }
+
+    await onProgress({ stage: 'uploading', completed: 1, total: 1, warnings, skippedStudents });
+    const proofRef = getProofsCollection(db, graduationId).doc();
+    const pdfUrl = await uploadPdfToCloudinary(pdfBytes, `booklet_proof_${graduationId}_${proofRef.id}`, PROOFS_FOLDER, {
+        deliveryType: PRIVATE_DELIVERY_TYPE
+    });
+
+    const hours = getProofExpiryHours(expiresInHours);
+    const expiresAt = new Date(generatedAt.getTime() + hours * 60 * 60 * 1000);
+    await proofRef.set({
+        pdfUrl,
+        pageCount,
+        sizeMB,
+        processedStudents: processedCount,
+        placeholderStudents: placeholderCount,
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+        generatedBy: requestedBy,
+        jobId,
+        generatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await deleteExpiredProofs(db, graduationId);
+
+    return {
+        result: {
+            proofId: proofRef.id,
+            proofPath: getProofPath(graduationId, proofRef.id),
+            expiresAt: expiresAt.toISOString(),
+            pageCount,
+            sizeMB
+        },
+        warnings,
+        skippedStudents
+    };
+};
+
+module.exports = {
+    PROOFS_FOLDER,
+    PROOF_EXPIRY_HOURS,
+    DEFAULT_PROOF_EXPIRY_HOURS,
+    getProofsCollection,
+    getProofExpiryHours,
+    getProofPath,
+    isProofExpired,
+    deleteExpiredProofs,
+    createBookletProof
+};
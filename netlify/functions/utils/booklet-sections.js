@@ -0,0 +1,387 @@
+/**
+ * Generated class sections
+ * Sections the generator draws itself instead of copying uploads: the class
+ * gallery (students' before/after photos), the class awards (config.classAwards)
+ * and blank signature pages (config.signaturePageCount). Like the other sections
+ * they can be placed anywhere in config.pageOrder.
+ */
+
+const { rgb } = require('pdf-lib');
+const { embedImageFromUrl, drawImageCover, truncateToWidth } = require('./booklet-pages');
+const { wrapText } = require('./booklet-text-layout');
+const { withCloudinaryTransformation } = require('./cloudinary');
+const { PAGE_SIZES, DEFAULT_PAGE_SIZE } = require('./booklet-print');
+const { createStructureElement, markContent, tagContent, markArtifact } = require('./booklet-accessibility');
+
+const CLASS_SECTION_TITLES = {
+    gallery: 'Class Gallery',
+    awards: 'Class Awards',
+    signatures: 'Signatures'
+};
+
+const MAX_CLASS_AWARDS = 50;
+const DEFAULT_SIGNATURE_PAGES = 2;
+const MAX_SIGNATURE_PAGES = 6;
+
+// Layout shared by the three sections: the heading sits where createSectionTitlePage puts it
+const MARGIN = 50;
+const BOTTOM_MARGIN = 60; // Clear of the page-number footer
+const HEADING_SIZE = 26;
+const HEADING_OFFSET = 100; // From the top of the page
+const FIRST_PAGE_TOP = 130; // Content starts below the heading on a section's first page
+const NEXT_PAGE_TOP = 60; // Clear of the running header
+
+const GALLERY_COLUMNS = 3;
+const GALLERY_ROWS = 4;
+const GALLERY_GAP = 16;
+const GALLERY_CAPTION_HEIGHT = 30;
+
+const AWARD_COLUMNS = 2;
+const AWARD_ROWS = 4;
+const AWARD_GAP = 16;
+
+const SIGNATURE_COLUMNS = 2;
+const SIGNATURE_ROWS = 5;
+const SIGNATURE_GAP = 14;
+
+/**
+ * Students with at least one cover photo, in class order
+ * Students without a PDF are included: the gallery doesn't depend on profiles
+ * @param {Object} sources - Result of loadBookletSources
+ * @returns {Array<Object>}
+ */
+const getGalleryStudents = ({ studentsWithPdfs, studentsWithoutPdfs = [] }) =>
+    [...studentsWithPdfs, ...studentsWithoutPdfs]
+        .filter(student => student.coverPhotoBeforeUrl || student.coverPhotoAfterUrl)
+        .sort((a, b) => a.order - b.order);
+
+/**
+ * Resolve config.classAwards ({title, studentId}) to the students in the class
+ * @param {Object} sources - Result of loadBookletSources
+ * @returns {{awards: Array<{title: string, student: Object}>, issues: Array<string>}} -
+ *   issues lists awards left out because their student is no longer in the class
+ */
+const getClassAwards = ({ config = {}, studentsWithPdfs, studentsWithoutPdfs = [] }) => {
+    const studentsById = new Map([...studentsWithPdfs, ...studentsWithoutPdfs].map(student => [student.id, student]));
+    const awards = [];
+    const issues = [];
+
+    (Array.isArray(config.classAwards) ? config.classAwards : []).slice(0, MAX_CLASS_AWARDS).forEach(award => {
+        const title = typeof award?.title === 'string' ? award.title.trim() : '';
+        if (!title) return;
+
+        const student = studentsById.get(award.studentId);
+        if (!student) {
+            issues.push(`"${title}" is not given to a student in the class, so it was left out`);
+            return;
+        }
+        awards.push({ title, student });
+    });
+
+    return { awards, issues };
+};
+
+/**
+ * Number of blank signature pages
+ * @param {Object} config - Graduation config
+ * @returns {number} 1 to MAX_SIGNATURE_PAGES
+ */
+const getSignaturePageCount = (config = {}) => {
+    const count = parseInt(config.signaturePageCount, 10);
+    return Number.isNaN(count) ? DEFAULT_SIGNATURE_PAGES : Math.min(Math.max(count, 1), MAX_SIGNATURE_PAGES);
+};
+
+/**
+ * Split items into pages, the first page holding fewer rows because of the heading
+ * @param {Array} items - Items to lay out
+ * @param {number} perRow - Items per row
+ * @param {number} firstPageRows - Rows that fit under the heading
+ * @param {number} rows - Rows on the following pages
+ * @returns {Array<Array>} Items per page
+ */
+const paginateGrid = (items, perRow, firstPageRows, rows) => {
+    const pages = [];
+    let index = 0;
+    while (index < items.length) {
+        const count = perRow * (pages.length === 0 ? firstPageRows : rows);
+        pages.push(items.slice(index, index + count));
+        index += count;
+    }
+    return pages;
+};
+
+/**
+ * Grid geometry for a page: the row height is fixed so cells line up from page to page
+ * @param {Array<number>} pageSize - Page [width, height]
+ * @param {number} columns - Columns
+ * @param {number} rows - Rows on a full (continuation) page
+ * @param {number} gap - Space between cells
+ */
+const getGridLayout = (pageSize, columns, rows, gap) => {
+    const [width, height] = pageSize;
+    const cellWidth = (width - 2 * MARGIN - gap * (columns - 1)) / columns;
+    const cellHeight = (height - NEXT_PAGE_TOP - BOTTOM_MARGIN - gap * (rows - 1)) / rows;
+    const firstPageRows = Math.max(1, Math.floor((height - FIRST_PAGE_TOP - BOTTOM_MARGIN + gap) / (cellHeight + gap)));
+    return { cellWidth, cellHeight, firstPageRows };
+};
+
+/**
+ * Position of a cell's box on the page
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+const getCellBox = (page, layout, gap, columns, index, isFirstPage) => {
+    const top = page.getHeight() - (isFirstPage ? FIRST_PAGE_TOP : NEXT_PAGE_TOP);
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    return {
+        x: MARGIN + column * (layout.cellWidth + gap),
+        y: top - (row + 1) * layout.cellHeight - row * gap,
+        width: layout.cellWidth,
+        height: layout.cellHeight
+    };
+};
+
+/**
+ * Add a page to a section, drawing the section heading on its first page
+ * @returns {Page} The new page
+ */
+const addSectionPage = (pdfDoc, title, isFirstPage, { colors, fonts, pageSize }) => {
+    const page = pdfDoc.addPage(pageSize);
+    if (isFirstPage) {
+        const { primaryColor } = colors;
+        tagContent(page, 'H1', () => fonts.regular.drawText(page, title, {
+            x: MARGIN,
+            y: page.getHeight() - HEADING_OFFSET,
+            size: HEADING_SIZE,
+            color: rgb(primaryColor.r, primaryColor.g, primaryColor.b),
+        }));
+    }
+    return page;
+};
+
+/**
+ * Draw a line of text centered in a box, shortened to fit
+ */
+const drawCenteredInBox = (page, font, text, box, y, size, color) => {
+    const fitted = truncateToWidth(text, font, size, box.width);
+    const textWidth = font.widthOfTextAtSize(fitted, size);
+    font.drawText(page, fitted, { x: box.x + (box.width - textWidth) / 2, y, size, color });
+};
+
+/**
+ * Embed a student photo, cropped around the face on Cloudinary
+ * @returns {Promise<PDFImage|null>} null if the photo can't be used
+ */
+const embedStudentPhoto = async (pdfDoc, url) => {
+    if (!url) return null;
+    try {
+        return await embedImageFromUrl(pdfDoc, withCloudinaryTransformation(url, 'f_jpg,w_400,h_400,c_fill,g_face'));
+    } catch (error) {
+        console.error('[Booklet Sections] Failed to embed student photo:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Draw the class gallery: each student's before and after photos side by side with their name
+ * Photos are downloaded a page at a time
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} students - Students from getGalleryStudents
+ * @param {Object} options - {colors, fonts, issues, pageSize}
+ * @returns {Promise<Array<Page>>} The gallery pages
+ */
+const createGalleryPages = async (pdfDoc, students, { colors, fonts, issues = [], pageSize = PAGE_SIZES[DEFAULT_PAGE_SIZE] }) => {
+    const layout = getGridLayout(pageSize, GALLERY_COLUMNS, GALLERY_ROWS, GALLERY_GAP);
+    const primary = rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b);
+    const secondary = rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b);
+    const pages = [];
+    let failedPhotos = 0;
+
+    for (const pageStudents of paginateGrid(students, GALLERY_COLUMNS, layout.firstPageRows, GALLERY_ROWS)) {
+        const isFirstPage = pages.length === 0;
+        const page = addSectionPage(pdfDoc, CLASS_SECTION_TITLES.gallery, isFirstPage, { colors, fonts, pageSize });
+        pages.push(page);
+
+        const photos = await Promise.all(pageStudents.map(async student => {
+            const urls = [student.coverPhotoBeforeUrl, student.coverPhotoAfterUrl].filter(Boolean);
+            const embedded = await Promise.all(urls.map(url => embedStudentPhoto(pdfDoc, url)));
+            failedPhotos += embedded.filter(photo => !photo).length;
+            return embedded.filter(Boolean);
+        }));
+
+        pageStudents.forEach((student, index) => {
+            const cell = getCellBox(page, layout, GALLERY_GAP, GALLERY_COLUMNS, index, isFirstPage);
+            const photoBox = { x: cell.x, y: cell.y + GALLERY_CAPTION_HEIGHT, width: cell.width, height: cell.height - GALLERY_CAPTION_HEIGHT };
+            const studentPhotos = photos[index];
+            const name = student.name || 'Student';
+
+            if (studentPhotos.length === 0) {
+                markArtifact(page, () => page.drawRectangle({ ...photoBox, color: secondary, opacity: 0.15 }));
+            } else {
+                // Each cell reads as a figure (the photos) with the name as its caption
+                const figure = createStructureElement(pdfDoc, 'Figure', {
+                    alt: studentPhotos.length > 1 ? `Before and after photos of ${name}` : `Photo of ${name}`
+                });
+                const photoWidth = (photoBox.width - 4 * (studentPhotos.length - 1)) / studentPhotos.length;
+                markContent(page, figure, () => studentPhotos.forEach((photo, photoIndex) => {
+                    drawImageCover(page, photo, { ...photoBox, x: photoBox.x + photoIndex * (photoWidth + 4), width: photoWidth });
+                }));
+            }
+
+            tagContent(page, 'Caption', () => drawCenteredInBox(page, fonts.bold, name, cell, cell.y + GALLERY_CAPTION_HEIGHT - 16, 10, primary));
+        });
+    }
+
+    if (failedPhotos > 0) {
+        issues.push(`${failedPhotos} student photo(s) could not be added to the class gallery`);
+    }
+    return pages;
+};
+
+/**
+ * Draw the class awards: one card per award with the student's photo and name
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Array<Object>} awards - Awards from getClassAwards
+ * @param {Object} options - {colors, fonts, issues, pageSize}
+ * @returns {Promise<Array<Page>>} The awards pages
+ */
+const createAwardsPages = async (pdfDoc, awards, { colors, fonts, issues = [], pageSize = PAGE_SIZES[DEFAULT_PAGE_SIZE] }) => {
+    const layout = getGridLayout(pageSize, AWARD_COLUMNS, AWARD_ROWS, AWARD_GAP);
+    const primary = rgb(colors.primaryColor.r, colors.primaryColor.g, colors.primaryColor.b);
+    const secondary = rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b);
+    const pages = [];
+    let failedPhotos = 0;
+
+    for (const pageAwards of paginateGrid(awards, AWARD_COLUMNS, layout.firstPageRows, AWARD_ROWS)) {
+        const isFirstPage = pages.length === 0;
+        const page = addSectionPage(pdfDoc, CLASS_SECTION_TITLES.awards, isFirstPage, { colors, fonts, pageSize });
+        pages.push(page);
+
+        const photos = await Promise.all(pageAwards.map(async ({ student }) => {
+            const url = student.coverPhotoAfterUrl || student.coverPhotoBeforeUrl;
+            const photo = await embedStudentPhoto(pdfDoc, url);
+            if (url && !photo) failedPhotos++;
+            return photo;
+        }));
+
+        pageAwards.forEach((award, index) => {
+            const card = getCellBox(page, layout, AWARD_GAP, AWARD_COLUMNS, index, isFirstPage);
+            const name = award.student.name || 'Student';
+            markArtifact(page, () => page.drawRectangle({ ...card, borderColor: primary, borderWidth: 1.5 }));
+
+            // Photo on the left when there is one; the text is centered in the remaining space
+            const padding = 12;
+            let textBox = { x: card.x + padding, y: card.y, width: card.width - 2 * padding, height: card.height };
+            if (photos[index]) {
+                const photoSize = Math.min(card.height - 2 * padding, card.width / 3);
+                tagContent(page, 'Figure', () => drawImageCover(page, photos[index], {
+                    x: card.x + padding,
+                    y: card.y + (card.height - photoSize) / 2,
+                    width: photoSize,
+                    height: photoSize
+                }), { alt: `Photo of ${name}` });
+                textBox = { ...textBox, x: textBox.x + photoSize + padding, width: textBox.width - photoSize - padding };
+            }
+
+            // Award titles get up to two lines, with the student's name underneath
+            const titleLines = wrapText(award.title, fonts.bold, 14, textBox.width);
+            const lines = titleLines.length > 2 ? [titleLines[0], titleLines.slice(1).join(' ')] : titleLines;
+            let y = card.y + card.height / 2 + 6 + (lines.length - 1) * 9;
+            tagContent(page, 'H2', () => lines.forEach(line => {
+                drawCenteredInBox(page, fonts.bold, line, textBox, y, 14, primary);
+                y -= 18;
+            }));
+            tagContent(page, 'P', () => drawCenteredInBox(page, fonts.regular, name, textBox, y - 4, 12, secondary));
+        });
+    }
+
+    if (failedPhotos > 0) {
+        issues.push(`${failedPhotos} student photo(s) could not be added to the class awards`);
+    }
+    return pages;
+};
+
+/**
+ * Draw blank signature pages: a grid of lightly outlined boxes to sign in
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {number} pageCount - Pages to add (see getSignaturePageCount)
+ * @param {Object} options - {colors, fonts, pageSize}
+ * @returns {Array<Page>} The signature pages
+ */
+const createSignaturePages = (pdfDoc, pageCount, { colors, fonts, pageSize = PAGE_SIZES[DEFAULT_PAGE_SIZE] }) => {
+    const layout = getGridLayout(pageSize, SIGNATURE_COLUMNS, SIGNATURE_ROWS, SIGNATURE_GAP);
+    const secondary = rgb(colors.secondaryColor.r, colors.secondaryColor.g, colors.secondaryColor.b);
+    const pages = [];
+
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+        const isFirstPage = pageIndex === 0;
+        const page = addSectionPage(pdfDoc, CLASS_SECTION_TITLES.signatures, isFirstPage, { colors, fonts, pageSize });
+        pages.push(page);
+
+        const boxes = SIGNATURE_COLUMNS * (isFirstPage ? layout.firstPageRows : SIGNATURE_ROWS);
+        for (let index = 0; index < boxes; index++) {
+            const box = getCellBox(page, layout, SIGNATURE_GAP, SIGNATURE_COLUMNS, index, isFirstPage);
+            markArtifact(page, () => page.drawRectangle({ ...box, borderColor: secondary, borderWidth: 0.75, borderOpacity: 0.6, borderDashArray: [4, 3] }));
+        }
+    }
+    return pages;
+};
+
+/**
+ * Pages a generated section will take, without drawing it (used by the preflight estimate)
+ * @param {string} section - One of the CLASS_SECTION_TITLES keys
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Array<number>} [pageSize] - Page [width, height] from the print profile
+ * @returns {number}
+ */
+const countClassSectionPages = (section, sources, pageSize = PAGE_SIZES[DEFAULT_PAGE_SIZE]) => {
+    if (section === 'gallery') {
+        const { firstPageRows } = getGridLayout(pageSize, GALLERY_COLUMNS, GALLERY_ROWS, GALLERY_GAP);
+        return paginateGrid(getGalleryStudents(sources), GALLERY_COLUMNS, firstPageRows, GALLERY_ROWS).length;
+    }
+    if (section === 'awards') {
+        const { firstPageRows } = getGridLayout(pageSize, AWARD_COLUMNS, AWARD_ROWS, AWARD_GAP);
+        return paginateGrid(getClassAwards(sources).awards, AWARD_COLUMNS, firstPageRows, AWARD_ROWS).length;
+    }
+    if (section === 'signatures') {
+        return getSignaturePageCount(sources.config);
+    }
+    return 0;
+};
+
+/**
+ * Draw a generated section
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {string} section - One of the CLASS_SECTION_TITLES keys
+ * @param {Object} sources - Result of loadBookletSources
+ * @param {Object} options - {colors, fonts, issues, pageSize}
+ * @returns {Promise<Object|null>} {title, pages} or null when the section has nothing to show
+ */
+const addClassSection = async (pdfDoc, section, sources, options) => {
+    const title = CLASS_SECTION_TITLES[section];
+    let pages = [];
+
+    if (section === 'gallery') {
+        pages = await createGalleryPages(pdfDoc, getGalleryStudents(sources), options);
+    } else if (section === 'awards') {
+        const { awards, issues } = getClassAwards(sources);
+        issues.forEach(issue => options.issues?.push(issue));
+        pages = await createAwardsPages(pdfDoc, awards, options);
+    } else if (section === 'signatures') {
+        pages = createSignaturePages(pdfDoc, getSignaturePageCount(sources.config), options);
+    }
+
+    return pages.length > 0 ? { title, pages } : null;
+};
+
+module.exports = {
+    CLASS_SECTION_TITLES,
+    MAX_CLASS_AWARDS,
+    DEFAULT_SIGNATURE_PAGES,
+    MAX_SIGNATURE_PAGES,
+    getGalleryStudents,
+    getClassAwards,
+    getSignaturePageCount,
+    countClassSectionPages,
+    addClassSection
+};
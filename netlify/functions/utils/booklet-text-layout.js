@@ -0,0 +1,158 @@
+/**
+ * Booklet text layout
+ * Font-metric line wrapping and a page flow that continues content onto new
+ * pages instead of dropping whatever doesn't fit on the first one.
+ */
+
+/**
+ * Break a single word that is wider than the line into pieces that fit
+ * @param {string} word - The word
+ * @param {Object} font - Font stack (or PDFFont) used to measure
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width
+ * @returns {Array<string>} Pieces in order
+ */
+const breakLongWord = (word, font, size, maxWidth) => {
+    const pieces = [];
+    let current = '';
+
+    for (const char of word) {
+        if (current && font.widthOfTextAtSize(current + char, size) > maxWidth) {
+            pieces.push(current);
+            current = char;
+        } else {
+            current += char;
+        }
+    }
+    if (current) pieces.push(current);
+
+    return pieces;
+};
+
+/**
+ * Wrap one line of text (no newlines) to the available width using real glyph widths
+ * @param {string} text - Text to wrap
+ * @param {Object} font - Font stack (or PDFFont) used to measure
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width
+ * @returns {Array<string>} Wrapped lines
+ */
+const wrapText = (text, font, size, maxWidth) => {
+    const words = text.split(/[ \t]+/).filter(Boolean);
+    const lines = [];
+    let currentLine = '';
+
+    for (const word of words) {
+        const testLine = currentLine ? `${currentLine} ${word}` : word;
+
+        if (font.widthOfTextAtSize(testLine, size) <= maxWidth) {
+            currentLine = testLine;
+            continue;
+        }
+
+        if (currentLine) lines.push(currentLine);
+
+        if (font.widthOfTextAtSize(word, size) > maxWidth) {
+            // URLs and other unbroken strings are split wherever they overflow
+            const pieces = breakLongWord(word, font, size, maxWidth);
+            lines.push(...pieces.slice(0, -1));
+            currentLine = pieces[pieces.length - 1];
+        } else {
+            currentLine = word;
+        }
+    }
+    if (currentLine) lines.push(currentLine);
+
+    return lines;
+};
+
+/**
+ * Lay out body text as paragraphs of wrapped lines
+ * Blank lines separate paragraphs; single newlines are kept as line breaks
+ * @param {string} text - Body text
+ * @param {Object} font - Font stack (or PDFFont) used to measure
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width
+ * @returns {Array<Array<string>>} Lines per paragraph
+ */
+const layoutParagraphs = (text, font, size, maxWidth) => {
+    return (text || '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n[ \t]*\n+/)
+        .map(paragraph => paragraph
+            .split('\n')
+            .flatMap(line => {
+                const wrapped = wrapText(line, font, size, maxWidth);
+                return wrapped.length > 0 ? wrapped : [''];
+            }))
+        .filter(lines => lines.some(line => line));
+};
+
+/**
+ * Create a page flow: a cursor that moves down the page and starts a new page when space runs out
+ * @param {PDFDocument} pdfDoc - The PDF document
+ * @param {Object} options - Flow options
+ * @param {Array<number>} [options.pageSize=[612, 792]] - Page size (Letter)
+ * @param {Object} [options.margins] - {top, bottom, left, right}
+ * @param {Function} [options.onNewPage] - (page, flow) called for every page after the first, e.g. to draw a continuation heading
+ * @returns {Object} Flow with page, y, left, width, pages, remaining() and ensureSpace(height)
+ */
+const createPageFlow = (pdfDoc, options = {}) => {
+    const {
+        pageSize = [612, 792],
+        margins = { top: 80, bottom: 72, left: 50, right: 50 },
+        onNewPage = null
+    } = options;
+
+    let pageStartY = 0; // Cursor position once the page (and any continuation heading) is set up
+
+    const flow = {
+        pages: [],
+        page: null,
+        y: 0,
+        left: margins.left,
+        width: pageSize[0] - margins.left - margins.right,
+
+        /**
+         * Start a new page and move the cursor to its top margin
+         * @returns {PDFPage}
+         */
+        addPage() {
+            flow.page = pdfDoc.addPage(pageSize);
+            flow.pages.push(flow.page);
+            flow.y = pageSize[1] - margins.top;
+            if (onNewPage && flow.pages.length > 1) onNewPage(flow.page, flow);
+            pageStartY = flow.y;
+            return flow.page;
+        },
+
+        /**
+         * Space left above the bottom margin
+         * @returns {number}
+         */
+        remaining() {
+            return flow.y - margins.bottom;
+        },
+
+        /**
+         * Make sure the next block of the given height fits, starting a new page if not
+         * A block taller than a whole page is placed at the top of a fresh page
+         * @param {number} height - Height of the next block
+         * @returns {boolean} True if a new page was started
+         */
+        ensureSpace(height) {
+            if (flow.remaining() >= height || flow.y === pageStartY) return false;
+            flow.addPage();
+            return true;
+        }
+    };
+
+    flow.addPage();
+    return flow;
+};
+
+module.exports = {
+    wrapText,
+    layoutParagraphs,
+    createPageFlow
+};
@@ -0,0 +1,161 @@
+/**
+ * Booklet version history
+ * Every generated booklet is recorded at graduations/{gradId}/booklets/{versionId}.
+ * The graduation's generatedBookletUrl points at the published version; older
+ * versions keep their files until they fall out of the retention window, so a
+ * bad regeneration can be rolled back from the Booklet tab.
+ */
+
+const admin = require('firebase-admin');
+const { cleanupReplacedAsset } = require('./cloudinary');
+
+// Versions kept (with their Cloudinary files); the published version is always kept
+const BOOKLET_VERSIONS_TO_KEEP = 5;
+
+/**
+ * Get the booklets collection for a graduation
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @returns {FirebaseFirestore.CollectionReference}
+ */
+const getVersionsCollection = (db, graduationId) =>
+    db.collection('graduations').doc(graduationId).collection('booklets');
+
+/**
+ * Summarize what changed between two versions
+ * @param {Object|null} previous - Previous version data
+ * @param {Object} current - New version data
+ * @returns {Object|null} {previousVersionId, pageDelta, sizeDeltaMB, studentsAdded, studentsRemoved, sectionDeltas} or null for the first version
+ */
+const diffVersions = (previous, current) => {
+    if (!previous) return null;
+
+    const previousStudents = new Set(previous.students || []);
+    const currentStudents = new Set(current.students || []);
+    const sectionDeltas = {};
+    Object.keys({ ...previous.sectionCounts, ...current.sectionCounts }).forEach(section => {
+        const delta = (current.sectionCounts?.[section] || 0) - (previous.sectionCounts?.[section] || 0);
+        if (delta !== 0) sectionDeltas[section] = delta;
+    });
+
+    return {
+        previousVersionId: previous.id,
+        pageDelta: current.pageCount - (previous.pageCount || 0),
+        sizeDeltaMB: parseFloat((current.sizeMB - (previous.sizeMB || 0)).toFixed(2)),
+        studentsAdded: [...currentStudents].filter(name => !previousStudents.has(name)),
+        studentsRemoved: [...previousStudents].filter(name => !currentStudents.has(name)),
+        sectionDeltas
+    };
+};
+
+/**
+ * Build the graduation's bookletStats for a version
+ * Versions recorded before the stats were stored on them only have pageCount, sizeMB and the student lists
+ * @param {Object} version - Version data
+ * @param {Date} generatedAt - When the version was generated
+ * @returns {Object} bookletStats
+ */
+const getBookletStats = (version, generatedAt) => {
+    const placeholderStudents = version.placeholderStudents || 0;
+    const processedStudents = version.processedStudents ?? (version.students || []).length - placeholderStudents;
+    const stats = {
+        totalPages: version.pageCount,
+        processedStudents,
+        totalStudents: version.totalStudents ?? processedStudents + (version.skippedStudents || []).length,
+        placeholderStudents,
+        sizeMB: version.sizeMB,
+        generatedAt: generatedAt ? generatedAt.toISOString() : null
+    };
+    ['reusedSections', 'sizeBeforeOptimizationMB', 'quality'].forEach(field => {
+        if (version[field] !== undefined) stats[field] = version[field];
+    });
+    return stats;
+};
+
+/**
+ * Record a newly generated booklet as a version
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} version - {bookletUrl, spreadsUrl, pageCount, sizeMB, sectionCounts, students, skippedStudents,
+ *   placeholderStudents, processedStudents, totalStudents, reusedSections, sizeBeforeOptimizationMB, quality,
+ *   warningCount, generatedBy, jobId}
+ * @returns {Promise<Object>} {id, diff}
+ */
+const recordBookletVersion = async (db, graduationId, version) => {
+    const versions = getVersionsCollection(db, graduationId);
+    const previousSnapshot = await versions.orderBy('generatedAt', 'desc').limit(1).get();
+    const previous = previousSnapshot.empty
+        ? null
+        : { id: previousSnapshot.docs[0].id, ...previousSnapshot.docs[0].data() };
+
+    const diff = diffVersions(previous, version);
+    const versionRef = versions.doc();
+    await versionRef.set({
+        ...version,
+        diff,
+        generatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { id: versionRef.id, diff };
+};
+
+/**
+ * Publish an earlier version (rollback)
+ * The replaced booklet stays in the version history, so its files are not cleaned up
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {string} versionId - Version to publish
+ * @returns {Promise<boolean>} False if the graduation has no such version
+ */
+const publishBookletVersion = async (db, graduationId, versionId) => {
+    const versionDoc = await getVersionsCollection(db, graduationId).doc(versionId).get();
+    if (!versionDoc.exists) return false;
+
+    const version = versionDoc.data();
+    const generatedAt = version.generatedAt?.toDate ? version.generatedAt.toDate() : null;
+    await db.collection('graduations').doc(graduationId).update({
+        generatedBookletUrl: version.bookletUrl,
+        generatedSpreadsUrl: version.spreadsUrl || admin.firestore.FieldValue.delete(),
+        publishedBookletVersionId: versionId,
+        bookletGeneratedAt: version.generatedAt || null,
+        bookletStats: getBookletStats(version, generatedAt)
+    });
+    return true;
+};
+
+/**
+ * Delete versions (and their files) beyond the retention window
+ * Files are never deleted while the graduation still points at them
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} graduationId - The graduation ID
+ * @param {Object} published - {versionId, bookletUrl, spreadsUrl} of the published booklet
+ * @returns {Promise<number>} Number of versions deleted
+ */
+const pruneBookletVersions = async (db, graduationId, published) => {
+    const snapshot = await getVersionsCollection(db, graduationId).orderBy('generatedAt', 'desc').get();
+    const expired = snapshot.docs
+        .slice(BOOKLET_VERSIONS_TO_KEEP)
+        .filter(doc => doc.id !== published.versionId);
+
+    for (const doc of expired) {
+        const { bookletUrl, spreadsUrl } = doc.data();
+        if (bookletUrl !== published.bookletUrl) cleanupReplacedAsset(bookletUrl, published.bookletUrl);
+        if (spreadsUrl !== published.spreadsUrl) cleanupReplacedAsset(spreadsUrl, published.spreadsUrl);
+        await doc.ref.delete();
+    }
+
+    if (expired.length > 0) {
+        console.log(`[Booklet Versions] Pruned ${expired.length} old versions for ${graduationId}`);
+    }
+    return expired.length;
+};
+
+module.exports = {
+    BOOKLET_VERSIONS_TO_KEEP,
+    getVersionsCollection,
+    diffVersions,
+    getBookletStats,
+    recordBookletVersion,
+    publishBookletVersion,
+    pruneBookletVersions
+};
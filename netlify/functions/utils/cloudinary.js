@@ -0,0 +1,373 @@
+/**
+ * Cloudinary helpers shared by the booklet functions
+ * URL optimization, public ID extraction, deletion, raw PDF uploads and
+ * signed download URLs for private files
+ */
+
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const crypto = require('crypto');
+
+// Generated booklets are uploaded as private assets: they have no public URL and are only
+// reachable through signed download URLs that expire (see getSignedDownloadUrl)
+const PRIVATE_DELIVERY_TYPE = 'private';
+const DEFAULT_DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+/**
+ * Sign Cloudinary API parameters (SHA-1 of the sorted, non-empty parameters plus the API secret)
+ * @param {Object} params - Parameters to sign (api_key, file and resource_type are never signed)
+ * @param {string} apiSecret - Cloudinary API secret
+ * @returns {string} Hex signature
+ */
+const signCloudinaryParams = (params, apiSecret) => {
+    const toSign = Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    return crypto.createHash('sha1').update(toSign + apiSecret).digest('hex');
+};
+
+/**
+ * Read the resource type, delivery type and public ID of a private Cloudinary file URL
+ * Private raw files keep their extension as part of the public ID
+ * @param {string} url - Cloudinary URL (e.g. .../raw/private/s--sig--/v123/folder/file.pdf)
+ * @returns {{resourceType: string, deliveryType: string, publicId: string}|null} Null for public (upload) URLs
+ */
+const parsePrivateCloudinaryUrl = (url) => {
+    const match = /res\.cloudinary\.com\/[^/]+\/(image|raw|video)\/(private|authenticated)\/(?:s--[^/]+--\/)?(?:v\d+\/)?([^?#]+)/.exec(url || '');
+    if (!match) return null;
+    return { resourceType: match[1], deliveryType: match[2], publicId: decodeURIComponent(match[3]) };
+};
+
+/**
+ * Helper function to optimize Cloudinary PDF URLs for size reduction
+ * Adds a q_auto transformation parameter
+ * @param {string} url - Original Cloudinary URL
+ * @param {string} [quality='eco'] - q_auto level (e.g. 'eco', 'good')
+ * @returns {string} - Optimized URL with compression parameters
+ */
+const optimizeCloudinaryPdfUrl = (url, quality = 'eco') => {
+    // Only optimize Cloudinary URLs
+    if (!url.includes('res.cloudinary.com')) {
+        return url;
+    }
+
+    // Insert the q_auto transformation before the version number
+    // Example: .../upload/v123/file.pdf -> .../upload/q_auto:eco/v123/file.pdf
+    const uploadIndex = url.indexOf('/upload/');
+    if (uploadIndex === -1) {
+        return url;
+    }
+
+    const beforeUpload = url.substring(0, uploadIndex + 8); // include '/upload/'
+    const afterUpload = url.substring(uploadIndex + 8);
+
+    // Check if transformation already exists
+    if (afterUpload.startsWith('q_auto')) {
+        return url;
+    }
+
+    return `${beforeUpload}q_auto:${quality}/${afterUpload}`;
+};
+
+/**
+ * Add a transformation to a Cloudinary image URL (e.g. convert format or resize)
+ * Non-Cloudinary URLs and URLs that already carry transformations are returned unchanged
+ * @param {string} url - Original image URL
+ * @param {string} transformation - Cloudinary transformation (e.g. "f_png,w_800")
+ * @returns {string} - URL with the transformation applied
+ */
+const withCloudinaryTransformation = (url, transformation) => {
+    if (!url || !url.includes('res.cloudinary.com') || !url.includes('/image/upload/')) {
+        return url;
+    }
+
+    const [beforeUpload, afterUpload] = url.split('/image/upload/');
+
+    // Check if transformation already exists (e.g. w_400,c_fill/...)
+    if (/^[a-z]{1,3}_[^/]+\//.test(afterUpload)) {
+        return url;
+    }
+
+    return `${beforeUpload}/image/upload/${transformation}/${afterUpload}`;
+};
+
+/**
+ * Extract Cloudinary public ID from URL
+ * @param {string} url - Cloudinary URL
+ * @returns {string|null} - Public ID or null if not a Cloudinary URL
+ */
+const extractCloudinaryPublicId = (url) => {
+    if (!url || !url.includes('res.cloudinary.com')) {
+        return null;
+    }
+
+    try {
+        // URL format: https://res.cloudinary.com/{cloud_name}/image|raw|video/upload/{transformations}/{public_id}.{extension}
+        const urlParts = url.split('/upload/');
+        if (urlParts.length !== 2) {
+            return null;
+        }
+
+        // Get everything after /upload/
+        let pathAfterUpload = urlParts[1];
+
+        // Remove transformations (anything before the version or first non-transformation part)
+        // Transformations are comma-separated or slash-separated parameters
+        const versionMatch = pathAfterUpload.match(/v\d+\//);
+        if (versionMatch) {
+            // If there's a version number, get everything after it
+            pathAfterUpload = pathAfterUpload.substring(pathAfterUpload.indexOf(versionMatch[0]) + versionMatch[0].length);
+        } else {
+            // No version, might have transformations at the start
+            // Look for graduation-pdfs/ or similar folder structure
+            const folderMatch = pathAfterUpload.match(/([a-zA-Z0-9_-]+\/)+/);
+            if (folderMatch) {
+                pathAfterUpload = pathAfterUpload.substring(pathAfterUpload.indexOf(folderMatch[0]));
+            }
+        }
+
+        // Remove file extension
+        const publicIdWithExtension = pathAfterUpload;
+        const lastDotIndex = publicIdWithExtension.lastIndexOf('.');
+        const publicId = lastDotIndex > 0 ? publicIdWithExtension.substring(0, lastDotIndex) : publicIdWithExtension;
+
+        return publicId;
+    } catch (error) {
+        console.error('Error extracting Cloudinary public ID:', error);
+        return null;
+    }
+};
+
+/**
+ * Delete a file from Cloudinary
+ * @param {string} publicId - The public ID of the file to delete
+ * @param {string} [resourceType='image'] - Cloudinary resource type (image or raw)
+ * @param {string} [deliveryType='upload'] - Delivery type ('private' for generated booklets)
+ * @returns {Promise<boolean>} - True if successful, false otherwise
+ */
+const deleteFromCloudinary = async (publicId, resourceType = 'image', deliveryType = 'upload') => {
+    if (!publicId) {
+        console.log('[Cloudinary Cleanup] No public ID provided, skipping deletion');
+        return false;
+    }
+
+    try {
+        const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+        const apiKey = process.env.CLOUDINARY_API_KEY;
+        const apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+        if (!cloudName || !apiKey || !apiSecret) {
+            console.error('[Cloudinary Cleanup] Missing API credentials');
+            return false;
+        }
+
+        // Generate signature for authenticated deletion
+        const timestamp = Math.floor(Date.now() / 1000);
+        const type = deliveryType === 'upload' ? null : deliveryType;
+        const signature = signCloudinaryParams({ public_id: publicId, timestamp, type }, apiSecret);
+
+        // Call Cloudinary delete API
+        const deleteUrl = `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/destroy`;
+
+        const formData = new URLSearchParams();
+        formData.append('public_id', publicId);
+        formData.append('timestamp', timestamp.toString());
+        if (type) formData.append('type', type);
+        formData.append('api_key', apiKey);
+        formData.append('signature', signature);
+
+        console.log(`[Cloudinary Cleanup] Attempting to delete: ${publicId}`);
+
+        const response = await fetch(deleteUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: formData.toString()
+        });
+
+        const result = await response.json();
+
+        if (result.result === 'ok') {
+            console.log(`[Cloudinary Cleanup] Successfully deleted: ${publicId}`);
+            return true;
+        } else {
+            console.warn(`[Cloudinary Cleanup] Delete response:`, result);
+            return false;
+        }
+
+    } catch (error) {
+        console.error(`[Cloudinary Cleanup] Error deleting ${publicId}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Upload a generated file to Cloudinary as a raw file
+ * Each upload gets a unique timestamped public ID so browsers never serve a stale copy.
+ * Public files go through the unsigned upload preset; private files are signed with the
+ * API secret (unsigned uploads can't choose their delivery type)
+ * @param {Uint8Array|Buffer} fileBytes - The file contents
+ * @param {string} publicIdPrefix - Prefix for the public ID (e.g. graduation_booklet_{gradId})
+ * @param {Object} options - {folder, extension, contentType, deliveryType ('upload' or 'private')}
+ * @returns {Promise<string>} Secure URL of the uploaded file (private files can't be fetched from it directly)
+ */
+const uploadRawFileToCloudinary = async (fileBytes, publicIdPrefix, { folder = 'graduation-booklets', extension = 'pdf', contentType = 'application/pdf', deliveryType = 'upload' } = {}) => {
+    // Upload to Cloudinary using multipart form data (proper method for raw files)
+    const cloudinaryUrl = `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/raw/upload`;
+
+    const formData = new FormData();
+    const safePublicId = `${publicIdPrefix}_${Date.now()}`;
+
+    formData.append('file', Buffer.from(fileBytes), {
+        filename: `${safePublicId}.${extension}`,
+        contentType
+    });
+    formData.append('resource_type', 'raw');
+
+    if (deliveryType === PRIVATE_DELIVERY_TYPE) {
+        if (!process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+            throw new Error('Cloudinary API credentials are required for private uploads');
+        }
+        // Raw public IDs carry their extension, so signed downloads get a proper file name
+        const params = {
+            folder,
+            public_id: `${safePublicId}.${extension}`,
+            timestamp: Math.floor(Date.now() / 1000),
+            type: PRIVATE_DELIVERY_TYPE
+        };
+        Object.entries(params).forEach(([key, value]) => formData.append(key, String(value)));
+        formData.append('api_key', process.env.CLOUDINARY_API_KEY);
+        formData.append('signature', signCloudinaryParams(params, process.env.CLOUDINARY_API_SECRET));
+    } else {
+        formData.append('upload_preset', process.env.CLOUDINARY_UPLOAD_PRESET);
+        formData.append('public_id', safePublicId);
+        formData.append('folder', folder); // Use folder parameter instead of slashes in public_id
+    }
+
+    const uploadResponse = await fetch(cloudinaryUrl, {
+        method: 'POST',
+        body: formData,
+        headers: formData.getHeaders(),
+    });
+
+    if (!uploadResponse.ok) {
+        const errorText = await uploadResponse.text();
+        console.error('Cloudinary upload error:', errorText);
+        throw new Error(`Cloudinary upload failed: ${uploadResponse.status} - ${errorText}`);
+    }
+
+    const uploadResult = await uploadResponse.json();
+
+    if (!uploadResult || !uploadResult.secure_url) {
+        console.error('Invalid Cloudinary response:', uploadResult);
+        throw new Error('Cloudinary upload succeeded but returned invalid response');
+    }
+
+    console.log(`Successfully uploaded ${extension.toUpperCase()} to: ${uploadResult.secure_url} (version ${uploadResult.version})`);
+    return uploadResult.secure_url;
+};
+
+/**
+ * Upload a generated PDF to Cloudinary as a raw file
+ * @param {Uint8Array|Buffer} pdfBytes - The PDF file contents
+ * @param {string} publicIdPrefix - Prefix for the public ID (e.g. graduation_booklet_{gradId})
+ * @param {string} [folder='graduation-booklets'] - Cloudinary folder
+ * @param {Object} [options] - {deliveryType: 'private'} for files handed out through signed download URLs
+ * @returns {Promise<string>} Secure URL of the uploaded file
+ */
+const uploadPdfToCloudinary = (pdfBytes, publicIdPrefix, folder = 'graduation-booklets', { deliveryType = 'upload' } = {}) =>
+    uploadRawFileToCloudinary(pdfBytes, publicIdPrefix, { folder, deliveryType });
+
+/**
+ * Get a download URL for a stored file that stops working after a few minutes
+ * Private files get a signed Cloudinary download URL; files uploaded before booklets
+ * were private still have a public URL, which is returned unchanged until a makePrivate
+ * job (see booklet-privacy.js) has moved them
+ * @param {string} fileUrl - Stored file URL (e.g. generatedBookletUrl)
+ * @param {Object} [options]
+ * @param {number} [options.expiresInSeconds=300] - Lifetime of the URL
+ * @param {boolean} [options.attachment=true] - Download as a file instead of opening in the browser
+ * @returns {{url: string, expiresAt: string|null}} expiresAt is null for public files
+ */
+const getSignedDownloadUrl = (fileUrl, { expiresInSeconds = DEFAULT_DOWNLOAD_URL_TTL_SECONDS, attachment = true } = {}) => {
+    const asset = parsePrivateCloudinaryUrl(fileUrl);
+    if (!asset) {
+        return { url: fileUrl, expiresAt: null };
+    }
+
+    const { CLOUDINARY_CLOUD_NAME: cloudName, CLOUDINARY_API_KEY: apiKey, CLOUDINARY_API_SECRET: apiSecret } = process.env;
+    if (!cloudName || !apiKey || !apiSecret) {
+        throw new Error('Cloudinary API credentials are required for signed downloads');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const params = {
+        public_id: asset.publicId,
+        type: asset.deliveryType,
+        expires_at: timestamp + expiresInSeconds,
+        attachment: attachment ? 'true' : null,
+        timestamp
+    };
+    const query = new URLSearchParams({ api_key: apiKey, signature: signCloudinaryParams(params, apiSecret) });
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== null) query.append(key, String(value));
+    });
+
+    return {
+        url: `https://api.cloudinary.com/v1_1/${cloudName}/${asset.resourceType}/download?${query.toString()}`,
+        expiresAt: new Date(params.expires_at * 1000).toISOString()
+    };
+};
+
+/**
+ * Delete a previously uploaded file by URL without blocking the caller
+ * Used to clean up the old booklet once a new one has been uploaded
+ * @param {string} oldUrl - URL of the asset being replaced
+ * @param {string} newUrl - URL of the replacement (skipped if identical)
+ * @returns {void}
+ */
+const cleanupReplacedAsset = (oldUrl, newUrl) => {
+    if (!oldUrl || oldUrl === newUrl) {
+        return;
+    }
+
+    console.log(`[Cloudinary Cleanup] Found old asset URL: ${oldUrl}`);
+    const privateAsset = parsePrivateCloudinaryUrl(oldUrl);
+    if (privateAsset) {
+        deleteFromCloudinary(privateAsset.publicId, privateAsset.resourceType, privateAsset.deliveryType).catch(err => {
+            console.error('[Cloudinary Cleanup] Failed to delete old asset:', err);
+        });
+        return;
+    }
+
+    const publicId = extractCloudinaryPublicId(oldUrl);
+
+    if (!publicId) {
+        console.warn('[Cloudinary Cleanup] Could not extract public ID from old URL');
+        return;
+    }
+
+    // Generated PDFs are uploaded as raw files
+    const resourceType = oldUrl.includes('/raw/') ? 'raw' : 'image';
+
+    // Delete old asset asynchronously (don't wait for it)
+    deleteFromCloudinary(publicId, resourceType).catch(err => {
+        console.error('[Cloudinary Cleanup] Failed to delete old asset:', err);
+    });
+};
+
+module.exports = {
+    PRIVATE_DELIVERY_TYPE,
+    parsePrivateCloudinaryUrl,
+    optimizeCloudinaryPdfUrl,
+    withCloudinaryTransformation,
+    extractCloudinaryPublicId,
+    deleteFromCloudinary,
+    uploadRawFileToCloudinary,
+    uploadPdfToCloudinary,
+    getSignedDownloadUrl,
+    cleanupReplacedAsset
+};
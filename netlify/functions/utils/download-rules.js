@@ -0,0 +1,98 @@
+/**
+ * Booklet release rules
+ * config.downloadRules decides when each audience may download the booklet:
+ *   { staff: rule, families: rule, public: rule }
+ *   rule = { access: 'open' | 'scheduled' | 'never', opensAt: Date|null, closesAt: Date|null }
+ * 'open' is available straight away, 'scheduled' from opensAt; either stops at closesAt if set.
+ *
+ * Audiences follow how the request reaches download-booklet.js:
+ *   staff    - signed-in editors of the project
+ *   families - visitors who entered the site password, and students using their own upload link
+ *   public   - everyone else on the public site
+ *
+ * Projects without downloadRules use the older single schedule
+ * (enableDownloadScheduling + downloadableAfterDate) for families and the public.
+ */
+
+const DOWNLOAD_AUDIENCES = ['staff', 'families', 'public'];
+const DOWNLOAD_ACCESS = ['open', 'scheduled', 'never'];
+
+const OPEN_RULE = { access: 'open', opensAt: null, closesAt: null };
+
+/**
+ * Read a stored date (Firestore Timestamp, Date or ISO string)
+ * @param {*} value - Stored value
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalize one stored rule; anything unrecognized falls back to open
+ * @param {Object} [rule] - Stored rule
+ * @returns {{access: string, opensAt: Date|null, closesAt: Date|null}}
+ */
+const normalizeRule = (rule = {}) => ({
+    access: DOWNLOAD_ACCESS.includes(rule.access) ? rule.access : 'open',
+    opensAt: toDate(rule.opensAt),
+    closesAt: toDate(rule.closesAt)
+});
+
+/**
+ * Get the release rule for every audience
+ * @param {Object} config - Graduation config
+ * @returns {Object} Map of audience -> normalized rule
+ */
+const getDownloadRules = (config = {}) => {
+    if (config.downloadRules) {
+        return Object.fromEntries(DOWNLOAD_AUDIENCES.map(audience => [audience, normalizeRule(config.downloadRules[audience])]));
+    }
+
+    const legacyDate = config.enableDownloadScheduling ? toDate(config.downloadableAfterDate) : null;
+    const visitorRule = legacyDate ? { access: 'scheduled', opensAt: legacyDate, closesAt: null } : OPEN_RULE;
+    return { staff: OPEN_RULE, families: visitorRule, public: visitorRule };
+};
+
+/**
+ * Work out which audience a download request belongs to
+ * @param {Object} request - {isEditor, hasSiteSession, viaStudentLink}
+ * @returns {string} One of DOWNLOAD_AUDIENCES
+ */
+const getDownloadAudience = ({ isEditor, hasSiteSession, viaStudentLink }) => {
+    if (isEditor) return 'staff';
+    if (hasSiteSession || viaStudentLink) return 'families';
+    return 'public';
+};
+
+/**
+ * Check a rule at a point in time
+ * @param {Object} rule - Normalized rule
+ * @param {Date} [now] - Current time
+ * @returns {{allowed: boolean, reason: string|null, opensAt: Date|null, closesAt: Date|null}}
+ *   reason is 'unavailable' (never), 'scheduled' (not open yet) or 'closed' (past closesAt)
+ */
+const evaluateDownloadRule = (rule, now = new Date()) => {
+    const { access, opensAt, closesAt } = rule;
+
+    if (access === 'never') {
+        return { allowed: false, reason: 'unavailable', opensAt: null, closesAt: null };
+    }
+    if (access === 'scheduled' && (!opensAt || now < opensAt)) {
+        return { allowed: false, reason: 'scheduled', opensAt, closesAt };
+    }
+    if (closesAt && now >= closesAt) {
+        return { allowed: false, reason: 'closed', opensAt, closesAt };
+    }
+    return { allowed: true, reason: null, opensAt: access === 'scheduled' ? opensAt : null, closesAt };
+};
+
+module.exports = {
+    DOWNLOAD_AUDIENCES,
+    DOWNLOAD_ACCESS,
+    getDownloadRules,
+    getDownloadAudience,
+    evaluateDownloadRule
+};
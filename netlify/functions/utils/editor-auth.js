@@ -0,0 +1,61 @@
+/**
+ * Editor authentication
+ * Verifies the Firebase ID token sent as "Authorization: Bearer <token>" and checks
+ * the caller is an editor of the graduation (editors array, or ownerUid on older projects),
+ * matching the editor check in firestore.rules.
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * Read the bearer token from a Netlify event
+ * @param {Object} event - Netlify function event
+ * @returns {string|null}
+ */
+const getBearerToken = (event) => {
+    const header = event.headers?.authorization || event.headers?.Authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Check whether a user may edit a graduation
+ * @param {Object} gradData - Graduation document data
+ * @param {string} uid - Firebase Auth user ID
+ * @returns {boolean}
+ */
+const isGraduationEditor = (gradData, uid) =>
+    !!uid && ((gradData.editors || []).includes(uid) || (gradData.ownerUid != null && gradData.ownerUid === uid));
+
+/**
+ * Verify the request's ID token and editor access
+ * Requests without a token resolve to {uid: null}; an invalid token is treated the same,
+ * so callers decide whether a signed-in editor is required
+ * @param {Object} event - Netlify function event
+ * @param {Object} gradData - Graduation document data
+ * @returns {Promise<{uid: string|null, email: string|null, isEditor: boolean}>}
+ */
+const getEditorAccess = async (event, gradData) => {
+    const idToken = getBearerToken(event);
+    if (!idToken) {
+        return { uid: null, email: null, isEditor: false };
+    }
+
+    try {
+        const decoded = await admin.auth().verifyIdToken(idToken);
+        return {
+            uid: decoded.uid,
+            email: decoded.email || null,
+            isEditor: isGraduationEditor(gradData, decoded.uid)
+        };
+    } catch (error) {
+        console.warn('[Editor Auth] Invalid ID token:', error.code || error.message);
+        return { uid: null, email: null, isEditor: false };
+    }
+};
+
+module.exports = {
+    getBearerToken,
+    isGraduationEditor,
+    getEditorAccess
+};
@@ -0,0 +1,84 @@
+/**
+ * Password hashing for student and site passwords
+ * New hashes use scrypt and are stored as "scrypt${N}${r}${p}${salt}${hash}". Hashes written
+ * before the switch are PBKDF2 "{salt}:{hash}" (10,000 iterations of SHA-512); they still
+ * verify, and verifyPassword reports needsRehash so callers can replace them on the next
+ * successful check. Comparisons are constant-time.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Node's default scrypt cost (16 MiB per hash); secure-operations caps password batches at
+// 50 students so a batch stays well within the function timeout
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_MAX_N = 1048576;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const LEGACY_PBKDF2_ITERATIONS = 10000;
+
+/**
+ * Derive an scrypt key, allowing enough memory for the given cost
+ * @param {string} password - Plain password
+ * @param {Buffer} salt - Salt
+ * @param {number} keyLength - Key length in bytes
+ * @param {{N: number, r: number, p: number}} params - scrypt cost parameters
+ * @returns {Promise<Buffer>}
+ */
+const deriveScrypt = (password, salt, keyLength, { N, r, p }) =>
+    scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Encoded hash
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await deriveScrypt(String(password), salt, KEY_LENGTH, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a stored hash (current or legacy format)
+ * @param {string} password - Password entered by the user
+ * @param {string} storedHash - Hash from Firestore
+ * @returns {Promise<{isValid: boolean, needsRehash: boolean}>} needsRehash is only true for a
+ *   valid password whose hash uses an older scheme or cost
+ */
+const verifyPassword = async (password, storedHash) => {
+    const invalid = { isValid: false, needsRehash: false };
+    if (typeof password !== 'string' || typeof storedHash !== 'string') return invalid;
+
+    if (storedHash.startsWith('scrypt$')) {
+        const match = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([a-f0-9]+)\$([a-f0-9]+)$/.exec(storedHash);
+        if (!match) return invalid;
+
+        const [N, r, p] = [match[1], match[2], match[3]].map(Number);
+        const expected = Buffer.from(match[5], 'hex');
+        if (N < 2 || N > SCRYPT_MAX_N || r < 1 || r > 32 || p < 1 || p > 16 || expected.length === 0) return invalid;
+
+        const actual = await deriveScrypt(password, Buffer.from(match[4], 'hex'), expected.length, { N, r, p });
+        const isValid = crypto.timingSafeEqual(actual, expected);
+        const isCurrent = N === SCRYPT_PARAMS.N && r === SCRYPT_PARAMS.r && p === SCRYPT_PARAMS.p;
+        return { isValid, needsRehash: isValid && !isCurrent };
+    }
+
+    // Legacy PBKDF2 "{salt}:{hash}"; the salt hex string itself was used as the salt
+    const [salt, hash] = storedHash.split(':');
+    if (!salt || !/^[a-f0-9]{128}$/.test(hash || '')) return invalid;
+
+    const actual = await pbkdf2(password, salt, LEGACY_PBKDF2_ITERATIONS, KEY_LENGTH, 'sha512');
+    const isValid = crypto.timingSafeEqual(actual, Buffer.from(hash, 'hex'));
+    return { isValid, needsRehash: isValid };
+};
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,70 @@
+/**
+ * Site password sessions
+ * When a graduation has a site password, secure-operations hands out a signed session
+ * token after verifySitePassword succeeds; download-booklet.js requires it before
+ * signing a download URL. Tokens are "{expiresAtMs}.{hmac}" and are bound to the
+ * graduation and the current password hash, so changing the password ends every session.
+ */
+
+const crypto = require('crypto');
+
+const SITE_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Key used to sign session tokens
+ * SITE_SESSION_SECRET if set, otherwise derived from the Firebase service account key
+ * so existing deployments keep working without a new environment variable
+ * @returns {string}
+ */
+const getSessionSecret = () => {
+    if (process.env.SITE_SESSION_SECRET) return process.env.SITE_SESSION_SECRET;
+
+    const fallback = process.env.FIREBASE_PRIVATE_BASE_64_KEY || process.env.FIREBASE_PRIVATE_KEY;
+    if (!fallback) {
+        throw new Error('SITE_SESSION_SECRET is not configured');
+    }
+    return crypto.createHash('sha256').update(`site-session:${fallback}`).digest('hex');
+};
+
+const signSession = (graduationId, expiresAt, sitePasswordHash) =>
+    crypto.createHmac('sha256', getSessionSecret())
+        .update(`${graduationId}.${expiresAt}.${sitePasswordHash}`)
+        .digest('hex');
+
+/**
+ * Create a session token for a visitor who entered the site password
+ * @param {string} graduationId - The graduation ID
+ * @param {string} sitePasswordHash - config.sitePasswordHash the password was checked against
+ * @returns {{token: string, expiresAt: string}} Token and its expiry (ISO)
+ */
+const createSiteSessionToken = (graduationId, sitePasswordHash) => {
+    const expiresAt = Date.now() + SITE_SESSION_TTL_MS;
+    return {
+        token: `${expiresAt}.${signSession(graduationId, expiresAt, sitePasswordHash)}`,
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+};
+
+/**
+ * Check a session token against the graduation's current site password
+ * @param {string} token - Token from the X-Site-Session header
+ * @param {string} graduationId - The graduation ID
+ * @param {string} sitePasswordHash - Current config.sitePasswordHash
+ * @returns {boolean}
+ */
+const verifySiteSessionToken = (token, graduationId, sitePasswordHash) => {
+    const match = /^(\d{13})\.([a-f0-9]{64})$/.exec(token || '');
+    if (!match || !sitePasswordHash) return false;
+
+    const expiresAt = Number(match[1]);
+    if (expiresAt < Date.now()) return false;
+
+    const expected = Buffer.from(signSession(graduationId, expiresAt, sitePasswordHash), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(match[2], 'hex'));
+};
+
+module.exports = {
+    SITE_SESSION_TTL_MS,
+    createSiteSessionToken,
+    verifySiteSessionToken
+};
@@ -0,0 +1,64 @@
+/**
+ * Student password generation
+ * Passwords generated for password access (on add and reset) are two adjective + noun pairs
+ * and four digits, e.g. "SwiftOtterCalmRiver4821": easy to read off a login card and type,
+ * with 128^4 * 10^4 (about 2^41) possibilities so they can't be guessed online.
+ */
+
+const crypto = require('crypto');
+
+// 128 words each, so every word adds 7 bits
+const ADJECTIVES = [
+    'Able', 'Active', 'Agile', 'Amber', 'Azure', 'Balmy', 'Bold', 'Brave', 'Breezy', 'Bright',
+    'Brisk', 'Bubbly', 'Calm', 'Candid', 'Cheerful', 'Cheery', 'Clever', 'Cosmic', 'Cozy', 'Crisp',
+    'Curious', 'Daring', 'Dapper', 'Dewy', 'Dreamy', 'Eager', 'Early', 'Easy', 'Electric', 'Epic',
+    'Fair', 'Fancy', 'Fast', 'Fearless', 'Festive', 'Fiery', 'Firm', 'Fluffy', 'Frosty', 'Fresh',
+    'Friendly', 'Funny', 'Gentle', 'Giant', 'Glad', 'Gleaming', 'Glowing', 'Golden', 'Good',
+    'Grand', 'Great', 'Green', 'Happy', 'Hardy', 'Hearty', 'Helpful', 'Honest', 'Hopeful', 'Humble',
+    'Icy', 'Jazzy', 'Jolly', 'Joyful', 'Keen', 'Kind', 'Lively', 'Lucky', 'Lunar', 'Magic', 'Merry',
+    'Mighty', 'Minty', 'Misty', 'Modest', 'Noble', 'Nimble', 'Peppy', 'Plucky', 'Polite', 'Proud',
+    'Quick', 'Quiet', 'Radiant', 'Rapid', 'Ready', 'Real', 'Rosy', 'Royal', 'Ruby', 'Rustic',
+    'Shiny', 'Silent', 'Silver', 'Simple', 'Sleek', 'Smart', 'Snowy', 'Solar', 'Sonic', 'Sparkly',
+    'Speedy', 'Spicy', 'Steady', 'Stellar', 'Sterling', 'Stormy', 'Strong', 'Sturdy', 'Sunny',
+    'Super', 'Swift', 'Tidy', 'Tiny', 'Tough', 'Tranquil', 'True', 'Trusty', 'Upbeat', 'Urban',
+    'Valiant', 'Vivid', 'Warm', 'Wavy', 'Wise', 'Witty', 'Young', 'Zany', 'Zesty'
+];
+
+const NOUNS = [
+    'Acorn', 'Anchor', 'Apple', 'Arrow', 'Aspen', 'Badger', 'Bamboo', 'Banjo', 'Beacon', 'Bear',
+    'Beaver', 'Bison', 'Blossom', 'Breeze', 'Brook', 'Buffalo', 'Butter', 'Cactus', 'Canyon',
+    'Castle', 'Cedar', 'Cheetah', 'Cherry', 'Cloud', 'Clover', 'Comet', 'Coral', 'Cosmos', 'Coyote',
+    'Cricket', 'Crystal', 'Dolphin', 'Dragon', 'Dune', 'Eagle', 'Echo', 'Ember', 'Falcon',
+    'Feather', 'Fern', 'Finch', 'Forest', 'Fox', 'Galaxy', 'Garden', 'Gecko', 'Glacier', 'Harbor',
+    'Hawk', 'Hedgehog', 'Heron', 'Hill', 'Honey', 'Island', 'Jaguar', 'Jasmine', 'Kayak', 'Kettle',
+    'Kite', 'Koala', 'Lagoon', 'Lantern', 'Lemon', 'Leopard', 'Lion', 'Llama', 'Lotus', 'Lynx',
+    'Maple', 'Meadow', 'Meteor', 'Mango', 'Marble', 'Moon', 'Moose', 'Mountain', 'Narwhal',
+    'Nebula', 'Oak', 'Ocean', 'Octopus', 'Orbit', 'Orchid', 'Otter', 'Owl', 'Panda', 'Parrot',
+    'Peach', 'Pebble', 'Pelican', 'Penguin', 'Pepper', 'Phoenix', 'Pine', 'Planet', 'Pony',
+    'Puffin', 'Quartz', 'Rabbit', 'Rainbow', 'Raven', 'River', 'Robin', 'Rocket', 'Sailboat',
+    'Salmon', 'Sequoia', 'Shark', 'Sparrow', 'Spruce', 'Squirrel', 'Star', 'Storm', 'Summit',
+    'Sunset', 'Swan', 'Thunder', 'Tiger', 'Tulip', 'Turtle', 'Valley', 'Violet', 'Volcano',
+    'Walrus', 'Whale', 'Willow', 'Wolf', 'Zebra'
+];
+
+/**
+ * Pick a random word with a cryptographically secure generator
+ * @param {Array<string>} words - Word list
+ * @returns {string}
+ */
+const pickWord = (words) => words[crypto.randomInt(words.length)];
+
+/**
+ * Generate a memorable student password
+ * @returns {string} e.g. "SwiftOtterCalmRiver4821"
+ */
+const generateStudentPassword = () => {
+    const digits = String(crypto.randomInt(10000)).padStart(4, '0');
+    return `${pickWord(ADJECTIVES)}${pickWord(NOUNS)}${pickWord(ADJECTIVES)}${pickWord(NOUNS)}${digits}`;
+};
+
+module.exports = {
+    ADJECTIVES,
+    NOUNS,
+    generateStudentPassword
+};
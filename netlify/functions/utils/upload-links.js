@@ -0,0 +1,144 @@
+/**
+ * Student upload link status
+ * A unique link stops working at its own linkExpiresAt or the project's
+ * config.uploadLinkExpiresAt, whichever comes first. Links that were rotated or switched
+ * to password access are kept in previousLinkIds so they can be answered with
+ * "replaced" instead of "not found". download-booklet and secure-operations look links
+ * up here before serving a booklet, signing an upload or saving one;
+ * js/utils/upload-links.js applies the same rules in the browser.
+ * validateStudentUpload decides which fields a student may save through their link.
+ */
+
+// Shown to students whose link no longer works
+const UPLOAD_LINK_MESSAGES = {
+    expired: 'This link has expired. Ask your teacher for a new one.',
+    replaced: 'This link was replaced by a newer one. Ask your teacher for your new link.',
+    switched: 'Your teacher changed how you sign in. Ask them for your password.',
+    invalid: 'This upload link is not valid.'
+};
+
+/**
+ * Read a stored date (Firestore Timestamp, Date or ISO string)
+ * @param {*} value - Stored value
+ * @returns {Date|null}
+ */
+const toDate = (value) => {
+    if (!value) return null;
+    const date = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Get when a student's unique link stops working
+ * @param {Object} student - Student data
+ * @param {Object} config - Graduation config
+ * @returns {Date|null} Null if the link does not expire
+ */
+const getUploadLinkExpiry = (student, config = {}) => {
+    const dates = [toDate(student.linkExpiresAt), toDate(config.uploadLinkExpiresAt)].filter(Boolean);
+    return dates.length > 0 ? new Date(Math.min(...dates.map(date => date.getTime()))) : null;
+};
+
+/**
+ * Check whether a student's unique link has expired
+ * @param {Object} student - Student data
+ * @param {Object} config - Graduation config
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+const isUploadLinkExpired = (student, config, now = new Date()) => {
+    const expiresAt = getUploadLinkExpiry(student, config);
+    return !!expiresAt && expiresAt <= now;
+};
+
+/**
+ * Work out what a link ID means for one student
+ * @param {Object|null} student - Student data (null if no student matched)
+ * @param {string} linkId - Link ID from the request
+ * @param {Object} config - Graduation config
+ * @param {Date} [now] - Current time
+ * @returns {'valid'|'expired'|'replaced'|'switched'|'invalid'}
+ */
+const getUploadLinkState = (student, linkId, config = {}, now = new Date()) => {
+    if (!student || !linkId) return 'invalid';
+    if (student.accessType === 'link' && student.uniqueLinkId === linkId) {
+        return isUploadLinkExpired(student, config, now) ? 'expired' : 'valid';
+    }
+    if ((student.previousLinkIds || []).includes(linkId)) {
+        return student.accessType === 'link' ? 'replaced' : 'switched';
+    }
+    return 'invalid';
+};
+
+/**
+ * Look up the student a link belongs to, current or replaced
+ * @param {FirebaseFirestore.CollectionReference} studentsRef - The graduation's students collection
+ * @param {string} linkId - Link ID from the request
+ * @param {Object} config - Graduation config
+ * @returns {Promise<{status: string, studentDoc: FirebaseFirestore.QueryDocumentSnapshot|null}>}
+ */
+const findUploadLink = async (studentsRef, linkId, config = {}) => {
+    let snapshot = await studentsRef.where('uniqueLinkId', '==', linkId).limit(1).get();
+    if (snapshot.empty) {
+        snapshot = await studentsRef.where('previousLinkIds', 'array-contains', linkId).limit(1).get();
+    }
+    const studentDoc = snapshot.empty ? null : snapshot.docs[0];
+    return { status: getUploadLinkState(studentDoc ? studentDoc.data() : null, linkId, config), studentDoc };
+};
+
+// Student fields a direct upload link may change, and the config flags that allow them
+// (a Map, so request keys such as "constructor" or "__proto__" never match an inherited property)
+const STUDENT_UPLOAD_FIELDS = new Map([
+    ['profilePdfUrl', () => true],
+    ['profilePhotoUrl', () => true],
+    ['coverPhotoBeforeUrl', (config) => !!(config.enableStudentCoverPages && config.allowCoverPhotos)],
+    ['coverPhotoAfterUrl', (config) => !!(config.enableStudentCoverPages && config.allowCoverPhotos)],
+    ['graduationSpeech', (config) => !!(config.enableStudentCoverPages && config.allowCoverSpeeches)]
+]);
+const GRADUATION_SPEECH_MAX_LENGTH = 5000;
+
+/**
+ * Validate the fields a student saves from their upload link
+ * Files must already be on this project's Cloudinary account
+ * @param {Object} updates - Fields from the request
+ * @param {Object} config - Graduation config
+ * @returns {{fields: Object, error: string|null}}
+ */
+const validateStudentUpload = (updates, config) => {
+    const fields = {};
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+        return { fields, error: 'Nothing to save' };
+    }
+
+    const cloudinaryPrefix = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/`;
+    for (const [key, value] of Object.entries(updates)) {
+        const isAllowed = STUDENT_UPLOAD_FIELDS.get(key);
+        if (!isAllowed || !isAllowed(config)) {
+            return { fields, error: `${key} cannot be changed from an upload link` };
+        }
+
+        if (key === 'graduationSpeech') {
+            const speech = value === null ? null : String(value).replace(/<[^>]*>/g, '').trim();
+            if (speech && speech.length > GRADUATION_SPEECH_MAX_LENGTH) {
+                return { fields, error: `Speech must be at most ${GRADUATION_SPEECH_MAX_LENGTH} characters` };
+            }
+            fields[key] = speech || null;
+        } else {
+            if (typeof value !== 'string' || !value.startsWith(cloudinaryPrefix)) {
+                return { fields, error: 'Invalid file URL' };
+            }
+            fields[key] = value;
+        }
+    }
+
+    return { fields, error: Object.keys(fields).length === 0 ? 'Nothing to save' : null };
+};
+
+module.exports = {
+    UPLOAD_LINK_MESSAGES,
+    getUploadLinkExpiry,
+    isUploadLinkExpired,
+    getUploadLinkState,
+    findUploadLink,
+    validateStudentUpload
+};
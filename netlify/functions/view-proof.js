@@ -0,0 +1,118 @@
+/**
+ * Proof Link Handler
+ * Serves /proof/:gradId/:proofId (see netlify.toml): redirects to a short-lived
+ * signed URL for the watermarked proof PDF while the link is open, and shows an "expired" page afterwards.
+ * Expired proofs are deleted (with their file) the first time their link is used.
+ * Only private proof files are served: a proof whose file has a permanent public URL
+ * (made before proofs were private) is retired the same way instead of being redirected to.
+ */
+
+const admin = require('firebase-admin');
+const rateLimiter = require('./utils/rate-limiter');
+const { getProofsCollection, isProofExpired } = require('./utils/booklet-proofs');
+const { cleanupReplacedAsset, getSignedDownloadUrl, parsePrivateCloudinaryUrl } = require('./utils/cloudinary');
+
+// Initialize Firebase Admin if not already initialized
+if (!admin.apps.length) {
+    const privateKey = process.env.FIREBASE_PRIVATE_BASE_64_KEY
+        ? Buffer.from(process.env.FIREBASE_PRIVATE_BASE_64_KEY, 'base64').toString('utf8')
+        : process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n');
+
+    admin.initializeApp({
+        credential: admin.credential.cert({
+            projectId: process.env.FIREBASE_PROJECT_ID,
+            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+            privateKey: privateKey,
+        }),
+    });
+}
+
+const db = admin.firestore();
+
+const headers = {
+    'Content-Type': 'text/html; charset=utf-8',
+    // Proof links must stop working when they expire, so nothing may cache the redirect
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex',
+    'Referrer-Policy': 'no-referrer'
+};
+
+/**
+ * Small standalone page for links that can't be opened (reviewers land here from an email or chat)
+ * @param {number} statusCode - HTTP status
+ * @param {string} title - Page heading
+ * @param {string} message - Explanation
+ * @returns {Object} Netlify response
+ */
+const messagePage = (statusCode, title, message) => ({
+    statusCode,
+    headers,
+    body: `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; color: #1f2937;">
+<h1 style="font-size: 1.25rem;">${title}</h1>
+<p>${message}</p>
+</body>
+</html>`
+});
+
+exports.handler = async (event) => {
+    if (event.httpMethod !== 'GET') {
+        return messagePage(405, 'Method not allowed', 'Open the proof link in your browser.');
+    }
+
+    const clientIP = rateLimiter.getClientIP(event);
+    const rateLimitCheck = rateLimiter.check(clientIP, {
+        maxAttempts: 20, // 20 proof views per minute
+        windowMs: 60 * 1000,
+        action: 'proof view'
+    });
+
+    if (!rateLimitCheck.allowed) {
+        console.warn(`[Rate Limit] ${clientIP} exceeded proof view limit`);
+        return rateLimiter.createRateLimitResponse(rateLimitCheck);
+    }
+
+    // Extract IDs from path: /view-proof/:gradId/:proofId
+    const [graduationId, proofId] = event.path.split('/').slice(-2);
+    if (!/^[a-zA-Z0-9_-]{1,50}$/.test(graduationId || '') || !/^[a-zA-Z0-9]{1,40}$/.test(proofId || '')) {
+        return messagePage(404, 'Proof not found', 'This proof link is not valid. Ask the booklet editor for a new link.');
+    }
+
+    try {
+        const proofDoc = await getProofsCollection(db, graduationId).doc(proofId).get();
+        if (!proofDoc.exists) {
+            return messagePage(404, 'Proof not found', 'This proof link is not valid or has been removed. Ask the booklet editor for a new link.');
+        }
+
+        const proof = proofDoc.data();
+        if (isProofExpired(proof)) {
+            console.log(`[Proof] Link expired for proof ${proofId} of graduation ${graduationId}`);
+            cleanupReplacedAsset(proof.pdfUrl, null);
+            await proofDoc.ref.delete();
+            return messagePage(410, 'Proof link expired', 'This draft booklet is no longer available. Ask the booklet editor for a new proof link.');
+        }
+
+        // A public file would stay reachable after the link expires, so it is never handed out
+        if (!parsePrivateCloudinaryUrl(proof.pdfUrl)) {
+            console.warn(`[Proof] Retiring proof ${proofId} of graduation ${graduationId}: its file is not private`);
+            cleanupReplacedAsset(proof.pdfUrl, null);
+            await proofDoc.ref.delete();
+            return messagePage(410, 'Proof link expired', 'This draft booklet is no longer available. Ask the booklet editor for a new proof link.');
+        }
+
+        console.log(`[Proof] Access granted to proof ${proofId} of graduation ${graduationId}`);
+        // The signed URL only has to survive the redirect, so keep it short; opening the link again signs a new one
+        const { url } = getSignedDownloadUrl(proof.pdfUrl, { expiresInSeconds: 60, attachment: false });
+        return {
+            statusCode: 302,
+            headers: { ...headers, Location: url },
+            body: ''
+        };
+
+    } catch (error) {
+        console.error('[Proof] Error:', error);
+        return messagePage(500, 'Something went wrong', 'The proof could not be opened. Please try again in a moment.');
+    }
+};
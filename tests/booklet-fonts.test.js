@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+
+const FONTS_DIR = path.join(__dirname, '..', 'netlify', 'functions', 'fonts');
+const fontFiles = fs.readdirSync(FONTS_DIR).filter(file => file.endsWith('.ttf'));
+const SAMPLE_TEXT = 'The Quick Brown Fox 0123 Māori Ελλάδα Москва 毕业快乐 卒業おめでとう 畢業典禮 🎓';
+
+const openFont = (file) => fontkit.create(fs.readFileSync(path.join(FONTS_DIR, file)));
+
+/**
+ * Subset a font the way pdf-lib does when a font is embedded with { subset: true }
+ */
+const encodeSubset = (font, glyphs) => new Promise((resolve, reject) => {
+    const subset = font.createSubset();
+    const ids = glyphs.map(glyph => subset.includeGlyph(glyph));
+    const parts = [];
+    subset.encodeStream()
+        .on('data', bytes => parts.push(Buffer.from(bytes)))
+        .on('end', () => resolve({ ids, font: fontkit.create(Buffer.concat(parts)) }))
+        .on('error', reject);
+});
+
+test('every bundled font pads its glyph records to an even length', () => {
+    assert.ok(fontFiles.length > 0);
+
+    for (const file of fontFiles) {
+        const { offsets } = openFont(file).loca;
+        const oddGlyphs = offsets.slice(1).filter((offset, index) => (offset - offsets[index]) % 2 !== 0);
+        assert.equal(oddGlyphs.length, 0, `${file} has ${oddGlyphs.length} odd-length glyphs`);
+    }
+});
+
+test('subsetting keeps every glyph outline intact', async () => {
+    for (const file of fontFiles) {
+        const font = openFont(file);
+        const glyphs = font.glyphsForString(SAMPLE_TEXT).filter(glyph => glyph.id !== 0);
+        const subset = await encodeSubset(font, glyphs);
+
+        glyphs.forEach((glyph, index) => {
+            const copy = subset.font.getGlyph(subset.ids[index]);
+            assert.equal(copy.path.toSVG(), glyph.path.toSVG(), `${file} changed glyph ${glyph.id} when subset`);
+        });
+    }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { wrapText, layoutParagraphs } = require('../netlify/functions/utils/booklet-text-layout');
+
+// Monospaced stand-in for a font stack: every character is 1 unit wide at size 1
+const font = { widthOfTextAtSize: (text, size) => [...text].length * size };
+
+test('wrapText keeps words that fit on one line', () => {
+    assert.deepEqual(wrapText('Happy graduation day', font, 1, 30), ['Happy graduation day']);
+});
+
+test('wrapText wraps at word boundaries using the measured width', () => {
+    assert.deepEqual(wrapText('one two three four', font, 1, 9), ['one two', 'three', 'four']);
+    assert.deepEqual(wrapText('one two three four', font, 2, 18), ['one two', 'three', 'four']);
+});
+
+test('wrapText splits words wider than the line', () => {
+    assert.deepEqual(wrapText('see https://example.com/page', font, 1, 10), ['see', 'https://ex', 'ample.com/', 'page']);
+});
+
+test('wrapText counts characters outside the BMP once', () => {
+    assert.deepEqual(wrapText('🎓🎓🎓 🎓', font, 1, 4), ['🎓🎓🎓', '🎓']);
+});
+
+test('wrapText collapses spaces and tabs and returns nothing for blank text', () => {
+    assert.deepEqual(wrapText('a  \t b', font, 1, 10), ['a b']);
+    assert.deepEqual(wrapText('   ', font, 1, 10), []);
+});
+
+test('layoutParagraphs splits paragraphs on blank lines and keeps single line breaks', () => {
+    const text = 'Dear class,\r\nwell done.\n\n\nSee you soon';
+    assert.deepEqual(layoutParagraphs(text, font, 1, 40), [['Dear class,', 'well done.'], ['See you soon']]);
+});
+
+test('layoutParagraphs treats whitespace-only lines as paragraph breaks and drops empty paragraphs', () => {
+    assert.deepEqual(layoutParagraphs('a\n \nb', font, 1, 10), [['a'], ['b']]);
+    assert.deepEqual(layoutParagraphs('a\n\t\nb', font, 1, 10), [['a'], ['b']]);
+    assert.deepEqual(layoutParagraphs('', font, 1, 10), []);
+    assert.deepEqual(layoutParagraphs(null, font, 1, 10), []);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffVersions, getBookletStats } = require('../netlify/functions/utils/booklet-versions');
+
+const previous = {
+    id: 'v1',
+    pageCount: 40,
+    sizeMB: 12.5,
+    students: ['Ana', 'Ben', 'Cleo'],
+    sectionCounts: { students: 30, messages: 4, speeches: 2 }
+};
+
+test('diffVersions returns null for the first version', () => {
+    assert.equal(diffVersions(null, previous), null);
+});
+
+test('diffVersions reports page, size, student and section changes', () => {
+    const current = {
+        pageCount: 42,
+        sizeMB: 13.1,
+        students: ['Ana', 'Cleo', 'Dev'],
+        sectionCounts: { students: 31, messages: 4, awards: 1 }
+    };
+
+    assert.deepEqual(diffVersions(previous, current), {
+        previousVersionId: 'v1',
+        pageDelta: 2,
+        sizeDeltaMB: 0.6,
+        studentsAdded: ['Dev'],
+        studentsRemoved: ['Ben'],
+        sectionDeltas: { students: 1, speeches: -2, awards: 1 }
+    });
+});
+
+test('diffVersions treats missing fields on the previous version as empty', () => {
+    const diff = diffVersions({ id: 'old' }, { pageCount: 10, sizeMB: 2, students: ['Ana'], sectionCounts: { students: 8 } });
+
+    assert.equal(diff.pageDelta, 10);
+    assert.equal(diff.sizeDeltaMB, 2);
+    assert.deepEqual(diff.studentsAdded, ['Ana']);
+    assert.deepEqual(diff.studentsRemoved, []);
+    assert.deepEqual(diff.sectionDeltas, { students: 8 });
+});
+
+test('getBookletStats copies the stats stored on a version', () => {
+    const version = {
+        pageCount: 42,
+        sizeMB: 13.1,
+        students: ['Ana', 'Cleo', 'Dev'],
+        skippedStudents: [{ name: 'Ben' }],
+        placeholderStudents: 1,
+        processedStudents: 2,
+        totalStudents: 4,
+        reusedSections: 3,
+        sizeBeforeOptimizationMB: 20.4,
+        quality: 'print'
+    };
+
+    assert.deepEqual(getBookletStats(version, new Date('2026-06-01T10:00:00Z')), {
+        totalPages: 42,
+        processedStudents: 2,
+        totalStudents: 4,
+        placeholderStudents: 1,
+        sizeMB: 13.1,
+        generatedAt: '2026-06-01T10:00:00.000Z',
+        reusedSections: 3,
+        sizeBeforeOptimizationMB: 20.4,
+        quality: 'print'
+    });
+});
+
+test('getBookletStats works out student counts for versions recorded without stats', () => {
+    const stats = getBookletStats({ ...previous, skippedStudents: [{ name: 'Dev' }], placeholderStudents: 1 }, null);
+
+    assert.equal(stats.processedStudents, 2);
+    assert.equal(stats.totalStudents, 3);
+    assert.equal(stats.generatedAt, null);
+    assert.equal('quality' in stats, false);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDownloadRules, getDownloadAudience, evaluateDownloadRule } = require('../netlify/functions/utils/download-rules');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const BEFORE = new Date('2026-05-01T00:00:00Z');
+const AFTER = new Date('2026-07-01T00:00:00Z');
+
+test('projects without rules are open to everyone', () => {
+    const rules = getDownloadRules({});
+    for (const audience of ['staff', 'families', 'public']) {
+        assert.deepEqual(rules[audience], { access: 'open', opensAt: null, closesAt: null });
+    }
+});
+
+test('the older single schedule applies to families and the public, not staff', () => {
+    const rules = getDownloadRules({ enableDownloadScheduling: true, downloadableAfterDate: AFTER.toISOString() });
+
+    assert.equal(rules.staff.access, 'open');
+    assert.deepEqual(rules.families, { access: 'scheduled', opensAt: AFTER, closesAt: null });
+    assert.deepEqual(rules.public, rules.families);
+});
+
+test('stored rules are normalized and unknown access falls back to open', () => {
+    const rules = getDownloadRules({
+        downloadRules: {
+            staff: { access: 'never' },
+            families: { access: 'scheduled', opensAt: { toDate: () => BEFORE }, closesAt: AFTER.toISOString() },
+            public: { access: 'sometimes', opensAt: 'not a date' }
+        }
+    });
+
+    assert.deepEqual(rules.staff, { access: 'never', opensAt: null, closesAt: null });
+    assert.deepEqual(rules.families, { access: 'scheduled', opensAt: BEFORE, closesAt: AFTER });
+    assert.deepEqual(rules.public, { access: 'open', opensAt: null, closesAt: null });
+});
+
+test('requests are sorted into staff, families and public', () => {
+    assert.equal(getDownloadAudience({ isEditor: true, hasSiteSession: true }), 'staff');
+    assert.equal(getDownloadAudience({ hasSiteSession: true }), 'families');
+    assert.equal(getDownloadAudience({ viaStudentLink: true }), 'families');
+    assert.equal(getDownloadAudience({}), 'public');
+});
+
+test('evaluateDownloadRule handles never, scheduled and closing dates', () => {
+    assert.deepEqual(evaluateDownloadRule({ access: 'never', opensAt: null, closesAt: null }, NOW),
+        { allowed: false, reason: 'unavailable', opensAt: null, closesAt: null });
+
+    assert.deepEqual(evaluateDownloadRule({ access: 'scheduled', opensAt: AFTER, closesAt: null }, NOW),
+        { allowed: false, reason: 'scheduled', opensAt: AFTER, closesAt: null });
+    assert.equal(evaluateDownloadRule({ access: 'scheduled', opensAt: null, closesAt: null }, NOW).reason, 'scheduled');
+
+    assert.deepEqual(evaluateDownloadRule({ access: 'scheduled', opensAt: BEFORE, closesAt: AFTER }, NOW),
+        { allowed: true, reason: null, opensAt: BEFORE, closesAt: AFTER });
+
+    assert.deepEqual(evaluateDownloadRule({ access: 'open', opensAt: BEFORE, closesAt: NOW }, NOW),
+        { allowed: false, reason: 'closed', opensAt: BEFORE, closesAt: NOW });
+    assert.deepEqual(evaluateDownloadRule({ access: 'open', opensAt: BEFORE, closesAt: null }, NOW),
+        { allowed: true, reason: null, opensAt: null, closesAt: null });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../netlify/functions/utils/password-hash');
+
+// Hash in the format written before the switch to scrypt: PBKDF2 with the salt's hex string as salt
+const legacyHash = (password) => {
+    const salt = crypto.randomBytes(64).toString('hex');
+    return `${salt}:${crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex')}`;
+};
+
+test('hashPassword writes salted scrypt hashes', async () => {
+    const [first, second] = await Promise.all([hashPassword('BlueTiger42'), hashPassword('BlueTiger42')]);
+
+    assert.match(first, /^scrypt\$16384\$8\$1\$[a-f0-9]{32}\$[a-f0-9]{128}$/);
+    assert.notEqual(first, second);
+});
+
+test('verifyPassword accepts the right password and rejects others', async () => {
+    const hash = await hashPassword('BlueTiger42');
+
+    assert.deepEqual(await verifyPassword('BlueTiger42', hash), { isValid: true, needsRehash: false });
+    assert.deepEqual(await verifyPassword('bluetiger42', hash), { isValid: false, needsRehash: false });
+    assert.deepEqual(await verifyPassword('', hash), { isValid: false, needsRehash: false });
+});
+
+test('legacy PBKDF2 hashes still verify and ask to be rehashed', async () => {
+    const hash = legacyHash('RedEagle17');
+
+    assert.deepEqual(await verifyPassword('RedEagle17', hash), { isValid: true, needsRehash: true });
+    assert.deepEqual(await verifyPassword('RedEagle18', hash), { isValid: false, needsRehash: false });
+});
+
+test('scrypt hashes with an older cost verify and ask to be rehashed', async () => {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync('GoldLion55', salt, 64, { N: 1024, r: 8, p: 1 });
+    const hash = `scrypt$1024$8$1$${salt.toString('hex')}$${key.toString('hex')}`;
+
+    assert.deepEqual(await verifyPassword('GoldLion55', hash), { isValid: true, needsRehash: true });
+    assert.deepEqual(await verifyPassword('GoldLion56', hash), { isValid: false, needsRehash: false });
+});
+
+test('malformed or out-of-range hashes are rejected without throwing', async () => {
+    const invalid = { isValid: false, needsRehash: false };
+    const hashes = [
+        'scrypt$16384$8$1$zz$00',
+        `scrypt$${2 ** 21}$8$1$00$00`,
+        'scrypt$16384$64$1$00$00',
+        'abc:def',
+        'no-separator',
+        null
+    ];
+
+    for (const hash of hashes) {
+        assert.deepEqual(await verifyPassword('anything', hash), invalid, String(hash));
+    }
+    assert.deepEqual(await verifyPassword(undefined, await hashPassword('x')), invalid);
+});
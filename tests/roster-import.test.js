@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser module (ES module syntax), so it is loaded with import()
+let roster;
+test.before(async () => {
+    roster = await import('../js/utils/roster-import.js');
+});
+
+test('parseCsv handles a BOM, CRLF, quoted fields and blank lines', () => {
+    const text = '﻿Name,Class\r\n"Lee, Ana","6A"\r\n\r\n"Ben ""BJ"" Ode",6B\r\n"Multi\nLine",6C';
+    assert.deepEqual(roster.parseCsv(text), [
+        ['Name', 'Class'],
+        ['Lee, Ana', '6A'],
+        ['Ben "BJ" Ode', '6B'],
+        ['Multi\nLine', '6C']
+    ]);
+});
+
+test('parseCsv detects semicolon and tab delimiters from the first line', () => {
+    assert.deepEqual(roster.parseCsv('Name;Email\nAna;a@x.org'), [['Name', 'Email'], ['Ana', 'a@x.org']]);
+    assert.deepEqual(roster.parseCsv('Name\tClass\nAna, Jr\t6A'), [['Name', 'Class'], ['Ana, Jr', '6A']]);
+});
+
+test('hasHeaderRow and guessColumnMapping recognise common header names', () => {
+    const headers = ['Surname', 'Given Name', 'Student ID', 'Tutor Group', 'Parent Email'];
+
+    assert.equal(roster.hasHeaderRow(headers), true);
+    assert.equal(roster.hasHeaderRow(['Ana Lee', '6A']), false);
+    assert.deepEqual(roster.guessColumnMapping(headers), {
+        firstName: 1,
+        lastName: 0,
+        studentNumber: 2,
+        homeroom: 3,
+        parentEmail: 4
+    });
+});
+
+test('guessColumnMapping takes the first column as the name without headers', () => {
+    assert.deepEqual(roster.guessColumnMapping(null), { name: 0 });
+    assert.deepEqual(roster.guessColumnMapping(['Pupil', 'Class']), { name: 0, className: 1 });
+    assert.deepEqual(roster.guessColumnMapping(['Notes', 'Misc']), { name: 0 });
+});
+
+test('buildRosterPreview validates and cleans each row', () => {
+    const mapping = { name: 0, studentNumber: 1, className: 2, parentEmail: 3 };
+    const [valid, cleaned, invalid] = roster.buildRosterPreview([
+        ['  Ana   Lee ', 'S-01', '6A', 'Parent@Example.com'],
+        ['Zoë O\'Neil', '', '<b>6B</b>', ''],
+        ['', 'S 02!', '', 'not-an-email']
+    ], mapping, [], 2);
+
+    assert.deepEqual(valid, {
+        rowNumber: 2,
+        student: { name: 'Ana Lee', studentNumber: 'S-01', className: '6A', parentEmail: 'parent@example.com' },
+        errors: [],
+        warnings: [],
+        duplicate: null
+    });
+    assert.equal(cleaned.student.name, 'Zo O\'Neil');
+    assert.deepEqual(cleaned.warnings, ['Will be saved as "Zo O\'Neil"']);
+    assert.equal(cleaned.student.className, '6B');
+    assert.deepEqual(invalid.errors, [
+        'Missing name',
+        'Student number may only use letters, numbers, spaces and . _ - /',
+        'Parent email is not a valid address'
+    ]);
+});
+
+test('buildRosterPreview joins first and last name columns', () => {
+    const [row] = roster.buildRosterPreview([['Lee', 'Ana']], { firstName: 1, lastName: 0 });
+    assert.equal(row.student.name, 'Ana Lee');
+});
+
+test('buildRosterPreview flags duplicates against the project and within the file', () => {
+    const existing = [{ name: 'Ana Lee', studentNumber: 'S-01' }, { name: 'Ben Ode' }];
+    const rows = [
+        ['Ana Lee', 'S-99'],    // same name but both have numbers, and they differ
+        ['ana lee', ''],        // same name, no number on this row
+        ['Cleo Park', 'S-01'],  // same number as an existing student
+        ['BEN ODE', 'S-05'],    // existing student has no number, so the name decides
+        ['Dev Shah', 'S-07'],
+        ['Dev Shah', 'S-07'],   // repeated within the file
+        ['Eli Moss', '']
+    ];
+    const preview = roster.buildRosterPreview(rows, { name: 0, studentNumber: 1 }, existing);
+
+    assert.deepEqual(preview.map(row => row.duplicate), [null, 'existing', 'existing', 'existing', null, 'file', null]);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SITE_SESSION_SECRET = 'test-secret';
+const { SITE_SESSION_TTL_MS, createSiteSessionToken, verifySiteSessionToken } = require('../netlify/functions/utils/site-session');
+
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+test('a new token verifies for the same graduation and password hash', (t) => {
+    t.mock.method(Date, 'now', () => NOW);
+    const { token, expiresAt } = createSiteSessionToken('grad1', 'hash1');
+
+    assert.match(token, /^\d{13}\.[a-f0-9]{64}$/);
+    assert.equal(expiresAt, new Date(NOW + SITE_SESSION_TTL_MS).toISOString());
+    assert.equal(verifySiteSessionToken(token, 'grad1', 'hash1'), true);
+});
+
+test('a token is rejected for another graduation or a changed password', (t) => {
+    t.mock.method(Date, 'now', () => NOW);
+    const { token } = createSiteSessionToken('grad1', 'hash1');
+
+    assert.equal(verifySiteSessionToken(token, 'grad2', 'hash1'), false);
+    assert.equal(verifySiteSessionToken(token, 'grad1', 'hash2'), false);
+    assert.equal(verifySiteSessionToken(token, 'grad1', null), false);
+});
+
+test('a token stops working once it expires', (t) => {
+    const now = t.mock.method(Date, 'now', () => NOW);
+    const { token } = createSiteSessionToken('grad1', 'hash1');
+
+    now.mock.mockImplementation(() => NOW + SITE_SESSION_TTL_MS - 1);
+    assert.equal(verifySiteSessionToken(token, 'grad1', 'hash1'), true);
+
+    now.mock.mockImplementation(() => NOW + SITE_SESSION_TTL_MS + 1);
+    assert.equal(verifySiteSessionToken(token, 'grad1', 'hash1'), false);
+});
+
+test('a token with a changed expiry or signature is rejected', (t) => {
+    t.mock.method(Date, 'now', () => NOW);
+    const { token } = createSiteSessionToken('grad1', 'hash1');
+    const [expiresAt, signature] = token.split('.');
+
+    assert.equal(verifySiteSessionToken(`${Number(expiresAt) + 60000}.${signature}`, 'grad1', 'hash1'), false);
+    assert.equal(verifySiteSessionToken(`${expiresAt}.${signature.replace(/^./, c => (c === 'a' ? 'b' : 'a'))}`, 'grad1', 'hash1'), false);
+    assert.equal(verifySiteSessionToken('not-a-token', 'grad1', 'hash1'), false);
+    assert.equal(verifySiteSessionToken(undefined, 'grad1', 'hash1'), false);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADJECTIVES, NOUNS, generateStudentPassword } = require('../netlify/functions/utils/student-passwords');
+
+test('word lists have 128 distinct capitalized words each', () => {
+    for (const words of [ADJECTIVES, NOUNS]) {
+        assert.equal(words.length, 128);
+        assert.equal(new Set(words).size, 128);
+        words.forEach(word => assert.match(word, /^[A-Z][a-z]+$/));
+    }
+});
+
+test('passwords are two adjective + noun pairs and four digits', () => {
+    const pattern = new RegExp(`^(${ADJECTIVES.join('|')})(${NOUNS.join('|')})(${ADJECTIVES.join('|')})(${NOUNS.join('|')})\\d{4}$`);
+    for (let i = 0; i < 50; i++) {
+        assert.match(generateStudentPassword(), pattern);
+    }
+});
+
+test('passwords have at least 40 bits of entropy and do not repeat', () => {
+    assert.ok(Math.log2(ADJECTIVES.length ** 2 * NOUNS.length ** 2 * 10 ** 4) >= 40);
+
+    const passwords = new Set(Array.from({ length: 1000 }, generateStudentPassword));
+    assert.equal(passwords.size, 1000);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const server = require('../netlify/functions/utils/upload-links');
+
+// Browser module (ES module syntax), so it is loaded with import()
+let client;
+test.before(async () => {
+    client = await import('../js/utils/upload-links.js');
+});
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const PAST = '2026-05-01T00:00:00Z';
+// getUploadLinkStatus in the browser checks against the real clock
+const FUTURE = '2099-01-01T00:00:00Z';
+
+const students = {
+    current: { accessType: 'link', uniqueLinkId: 'link-new', previousLinkIds: ['link-old'] },
+    switched: { accessType: 'password', uniqueLinkId: null, previousLinkIds: ['link-switched'] },
+    expiring: { accessType: 'link', uniqueLinkId: 'link-expiring', linkExpiresAt: { toDate: () => new Date(PAST) } }
+};
+
+/**
+ * In-memory stand-in for a students collection, supporting the two queries findUploadLink runs
+ */
+const createStudentsRef = (docs) => ({
+    where: (field, op, value) => ({
+        limit: () => ({
+            get: async () => {
+                const matches = Object.entries(docs)
+                    .filter(([, data]) => (op === '==' ? data[field] === value : (data[field] || []).includes(value)))
+                    .map(([id, data]) => ({ id, data: () => data }));
+                return { empty: matches.length === 0, docs: matches };
+            }
+        })
+    })
+});
+
+test('the earlier of the student and project expiry applies', () => {
+    for (const { getUploadLinkExpiry } of [server, client]) {
+        assert.equal(getUploadLinkExpiry({}, {}), null);
+        assert.deepEqual(getUploadLinkExpiry({ linkExpiresAt: FUTURE }, { uploadLinkExpiresAt: PAST }), new Date(PAST));
+        assert.deepEqual(getUploadLinkExpiry({ linkExpiresAt: { toDate: () => new Date(PAST) } }, {}), new Date(PAST));
+        assert.deepEqual(getUploadLinkExpiry({ linkExpiresAt: 'not a date' }, { uploadLinkExpiresAt: FUTURE }), new Date(FUTURE));
+    }
+});
+
+test('getUploadLinkState tells current, expired, replaced and switched links apart', () => {
+    const { getUploadLinkState } = server;
+
+    assert.equal(getUploadLinkState(students.current, 'link-new', {}, NOW), 'valid');
+    assert.equal(getUploadLinkState(students.current, 'link-new', { uploadLinkExpiresAt: PAST }, NOW), 'expired');
+    assert.equal(getUploadLinkState(students.current, 'link-old', {}, NOW), 'replaced');
+    assert.equal(getUploadLinkState(students.switched, 'link-switched', {}, NOW), 'switched');
+    assert.equal(getUploadLinkState(students.expiring, 'link-expiring', {}, NOW), 'expired');
+    assert.equal(getUploadLinkState(students.current, 'link-other', {}, NOW), 'invalid');
+    assert.equal(getUploadLinkState(null, 'link-new', {}, NOW), 'invalid');
+});
+
+test('a password student keeping an old uniqueLinkId is not a valid link', () => {
+    const student = { accessType: 'password', uniqueLinkId: 'link-new', previousLinkIds: ['link-new'] };
+    assert.equal(server.getUploadLinkState(student, 'link-new', {}, NOW), 'switched');
+});
+
+test('findUploadLink looks up current links first, then replaced ones', async () => {
+    const studentsRef = createStudentsRef(students);
+
+    const current = await server.findUploadLink(studentsRef, 'link-new', {});
+    assert.equal(current.status, 'valid');
+    assert.equal(current.studentDoc.id, 'current');
+
+    const replaced = await server.findUploadLink(studentsRef, 'link-old', {});
+    assert.equal(replaced.status, 'replaced');
+    assert.equal(replaced.studentDoc.id, 'current');
+
+    const switched = await server.findUploadLink(studentsRef, 'link-switched', {});
+    assert.equal(switched.status, 'switched');
+
+    assert.deepEqual(await server.findUploadLink(studentsRef, 'link-unknown', {}), { status: 'invalid', studentDoc: null });
+});
+
+test('getUploadLinkStatus in the browser matches the server rules', () => {
+    const list = Object.values(students);
+    const config = { uploadLinkExpiresAt: FUTURE };
+
+    const current = client.getUploadLinkStatus(list, 'link-new', config);
+    assert.equal(current.status, 'valid');
+    assert.equal(current.student, students.current);
+    assert.deepEqual(current.expiresAt, new Date(FUTURE));
+
+    assert.equal(client.getUploadLinkStatus(list, 'link-expiring', config).status, 'expired');
+    assert.equal(client.getUploadLinkStatus(list, 'link-old', config).status, 'replaced');
+    assert.equal(client.getUploadLinkStatus(list, 'link-switched', config).status, 'switched');
+    assert.deepEqual(client.getUploadLinkStatus(list, 'link-unknown', config), { status: 'invalid', student: null, expiresAt: null });
+});
+
+test('toDateTimeInputValue formats local time for datetime-local inputs', () => {
+    const date = new Date(2026, 5, 1, 9, 5);
+    assert.equal(client.toDateTimeInputValue(date), '2026-06-01T09:05');
+    assert.equal(client.toDateTimeInputValue(null), '');
+});
+
+test('validateStudentUpload only accepts the upload fields the project allows', () => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+    const pdfUrl = 'https://res.cloudinary.com/demo/raw/upload/v1/profile.pdf';
+    const coverConfig = { enableStudentCoverPages: true, allowCoverSpeeches: true };
+
+    assert.deepEqual(server.validateStudentUpload({ profilePdfUrl: pdfUrl }, {}), { fields: { profilePdfUrl: pdfUrl }, error: null });
+    assert.deepEqual(server.validateStudentUpload({ graduationSpeech: '<b>Thank you</b>' }, coverConfig).fields, { graduationSpeech: 'Thank you' });
+    assert.equal(server.validateStudentUpload({ graduationSpeech: 'Hi' }, {}).error, 'graduationSpeech cannot be changed from an upload link');
+    assert.equal(server.validateStudentUpload({ name: 'Someone else' }, {}).error, 'name cannot be changed from an upload link');
+    assert.equal(server.validateStudentUpload({ profilePdfUrl: 'https://example.com/profile.pdf' }, {}).error, 'Invalid file URL');
+    assert.equal(server.validateStudentUpload({}, {}).error, 'Nothing to save');
+});
+
+test('validateStudentUpload rejects keys inherited from Object.prototype', () => {
+    process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+    const pdfUrl = 'https://res.cloudinary.com/demo/raw/upload/v1/profile.pdf';
+
+    for (const key of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+        const updates = JSON.parse(`{"${key}": "${pdfUrl}"}`);
+        assert.deepEqual(server.validateStudentUpload(updates, {}), { fields: {}, error: `${key} cannot be changed from an upload link` });
+    }
+});